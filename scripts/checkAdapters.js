@@ -0,0 +1,73 @@
+/**
+ * Format Adapter Check
+ * Parses every sample export in src/services/parser/adapters/fixtures and checks the
+ * detected format plus the parsed session and message counts. Adapters that stream
+ * are also run through parseTranscriptStream, which has to give the same result.
+ *
+ * Run with: npm run check:adapters
+ */
+
+import { readFile } from 'node:fs/promises';
+import { createServer } from 'vite';
+
+const FIXTURES_DIR = 'src/services/parser/adapters/fixtures';
+
+// One sample export per built-in adapter
+const EXPECTED = [
+    { file: 'timestamped.txt', format: 'timestamped', sessions: 1, messages: 4 },
+    { file: 'simple-text.txt', format: 'simple-text', sessions: 2, messages: 5 },
+    { file: 'csv.csv', format: 'csv', sessions: 2, messages: 5 },
+    // Id-less conversation lines are separate sessions; id-less message lines would share one
+    { file: 'ndjson.jsonl', format: 'ndjson', sessions: 3, messages: 6 },
+    { file: 'dialogflow-cx.json', format: 'dialogflow-cx', sessions: 1, messages: 4 },
+    { file: 'rasa.json', format: 'rasa', sessions: 1, messages: 4 },
+    { file: 'botpress.json', format: 'botpress', sessions: 2, messages: 5 },
+    { file: 'intercom.json', format: 'intercom', sessions: 1, messages: 3 },
+    { file: 'zendesk.json', format: 'zendesk', sessions: 1, messages: 3 },
+    { file: 'openai-messages.json', format: 'openai-messages', sessions: 2, messages: 6 },
+    { file: 'json.json', format: 'json', sessions: 2, messages: 5 },
+];
+
+function countResult({ format, transcripts }) {
+    return {
+        format,
+        sessions: transcripts.length,
+        messages: transcripts.reduce((sum, t) => sum + t.messages.length, 0),
+    };
+}
+
+function describe({ format, sessions, messages }) {
+    return `${format}, ${sessions} sessions, ${messages} messages`;
+}
+
+// Adapters log parsing details; keep the output to the check results
+const log = console.log;
+console.log = () => {};
+
+const server = await createServer({ server: { middlewareMode: true }, appType: 'custom', logLevel: 'error' });
+let failures = 0;
+
+try {
+    const { parseTranscriptContent, parseTranscriptStream } = await server.ssrLoadModule('/src/services/parser/transcriptParser.js');
+
+    for (const expected of EXPECTED) {
+        const content = await readFile(`${FIXTURES_DIR}/${expected.file}`, 'utf8');
+        const results = [['parse', countResult(await parseTranscriptContent(content, expected.file))]];
+
+        const streamed = await parseTranscriptStream(() => new Blob([content]).stream(), expected.file);
+        if (streamed) {
+            results.push(['stream', countResult(streamed)]);
+        }
+
+        for (const [mode, actual] of results) {
+            const ok = describe(actual) === describe(expected);
+            if (!ok) failures++;
+            log(`${ok ? '✅' : '❌'} ${expected.file} (${mode}): ${describe(actual)}${ok ? '' : ` - expected ${describe(expected)}`}`);
+        }
+    }
+} finally {
+    await server.close();
+}
+
+log(failures === 0 ? '\nAll adapter fixtures parsed as expected' : `\n${failures} adapter check(s) failed`);
+process.exit(failures === 0 ? 0 : 1);
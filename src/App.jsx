@@ -6,10 +6,11 @@ import FileUpload from './components/FileUpload/FileUpload';
 import AnalysisDashboard from './components/AnalysisDashboard/AnalysisDashboard';
 import ProgressBar from './components/ProgressBar/ProgressBar';
 import ReportViewer from './components/ReportViewer/ReportViewer';
+import AnalysisHistory from './components/AnalysisHistory/AnalysisHistory';
 import './App.css';
 
 function AppContent() {
-    const { state } = useApp();
+    const { state, actions } = useApp();
     const { analysis, results, parsedTranscripts, llmConfig } = state;
 
     // Determine current step for step indicator
@@ -86,6 +87,11 @@ function AppContent() {
                         <div className="workflow-step">
                             <AnalysisDashboard />
                         </div>
+
+                        {/* Row 3: Saved analyses */}
+                        <div className="workflow-step">
+                            <AnalysisHistory />
+                        </div>
                     </div>
                 )}
 
@@ -97,6 +103,7 @@ function AppContent() {
                                 currentStage={analysis.currentStage}
                                 progress={analysis.progress}
                                 error={analysis.error}
+                                onCancel={actions.cancelAnalysis}
                             />
                         </div>
                     </div>
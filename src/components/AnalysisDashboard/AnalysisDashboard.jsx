@@ -1,19 +1,28 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { useApp } from '../../context/AppContext';
 import { BUSINESS_MODELS } from '../../utils/constants';
-import { runAnalysis } from '../../services/analyzer/analysisEngine';
+import { useAnalysisRunner } from '../../hooks/useAnalysisRunner';
 import { isValidUrl, estimateTokens } from '../../utils/helpers';
+import { resolveTimezone, getTimezoneOptions } from '../../utils/timezone';
 import { scrapeWebsite } from '../../services/scraper/websiteScraperService';
 import llmService from '../../services/llm/llmService';
+import { DEFAULT_INTENT_TAXONOMY } from '../../services/analyzer/intentTaxonomy';
+import { estimateMapReduceTokens } from '../../services/analyzer/mapReduce';
+import IntentTaxonomyEditor from '../IntentTaxonomyEditor/IntentTaxonomyEditor';
 import './AnalysisDashboard.css';
 
 export default function AnalysisDashboard() {
     const { state, actions } = useApp();
-    const { llmConfig, parsedTranscripts, businessContext, analysis } = state;
+    const { llmConfig, parsedTranscripts, businessContext, intentTaxonomy, analysis } = state;
+    const { runAnalysis, isLLMConfigured } = useAnalysisRunner();
 
     const [showOptional, setShowOptional] = useState(false);
     const [fetchingWebsite, setFetchingWebsite] = useState(false);
     const [fetchProgress, setFetchProgress] = useState('');
+    const [editingTaxonomy, setEditingTaxonomy] = useState(false);
+    const timezoneOptions = useMemo(() => getTimezoneOptions(), []);
+    // What "Auto" resolves to with the current geography
+    const autoTimezone = resolveTimezone({ geography: businessContext.geography });
 
     const handleContextChange = (field, value) => {
         actions.setBusinessContext({ [field]: value });
@@ -46,16 +55,22 @@ export default function AnalysisDashboard() {
         }
     };
 
-    const handleRunAnalysis = async () => {
+    const handleRunAnalysis = () => {
         if (!canRunAnalysis) return;
+        runAnalysis();
+    };
 
-        actions.startAnalysis();
-
-        try {
-            // Configure LLM service
-            llmService.configure(llmConfig.provider, llmConfig.model, llmConfig.apiKey);
+    const hasTranscripts = parsedTranscripts.length > 0;
+    const hasWebsiteUrl = businessContext.websiteUrl && isValidUrl(businessContext.websiteUrl);
+    const hasWebsiteContent = businessContext.websiteContent?.success;
+    // LLM is optional - only require transcripts and website URL
+    const canRunAnalysis = hasTranscripts && hasWebsiteUrl && !analysis.isRunning;
 
-            const results = await runAnalysis({
+    // Estimate tokens and cost; map-reduce sends every transcript in batches, each with its own prompt and response
+    // Only the fields that end up in the prompt are dependencies, so typing an API key doesn't re-serialize every transcript
+    const tokenEstimate = useMemo(() => {
+        if (llmConfig.analysisMode === 'mapReduce') {
+            return estimateMapReduceTokens({
                 transcripts: parsedTranscripts,
                 websiteUrl: businessContext.websiteUrl,
                 businessModel: businessContext.businessModel,
@@ -65,33 +80,24 @@ export default function AnalysisDashboard() {
                     additionalContext: businessContext.additionalContext,
                     websiteContent: businessContext.websiteContent,
                 },
-                // Pass LLM config - analysis will skip LLM if not configured
-                llmConfig: isLLMConfigured ? llmConfig : null,
-                onProgress: (stage, progress) => {
-                    actions.updateProgress(stage, progress);
-                },
+                llmConfig: { provider: llmConfig.provider, model: llmConfig.model },
             });
-
-            actions.setResults(results);
-            actions.finishAnalysis();
-        } catch (error) {
-            console.error('Analysis failed:', error);
-            actions.setAnalysisError(error.message);
         }
-    };
-
-    const isLLMConfigured = llmConfig.isConnected && llmConfig.apiKey;
-    const hasTranscripts = parsedTranscripts.length > 0;
-    const hasWebsiteUrl = businessContext.websiteUrl && isValidUrl(businessContext.websiteUrl);
-    const hasWebsiteContent = businessContext.websiteContent?.success;
-    // LLM is optional - only require transcripts and website URL
-    const canRunAnalysis = hasTranscripts && hasWebsiteUrl && !analysis.isRunning;
-
-    // Estimate tokens and cost
-    const transcriptText = JSON.stringify(parsedTranscripts);
-    const estimatedInputTokens = estimateTokens(transcriptText);
-    const estimatedOutputTokens = 4000;
-    const costEstimate = llmService.estimateCost?.(estimatedInputTokens, estimatedOutputTokens);
+        return { batches: 1, inputTokens: estimateTokens(JSON.stringify(parsedTranscripts)), outputTokens: 4000 };
+    }, [
+        parsedTranscripts,
+        llmConfig.provider,
+        llmConfig.model,
+        llmConfig.analysisMode,
+        businessContext.websiteUrl,
+        businessContext.businessModel,
+        businessContext.industry,
+        businessContext.geography,
+        businessContext.additionalContext,
+        businessContext.websiteContent,
+    ]);
+    const estimatedInputTokens = tokenEstimate.inputTokens;
+    const costEstimate = llmService.estimateCost?.(estimatedInputTokens, tokenEstimate.outputTokens);
 
     return (
         <div className="analysis-dashboard">
@@ -201,6 +207,25 @@ export default function AnalysisDashboard() {
                                     />
                                 </div>
 
+                                <div className="form-group">
+                                    <label className="form-label" htmlFor="timezone">
+                                        Timezone for Time Patterns
+                                    </label>
+                                    <select
+                                        id="timezone"
+                                        className="form-select"
+                                        value={businessContext.timezone}
+                                        onChange={(e) => handleContextChange('timezone', e.target.value)}
+                                    >
+                                        <option value="">
+                                            Auto: {autoTimezone.timeZone} ({autoTimezone.source === 'geography' ? 'from geography' : 'browser'})
+                                        </option>
+                                        {timezoneOptions.map(zone => (
+                                            <option key={zone} value={zone}>{zone}</option>
+                                        ))}
+                                    </select>
+                                </div>
+
                                 <div className="form-group additional-context-group">
                                     <label className="form-label" htmlFor="additionalContext">
                                         Additional Context
@@ -214,6 +239,19 @@ export default function AnalysisDashboard() {
                                         rows={3}
                                     />
                                 </div>
+
+                                <div className="form-group intent-taxonomy-group">
+                                    <div>
+                                        <span className="form-label">Intent Taxonomy</span>
+                                        <p className="form-hint">
+                                            {intentTaxonomy.length} intents{intentTaxonomy === DEFAULT_INTENT_TAXONOMY ? ' (default)' : ' (customized)'} classify
+                                            every user turn without an LLM.
+                                        </p>
+                                    </div>
+                                    <button type="button" className="btn btn-secondary" onClick={() => setEditingTaxonomy(true)}>
+                                        Edit Intents
+                                    </button>
+                                </div>
                             </div>
                         )}
                     </div>
@@ -250,9 +288,29 @@ export default function AnalysisDashboard() {
                             </span>
                         </div>
 
+                        {analysis.error && !analysis.isRunning && (
+                            <div className="analysis-error">
+                                <div className="analysis-error-title">⚠️ Analysis failed</div>
+                                <p className="analysis-error-message">{analysis.error}</p>
+                                {analysis.errorDetails && (
+                                    <ul className="analysis-error-details">
+                                        {analysis.errorDetails.slice(0, 5).map((detail, i) => (
+                                            <li key={i}>{detail}</li>
+                                        ))}
+                                    </ul>
+                                )}
+                            </div>
+                        )}
+
                         {costEstimate && hasTranscripts && (
                             <div className="cost-estimate">
                                 <span>Est. tokens: ~{(estimatedInputTokens / 1000).toFixed(1)}K</span>
+                                {tokenEstimate.batches > 1 && (
+                                    <>
+                                        <span>•</span>
+                                        <span>{tokenEstimate.batches} batches</span>
+                                    </>
+                                )}
                                 {costEstimate.totalCost > 0 && (
                                     <>
                                         <span>•</span>
@@ -266,6 +324,17 @@ export default function AnalysisDashboard() {
                     </div>
                 </div>
             </div>
+
+            {editingTaxonomy && (
+                <IntentTaxonomyEditor
+                    taxonomy={intentTaxonomy}
+                    onSave={(taxonomy) => {
+                        actions.setIntentTaxonomy(taxonomy);
+                        setEditingTaxonomy(false);
+                    }}
+                    onClose={() => setEditingTaxonomy(false)}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,325 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useApp } from '../../context/AppContext';
+import {
+    isHistoryAvailable,
+    listAnalyses,
+    loadAnalysis,
+    updateAnalysis,
+    deleteAnalysis,
+} from '../../services/history/historyStore';
+import { compareAnalyses } from '../../services/analyzer/runComparison';
+import RunComparison from '../RunComparison/RunComparison';
+import { formatDate } from '../../utils/helpers';
+import './AnalysisHistory.css';
+
+/**
+ * Saved analyses: reopen, rename, tag, delete and compare past runs
+ */
+export default function AnalysisHistory({ onOpened }) {
+    const { actions } = useApp();
+    const [entries, setEntries] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [search, setSearch] = useState('');
+    const [openingId, setOpeningId] = useState(null);
+    // Up to two entry ids picked for a run-over-run comparison
+    const [compareIds, setCompareIds] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [isComparing, setIsComparing] = useState(false);
+
+    useEffect(() => {
+        if (!isHistoryAvailable()) {
+            setLoading(false);
+            return;
+        }
+        listAnalyses()
+            .then(setEntries)
+            .catch(err => setError(`Failed to load history: ${err.message}`))
+            .finally(() => setLoading(false));
+    }, []);
+
+    // How many saved runs share each transcript set
+    const fingerprintCounts = useMemo(() => {
+        const counts = {};
+        for (const entry of entries) {
+            counts[entry.fingerprint] = (counts[entry.fingerprint] || 0) + 1;
+        }
+        return counts;
+    }, [entries]);
+
+    const visibleEntries = useMemo(() => {
+        const term = search.trim().toLowerCase();
+        if (!term) return entries;
+        return entries.filter(entry =>
+            entry.name.toLowerCase().includes(term) ||
+            entry.websiteUrl.toLowerCase().includes(term) ||
+            entry.tags.some(tag => tag.toLowerCase().includes(term))
+        );
+    }, [entries, search]);
+
+    const replaceEntry = (updated) => {
+        setEntries(prev => prev.map(entry => (entry.id === updated.id ? updated : entry)));
+    };
+
+    const handleOpen = async (id) => {
+        setOpeningId(id);
+        setError(null);
+        try {
+            const saved = await loadAnalysis(id);
+            // Files on the upload panel belong to a different transcript set now
+            actions.setUploadedFiles([]);
+            actions.setParsedTranscripts(saved.transcripts);
+            if (saved.businessContext) {
+                actions.setBusinessContext(saved.businessContext);
+            }
+            actions.setResults(saved.results);
+            onOpened?.(saved.entry);
+        } catch (err) {
+            setError(`Failed to open analysis: ${err.message}`);
+        } finally {
+            setOpeningId(null);
+        }
+    };
+
+    const handleUpdate = async (id, changes) => {
+        setError(null);
+        try {
+            replaceEntry(await updateAnalysis(id, changes));
+        } catch (err) {
+            setError(`Failed to update analysis: ${err.message}`);
+        }
+    };
+
+    const handleDelete = async (id) => {
+        setError(null);
+        try {
+            await deleteAnalysis(id);
+            setEntries(prev => prev.filter(entry => entry.id !== id));
+            setCompareIds(prev => prev.filter(selected => selected !== id));
+        } catch (err) {
+            setError(`Failed to delete analysis: ${err.message}`);
+        }
+    };
+
+    const toggleCompare = (id) => {
+        setCompareIds(prev => {
+            if (prev.includes(id)) return prev.filter(selected => selected !== id);
+            // Picking a third run replaces the oldest pick
+            return [...prev, id].slice(-2);
+        });
+    };
+
+    const handleCompare = async () => {
+        setIsComparing(true);
+        setError(null);
+        try {
+            const runs = await Promise.all(compareIds.map(loadAnalysis));
+            // Earlier run is the baseline
+            runs.sort((a, b) => a.entry.createdAt.localeCompare(b.entry.createdAt));
+            setComparison(compareAnalyses(runs[0], runs[1]));
+        } catch (err) {
+            setError(`Failed to compare analyses: ${err.message}`);
+        } finally {
+            setIsComparing(false);
+        }
+    };
+
+    return (
+        <div className="analysis-history">
+            <div className="analysis-history-header">
+                <h2 className="analysis-history-title">
+                    <span>🗂️</span>
+                    Analysis History
+                </h2>
+                {entries.length > 0 && (
+                    <span className="badge badge-primary">{entries.length} saved</span>
+                )}
+            </div>
+
+            <div className="analysis-history-body">
+                {!isHistoryAvailable() ? (
+                    <p className="analysis-history-empty">
+                        This browser does not support IndexedDB, so analyses cannot be saved.
+                    </p>
+                ) : loading ? (
+                    <p className="analysis-history-empty">Loading history...</p>
+                ) : entries.length === 0 ? (
+                    <p className="analysis-history-empty">
+                        Completed analyses are saved here automatically. Reopen them later without re-uploading files or re-running the LLM.
+                    </p>
+                ) : (
+                    <>
+                        <div className="analysis-history-toolbar">
+                            <input
+                                type="search"
+                                className="form-input"
+                                placeholder="Search by name, website or tag..."
+                                value={search}
+                                onChange={(e) => setSearch(e.target.value)}
+                            />
+                            <button
+                                className="btn btn-secondary"
+                                onClick={handleCompare}
+                                disabled={compareIds.length !== 2 || isComparing}
+                                title="Tick two runs to compare them"
+                            >
+                                ⚖️ {isComparing ? 'Comparing...' : `Compare (${compareIds.length}/2)`}
+                            </button>
+                        </div>
+                        <div className="analysis-history-list">
+                            {visibleEntries.map(entry => (
+                                <HistoryEntry
+                                    key={entry.id}
+                                    entry={entry}
+                                    sameDataCount={fingerprintCounts[entry.fingerprint] - 1}
+                                    isOpening={openingId === entry.id}
+                                    isSelected={compareIds.includes(entry.id)}
+                                    onToggleCompare={() => toggleCompare(entry.id)}
+                                    onOpen={() => handleOpen(entry.id)}
+                                    onUpdate={(changes) => handleUpdate(entry.id, changes)}
+                                    onDelete={() => handleDelete(entry.id)}
+                                />
+                            ))}
+                            {visibleEntries.length === 0 && (
+                                <p className="analysis-history-empty">No saved analyses match "{search}".</p>
+                            )}
+                        </div>
+                    </>
+                )}
+
+                {error && <div className="analysis-history-error">⚠️ {error}</div>}
+            </div>
+
+            {comparison && (
+                <RunComparison comparison={comparison} onClose={() => setComparison(null)} />
+            )}
+        </div>
+    );
+}
+
+/**
+ * One saved run with inline rename, tag editing and a two-step delete
+ */
+function HistoryEntry({ entry, sameDataCount, isOpening, isSelected, onToggleCompare, onOpen, onUpdate, onDelete }) {
+    const [isRenaming, setIsRenaming] = useState(false);
+    const [draftName, setDraftName] = useState(entry.name);
+    const [draftTag, setDraftTag] = useState('');
+    const [confirmDelete, setConfirmDelete] = useState(false);
+
+    const submitName = () => {
+        setIsRenaming(false);
+        if (draftName.trim() && draftName.trim() !== entry.name) {
+            onUpdate({ name: draftName });
+        } else {
+            setDraftName(entry.name);
+        }
+    };
+
+    const addTag = () => {
+        const tag = draftTag.trim();
+        setDraftTag('');
+        if (tag && !entry.tags.includes(tag)) {
+            onUpdate({ tags: [...entry.tags, tag] });
+        }
+    };
+
+    return (
+        <div className={`history-entry ${isSelected ? 'selected' : ''}`}>
+            <input
+                type="checkbox"
+                className="history-entry-compare"
+                checked={isSelected}
+                onChange={onToggleCompare}
+                aria-label={`Select ${entry.name} for comparison`}
+            />
+            <div className="history-entry-main">
+                {isRenaming ? (
+                    <input
+                        className="form-input history-entry-name-input"
+                        value={draftName}
+                        autoFocus
+                        onChange={(e) => setDraftName(e.target.value)}
+                        onBlur={submitName}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') submitName();
+                            if (e.key === 'Escape') {
+                                setDraftName(entry.name);
+                                setIsRenaming(false);
+                            }
+                        }}
+                    />
+                ) : (
+                    <span className="history-entry-name">{entry.name}</span>
+                )}
+
+                <div className="history-entry-meta">
+                    <span>{formatDate(entry.createdAt)}</span>
+                    <span>{entry.transcriptCount} sessions</span>
+                    <span>
+                        {entry.llm
+                            ? `🤖 ${entry.llm.provider} · ${entry.llm.model} · ${entry.llm.analysisMode}`
+                            : '📊 Rule-based only'}
+                    </span>
+                    {entry.llm && <span>{entry.issueCount} issues · {entry.recommendationCount} recommendations</span>}
+                    {entry.scopeLabel && <span className="badge badge-info">Subset: {entry.scopeLabel}</span>}
+                    {sameDataCount > 0 && (
+                        <span
+                            className="badge badge-neutral"
+                            title={`Transcript fingerprint ${entry.fingerprint}`}
+                        >
+                            Same transcripts as {sameDataCount} other run{sameDataCount === 1 ? '' : 's'}
+                        </span>
+                    )}
+                </div>
+
+                <div className="history-entry-tags">
+                    {entry.tags.map(tag => (
+                        <span key={tag} className="history-tag">
+                            {tag}
+                            <button
+                                type="button"
+                                aria-label={`Remove tag ${tag}`}
+                                onClick={() => onUpdate({ tags: entry.tags.filter(t => t !== tag) })}
+                            >
+                                ✕
+                            </button>
+                        </span>
+                    ))}
+                    <input
+                        className="history-tag-input"
+                        placeholder="+ tag"
+                        value={draftTag}
+                        onChange={(e) => setDraftTag(e.target.value)}
+                        onBlur={addTag}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') addTag();
+                        }}
+                    />
+                </div>
+            </div>
+
+            <div className="history-entry-actions">
+                <button className="btn btn-primary btn-sm" onClick={onOpen} disabled={isOpening}>
+                    {isOpening ? 'Opening...' : 'Open'}
+                </button>
+                <button className="btn btn-ghost btn-sm" onClick={() => setIsRenaming(true)}>
+                    Rename
+                </button>
+                {confirmDelete ? (
+                    <>
+                        <button className="btn btn-danger btn-sm" onClick={onDelete}>
+                            Delete
+                        </button>
+                        <button className="btn btn-ghost btn-sm" onClick={() => setConfirmDelete(false)}>
+                            Keep
+                        </button>
+                    </>
+                ) : (
+                    <button className="btn btn-ghost btn-sm" onClick={() => setConfirmDelete(true)}>
+                        🗑️
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { TRANSCRIPT_FIELDS } from '../../services/parser/adapters/csvAdapter';
+import './ColumnMappingDialog.css';
+
+/**
+ * Lets the user map CSV/TSV columns to transcript fields
+ * `request` comes from the CSV adapter: { filename, headers, sampleRows, suggested }
+ */
+export default function ColumnMappingDialog({ request, onConfirm, onCancel }) {
+    const [mapping, setMapping] = useState(request.suggested);
+
+    const missingRequired = TRANSCRIPT_FIELDS.filter(field => field.required && !mapping[field.id]);
+
+    const handleChange = (fieldId, column) => {
+        setMapping({ ...mapping, [fieldId]: column || null });
+    };
+
+    return (
+        <div className="column-mapping-overlay" onClick={onCancel}>
+            <div className="column-mapping-dialog" onClick={(e) => e.stopPropagation()}>
+                <div className="column-mapping-header">
+                    <h3 className="column-mapping-title">🗂️ Map Columns</h3>
+                    <span className="column-mapping-filename">{request.filename}</span>
+                </div>
+
+                <p className="column-mapping-hint">
+                    Tell us which column holds each field. The mapping is remembered for files with the same headers.
+                </p>
+
+                <div className="column-mapping-fields">
+                    {TRANSCRIPT_FIELDS.map(field => (
+                        <div key={field.id} className="form-group">
+                            <label className="form-label" htmlFor={`column-${field.id}`}>
+                                {field.label}
+                                {!field.required && <span className="form-label-optional"> (optional)</span>}
+                            </label>
+                            <select
+                                id={`column-${field.id}`}
+                                className="form-select"
+                                value={mapping[field.id] || ''}
+                                onChange={(e) => handleChange(field.id, e.target.value)}
+                            >
+                                <option value="">— Not mapped —</option>
+                                {request.headers.map(header => (
+                                    <option key={header} value={header}>{header}</option>
+                                ))}
+                            </select>
+                        </div>
+                    ))}
+                </div>
+
+                {request.sampleRows?.length > 0 && (
+                    <div className="column-mapping-preview">
+                        <table>
+                            <thead>
+                                <tr>
+                                    {request.headers.map(header => (
+                                        <th key={header}>{header}</th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {request.sampleRows.map((row, i) => (
+                                    <tr key={i}>
+                                        {request.headers.map((header, j) => (
+                                            <td key={header}>{row[j]}</td>
+                                        ))}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="column-mapping-actions">
+                    <button className="btn btn-ghost" onClick={onCancel}>
+                        Skip File
+                    </button>
+                    <button
+                        className="btn btn-primary"
+                        onClick={() => onConfirm(mapping)}
+                        disabled={missingRequired.length > 0}
+                    >
+                        Import
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useApp } from '../../context/AppContext';
-import { LLM_PROVIDERS } from '../../utils/constants';
+import { LLM_PROVIDERS, LLM_ANALYSIS_MODES } from '../../utils/constants';
 import llmService from '../../services/llm/llmService';
 import './ConfigPanel.css';
 
@@ -41,6 +41,10 @@ export default function ConfigPanel() {
         setTestResult(null);
     };
 
+    const handleAnalysisModeChange = (e) => {
+        actions.setLLMConfig({ analysisMode: e.target.value });
+    };
+
     const handleApiKeyChange = (e) => {
         actions.setLLMConfig({ apiKey: e.target.value, isConnected: false });
         setTestResult(null);
@@ -119,6 +123,27 @@ export default function ConfigPanel() {
                     </div>
                 </div>
 
+                <div className="form-group">
+                    <label className="form-label" htmlFor="analysisMode">
+                        Analysis Mode
+                    </label>
+                    <select
+                        id="analysisMode"
+                        className="form-select"
+                        value={llmConfig.analysisMode}
+                        onChange={handleAnalysisModeChange}
+                    >
+                        {Object.values(LLM_ANALYSIS_MODES).map((mode) => (
+                            <option key={mode.id} value={mode.id}>
+                                {mode.name}
+                            </option>
+                        ))}
+                    </select>
+                    <p className="form-hint">
+                        {LLM_ANALYSIS_MODES[llmConfig.analysisMode]?.description}
+                    </p>
+                </div>
+
                 <div className="form-group">
                     <label className="form-label" htmlFor="apiKey">
                         API Key
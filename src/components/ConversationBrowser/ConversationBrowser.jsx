@@ -0,0 +1,192 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import ConversationViewer from '../ConversationViewer/ConversationViewer';
+import { summarizeSession, filterSessions, DEFAULT_SESSION_FILTERS } from '../../utils/sessionFilters';
+import { formatDate, truncateText } from '../../utils/helpers';
+import './ConversationBrowser.css';
+
+// Fixed row height lets the list render only the rows in view
+const ROW_HEIGHT = 64;
+const LIST_HEIGHT = 560;
+const OVERSCAN = 6;
+
+/**
+ * Searchable, filterable session list with a transcript viewer
+ */
+export default function ConversationBrowser({ transcripts, timeZone }) {
+    const [filters, setFilters] = useState(DEFAULT_SESSION_FILTERS);
+    const [selectedId, setSelectedId] = useState(null);
+    const [scrollTop, setScrollTop] = useState(0);
+    const listRef = useRef(null);
+
+    const summaries = useMemo(
+        () => transcripts.map(transcript => summarizeSession(transcript, timeZone)),
+        [transcripts, timeZone]
+    );
+    const filtered = useMemo(() => filterSessions(summaries, filters), [summaries, filters]);
+
+    // Keep a valid selection as filters change
+    useEffect(() => {
+        if (!filtered.some(session => session.id === selectedId)) {
+            setSelectedId(filtered[0]?.id ?? null);
+        }
+    }, [filtered, selectedId]);
+
+    const applyFilters = (nextFilters) => {
+        setFilters(nextFilters);
+        setScrollTop(0);
+        if (listRef.current) listRef.current.scrollTop = 0;
+    };
+
+    const handleFilterChange = (field, value) => {
+        applyFilters({ ...filters, [field]: value });
+    };
+
+    const selected = useMemo(
+        () => transcripts.find(t => String(t.id) === selectedId) || null,
+        [transcripts, selectedId]
+    );
+    const selectedSummary = filtered.find(session => session.id === selectedId);
+
+    const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+    const lastRow = Math.min(filtered.length, Math.ceil((scrollTop + LIST_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+    const visibleRows = filtered.slice(firstRow, lastRow);
+
+    if (transcripts.length === 0) {
+        return (
+            <div>
+                <h3 className="section-title">💬 Conversations</h3>
+                <div className="conversation-browser-empty">
+                    Transcripts are not loaded. Upload the files again to browse conversations.
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div>
+            <h3 className="section-title">💬 Conversations</h3>
+
+            <div className="conversation-filters">
+                <input
+                    type="search"
+                    className="form-input conversation-search"
+                    placeholder="Search messages or session id..."
+                    value={filters.search}
+                    onChange={(e) => handleFilterChange('search', e.target.value)}
+                />
+                <select
+                    className="form-select"
+                    value={filters.escalation}
+                    onChange={(e) => handleFilterChange('escalation', e.target.value)}
+                >
+                    <option value="any">Any escalation</option>
+                    <option value="yes">Escalated</option>
+                    <option value="no">Not escalated</option>
+                </select>
+                <select
+                    className="form-select"
+                    value={filters.results}
+                    onChange={(e) => handleFilterChange('results', e.target.value)}
+                >
+                    <option value="any">Any results</option>
+                    <option value="with">With results</option>
+                    <option value="without">No results</option>
+                </select>
+                <label className="conversation-filter-range">
+                    Turns
+                    <input
+                        type="number"
+                        min="0"
+                        className="form-input"
+                        placeholder="min"
+                        value={filters.minTurns}
+                        onChange={(e) => handleFilterChange('minTurns', e.target.value)}
+                    />
+                    <input
+                        type="number"
+                        min="0"
+                        className="form-input"
+                        placeholder="max"
+                        value={filters.maxTurns}
+                        onChange={(e) => handleFilterChange('maxTurns', e.target.value)}
+                    />
+                </label>
+                <label className="conversation-filter-range">
+                    From
+                    <input
+                        type="date"
+                        className="form-input"
+                        value={filters.dateFrom}
+                        onChange={(e) => handleFilterChange('dateFrom', e.target.value)}
+                    />
+                    To
+                    <input
+                        type="date"
+                        className="form-input"
+                        value={filters.dateTo}
+                        onChange={(e) => handleFilterChange('dateTo', e.target.value)}
+                    />
+                </label>
+                <button
+                    type="button"
+                    className="btn btn-ghost"
+                    onClick={() => applyFilters(DEFAULT_SESSION_FILTERS)}
+                >
+                    Reset
+                </button>
+            </div>
+
+            <div className="conversation-browser">
+                <div className="conversation-list-pane">
+                    <div className="conversation-list-count">
+                        {filtered.length} of {summaries.length} sessions
+                    </div>
+                    <div
+                        ref={listRef}
+                        className="conversation-list"
+                        style={{ height: LIST_HEIGHT }}
+                        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+                    >
+                        <div style={{ height: filtered.length * ROW_HEIGHT, position: 'relative' }}>
+                            {visibleRows.map((session, i) => (
+                                <button
+                                    key={`${firstRow + i}-${session.id}`}
+                                    type="button"
+                                    className={`conversation-row ${session.id === selectedId ? 'active' : ''}`}
+                                    style={{ top: (firstRow + i) * ROW_HEIGHT, height: ROW_HEIGHT }}
+                                    onClick={() => setSelectedId(session.id)}
+                                >
+                                    <span className="conversation-row-query">
+                                        {truncateText(session.firstQuery, 60) || <em>No user message</em>}
+                                    </span>
+                                    <span className="conversation-row-meta">
+                                        <span>{session.userTurns} turn{session.userTurns === 1 ? '' : 's'}</span>
+                                        {session.startTime && <span>{formatDate(session.startTime, timeZone)}</span>}
+                                        {!session.hasResults && <span className="badge badge-warning">No results</span>}
+                                        {session.hasEscalation && <span className="badge badge-danger">Escalated</span>}
+                                    </span>
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                <div className="conversation-detail-pane">
+                    {selected ? (
+                        <>
+                            <div className="conversation-detail-header">
+                                <span className="conversation-detail-id">{selected.id}</span>
+                                {selectedSummary?.sourceFile && (
+                                    <span className="conversation-detail-source">{selectedSummary.sourceFile}</span>
+                                )}
+                            </div>
+                            <ConversationViewer transcript={selected} timeZone={timeZone} />
+                        </>
+                    ) : (
+                        <div className="conversation-browser-empty">No sessions match these filters.</div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
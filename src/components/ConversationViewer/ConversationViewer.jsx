@@ -0,0 +1,121 @@
+import { useEffect, useRef } from 'react';
+import { formatDate } from '../../utils/helpers';
+import './ConversationViewer.css';
+
+const ROLE_LABELS = {
+    user: 'User',
+    bot: 'Bot',
+    tool: 'Tool',
+    unknown: 'Unknown',
+};
+
+/**
+ * Chat-style rendering of one transcript
+ * highlightMessageId scrolls to and marks a cited message; timestamps show in timeZone
+ */
+export default function ConversationViewer({ transcript, highlightMessageId, timeZone }) {
+    const highlightRef = useRef(null);
+
+    useEffect(() => {
+        highlightRef.current?.scrollIntoView({ block: 'center' });
+    }, [transcript, highlightMessageId]);
+
+    if (!transcript) {
+        return (
+            <div className="conversation-empty">
+                This conversation is not in the currently loaded transcripts.
+            </div>
+        );
+    }
+
+    return (
+        <div className="conversation-viewer">
+            {transcript.messages.map((message) => {
+                const isHighlighted = message.id === highlightMessageId;
+                return (
+                    <div
+                        key={message.id}
+                        ref={isHighlighted ? highlightRef : null}
+                        className={`conversation-message role-${message.role} ${isHighlighted ? 'highlighted' : ''}`}
+                    >
+                        <div className="conversation-message-meta">
+                            <span>{ROLE_LABELS[message.role] || message.role}</span>
+                            {message.timestamp && <span>{formatTimestamp(message.timestamp, timeZone)}</span>}
+                            {message.intent?.name && <span className="badge badge-neutral">{message.intent.name}</span>}
+                        </div>
+                        <div className="conversation-message-content">{message.content}</div>
+                        {message.results && <MessageResults results={message.results} />}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
+/**
+ * STYLES and PRODUCTS returned with a bot message
+ */
+function MessageResults({ results }) {
+    const styles = results.styles || [];
+    const products = flattenProductIds(results.products);
+
+    if (styles.length === 0 && products.length === 0) return null;
+
+    return (
+        <div className="conversation-results">
+            {styles.length > 0 && (
+                <div className="conversation-results-row">
+                    <span className="conversation-results-label">Styles</span>
+                    {styles.map((style, i) => (
+                        <span key={i} className="badge badge-primary">{style}</span>
+                    ))}
+                </div>
+            )}
+            {products.length > 0 && (
+                <div className="conversation-results-row">
+                    <span className="conversation-results-label">Products ({products.length})</span>
+                    {products.map((productId, i) => (
+                        <code key={i} className="conversation-product-id">{productId}</code>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function formatTimestamp(timestamp, timeZone) {
+    return isNaN(new Date(timestamp).getTime()) ? timestamp : formatDate(timestamp, timeZone);
+}
+
+function flattenProductIds(products) {
+    if (!Array.isArray(products)) return [];
+    return products.flat(Infinity).filter(id => typeof id === 'string' || typeof id === 'number');
+}
+
+/**
+ * Modal wrapper used to open a cited conversation from the report
+ */
+export function ConversationModal({ transcript, sessionId, highlightMessageId, timeZone, onClose }) {
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    return (
+        <div className="conversation-modal-overlay" onClick={onClose}>
+            <div className="conversation-modal" onClick={(e) => e.stopPropagation()}>
+                <div className="conversation-modal-header">
+                    <h3 className="conversation-modal-title">💬 Conversation</h3>
+                    <span className="conversation-modal-id">{sessionId}</span>
+                    <button className="btn btn-ghost" onClick={onClose}>✕</button>
+                </div>
+                <div className="conversation-modal-body">
+                    <ConversationViewer transcript={transcript} highlightMessageId={highlightMessageId} timeZone={timeZone} />
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -1,15 +1,23 @@
 import { useState, useRef, useCallback } from 'react';
 import { useApp } from '../../context/AppContext';
-import { parseUploadedFiles, normalizeTranscripts, getTranscriptStats } from '../../services/parser/transcriptParser';
+import { getTranscriptStats, getSupportedExtensions, isSupportedFile } from '../../services/parser/transcriptParser';
+import { parseFiles } from '../../services/analyzer/analysisWorkerClient';
+import { getSavedColumnMapping, saveColumnMapping } from '../../services/parser/columnMappingStore';
 import { formatFileSize } from '../../utils/helpers';
+import ColumnMappingDialog from '../ColumnMappingDialog/ColumnMappingDialog';
 import './FileUpload.css';
 
+// Extensions readable by a registered format adapter, plus ZIP archives of them
+const ACCEPTED_EXTENSIONS = [...getSupportedExtensions(), '.zip'];
+
 export default function FileUpload() {
     const { state, actions } = useApp();
     const { uploadedFiles, parsedTranscripts } = state;
 
     const [isDragging, setIsDragging] = useState(false);
     const [processing, setProcessing] = useState(false);
+    const [mappingRequest, setMappingRequest] = useState(null);
+    const [fileProgress, setFileProgress] = useState({});
     const fileInputRef = useRef(null);
 
     const handleDragOver = useCallback((e) => {
@@ -36,15 +44,34 @@ export default function FileUpload() {
         e.target.value = ''; // Reset input
     }, []);
 
+    // CSV/TSV column mapping: reuse a saved mapping, otherwise ask the user
+    const resolveColumnMapping = (request) => {
+        const saved = getSavedColumnMapping(request.signature);
+        if (saved) return Promise.resolve(saved);
+
+        return new Promise((resolve) => {
+            setMappingRequest({ ...request, resolve });
+        });
+    };
+
+    const handleMappingConfirm = (mapping) => {
+        saveColumnMapping(mappingRequest.signature, mapping);
+        mappingRequest.resolve(mapping);
+        setMappingRequest(null);
+    };
+
+    const handleMappingCancel = () => {
+        mappingRequest.resolve(null);
+        setMappingRequest(null);
+    };
+
     const processFiles = async (files) => {
         const validFiles = files.filter(file =>
-            file.name.endsWith('.txt') ||
-            file.name.endsWith('.json') ||
-            file.name.endsWith('.zip')
+            isSupportedFile(file.name) || file.name.toLowerCase().endsWith('.zip')
         );
 
         if (validFiles.length === 0) {
-            alert('Please upload .txt, .json, or .zip files');
+            alert(`Please upload ${ACCEPTED_EXTENSIONS.join(', ')} files`);
             return;
         }
 
@@ -61,8 +88,11 @@ export default function FileUpload() {
 
             actions.addUploadedFiles(fileData);
 
-            const parsed = await parseUploadedFiles(validFiles);
-            const normalized = normalizeTranscripts(parsed);
+            // Parsing runs in a Web Worker so large uploads don't freeze the UI
+            const { files: parsed, transcripts: normalized } = await parseFiles(validFiles, {
+                resolveColumnMapping,
+                onFileProgress,
+            });
 
             // Update file statuses
             const updatedFiles = [...state.uploadedFiles, ...fileData].map(f => {
@@ -71,7 +101,8 @@ export default function FileUpload() {
                     ...f,
                     status: result?.error ? 'error' : 'success',
                     error: result?.error,
-                    transcriptCount: result?.transcripts?.length || 0,
+                    format: result?.format,
+                    transcriptCount: result?.transcriptCount || 0,
                 };
             });
 
@@ -81,9 +112,15 @@ export default function FileUpload() {
             console.error('Error processing files:', error);
         } finally {
             setProcessing(false);
+            setFileProgress({});
         }
     };
 
+    // Only re-render when a file's whole-percent progress actually changes
+    const onFileProgress = (filename, percent) => {
+        setFileProgress(prev => (prev[filename] === percent ? prev : { ...prev, [filename]: percent }));
+    };
+
     const removeFile = (index) => {
         const file = uploadedFiles[index];
         const newFiles = uploadedFiles.filter((_, i) => i !== index);
@@ -102,8 +139,9 @@ export default function FileUpload() {
     const stats = getTranscriptStats(parsedTranscripts);
 
     const getFileIcon = (filename) => {
-        if (filename.endsWith('.json')) return '📋';
+        if (filename.endsWith('.json') || filename.endsWith('.jsonl') || filename.endsWith('.ndjson')) return '📋';
         if (filename.endsWith('.zip')) return '📦';
+        if (filename.endsWith('.csv') || filename.endsWith('.tsv')) return '📊';
         return '📄';
     };
 
@@ -131,7 +169,7 @@ export default function FileUpload() {
                         ref={fileInputRef}
                         type="file"
                         multiple
-                        accept=".txt,.json,.zip"
+                        accept={ACCEPTED_EXTENSIONS.join(',')}
                         onChange={handleFileSelect}
                         style={{ display: 'none' }}
                     />
@@ -143,12 +181,12 @@ export default function FileUpload() {
                         {processing ? 'Processing files...' : 'Drop transcript files here or click to browse'}
                     </p>
                     <p className="dropzone-hint">
-                        Upload individual files or a ZIP containing multiple transcripts
+                        Upload individual files, CSV/TSV or JSON Lines exports, or a ZIP containing multiple transcripts
                     </p>
                     <div className="dropzone-formats">
-                        <span className="dropzone-format">.txt</span>
-                        <span className="dropzone-format">.json</span>
-                        <span className="dropzone-format">.zip</span>
+                        {ACCEPTED_EXTENSIONS.map(ext => (
+                            <span key={ext} className="dropzone-format">{ext}</span>
+                        ))}
                     </div>
                 </div>
 
@@ -167,10 +205,27 @@ export default function FileUpload() {
                                     <span className="file-item-icon">{getFileIcon(file.name)}</span>
                                     <div className="file-item-info">
                                         <div className="file-item-name">{file.name}</div>
-                                        <div className="file-item-size">{formatFileSize(file.size)}</div>
+                                        <div className="file-item-size">
+                                            {formatFileSize(file.size)}
+                                            {file.format && <> • {file.format}</>}
+                                        </div>
                                     </div>
                                     <div className={`file-item-status ${file.status}`}>
-                                        {file.status === 'processing' && <span className="spinner" />}
+                                        {file.status === 'processing' && (
+                                            fileProgress[file.name] > 0 ? (
+                                                <>
+                                                    <div className="file-item-progress">
+                                                        <div
+                                                            className="file-item-progress-fill"
+                                                            style={{ width: `${fileProgress[file.name]}%` }}
+                                                        />
+                                                    </div>
+                                                    {fileProgress[file.name]}%
+                                                </>
+                                            ) : (
+                                                <span className="spinner" />
+                                            )
+                                        )}
                                         {file.status === 'success' && (
                                             <>✅ {file.transcriptCount} conversations</>
                                         )}
@@ -206,6 +261,14 @@ export default function FileUpload() {
                     </div>
                 )}
             </div>
+
+            {mappingRequest && (
+                <ColumnMappingDialog
+                    request={mappingRequest}
+                    onConfirm={handleMappingConfirm}
+                    onCancel={handleMappingCancel}
+                />
+            )}
         </div>
     );
 }
@@ -0,0 +1,207 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    DEFAULT_INTENT_TAXONOMY,
+    createIntent,
+    validateTaxonomy,
+    classifyIntent,
+} from '../../services/analyzer/intentTaxonomy';
+import './IntentTaxonomyEditor.css';
+
+const LIST_FIELDS = [
+    { key: 'keywords', label: 'Keywords', hint: 'One word or phrase per line. Plurals match too ("dress" matches "dresses").' },
+    { key: 'patterns', label: 'Regex patterns', hint: 'One case-insensitive regular expression per line, e.g. \\border\\s*#?\\d{4,}' },
+    { key: 'examples', label: 'Example utterances', hint: 'Queries sharing most of their words with an example match the intent.' },
+];
+
+const MATCH_LABELS = {
+    label: 'reviewed label',
+    pattern: 'regex pattern',
+    keyword: 'keyword',
+    example: 'example utterance',
+};
+
+/**
+ * Drop blank lines left over from editing
+ */
+function cleanTaxonomy(taxonomy) {
+    return taxonomy.map(intent => ({
+        ...intent,
+        name: intent.name.trim(),
+        keywords: intent.keywords.map(k => k.trim()).filter(Boolean),
+        patterns: intent.patterns.map(p => p.trim()).filter(Boolean),
+        examples: intent.examples.map(e => e.trim()).filter(Boolean),
+    }));
+}
+
+/**
+ * Modal editor for the rule-based intent taxonomy
+ * Edits a draft; onSave receives the cleaned taxonomy, or DEFAULT_INTENT_TAXONOMY itself after a reset
+ */
+export default function IntentTaxonomyEditor({ taxonomy, onSave, onClose }) {
+    const [draft, setDraft] = useState(taxonomy);
+    const [selectedId, setSelectedId] = useState(taxonomy[0]?.id ?? null);
+    const [testQuery, setTestQuery] = useState('');
+
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const cleaned = useMemo(() => cleanTaxonomy(draft), [draft]);
+    const errors = useMemo(() => validateTaxonomy(cleaned), [cleaned]);
+    const testMatch = useMemo(() => (testQuery.trim() ? classifyIntent(testQuery, cleaned) : null), [testQuery, cleaned]);
+
+    const selected = draft.find(intent => intent.id === selectedId);
+    const selectedErrors = errors.filter(error => error.intentId === selectedId);
+
+    const updateSelected = (changes) => {
+        setDraft(draft.map(intent => (intent.id === selectedId ? { ...intent, ...changes } : intent)));
+    };
+
+    const handleAdd = () => {
+        const intent = createIntent(draft);
+        setDraft([...draft, intent]);
+        setSelectedId(intent.id);
+    };
+
+    const handleDelete = () => {
+        const index = draft.findIndex(intent => intent.id === selectedId);
+        const next = draft.filter(intent => intent.id !== selectedId);
+        setDraft(next);
+        setSelectedId(next[Math.min(index, next.length - 1)]?.id ?? null);
+    };
+
+    const handleMove = (offset) => {
+        const index = draft.findIndex(intent => intent.id === selectedId);
+        const target = index + offset;
+        if (target < 0 || target >= draft.length) return;
+        const next = [...draft];
+        [next[index], next[target]] = [next[target], next[index]];
+        setDraft(next);
+    };
+
+    const handleReset = () => {
+        setDraft(DEFAULT_INTENT_TAXONOMY);
+        setSelectedId(DEFAULT_INTENT_TAXONOMY[0].id);
+    };
+
+    const handleSave = () => {
+        onSave(draft === DEFAULT_INTENT_TAXONOMY ? DEFAULT_INTENT_TAXONOMY : cleaned);
+    };
+
+    return (
+        <div className="intent-taxonomy-overlay" onClick={onClose}>
+            <div className="intent-taxonomy" onClick={(e) => e.stopPropagation()}>
+                <div className="intent-taxonomy-header">
+                    <h3 className="intent-taxonomy-title">🏷️ Intent Taxonomy</h3>
+                    <button className="btn btn-ghost" onClick={onClose}>✕</button>
+                </div>
+
+                <p className="intent-taxonomy-hint">
+                    Every user turn is assigned to the best-matching intent: regex patterns weigh most, then each matching
+                    keyword, then similarity to an example. Ties go to the intent higher in the list. Turns matching nothing
+                    are reported as Unclassified. Changes apply to the next analysis run.
+                </p>
+
+                <div className="intent-taxonomy-body">
+                    <div className="intent-taxonomy-list">
+                        {draft.map(intent => (
+                            <button
+                                key={intent.id}
+                                type="button"
+                                className={`intent-taxonomy-list-item ${intent.id === selectedId ? 'active' : ''}`}
+                                onClick={() => setSelectedId(intent.id)}
+                            >
+                                <span>{intent.name.trim() || 'Untitled'}</span>
+                                {errors.some(error => error.intentId === intent.id) && <span title="Needs attention">⚠️</span>}
+                            </button>
+                        ))}
+                        <button type="button" className="btn btn-secondary" onClick={handleAdd}>+ Add intent</button>
+                    </div>
+
+                    {selected ? (
+                        <div className="intent-taxonomy-form">
+                            <div className="intent-taxonomy-form-row">
+                                <div className="form-group" style={{ flex: 1 }}>
+                                    <label className="form-label" htmlFor="intentName">Name</label>
+                                    <input
+                                        id="intentName"
+                                        type="text"
+                                        className="form-input"
+                                        value={selected.name}
+                                        onChange={(e) => updateSelected({ name: e.target.value })}
+                                    />
+                                </div>
+                                <div className="intent-taxonomy-form-actions">
+                                    <button type="button" className="btn btn-ghost" onClick={() => handleMove(-1)} title="Move up (wins ties)">↑</button>
+                                    <button type="button" className="btn btn-ghost" onClick={() => handleMove(1)} title="Move down">↓</button>
+                                    <button type="button" className="btn btn-ghost" onClick={handleDelete} title="Delete intent">🗑️</button>
+                                </div>
+                            </div>
+
+                            {LIST_FIELDS.map(field => (
+                                <div key={field.key} className="form-group">
+                                    <label className="form-label" htmlFor={`intent-${field.key}`}>
+                                        {field.label} ({selected[field.key].filter(item => item.trim()).length})
+                                    </label>
+                                    <textarea
+                                        id={`intent-${field.key}`}
+                                        className="form-textarea"
+                                        rows={4}
+                                        value={selected[field.key].join('\n')}
+                                        onChange={(e) => updateSelected({ [field.key]: e.target.value.split('\n') })}
+                                    />
+                                    <p className="form-hint">{field.hint}</p>
+                                </div>
+                            ))}
+
+                            {selectedErrors.length > 0 && (
+                                <ul className="intent-taxonomy-errors">
+                                    {selectedErrors.map((error, i) => <li key={i}>{error.message}</li>)}
+                                </ul>
+                            )}
+                        </div>
+                    ) : (
+                        <div className="intent-taxonomy-form intent-taxonomy-empty">Add an intent to get started.</div>
+                    )}
+                </div>
+
+                <div className="intent-taxonomy-test">
+                    <input
+                        type="text"
+                        className="form-input"
+                        placeholder="Try a query, e.g. where is my order 12345"
+                        value={testQuery}
+                        onChange={(e) => setTestQuery(e.target.value)}
+                    />
+                    {testQuery.trim() && (
+                        <span className="intent-taxonomy-test-result">
+                            {testMatch
+                                ? <>→ <strong>{testMatch.name}</strong> (by {MATCH_LABELS[testMatch.matchedBy]}, score {testMatch.score})</>
+                                : '→ Unclassified'}
+                        </span>
+                    )}
+                </div>
+
+                <div className="intent-taxonomy-actions">
+                    {errors.some(error => !error.intentId) && (
+                        <span className="intent-taxonomy-errors">{errors.find(error => !error.intentId).message}</span>
+                    )}
+                    <button type="button" className="btn btn-ghost" onClick={handleReset}>Reset to defaults</button>
+                    <button type="button" className="btn btn-ghost" onClick={onClose}>Cancel</button>
+                    <button
+                        type="button"
+                        className="btn btn-primary"
+                        onClick={handleSave}
+                        disabled={errors.some(error => error.field === 'name' || error.field === 'patterns' || !error.intentId)}
+                    >
+                        Save taxonomy
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
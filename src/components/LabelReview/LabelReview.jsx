@@ -0,0 +1,273 @@
+import { useState, useMemo } from 'react';
+import { useApp } from '../../context/AppContext';
+import { QUERY_SENTIMENTS } from '../../services/llm/analysisSchema';
+import { UNCLASSIFIED_INTENT } from '../../services/analyzer/intentTaxonomy';
+import { getLabels, addPendingLabels, reviewLabel, removeLabel } from '../../services/labeling/labelStore';
+import { sampleQueriesForLabeling, suggestLabels, DEFAULT_LABEL_SAMPLE_SIZE } from '../../services/labeling/queryLabeler';
+import llmService from '../../services/llm/llmService';
+import './LabelReview.css';
+
+const SAMPLE_SIZES = [10, DEFAULT_LABEL_SAMPLE_SIZE, 50];
+
+const SENTIMENT_ICONS = {
+    positive: '🙂',
+    neutral: '😐',
+    negative: '🙁',
+};
+
+/**
+ * Review queue for LLM-suggested query labels
+ * Analysts accept or correct each suggestion; accepted labels feed the rule-based
+ * intent classifier and the LLM prompts on the next run
+ */
+export default function LabelReview({ transcripts, onOpenConversation }) {
+    const { state } = useApp();
+    const { intentTaxonomy, llmConfig } = state;
+    const isLLMConfigured = !!(llmConfig.isConnected && llmConfig.apiKey);
+
+    const [labels, setLabels] = useState(() => getLabels());
+    const [sampleSize, setSampleSize] = useState(DEFAULT_LABEL_SAMPLE_SIZE);
+    const [labeling, setLabeling] = useState(false);
+    const [error, setError] = useState(null);
+    // Edits to pending labels before they are accepted, by label key
+    const [edits, setEdits] = useState({});
+
+    const intentOptions = useMemo(() => [...intentTaxonomy, UNCLASSIFIED_INTENT], [intentTaxonomy]);
+    const intentNames = useMemo(() => new Map(intentOptions.map(intent => [intent.id, intent.name])), [intentOptions]);
+
+    const pending = labels.filter(label => label.status === 'pending');
+    const accepted = labels.filter(label => label.status === 'accepted');
+    const rejected = labels.filter(label => label.status === 'rejected');
+    const availableQueries = useMemo(
+        () => sampleQueriesForLabeling(transcripts, intentTaxonomy, { sampleSize: Infinity, excludeKeys: new Set(labels.map(label => label.key)) }).length,
+        [transcripts, intentTaxonomy, labels]
+    );
+
+    const refresh = () => setLabels(getLabels());
+
+    const handleLabel = async () => {
+        setLabeling(true);
+        setError(null);
+        try {
+            llmService.configure(llmConfig.provider, llmConfig.model, llmConfig.apiKey);
+            const sample = sampleQueriesForLabeling(transcripts, intentTaxonomy, {
+                sampleSize,
+                excludeKeys: new Set(labels.map(label => label.key)),
+            });
+            addPendingLabels(await suggestLabels(sample, intentTaxonomy, accepted));
+            refresh();
+        } catch (e) {
+            console.error('Query labeling failed:', e);
+            setError(e.message);
+        } finally {
+            setLabeling(false);
+        }
+    };
+
+    const getEdited = (label) => ({ intentId: label.intentId, sentiment: label.sentiment, ...edits[label.key] });
+
+    const handleEdit = (key, changes) => {
+        setEdits({ ...edits, [key]: { ...edits[key], ...changes } });
+    };
+
+    const handleReview = (label, status) => {
+        reviewLabel(label.key, { status, ...getEdited(label) });
+        const rest = { ...edits };
+        delete rest[label.key];
+        setEdits(rest);
+        refresh();
+    };
+
+    const handleAcceptAll = () => {
+        pending.forEach(label => reviewLabel(label.key, { status: 'accepted', ...getEdited(label) }));
+        setEdits({});
+        refresh();
+    };
+
+    const handleRemove = (key) => {
+        removeLabel(key);
+        refresh();
+    };
+
+    return (
+        <div className="label-review">
+            <h3 className="section-title">🏷️ Label Review</h3>
+            <p className="label-review-hint">
+                Send a sample of user queries to the LLM for intent and sentiment labels, then accept or correct them.
+                Accepted labels are stored in this browser and reused on every later run: labeled queries get their intent
+                from the rule-based classifier, similar queries match them as examples, and LLM prompts quote them.
+            </p>
+
+            <div className="label-review-controls">
+                <select
+                    className="form-select"
+                    value={sampleSize}
+                    onChange={(e) => setSampleSize(Number(e.target.value))}
+                    disabled={labeling}
+                >
+                    {SAMPLE_SIZES.map(size => (
+                        <option key={size} value={size}>{size} queries</option>
+                    ))}
+                </select>
+                <button
+                    className="btn btn-primary"
+                    onClick={handleLabel}
+                    disabled={!isLLMConfigured || labeling || availableQueries === 0}
+                >
+                    {labeling ? (
+                        <>
+                            <span className="spinner" />
+                            Labeling...
+                        </>
+                    ) : '🤖 Label with LLM'}
+                </button>
+                <span className="label-review-caption">
+                    {!isLLMConfigured
+                        ? 'Connect an LLM to request labels.'
+                        : `${availableQueries} distinct queries not labeled yet. Unclassified queries are sampled first.`}
+                </span>
+            </div>
+
+            {error && <div className="label-review-error">⚠️ {error}</div>}
+
+            <div className="metrics-grid" style={{ marginBottom: '24px' }}>
+                <div className="metric-card">
+                    <div className="metric-label">Awaiting Review</div>
+                    <div className="metric-value">{pending.length}</div>
+                </div>
+                <div className="metric-card">
+                    <div className="metric-label">Accepted</div>
+                    <div className="metric-value positive">{accepted.length}</div>
+                    <div className="metric-trend">{accepted.filter(label => label.corrected).length} corrected by analysts</div>
+                </div>
+                <div className="metric-card">
+                    <div className="metric-label">Rejected</div>
+                    <div className="metric-value">{rejected.length}</div>
+                </div>
+            </div>
+
+            {pending.length > 0 && (
+                <section>
+                    <div className="label-review-section-header">
+                        <h4>Review Queue</h4>
+                        <button className="btn btn-secondary" onClick={handleAcceptAll}>Accept all {pending.length}</button>
+                    </div>
+                    <table className="label-review-table">
+                        <thead>
+                            <tr>
+                                <th>Query</th>
+                                <th>LLM suggestion</th>
+                                <th>Intent</th>
+                                <th>Sentiment</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {pending.map(label => {
+                                const edited = getEdited(label);
+                                const { suggestion } = label;
+                                return (
+                                    <tr key={label.key}>
+                                        <td>
+                                            <div className="label-review-query">"{label.query}"</div>
+                                            {label.sessionId && (
+                                                <button
+                                                    type="button"
+                                                    className="label-review-link"
+                                                    onClick={() => onOpenConversation?.({ sessionId: label.sessionId, messageId: null })}
+                                                >
+                                                    View conversation →
+                                                </button>
+                                            )}
+                                        </td>
+                                        <td className="label-review-suggestion">
+                                            <div>
+                                                {intentNames.get(suggestion.intentId) || suggestion.intentId} · {SENTIMENT_ICONS[suggestion.sentiment]} {suggestion.sentiment}
+                                                {suggestion.confidence !== null && <> · {Math.round(suggestion.confidence * 100)}%</>}
+                                            </div>
+                                            {suggestion.reason && <div className="label-review-caption">{suggestion.reason}</div>}
+                                            {label.ruleIntentId && label.ruleIntentId !== suggestion.intentId && (
+                                                <div className="label-review-caption">
+                                                    Rule-based: {intentNames.get(label.ruleIntentId) || label.ruleIntentId}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td>
+                                            <select
+                                                className="form-select"
+                                                value={edited.intentId}
+                                                onChange={(e) => handleEdit(label.key, { intentId: e.target.value })}
+                                            >
+                                                {!intentNames.has(edited.intentId) && <option value={edited.intentId}>{edited.intentId} (removed)</option>}
+                                                {intentOptions.map(intent => (
+                                                    <option key={intent.id} value={intent.id}>{intent.name}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td>
+                                            <select
+                                                className="form-select"
+                                                value={edited.sentiment}
+                                                onChange={(e) => handleEdit(label.key, { sentiment: e.target.value })}
+                                            >
+                                                {QUERY_SENTIMENTS.map(sentiment => (
+                                                    <option key={sentiment} value={sentiment}>{SENTIMENT_ICONS[sentiment]} {sentiment}</option>
+                                                ))}
+                                            </select>
+                                        </td>
+                                        <td className="label-review-actions">
+                                            <button className="btn btn-primary" onClick={() => handleReview(label, 'accepted')} title="Accept">✓</button>
+                                            <button className="btn btn-ghost" onClick={() => handleReview(label, 'rejected')} title="Reject">✕</button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </section>
+            )}
+
+            {accepted.length > 0 && (
+                <section>
+                    <div className="label-review-section-header">
+                        <h4>Accepted Labels ({accepted.length})</h4>
+                    </div>
+                    <table className="label-review-table">
+                        <thead>
+                            <tr>
+                                <th>Query</th>
+                                <th>Intent</th>
+                                <th>Sentiment</th>
+                                <th>Source</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {accepted.map(label => (
+                                <tr key={label.key}>
+                                    <td className="label-review-query">"{label.query}"</td>
+                                    <td>
+                                        {intentNames.get(label.intentId) || (
+                                            <span className="label-review-caption" title="This intent is no longer in the taxonomy, so the label is not used">
+                                                {label.intentId} (removed)
+                                            </span>
+                                        )}
+                                    </td>
+                                    <td>{SENTIMENT_ICONS[label.sentiment]} {label.sentiment}</td>
+                                    <td>
+                                        <span className={`badge ${label.corrected ? 'badge-warning' : 'badge-neutral'}`}>
+                                            {label.corrected ? 'Corrected' : 'LLM'}
+                                        </span>
+                                    </td>
+                                    <td className="label-review-actions">
+                                        <button className="btn btn-ghost" onClick={() => handleRemove(label.key)} title="Remove label">🗑️</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </section>
+            )}
+        </div>
+    );
+}
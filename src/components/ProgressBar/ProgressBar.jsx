@@ -1,7 +1,7 @@
 import { ANALYSIS_STAGES } from '../../utils/constants';
 import './ProgressBar.css';
 
-export default function ProgressBar({ currentStage, progress, error }) {
+export default function ProgressBar({ currentStage, progress, error, onCancel }) {
     const getStageStatus = (stageId) => {
         const currentIndex = ANALYSIS_STAGES.findIndex(s => s.id === currentStage);
         const stageIndex = ANALYSIS_STAGES.findIndex(s => s.id === stageId);
@@ -18,7 +18,14 @@ export default function ProgressBar({ currentStage, progress, error }) {
                     <span className="spinner-lg" />
                     Analyzing Transcripts...
                 </h3>
-                <span className="progress-percentage">{Math.round(progress)}%</span>
+                <div className="progress-header-actions">
+                    <span className="progress-percentage">{Math.round(progress)}%</span>
+                    {onCancel && (
+                        <button className="btn btn-secondary btn-sm" onClick={onCancel}>
+                            Cancel
+                        </button>
+                    )}
+                </div>
             </div>
 
             <div className="progress-bar-wrapper">
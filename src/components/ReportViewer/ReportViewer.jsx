@@ -1,17 +1,55 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, Fragment } from 'react';
 import { useApp } from '../../context/AppContext';
 import { REPORT_SECTIONS } from '../../utils/constants';
-import { exportAsMarkdown, exportAsPdf } from '../../services/reporter/exportService';
-import { PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { exportAsMarkdown, exportAsPdf, exportSessions } from '../../services/reporter/exportService';
+import { createDrilldown, getDrilldownSessions } from '../../services/analyzer/sessionDrilldown';
+import { EXIT_REASONS, describeFlowNode } from '../../services/analyzer/ruleBasedAnalyzer';
+import { FRUSTRATION_SIGNALS, FRUSTRATION_THRESHOLD, SENTIMENT_TRAJECTORIES } from '../../services/analyzer/sentimentScorer';
+import { UNCLASSIFIED_INTENT } from '../../services/analyzer/intentTaxonomy';
+import { useAnalysisRunner } from '../../hooks/useAnalysisRunner';
+import {
+    PieChart, Pie, Cell, Tooltip, Legend, ResponsiveContainer,
+    LineChart, Line, XAxis, YAxis, CartesianGrid, ReferenceLine,
+    FunnelChart, Funnel, LabelList, Sankey,
+} from 'recharts';
+import { ConversationModal } from '../ConversationViewer/ConversationViewer';
+import ConversationBrowser from '../ConversationBrowser/ConversationBrowser';
+import LabelReview from '../LabelReview/LabelReview';
+import { describeTimezone } from '../../utils/timezone';
+import { getHeatmapColor, formatDuration } from '../../utils/helpers';
+import AnalysisHistory from '../AnalysisHistory/AnalysisHistory';
 import './ReportViewer.css';
 
 export default function ReportViewer() {
     const { state } = useApp();
-    const { results, activeTab } = state;
+    const { results, activeTab, parsedTranscripts, analysis: analysisState } = state;
     const { actions } = useApp();
+    const { runAnalysis } = useAnalysisRunner();
 
     const [showExportMenu, setShowExportMenu] = useState(false);
     const [showDebug, setShowDebug] = useState(false);
+    const [showHistory, setShowHistory] = useState(false);
+    // { sessionId, messageId } of a conversation opened from cited evidence
+    const [openConversation, setOpenConversation] = useState(null);
+    // { type, params, label } of the metric the user drilled into
+    const [drilldown, setDrilldown] = useState(null);
+
+    // Sessions this report covers (a subset after a scoped re-run)
+    const reportTranscripts = useMemo(() => {
+        if (!results?.scope?.sessionIds) return parsedTranscripts;
+        const ids = new Set(results.scope.sessionIds);
+        return parsedTranscripts.filter(t => ids.has(String(t.id)));
+    }, [parsedTranscripts, results]);
+
+    const drilldownSessions = useMemo(
+        () => (drilldown ? getDrilldownSessions(reportTranscripts, drilldown, { timeZone: results?.timeZone, intentTaxonomy: results?.intentTaxonomy }) : null),
+        [reportTranscripts, drilldown, results]
+    );
+
+    // A new result set invalidates the current drill-down
+    useEffect(() => {
+        setDrilldown(null);
+    }, [results]);
 
     const analysis = results?.analysis;
 
@@ -44,6 +82,23 @@ export default function ReportViewer() {
         }
     };
 
+    const handleExportSessions = (format) => {
+        const slug = drilldown.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        exportSessions(drilldownSessions, `chatbot-sessions-${slug}`, format);
+    };
+
+    const handleRerunOnSubset = () => {
+        runAnalysis({
+            transcripts: drilldownSessions,
+            scope: {
+                label: drilldown.label,
+                sessionCount: drilldownSessions.length,
+                totalSessions: parsedTranscripts.length,
+                sessionIds: drilldownSessions.map(t => String(t.id)),
+            },
+        });
+    };
+
     if (!results) {
         return (
             <div className="report-viewer">
@@ -63,13 +118,29 @@ export default function ReportViewer() {
             case 'siteInfo':
                 return <SiteInfo websiteContent={results?.businessContext?.websiteContent} llmEnabled={results?.llmEnabled} />;
             case 'overview':
-                return <SessionOverview analysis={analysis} />;
+                return <SessionOverview analysis={analysis} timeZone={results.timeZone} timeZoneSource={results.timeZoneSource} onDrilldown={setDrilldown} onOpenConversation={setOpenConversation} />;
             case 'queries':
-                return <QueryAnalysis analysis={analysis} />;
+                return <QueryAnalysis analysis={analysis} onDrilldown={setDrilldown} />;
             case 'userInsights':
-                return <UserInsights userBehavior={analysis?.userBehavior} />;
+                return <UserInsights userBehavior={analysis?.userBehavior} onOpenConversation={setOpenConversation} onDrilldown={setDrilldown} />;
+            case 'flow':
+                return <ConversationFlow flow={analysis?.conversationFlow} onDrilldown={setDrilldown} />;
+            case 'zeroResults':
+                return <ZeroResultQueries report={analysis?.zeroResultQueries} onDrilldown={setDrilldown} />;
+            case 'sentiment':
+                return <SentimentAnalysis report={analysis?.sentiment} onDrilldown={setDrilldown} onOpenConversation={setOpenConversation} />;
+            case 'labels':
+                return <LabelReview transcripts={reportTranscripts} onOpenConversation={setOpenConversation} />;
             case 'issues':
-                return <IssuesAndRecommendations analysis={analysis} />;
+                return <IssuesAndRecommendations analysis={analysis} onOpenConversation={setOpenConversation} />;
+            case 'conversations':
+                return <ConversationBrowser transcripts={drilldownSessions || reportTranscripts} timeZone={results.timeZone} />;
+            case 'intents':
+                return <IntentAnalysis analysis={analysis} />;
+            case 'promptOptimization':
+                return <PromptOptimization analysis={analysis} />;
+            case 'training':
+                return <TrainingRecommendations analysis={analysis} />;
             default:
                 return <SiteInfo websiteContent={results?.businessContext?.websiteContent} llmEnabled={results?.llmEnabled} />;
         }
@@ -102,6 +173,12 @@ export default function ReportViewer() {
                             </div>
                         )}
                     </div>
+                    <button
+                        className="btn btn-ghost"
+                        onClick={() => setShowHistory(!showHistory)}
+                    >
+                        🗂️ History
+                    </button>
                     <button
                         className="btn btn-ghost"
                         onClick={() => setShowDebug(!showDebug)}
@@ -118,6 +195,12 @@ export default function ReportViewer() {
                 </div>
             </div>
 
+            {showHistory && (
+                <div style={{ marginBottom: '16px' }}>
+                    <AnalysisHistory onOpened={() => setShowHistory(false)} />
+                </div>
+            )}
+
             {/* Debug Panel */}
             {showDebug && (
                 <div style={{
@@ -137,8 +220,34 @@ export default function ReportViewer() {
                 </div>
             )}
 
+            {results.scope && (
+                <div className="report-scope-banner">
+                    <span>
+                        🔎 Scoped analysis: <strong>{results.scope.label}</strong> ({results.scope.sessionCount} of {results.scope.totalSessions} sessions)
+                    </span>
+                    {results.parentResults && (
+                        <button className="btn btn-ghost" onClick={() => actions.setResults(results.parentResults)}>
+                            ← Back to previous analysis
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {drilldown && (
+                <DrilldownBar
+                    drilldown={drilldown}
+                    sessionCount={drilldownSessions.length}
+                    isRunning={analysisState.isRunning}
+                    error={analysisState.error}
+                    onView={() => actions.setActiveTab('conversations')}
+                    onExport={handleExportSessions}
+                    onRerun={handleRerunOnSubset}
+                    onClear={() => setDrilldown(null)}
+                />
+            )}
+
             <div className="report-tabs">
-                {REPORT_SECTIONS.map((section) => (
+                {REPORT_SECTIONS.filter(section => !section.requires || analysis?.[section.requires]).map((section) => (
                     <button
                         key={section.id}
                         className={`report-tab ${activeTab === section.id ? 'active' : ''}`}
@@ -153,10 +262,47 @@ export default function ReportViewer() {
             <div className="report-content">
                 {renderContent()}
             </div>
+
+            {openConversation && (
+                <ConversationModal
+                    transcript={parsedTranscripts.find(t => String(t.id) === openConversation.sessionId)}
+                    sessionId={openConversation.sessionId}
+                    highlightMessageId={openConversation.messageId}
+                    timeZone={results.timeZone}
+                    onClose={() => setOpenConversation(null)}
+                />
+            )}
+        </div>
+    );
+}
+
+
+// Drill-down Bar - the session set behind a clicked metric and what to do with it
+function DrilldownBar({ drilldown, sessionCount, isRunning, error, onView, onExport, onRerun, onClear }) {
+    return (
+        <div className="drilldown-bar">
+            <div className="drilldown-bar-label">
+                🔎 <strong>{drilldown.label}</strong>
+                <span className="drilldown-bar-count">{sessionCount} session{sessionCount === 1 ? '' : 's'}</span>
+            </div>
+            <div className="drilldown-bar-actions">
+                <button className="btn btn-secondary" onClick={onView} disabled={sessionCount === 0}>💬 View</button>
+                <button className="btn btn-secondary" onClick={() => onExport('json')} disabled={sessionCount === 0}>📥 JSON</button>
+                <button className="btn btn-secondary" onClick={() => onExport('csv')} disabled={sessionCount === 0}>📥 CSV</button>
+                <button className="btn btn-primary" onClick={onRerun} disabled={sessionCount === 0 || isRunning}>🚀 Re-run analysis on these</button>
+                <button className="btn btn-ghost" onClick={onClear}>✕</button>
+            </div>
+            {error && !isRunning && (
+                <div className="drilldown-bar-error">⚠️ {error}</div>
+            )}
         </div>
     );
 }
 
+// Click handler that opens the sessions behind a metric (undefined when drill-down is unavailable)
+function drillTo(onDrilldown, type, params) {
+    return onDrilldown ? () => onDrilldown(createDrilldown(type, params)) : undefined;
+}
 
 // Executive Summary Component - Leadership Focused
 function ExecutiveSummary({ analysis }) {
@@ -944,7 +1090,13 @@ function QueryInsights({ analysis }) {
 // ============== NEW DATA-HONEST COMPONENTS ==============
 
 // Session Overview Component
-function SessionOverview({ analysis }) {
+const TIMEZONE_SOURCES = {
+    setting: 'set in business context',
+    geography: 'from the business geography',
+    browser: 'your browser timezone',
+};
+
+function SessionOverview({ analysis, timeZone, timeZoneSource, onDrilldown, onOpenConversation }) {
     const overview = analysis?.sessionOverview || {};
     const turnAnalysis = overview.turnAnalysis || {};
     const timePatterns = overview.timePatterns || {};
@@ -953,9 +1105,13 @@ function SessionOverview({ analysis }) {
     return (
         <div>
             <h3 className="section-title">📊 Session Overview</h3>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginTop: '-8px', marginBottom: '16px' }}>
+                🕒 Dates and times are in {describeTimezone(timeZone)}
+                {TIMEZONE_SOURCES[timeZoneSource] ? ` (${TIMEZONE_SOURCES[timeZoneSource]})` : ''}
+            </p>
 
             <div className="metrics-grid" style={{ marginBottom: '24px' }}>
-                <div className="metric-card">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'all')}>
                     <div className="metric-label">Total Sessions</div>
                     <div className="metric-value positive">{overview.totalSessions || 'N/A'}</div>
                 </div>
@@ -970,12 +1126,12 @@ function SessionOverview({ analysis }) {
 
             <h4 style={{ marginBottom: '16px', color: 'var(--text-secondary)' }}>Turn Analysis</h4>
             <div className="metrics-grid" style={{ marginBottom: '24px' }}>
-                <div className="metric-card" title="Sessions where user asked just 1 query and left — they got what they needed or gave up immediately">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'singleTurn')} title="Sessions where user asked just 1 query and left — they got what they needed or gave up immediately">
                     <div className="metric-label">Single-Turn Sessions</div>
                     <div className="metric-value">{turnAnalysis.singleTurnSessions || 0}</div>
                     <div className="metric-trend">1 query & done</div>
                 </div>
-                <div className="metric-card" title="Sessions with 2+ queries — user had a conversation with the chatbot">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'multiTurn')} title="Sessions with 2+ queries — user had a conversation with the chatbot">
                     <div className="metric-label">Multi-Turn Sessions</div>
                     <div className="metric-value positive">{turnAnalysis.multiTurnSessions || 0}</div>
                     <div className="metric-trend">2+ queries</div>
@@ -984,32 +1140,44 @@ function SessionOverview({ analysis }) {
                     <div className="metric-label">Avg Turns/Session</div>
                     <div className="metric-value">{turnAnalysis.avgTurnsPerSession || 'N/A'}</div>
                 </div>
-                <div className="metric-card" title="The longest conversation — maximum number of back-and-forth messages in a single session">
+                <div
+                    className={`metric-card ${turnAnalysis.maxTurnsInSession ? 'drillable' : ''}`}
+                    onClick={turnAnalysis.maxTurnsInSession ? drillTo(onDrilldown, 'maxTurns', { turns: turnAnalysis.maxTurnsInSession }) : undefined}
+                    title="The longest conversation — maximum number of back-and-forth messages in a single session">
                     <div className="metric-label">Max Turns</div>
                     <div className="metric-value">{turnAnalysis.maxTurnsInSession || 'N/A'}</div>
                 </div>
             </div>
 
+            {overview.dropOffFunnel && (
+                <DropOffFunnel funnel={overview.dropOffFunnel} onDrilldown={onDrilldown} onOpenConversation={onOpenConversation} />
+            )}
+
+            {overview.timing && <SessionTiming timing={overview.timing} onDrilldown={onDrilldown} />}
+
             {(timePatterns.busiestHour || timePatterns.busiestDay || timePatterns.busiestDate) && (
                 <>
                     <h4 style={{ marginBottom: '16px', color: 'var(--text-secondary)' }}>Time Patterns</h4>
                     <div className="metrics-grid" style={{ marginBottom: '24px' }}>
                         {timePatterns.busiestDate && (
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'date', { date: timePatterns.busiestDate })}>
                                 <div className="metric-label">Busiest Date</div>
                                 <div className="metric-value" style={{ fontSize: '18px' }}>{timePatterns.busiestDate}</div>
                                 <div className="metric-trend">{timePatterns.busiestDateCount} sessions</div>
                             </div>
                         )}
                         {timePatterns.busiestHour && (
-                            <div className="metric-card">
+                            <div
+                                className={`metric-card ${Number.isInteger(timePatterns.busiestHourOfDay) ? 'drillable' : ''}`}
+                                onClick={Number.isInteger(timePatterns.busiestHourOfDay) ? drillTo(onDrilldown, 'hour', { hour: timePatterns.busiestHourOfDay }) : undefined}
+                            >
                                 <div className="metric-label">Busiest Hour</div>
                                 <div className="metric-value">{timePatterns.busiestHour}</div>
                                 <div className="metric-trend">{timePatterns.busiestHourCount} sessions</div>
                             </div>
                         )}
                         {timePatterns.busiestDay && (
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'dayOfWeek', { day: timePatterns.busiestDay })}>
                                 <div className="metric-label">Busiest Day of Week</div>
                                 <div className="metric-value">{timePatterns.busiestDay}</div>
                                 <div className="metric-trend">{timePatterns.busiestDayCount} sessions</div>
@@ -1019,6 +1187,14 @@ function SessionOverview({ analysis }) {
                 </>
             )}
 
+            {timePatterns.weekdayHourMatrix && (
+                <WeekdayHourHeatmap matrix={timePatterns.weekdayHourMatrix} onDrilldown={onDrilldown} />
+            )}
+
+            {overview.timeSeries && (
+                <TimeSeriesTrends timeSeries={overview.timeSeries} onDrilldown={onDrilldown} />
+            )}
+
             {/* Data Quality Notes */}
             {dataQuality.dataLimitations && (
                 <div style={{
@@ -1049,8 +1225,967 @@ function SessionOverview({ analysis }) {
     );
 }
 
+const EXIT_REASON_COLORS = {
+    unanswered: '#64748b',
+    repeatedQuery: '#f59e0b',
+    clarifyingQuestion: '#a78bfa',
+    firstQueryNoResults: '#ef4444',
+    noResults: '#f97316',
+    productsShown: '#22c55e',
+};
+
+const FUNNEL_COLORS = ['#6366f1', '#7c7ff3', '#9799f5', '#b1b3f8', '#cbccfa'];
+
+// Where users leave, and what the bot did right before they left
+function DropOffFunnel({ funnel, onDrilldown, onOpenConversation }) {
+    const funnelData = funnel.stages.map((stage, i) => ({
+        ...stage,
+        value: stage.reached,
+        fill: FUNNEL_COLORS[i % FUNNEL_COLORS.length],
+    }));
+
+    return (
+        <div style={{ marginBottom: '24px' }}>
+            <h4 style={{ marginBottom: '16px', color: 'var(--text-secondary)' }}>🚪 Drop-off Funnel</h4>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px', marginBottom: '16px' }}>
+                <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px' }}>
+                    <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>Sessions reaching each query</div>
+                    <ResponsiveContainer width="100%" height={240}>
+                        <FunnelChart>
+                            <Tooltip formatter={(value, name, item) => [`${value} sessions (${item.payload.reachedPercentage}%)`, item.payload.label]} />
+                            <Funnel
+                                dataKey="value"
+                                nameKey="label"
+                                data={funnelData}
+                                isAnimationActive={false}
+                                onClick={onDrilldown ? (stage) => onDrilldown(createDrilldown('dropOff', { turn: stage.turn })) : undefined}
+                                style={{ cursor: onDrilldown ? 'pointer' : 'default' }}
+                            >
+                                <LabelList position="right" fill="var(--text-secondary)" stroke="none" dataKey="label" fontSize={12} />
+                                <LabelList position="center" fill="#fff" stroke="none" dataKey="value" fontSize={12} />
+                            </Funnel>
+                        </FunnelChart>
+                    </ResponsiveContainer>
+                </div>
+
+                <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px' }}>
+                    <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>Exits at each query</div>
+                    {funnel.stages.filter(stage => stage.exited > 0).map(stage => (
+                        <div key={stage.turn} style={{ marginBottom: '10px' }}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', marginBottom: '4px' }}>
+                                <span>{stage.label}</span>
+                                <span style={{ color: 'var(--text-tertiary)' }}>
+                                    {stage.exited} left ({stage.exitRate}% of those who got here)
+                                </span>
+                            </div>
+                            <div style={{ display: 'flex', height: '14px', borderRadius: '4px', overflow: 'hidden' }}>
+                                {Object.entries(stage.reasons).filter(([, count]) => count > 0).map(([reason, count]) => (
+                                    <div
+                                        key={reason}
+                                        className={onDrilldown ? 'drillable' : ''}
+                                        title={`${EXIT_REASONS[reason]}: ${count}`}
+                                        onClick={drillTo(onDrilldown, 'dropOff', { reason, turn: stage.turn })}
+                                        style={{ flex: count, background: EXIT_REASON_COLORS[reason] }}
+                                    />
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px 12px', marginTop: '8px', fontSize: '12px', color: 'var(--text-secondary)' }}>
+                        {funnel.exitReasons.map(reason => (
+                            <span key={reason.key} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px' }}>
+                                <span style={{ width: '10px', height: '10px', borderRadius: '2px', background: EXIT_REASON_COLORS[reason.key] }} />
+                                {reason.label}
+                            </span>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '12px' }}>
+                {funnel.exitReasons.map(reason => (
+                    <div key={reason.key} style={{
+                        background: 'var(--bg-secondary)',
+                        borderLeft: `4px solid ${EXIT_REASON_COLORS[reason.key]}`,
+                        borderRadius: '8px',
+                        padding: '12px',
+                    }}>
+                        <div
+                            className={onDrilldown ? 'drillable' : ''}
+                            onClick={drillTo(onDrilldown, 'dropOff', { reason: reason.key })}
+                            style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}
+                        >
+                            <span>{reason.label}</span>
+                            <span>{reason.count} <span style={{ color: 'var(--text-tertiary)', fontWeight: 400 }}>({reason.percentage}%)</span></span>
+                        </div>
+                        {reason.examples.map(example => (
+                            <div
+                                key={example.sessionId}
+                                onClick={() => onOpenConversation?.({ sessionId: String(example.sessionId), messageId: null })}
+                                style={{ fontSize: '12px', padding: '6px 8px', marginTop: '4px', background: 'var(--bg-primary)', borderRadius: '4px', cursor: 'pointer' }}
+                            >
+                                <div><strong>User:</strong> {example.lastQuery || '(empty)'}</div>
+                                {example.lastReply && (
+                                    <div style={{ color: 'var(--text-tertiary)', marginTop: '2px' }}><strong>Bot:</strong> {example.lastReply}</div>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+}
+
+// Session duration, response latency, think time and idle abandonment
+function SessionTiming({ timing, onDrilldown }) {
+    const { sessionDuration, firstResponse, botLatency, thinkTime, abandonment } = timing;
+
+    return (
+        <>
+            <h4 style={{ marginBottom: '16px', color: 'var(--text-secondary)' }}>⏱️ Timing & Latency</h4>
+            <div className="metrics-grid" style={{ marginBottom: '16px' }}>
+                <div className="metric-card" title="Time from the first to the last message of a session">
+                    <div className="metric-label">Median Session Duration</div>
+                    <div className="metric-value">{formatDuration(sessionDuration.p50)}</div>
+                    <div className="metric-trend">p90 {formatDuration(sessionDuration.p90)} · avg {formatDuration(sessionDuration.avg)}</div>
+                </div>
+                <div className="metric-card" title="Time from the user's first message to the bot's first reply">
+                    <div className="metric-label">Time to First Response</div>
+                    <div className="metric-value">{formatDuration(firstResponse.p50)}</div>
+                    <div className="metric-trend">p90 {formatDuration(firstResponse.p90)}</div>
+                </div>
+                <div className="metric-card" title="Time from each user message to the bot's reply">
+                    <div className="metric-label">Bot Latency (p50)</div>
+                    <div className="metric-value">{formatDuration(botLatency.p50)}</div>
+                    <div className="metric-trend">p90 {formatDuration(botLatency.p90)} · p99 {formatDuration(botLatency.p99)}</div>
+                </div>
+                <div className="metric-card" title="Time between a bot reply and the user's next message">
+                    <div className="metric-label">User Think Time</div>
+                    <div className="metric-value">{formatDuration(thinkTime.p50)}</div>
+                    <div className="metric-trend">p90 {formatDuration(thinkTime.p90)}</div>
+                </div>
+                <div
+                    className={`metric-card ${timing.sessionsWithSlowResponses ? 'drillable' : ''}`}
+                    onClick={timing.sessionsWithSlowResponses ? drillTo(onDrilldown, 'slowResponse') : undefined}
+                    title={`Bot replies that took longer than ${timing.slowResponseThreshold}s`}
+                >
+                    <div className="metric-label">Slow Responses</div>
+                    <div className={`metric-value ${timing.slowResponses ? 'negative' : 'positive'}`}>{timing.slowResponses}</div>
+                    <div className="metric-trend">in {timing.sessionsWithSlowResponses} sessions</div>
+                </div>
+                <div
+                    className={`metric-card ${abandonment.total ? 'drillable' : ''}`}
+                    onClick={abandonment.total ? drillTo(onDrilldown, 'abandoned') : undefined}
+                    title="Sessions where the user left without a reply to their last message, or right after a slow reply"
+                >
+                    <div className="metric-label">Idle-Abandoned Sessions</div>
+                    <div className={`metric-value ${abandonment.total ? 'negative' : 'positive'}`}>{abandonment.percentage}%</div>
+                    <div className="metric-trend">{abandonment.total} of {timing.timedSessions} sessions</div>
+                </div>
+            </div>
+            {abandonment.total > 0 && (
+                <p style={{ color: 'var(--text-secondary)', fontSize: '13px', marginBottom: '8px' }}>
+                    <span className={onDrilldown && abandonment.unanswered ? 'drillable' : ''} onClick={abandonment.unanswered ? drillTo(onDrilldown, 'abandoned', { reason: 'unanswered' }) : undefined}>
+                        {abandonment.unanswered} ended on an unanswered message
+                    </span>
+                    {' · '}
+                    <span className={onDrilldown && abandonment.afterSlowResponse ? 'drillable' : ''} onClick={abandonment.afterSlowResponse ? drillTo(onDrilldown, 'abandoned', { reason: 'afterSlowResponse' }) : undefined}>
+                        {abandonment.afterSlowResponse} left right after a reply slower than {timing.slowResponseThreshold}s
+                    </span>
+                </p>
+            )}
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '12px', marginBottom: '24px' }}>
+                Based on {timing.timedSessions} session{timing.timedSessions === 1 ? '' : 's'} with per-message timestamps
+                {timing.untimedSessions > 0 ? `; ${timing.untimedSessions} without them are not included` : ''}.
+            </p>
+        </>
+    );
+}
+
+const HEATMAP_MODES = {
+    sessions: { label: 'Sessions', rgb: '99, 102, 241' },
+    noResultRate: { label: 'No-result rate', rgb: '239, 68, 68' },
+};
+
+// 7x24 grid of session starts (or no-result rate) by weekday and hour
+function WeekdayHourHeatmap({ matrix, onDrilldown }) {
+    const [mode, setMode] = useState('sessions');
+    const values = matrix[mode];
+    const max = Math.max(0, ...values.flat().filter(value => value != null));
+    const total = matrix.sessions.flat().reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+
+    const describeCell = (day, hour) => {
+        const sessions = matrix.sessions[day][hour];
+        const base = `${matrix.days[day]} ${String(hour).padStart(2, '0')}:00 — ${sessions} session${sessions === 1 ? '' : 's'}`;
+        return sessions > 0 ? `${base}, ${matrix.noResultRate[day][hour]}% without results` : base;
+    };
+
+    return (
+        <div style={{ marginBottom: '24px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h4 style={{ margin: 0, color: 'var(--text-secondary)' }}>🗓️ Activity by Weekday & Hour</h4>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    {Object.entries(HEATMAP_MODES).map(([value, { label }]) => (
+                        <button
+                            key={value}
+                            className={`btn ${mode === value ? 'btn-primary' : 'btn-ghost'}`}
+                            style={{ fontSize: '12px', padding: '4px 12px' }}
+                            onClick={() => setMode(value)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div style={{ overflowX: 'auto' }}>
+                <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: '40px repeat(24, minmax(22px, 1fr))',
+                    gap: '2px',
+                    minWidth: '600px',
+                    fontSize: '11px',
+                }}>
+                    <div />
+                    {Array.from({ length: 24 }, (_, hour) => (
+                        <div key={hour} style={{ textAlign: 'center', color: 'var(--text-tertiary)' }}>
+                            {hour % 3 === 0 ? String(hour).padStart(2, '0') : ''}
+                        </div>
+                    ))}
+                    {matrix.days.map((dayName, day) => (
+                        <Fragment key={dayName}>
+                            <div style={{ color: 'var(--text-secondary)', alignSelf: 'center' }}>{dayName.slice(0, 3)}</div>
+                            {values[day].map((value, hour) => {
+                                const hasSessions = matrix.sessions[day][hour] > 0;
+                                return (
+                                    <div
+                                        key={hour}
+                                        className={hasSessions && onDrilldown ? 'drillable' : ''}
+                                        title={describeCell(day, hour)}
+                                        onClick={hasSessions ? drillTo(onDrilldown, 'weekdayHour', { day: dayName, hour }) : undefined}
+                                        style={{
+                                            height: '22px',
+                                            borderRadius: '3px',
+                                            background: hasSessions
+                                                ? getHeatmapColor(value, max, HEATMAP_MODES[mode].rgb)
+                                                : 'var(--bg-secondary)',
+                                        }}
+                                    />
+                                );
+                            })}
+                        </Fragment>
+                    ))}
+                </div>
+            </div>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '12px', marginTop: '8px' }}>
+                {mode === 'sessions'
+                    ? `Darker cells had more session starts (max ${max} in one hour slot).`
+                    : `Darker cells had a higher share of sessions without results (max ${max}%). Empty cells had no sessions.`}
+            </p>
+        </div>
+    );
+}
+
+const TREND_CHARTS = [
+    { metric: 'sessions', title: 'Sessions', color: '#6366f1' },
+    { metric: 'noResultRate', title: 'No-Result Rate', unit: '%', color: '#ef4444' },
+    { metric: 'avgTurns', title: 'Avg Turns / Session', color: '#22c55e' },
+    { metric: 'repeatRate', title: 'Repeated-Query Rate', unit: '%', color: '#f59e0b' },
+];
+
+// Regex query categories (classifyQueryIntents), used by the conversation flow
+const QUERY_CATEGORIES = {
+    productSearch: { name: 'Product Search', color: '#6366f1' },
+    locationQuery: { name: 'Location Query', color: '#22d3ee' },
+    priceInquiry: { name: 'Price Inquiry', color: '#22c55e' },
+    supportRequest: { name: 'Support Request', color: '#ef4444' },
+    categoryBrowse: { name: 'Category Browse', color: '#f59e0b' },
+    specificItem: { name: 'Specific Item', color: '#a78bfa' },
+};
+
+// Intent mix lines, in taxonomy order; unclassified queries are grey
+const TREND_INTENT_COLORS = ['#6366f1', '#22d3ee', '#22c55e', '#ef4444', '#f59e0b', '#a78bfa', '#ec4899', '#14b8a6', '#f97316', '#84cc16'];
+
+// Daily/weekly trend lines with detected change points marked
+function TimeSeriesTrends({ timeSeries, onDrilldown }) {
+    const [granularity, setGranularity] = useState(timeSeries.daily.length > 60 ? 'week' : 'day');
+    const points = granularity === 'week' ? timeSeries.weekly : timeSeries.daily;
+    const changePoints = granularity === 'week' ? timeSeries.changePoints.weekly : timeSeries.changePoints.daily;
+    // Runs saved before trends used the intent taxonomy list regex category ids
+    const intents = timeSeries.intentCategories.map(intent => (
+        typeof intent === 'string' ? { id: intent, name: QUERY_CATEGORIES[intent]?.name || intent } : intent
+    ));
+
+    // Recharts reports the clicked x value as activeLabel
+    const handleChartClick = onDrilldown
+        ? (state) => {
+            if (state?.activeLabel) {
+                onDrilldown(createDrilldown('period', { granularity, key: state.activeLabel }));
+            }
+        }
+        : undefined;
+
+    const chartLabel = (metric) => TREND_CHARTS.find(chart => chart.metric === metric)?.title || metric;
+    const formatTrendValue = (metric, value) => {
+        const unit = TREND_CHARTS.find(chart => chart.metric === metric)?.unit || '';
+        return `${value}${unit}`;
+    };
+
+    return (
+        <div style={{ marginBottom: '24px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+                <h4 style={{ margin: 0, color: 'var(--text-secondary)' }}>📈 Trends</h4>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                    {[['day', 'Daily'], ['week', 'Weekly']].map(([value, label]) => (
+                        <button
+                            key={value}
+                            className={`btn ${granularity === value ? 'btn-primary' : 'btn-ghost'}`}
+                            style={{ fontSize: '12px', padding: '4px 12px' }}
+                            onClick={() => setGranularity(value)}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {points.length < 2 ? (
+                <p style={{ color: 'var(--text-tertiary)', fontSize: '14px' }}>
+                    Trends need sessions on at least two different {granularity === 'week' ? 'weeks' : 'days'}.
+                </p>
+            ) : (
+                <>
+                    {changePoints.length > 0 && (
+                        <div style={{
+                            background: 'var(--bg-secondary)',
+                            borderLeft: '4px solid #ef4444',
+                            borderRadius: '8px',
+                            padding: '12px 16px',
+                            marginBottom: '16px',
+                        }}>
+                            <div style={{ fontWeight: 600, marginBottom: '8px' }}>📍 Significant shifts</div>
+                            {changePoints.map(point => (
+                                <div
+                                    key={`${point.metric}-${point.key}`}
+                                    className={onDrilldown ? 'drillable' : ''}
+                                    onClick={drillTo(onDrilldown, 'period', { granularity, key: point.key })}
+                                    style={{ fontSize: '14px', padding: '2px 0' }}
+                                >
+                                    <strong>{point.key}</strong>: {chartLabel(point.metric)} {point.direction === 'up' ? '▲' : '▼'}{' '}
+                                    {formatTrendValue(point.metric, point.before)} → {formatTrendValue(point.metric, point.after)}
+                                    <span style={{ color: 'var(--text-tertiary)' }}> (avg before vs. after)</span>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px' }}>
+                        {TREND_CHARTS.map(chart => (
+                            <div key={chart.metric} style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px' }}>
+                                <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>{chart.title}</div>
+                                <ResponsiveContainer width="100%" height={180}>
+                                    <LineChart data={points} onClick={handleChartClick} style={{ cursor: onDrilldown ? 'pointer' : 'default' }}>
+                                        <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                                        <XAxis dataKey="key" tick={{ fontSize: 10 }} minTickGap={24} />
+                                        <YAxis tick={{ fontSize: 10 }} unit={chart.unit} width={44} />
+                                        <Tooltip formatter={(value) => (value == null ? 'No sessions' : `${value}${chart.unit || ''}`)} />
+                                        {changePoints.filter(point => point.metric === chart.metric).map(point => (
+                                            <ReferenceLine key={point.key} x={point.key} stroke="#ef4444" strokeDasharray="4 4" />
+                                        ))}
+                                        <Line type="monotone" dataKey={chart.metric} name={chart.title} stroke={chart.color} dot={points.length <= 31} connectNulls />
+                                    </LineChart>
+                                </ResponsiveContainer>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px', marginTop: '16px' }}>
+                        <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>Intent Mix (% of queries)</div>
+                        <ResponsiveContainer width="100%" height={220}>
+                            <LineChart data={points} onClick={handleChartClick} style={{ cursor: onDrilldown ? 'pointer' : 'default' }}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                                <XAxis dataKey="key" tick={{ fontSize: 10 }} minTickGap={24} />
+                                <YAxis tick={{ fontSize: 10 }} unit="%" width={44} />
+                                <Tooltip formatter={(value) => (value == null ? 'No queries' : `${value}%`)} />
+                                <Legend />
+                                {intents.map((intent, i) => (
+                                    <Line
+                                        key={intent.id}
+                                        type="monotone"
+                                        dataKey={(point) => point.intentMix[intent.id]}
+                                        name={intent.name}
+                                        stroke={intent.id === UNCLASSIFIED_INTENT.id ? '#94a3b8' : TREND_INTENT_COLORS[i % TREND_INTENT_COLORS.length]}
+                                        dot={false}
+                                        connectNulls
+                                    />
+                                ))}
+                            </LineChart>
+                        </ResponsiveContainer>
+                    </div>
+
+                    {timeSeries.untimedSessions > 0 && (
+                        <p style={{ color: 'var(--text-tertiary)', fontSize: '12px', marginTop: '8px' }}>
+                            {timeSeries.untimedSessions} session{timeSeries.untimedSessions === 1 ? '' : 's'} without timestamps are not included in trends.
+                        </p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+const FLOW_NODE_COLORS = {
+    results: '#22c55e',
+    clarifying: '#a78bfa',
+    noResults: '#ef4444',
+    fallback: '#f97316',
+    noReply: '#64748b',
+    end: '#94a3b8',
+    more: '#6366f1',
+};
+
+// Sorts end/more nodes after every turn
+const FLOW_LAST_TURN = 99;
+
+function flowNodeColor(node) {
+    return node.kind === 'query' ? (QUERY_CATEGORIES[node.type]?.color || '#6366f1') : (FLOW_NODE_COLORS[node.type] || '#94a3b8');
+}
+
+// Sankey node: colored bar with its label and session count beside it
+function FlowNode({ x, y, width, height, payload }) {
+    // End nodes sit at the right edge, so their labels go on the left
+    const isLast = payload.kind === 'end' || payload.kind === 'more';
+    return (
+        <g style={{ cursor: 'pointer' }}>
+            <rect x={x} y={y} width={width} height={height} fill={flowNodeColor(payload)} rx={2} />
+            {height >= 10 && (
+                <text
+                    x={isLast ? x - 6 : x + width + 6}
+                    y={y + height / 2}
+                    textAnchor={isLast ? 'end' : 'start'}
+                    dominantBaseline="middle"
+                    fontSize={11}
+                    fill="var(--text-secondary)"
+                >
+                    {payload.label} ({payload.count})
+                </text>
+            )}
+        </g>
+    );
+}
+
+// Sankey link tinted by the node it leads to
+function FlowLink({ sourceX, sourceY, sourceControlX, targetX, targetY, targetControlX, linkWidth, payload }) {
+    return (
+        <path
+            d={`M${sourceX},${sourceY} C${sourceControlX},${sourceY} ${targetControlX},${targetY} ${targetX},${targetY}`}
+            fill="none"
+            stroke={flowNodeColor(payload.target)}
+            strokeWidth={Math.max(1, linkWidth)}
+            strokeOpacity={0.3}
+            style={{ cursor: 'pointer' }}
+        />
+    );
+}
+
+// Common paths through conversations: query type -> bot response type, turn by turn
+function ConversationFlow({ flow, onDrilldown }) {
+    const sankeyData = useMemo(() => {
+        if (!flow) return null;
+        const nodes = [...flow.nodes].sort((a, b) => (a.turn ?? FLOW_LAST_TURN) - (b.turn ?? FLOW_LAST_TURN) || b.count - a.count);
+        const indexes = Object.fromEntries(nodes.map((node, i) => [node.id, i]));
+        return {
+            nodes,
+            links: flow.links.map(link => ({ source: indexes[link.source], target: indexes[link.target], value: link.value })),
+        };
+    }, [flow]);
+
+    if (!flow) {
+        return <p style={{ color: 'var(--text-tertiary)' }}>No user turns to build a conversation flow from.</p>;
+    }
+
+    const handleClick = onDrilldown
+        ? (item, type) => {
+            if (type === 'node') {
+                onDrilldown(createDrilldown('flowNode', { node: item.payload.id }));
+            } else if (type === 'link') {
+                onDrilldown(createDrilldown('flowLink', { source: item.payload.source.id, target: item.payload.target.id }));
+            }
+        }
+        : undefined;
+
+    return (
+        <div>
+            <h3 className="section-title">🔀 Conversation Flow</h3>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginTop: '-8px', marginBottom: '16px' }}>
+                How {flow.totalSessions} sessions move from query type (Q) to bot response (R), turn by turn, for the first {flow.maxTurns} queries.
+                {onDrilldown ? ' Click a node or band to see the sessions behind it.' : ''}
+            </p>
+
+            <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px', marginBottom: '24px' }}>
+                <ResponsiveContainer width="100%" height={Math.max(360, sankeyData.nodes.length * 18)}>
+                    <Sankey
+                        data={sankeyData}
+                        nameKey="label"
+                        nodePadding={14}
+                        nodeWidth={10}
+                        margin={{ top: 8, right: 8, bottom: 8, left: 8 }}
+                        node={FlowNode}
+                        link={FlowLink}
+                        onClick={handleClick}
+                    >
+                        <Tooltip formatter={(value) => `${value} sessions`} />
+                    </Sankey>
+                </ResponsiveContainer>
+            </div>
+
+            <h4 style={{ marginBottom: '12px', color: 'var(--text-secondary)' }}>Most common paths</h4>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                    <tr style={{ textAlign: 'left', color: 'var(--text-tertiary)' }}>
+                        <th style={{ padding: '6px 8px' }}>Path</th>
+                        <th style={{ padding: '6px 8px', width: '120px' }}>Sessions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {flow.topPaths.map(({ path, count, percentage }) => (
+                        <tr
+                            key={path.join('>')}
+                            className={onDrilldown ? 'drillable' : ''}
+                            onClick={drillTo(onDrilldown, 'flowPath', { path })}
+                            style={{ borderTop: '1px solid var(--border-light)' }}
+                        >
+                            <td style={{ padding: '6px 8px' }}>
+                                {path.map((id, i) => (
+                                    <Fragment key={id}>
+                                        {i > 0 && <span style={{ color: 'var(--text-tertiary)' }}> → </span>}
+                                        <span>{describeFlowNode(id)}</span>
+                                    </Fragment>
+                                ))}
+                            </td>
+                            <td style={{ padding: '6px 8px' }}>{count} ({percentage}%)</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+const ZERO_RESULT_REASONS = {
+    noResults: { label: 'No results', className: 'badge-danger' },
+    noProducts: { label: 'Empty products', className: 'badge-warning' },
+};
+
+function ClosestCategory({ match, hasCategories }) {
+    if (!hasCategories) return <span style={{ color: 'var(--text-tertiary)' }}>—</span>;
+    if (!match) {
+        return <span className="badge badge-danger" title="No category on the site shares a word with this query">Not on site</span>;
+    }
+    return <span title={`Word overlap ${Math.round(match.score * 100)}%`}>{match.category}</span>;
+}
+
+// Queries the bot answered with nothing, ranked, with the closest site category
+function ZeroResultQueries({ report, onDrilldown }) {
+    const [searchTerm, setSearchTerm] = useState('');
+    if (!report) {
+        return <p style={{ color: 'var(--text-tertiary)' }}>Every query returned results.</p>;
+    }
+
+    const hasCategories = report.siteCategoryCount > 0;
+    const term = searchTerm.trim().toLowerCase();
+    const queries = term ? report.queries.filter(q => q.query.toLowerCase().includes(term)) : report.queries;
+    const cellStyle = { padding: '10px 12px', verticalAlign: 'top' };
+
+    return (
+        <div>
+            <h3 className="section-title">🚫 Zero-Result Queries</h3>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginTop: '-8px', marginBottom: '16px' }}>
+                Queries where the bot's reply carried no results or an empty product list.
+                {hasCategories
+                    ? ` Each is matched to the closest of ${report.siteCategoryCount} categories found on the site; "Not on site" points to a catalog gap rather than a search problem.`
+                    : ' Scrape the website in the business context to match queries to site categories.'}
+            </p>
+
+            <div className="metrics-grid" style={{ marginBottom: '24px' }}>
+                <div className="metric-card">
+                    <div className="metric-label">Zero-Result Queries</div>
+                    <div className="metric-value negative">{report.zeroResultQueries}</div>
+                    <div className="metric-trend">{report.percentage}% of {report.totalQueries} queries</div>
+                </div>
+                <div className="metric-card">
+                    <div className="metric-label">Distinct Queries</div>
+                    <div className="metric-value">{report.distinctQueries}</div>
+                </div>
+                {hasCategories && (
+                    <div className="metric-card" title="Listed queries that share no word with any site category">
+                        <div className="metric-label">Not on Site</div>
+                        <div className="metric-value">{report.queries.filter(q => !q.closestCategory).length}</div>
+                        <div className="metric-trend">of top {report.queries.length} queries</div>
+                    </div>
+                )}
+            </div>
+
+            {report.clusters.length > 0 && (
+                <>
+                    <h4 style={{ marginBottom: '12px' }}>🧩 Unmet Demand by Cluster</h4>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '24px' }}>
+                        <thead>
+                            <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                                <th style={cellStyle}>Cluster</th>
+                                <th style={{ ...cellStyle, textAlign: 'center', width: '90px' }}>Queries</th>
+                                <th style={{ ...cellStyle, textAlign: 'center', width: '90px' }}>Sessions</th>
+                                <th style={cellStyle}>Closest category</th>
+                                <th style={cellStyle}>Sample queries</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.clusters.slice(0, 15).map(cluster => (
+                                <tr
+                                    key={cluster.id}
+                                    className={onDrilldown ? 'drillable' : ''}
+                                    onClick={drillTo(onDrilldown, 'queryCluster', { label: cluster.label, queries: cluster.queries })}
+                                    style={{ borderBottom: '1px solid var(--border-secondary)' }}
+                                >
+                                    <td style={{ ...cellStyle, fontWeight: 600 }}>{cluster.label}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'center', fontWeight: 600 }}>{cluster.size}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'center' }}>{cluster.sessions}</td>
+                                    <td style={cellStyle}><ClosestCategory match={cluster.closestCategory} hasCategories={hasCategories} /></td>
+                                    <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                        {cluster.sampleQueries.map(sample => `${sample.query} (${sample.count})`).join(' · ')}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+
+            <h4 style={{ marginBottom: '12px' }}>Ranked Queries ({report.queries.length}{report.distinctQueries > report.queries.length ? ` of ${report.distinctQueries}` : ''})</h4>
+            <input
+                type="text"
+                placeholder="Search queries..."
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                style={{
+                    width: '100%',
+                    maxWidth: '400px',
+                    padding: '10px 16px',
+                    border: '1px solid var(--border-primary)',
+                    borderRadius: '8px',
+                    marginBottom: '16px',
+                    background: 'var(--bg-primary)',
+                    color: 'var(--text-primary)'
+                }}
+            />
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                    <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                        <th style={cellStyle}>Query</th>
+                        <th style={{ ...cellStyle, textAlign: 'center', width: '70px' }}>Times</th>
+                        <th style={{ ...cellStyle, width: '170px' }}>First / last seen</th>
+                        <th style={cellStyle}>Closest category</th>
+                        <th style={cellStyle}>Example bot reply</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {queries.map(q => (
+                        <tr
+                            key={q.query}
+                            className={onDrilldown ? 'drillable' : ''}
+                            onClick={drillTo(onDrilldown, 'query', { query: q.query })}
+                            style={{ borderBottom: '1px solid var(--border-secondary)' }}
+                        >
+                            <td style={cellStyle}>
+                                <div style={{ fontWeight: 600 }}>{q.query}</div>
+                                <span className={`badge ${ZERO_RESULT_REASONS[q.reason]?.className || 'badge-neutral'}`} style={{ marginTop: '4px' }}>
+                                    {ZERO_RESULT_REASONS[q.reason]?.label || q.reason}
+                                </span>
+                            </td>
+                            <td style={{ ...cellStyle, textAlign: 'center', fontWeight: 600 }}>{q.count}</td>
+                            <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                {q.firstSeen ? (q.firstSeen === q.lastSeen ? q.firstSeen : `${q.firstSeen} → ${q.lastSeen}`) : 'N/A'}
+                            </td>
+                            <td style={cellStyle}><ClosestCategory match={q.closestCategory} hasCategories={hasCategories} /></td>
+                            <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)', fontStyle: 'italic' }}>
+                                {q.exampleReplies[0] ? `"${q.exampleReplies[0]}"` : 'No reply'}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+const SENTIMENT_LABELS = {
+    positive: { label: 'Positive', icon: '🙂', color: '#22c55e' },
+    neutral: { label: 'Neutral', icon: '😐', color: '#94a3b8' },
+    negative: { label: 'Negative', icon: '🙁', color: '#ef4444' },
+};
+
+const TRAJECTORY_BADGES = {
+    improving: 'badge-success',
+    stable: 'badge-neutral',
+    declining: 'badge-danger',
+};
+
+// Lexicon sentiment and frustration per user turn, and the sessions where users got most frustrated
+function SentimentAnalysis({ report, onDrilldown, onOpenConversation }) {
+    if (!report) {
+        return <p style={{ color: 'var(--text-tertiary)' }}>No user turns to score.</p>;
+    }
+
+    const cellStyle = { padding: '10px 12px', verticalAlign: 'top' };
+    const declining = report.trajectories.find(trajectory => trajectory.key === 'declining');
+
+    return (
+        <div>
+            <h3 className="section-title">😤 Sentiment & Frustration</h3>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginTop: '-8px', marginBottom: '16px' }}>
+                Every user turn is scored offline from its wording: a sentiment lexicon with negation handling, plus frustration
+                signals such as ALL CAPS, repeated punctuation, rephrasing the previous query, profanity and "not what I asked".
+                Turns scoring {FRUSTRATION_THRESHOLD} or more out of 1 count as frustrated.
+            </p>
+
+            <div className="metrics-grid" style={{ marginBottom: '24px' }}>
+                <div className="metric-card">
+                    <div className="metric-label">Average Sentiment</div>
+                    <div className={`metric-value ${report.avgSentiment > 0 ? 'positive' : report.avgSentiment < 0 ? 'negative' : ''}`}>
+                        {report.avgSentiment > 0 ? '+' : ''}{report.avgSentiment}
+                    </div>
+                    <div className="metric-trend">from -1 to +1 over {report.totalTurns} user turns</div>
+                </div>
+                <div className="metric-card">
+                    <div className="metric-label">Frustrated Turns</div>
+                    <div className="metric-value negative">{report.frustratedTurns}</div>
+                    <div className="metric-trend">{report.frustratedTurnRate}% of user turns</div>
+                </div>
+                <div
+                    className={`metric-card ${onDrilldown ? 'drillable' : ''}`}
+                    onClick={drillTo(onDrilldown, 'frustrated', {})}
+                >
+                    <div className="metric-label">Frustrated Sessions</div>
+                    <div className="metric-value negative">{report.frustratedSessions}</div>
+                    <div className="metric-trend">{report.frustratedSessionRate}% of {report.totalSessions} sessions</div>
+                </div>
+                {declining && (
+                    <div
+                        className={`metric-card ${onDrilldown ? 'drillable' : ''}`}
+                        onClick={drillTo(onDrilldown, 'sentimentTrajectory', { trajectory: 'declining' })}
+                    >
+                        <div className="metric-label">Declining Sessions</div>
+                        <div className="metric-value">{declining.count}</div>
+                        <div className="metric-trend">{declining.percentage}% of {report.multiTurnSessions} multi-turn sessions</div>
+                    </div>
+                )}
+            </div>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '16px', marginBottom: '24px' }}>
+                <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px' }}>
+                    <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>Turn sentiment</div>
+                    {Object.entries(report.distribution).map(([label, { count, percentage }]) => (
+                        <div
+                            key={label}
+                            className={onDrilldown ? 'drillable' : ''}
+                            onClick={drillTo(onDrilldown, 'sentimentLabel', { label })}
+                            style={{ marginBottom: '10px' }}
+                        >
+                            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', marginBottom: '4px' }}>
+                                <span>{SENTIMENT_LABELS[label].icon} {SENTIMENT_LABELS[label].label}</span>
+                                <span style={{ color: 'var(--text-tertiary)' }}>{count} ({percentage}%)</span>
+                            </div>
+                            <div style={{ height: '10px', background: 'var(--bg-primary)', borderRadius: '4px', overflow: 'hidden' }}>
+                                <div style={{ width: `${percentage}%`, height: '100%', background: SENTIMENT_LABELS[label].color }} />
+                            </div>
+                        </div>
+                    ))}
+
+                    <div style={{ fontWeight: 600, fontSize: '14px', margin: '16px 0 8px' }}>Sentiment within sessions</div>
+                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+                        {report.trajectories.map(trajectory => (
+                            <span
+                                key={trajectory.key}
+                                className={`badge ${TRAJECTORY_BADGES[trajectory.key]} ${onDrilldown ? 'drillable' : ''}`}
+                                onClick={drillTo(onDrilldown, 'sentimentTrajectory', { trajectory: trajectory.key })}
+                                title="Average sentiment of the second half of the session against the first half"
+                            >
+                                {trajectory.label}: {trajectory.count} ({trajectory.percentage}%)
+                            </span>
+                        ))}
+                    </div>
+                </div>
+
+                <div style={{ background: 'var(--bg-secondary)', borderRadius: '12px', padding: '12px' }}>
+                    <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '8px' }}>Sentiment by query number</div>
+                    <ResponsiveContainer width="100%" height={200}>
+                        <LineChart data={report.byTurn}>
+                            <CartesianGrid strokeDasharray="3 3" stroke="var(--border-light)" />
+                            <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                            <YAxis tick={{ fontSize: 10 }} domain={[-1, 1]} width={36} />
+                            <Tooltip />
+                            <Legend />
+                            <ReferenceLine y={0} stroke="var(--border-primary)" />
+                            <Line type="monotone" dataKey="avgSentiment" name="Avg sentiment" stroke="#6366f1" />
+                            <Line type="monotone" dataKey="avgFrustration" name="Avg frustration" stroke="#ef4444" />
+                        </LineChart>
+                    </ResponsiveContainer>
+                </div>
+            </div>
+
+            {report.signals.length > 0 && (
+                <>
+                    <h4 style={{ marginBottom: '12px' }}>🚩 Frustration Signals</h4>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px', marginBottom: '24px' }}>
+                        <thead>
+                            <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                                <th style={cellStyle}>Signal</th>
+                                <th style={{ ...cellStyle, textAlign: 'center', width: '110px' }}>Turns</th>
+                                <th style={{ ...cellStyle, textAlign: 'center', width: '110px' }}>Sessions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.signals.map(signal => (
+                                <tr
+                                    key={signal.key}
+                                    className={onDrilldown ? 'drillable' : ''}
+                                    onClick={drillTo(onDrilldown, 'frustrated', { signal: signal.key })}
+                                    style={{ borderBottom: '1px solid var(--border-secondary)' }}
+                                >
+                                    <td style={{ ...cellStyle, fontWeight: 600 }}>{signal.label}</td>
+                                    <td style={{ ...cellStyle, textAlign: 'center' }}>{signal.turns} ({signal.percentage}%)</td>
+                                    <td style={{ ...cellStyle, textAlign: 'center' }}>{signal.sessions}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            )}
+
+            <h4 style={{ marginBottom: '12px' }}>😡 Most Frustrated Sessions</h4>
+            {report.mostFrustrated.length === 0 ? (
+                <p style={{ color: 'var(--text-tertiary)' }}>No session showed any frustration signal.</p>
+            ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                    <thead>
+                        <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                            <th style={cellStyle}>Most frustrated query</th>
+                            <th style={{ ...cellStyle, textAlign: 'center', width: '100px' }}>Frustration</th>
+                            <th style={cellStyle}>Sentiment by turn</th>
+                            <th style={cellStyle}>Signals</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.mostFrustrated.map(session => (
+                            <tr
+                                key={session.sessionId}
+                                onClick={() => onOpenConversation?.({ sessionId: String(session.sessionId), messageId: session.peakTurn.messageId })}
+                                style={{ borderBottom: '1px solid var(--border-secondary)', cursor: 'pointer' }}
+                                title="Open the conversation at this query"
+                            >
+                                <td style={cellStyle}>
+                                    <div style={{ fontWeight: 600 }}>"{session.peakTurn.query}"</div>
+                                    <div style={{ fontSize: '12px', color: 'var(--text-tertiary)', marginTop: '2px' }}>
+                                        Query {session.peakTurn.turn} of {session.turnCount} · session {session.sessionId}
+                                    </div>
+                                </td>
+                                <td style={{ ...cellStyle, textAlign: 'center', fontWeight: 600 }}>
+                                    {session.peakFrustration}
+                                    {session.frustratedTurns > 1 && (
+                                        <div style={{ fontSize: '12px', fontWeight: 400, color: 'var(--text-tertiary)' }}>{session.frustratedTurns} turns</div>
+                                    )}
+                                </td>
+                                <td style={cellStyle}>
+                                    <span title={session.sentiments.join(' → ')}>
+                                        {session.sentiments.map(label => SENTIMENT_LABELS[label].icon).join(' ')}
+                                    </span>
+                                    {session.trajectory && (
+                                        <span className={`badge ${TRAJECTORY_BADGES[session.trajectory]}`} style={{ marginLeft: '8px' }}>
+                                            {SENTIMENT_TRAJECTORIES[session.trajectory]}
+                                        </span>
+                                    )}
+                                </td>
+                                <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                    {session.signals.map(signal => FRUSTRATION_SIGNALS[signal].label).join(' · ') || 'Negative wording'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </div>
+    );
+}
+
+const CLUSTERS_SHOWN = 15;
+
+// Queries grouped by meaning, with size and no-result rate per group
+function QueryClusters({ clustering, onDrilldown }) {
+    const [showAll, setShowAll] = useState(false);
+    const clusters = showAll ? clustering.clusters : clustering.clusters.slice(0, CLUSTERS_SHOWN);
+    const cellStyle = { padding: '10px 12px', verticalAlign: 'top' };
+
+    return (
+        <div style={{ marginBottom: '24px' }}>
+            <h4 style={{ marginBottom: '8px' }}>🧩 Query Clusters</h4>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginBottom: '12px' }}>
+                {clustering.distinctQueries} distinct queries grouped into {clustering.clusterCount} clusters by meaning
+                (singular/plural and word order ignored). {clustering.mergedQueries} phrasings were merged with at least one other.
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                    <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                        <th style={cellStyle}>Cluster</th>
+                        <th style={{ ...cellStyle, textAlign: 'center', width: '90px' }}>Queries</th>
+                        <th style={{ ...cellStyle, textAlign: 'center', width: '90px' }}>Sessions</th>
+                        <th style={{ ...cellStyle, textAlign: 'center', width: '110px' }}>No results</th>
+                        <th style={cellStyle}>Sample queries</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {clusters.map(cluster => (
+                        <tr
+                            key={cluster.id}
+                            className={onDrilldown ? 'drillable' : ''}
+                            onClick={drillTo(onDrilldown, 'queryCluster', { label: cluster.label, queries: cluster.queries })}
+                            style={{ borderBottom: '1px solid var(--border-secondary)' }}
+                        >
+                            <td style={cellStyle}>
+                                <div style={{ fontWeight: 600 }}>{cluster.label}</div>
+                                <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                                    {cluster.distinctQueries} phrasing{cluster.distinctQueries === 1 ? '' : 's'} · {cluster.terms.join(', ')}
+                                </div>
+                            </td>
+                            <td style={{ ...cellStyle, textAlign: 'center', fontWeight: 600 }}>{cluster.size}</td>
+                            <td style={{ ...cellStyle, textAlign: 'center' }}>{cluster.sessions}</td>
+                            <td style={{
+                                ...cellStyle,
+                                textAlign: 'center',
+                                color: cluster.noResultRate >= 50 ? 'var(--color-danger-600)' : 'var(--text-secondary)',
+                                fontWeight: cluster.noResultRate >= 50 ? 600 : 400,
+                            }}>
+                                {cluster.noResultRate}%
+                            </td>
+                            <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                {cluster.sampleQueries.map(sample => `${sample.query} (${sample.count})`).join(' · ')}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            {clustering.clusters.length > CLUSTERS_SHOWN && (
+                <button className="btn btn-ghost" style={{ marginTop: '8px', fontSize: '13px' }} onClick={() => setShowAll(!showAll)}>
+                    {showAll ? 'Show fewer' : `Show all ${clustering.clusters.length} clusters`}
+                </button>
+            )}
+        </div>
+    );
+}
+
 // Query Analysis Component
-function QueryAnalysis({ analysis }) {
+function QueryAnalysis({ analysis, onDrilldown }) {
     const [searchTerm, setSearchTerm] = useState('');
     const queryData = analysis?.queryAnalysis || {};
     const allQueries = queryData.allUniqueQueries || [];
@@ -1069,7 +2204,7 @@ function QueryAnalysis({ analysis }) {
             )}
 
             <div className="metrics-grid" style={{ marginBottom: '24px' }}>
-                <div className="metric-card">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'withQueries')}>
                     <div className="metric-label">Total Queries</div>
                     <div className="metric-value">{queryData.totalQueries || 0}</div>
                 </div>
@@ -1099,7 +2234,12 @@ function QueryAnalysis({ analysis }) {
                     <h4 style={{ marginBottom: '12px' }}>Top Searched Queries</h4>
                     <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px', marginBottom: '24px' }}>
                         {queryData.topSearchedQueries.map((item, i) => (
-                            <span key={i} className="badge badge-primary" style={{ fontSize: '14px', padding: '6px 12px' }}>
+                            <span
+                                key={i}
+                                className="badge badge-primary drillable"
+                                style={{ fontSize: '14px', padding: '6px 12px' }}
+                                onClick={drillTo(onDrilldown, 'query', { query: item.query })}
+                            >
                                 {item.query} ({item.frequency})
                             </span>
                         ))}
@@ -1107,6 +2247,10 @@ function QueryAnalysis({ analysis }) {
                 </>
             )}
 
+            {queryData.clusters?.clusters.length > 0 && (
+                <QueryClusters clustering={queryData.clusters} onDrilldown={onDrilldown} />
+            )}
+
             <h4 style={{ marginBottom: '16px' }}>All Queries ({allQueries.length})</h4>
             <input
                 type="text"
@@ -1135,7 +2279,12 @@ function QueryAnalysis({ analysis }) {
                     </thead>
                     <tbody>
                         {filteredQueries.slice(0, 50).map((q, i) => (
-                            <tr key={i} style={{ borderBottom: '1px solid var(--border-secondary)' }}>
+                            <tr
+                                key={i}
+                                className="drillable"
+                                style={{ borderBottom: '1px solid var(--border-secondary)' }}
+                                onClick={drillTo(onDrilldown, 'query', { query: q.query })}
+                            >
                                 <td style={{ padding: '12px' }}>{q.query}</td>
                                 <td style={{ padding: '12px', textAlign: 'center', fontWeight: 600 }}>{q.frequency}</td>
                             </tr>
@@ -1152,7 +2301,7 @@ function QueryAnalysis({ analysis }) {
 }
 
 // Bot Responses Component
-function BotResponses({ analysis }) {
+function BotResponses({ analysis, onDrilldown }) {
     const responses = analysis?.botResponseAnalysis || {};
     const patterns = responses.responsePatterns || [];
 
@@ -1165,12 +2314,12 @@ function BotResponses({ analysis }) {
             )}
 
             <div className="metrics-grid" style={{ marginBottom: '24px' }}>
-                <div className="metric-card">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'withResults')}>
                     <div className="metric-label">Sessions With Results</div>
                     <div className="metric-value positive">{responses.sessionsWithResults?.count || 0}</div>
                     <div className="metric-trend">{responses.sessionsWithResults?.percentage || 0}%</div>
                 </div>
-                <div className="metric-card">
+                <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'withoutResults')}>
                     <div className="metric-label">Sessions Without Results</div>
                     <div className="metric-value warning">{responses.sessionsWithoutResults?.count || 0}</div>
                     <div className="metric-trend">{responses.sessionsWithoutResults?.percentage || 0}%</div>
@@ -1294,10 +2443,24 @@ function ProductInsights({ analysis }) {
 }
 
 // Issues and Recommendations Component
-function IssuesAndRecommendations({ analysis }) {
+function IssuesAndRecommendations({ analysis, onOpenConversation }) {
     const issues = analysis?.potentialIssues || [];
     const recommendations = analysis?.recommendations || [];
     const observations = analysis?.observations || {};
+    const coverage = analysis?.llmCoverage;
+    const evidenceSummary = analysis?.evidenceSummary;
+
+    // Clicking a finding opens the first conversation its evidence was found in
+    const isOpenable = (ref) => ref.status !== 'unverified' && ref.sessionId;
+    const openFinding = (finding) => {
+        const ref = finding.evidenceRefs?.find(isOpenable);
+        if (ref) onOpenConversation?.({ sessionId: ref.sessionId, messageId: ref.messageId });
+    };
+    const findingProps = (finding) => finding.evidenceRefs?.some(isOpenable) ? {
+        onClick: () => openFinding(finding),
+        style: { cursor: 'pointer' },
+        title: 'Open the cited conversation',
+    } : {};
 
     const severityColors = {
         high: 'badge-danger',
@@ -1311,24 +2474,60 @@ function IssuesAndRecommendations({ analysis }) {
             <p style={{ marginBottom: '16px', color: 'var(--text-tertiary)', fontSize: '13px' }}>
                 Note: These are inferred issues based on patterns in the data. Without engagement data, we cannot confirm impact.
             </p>
+            {coverage && (
+                <p style={{ marginBottom: '16px', color: 'var(--text-tertiary)', fontSize: '13px' }}>
+                    🧩 Analyzed {coverage.sessionsAnalyzed} of {coverage.totalSessions} sessions in {coverage.totalBatches} batches
+                    {coverage.failedBatches > 0 && <> ({coverage.failedBatches} failed)</>}. Similar findings were merged across batches.
+                </p>
+            )}
+            {evidenceSummary?.citations > 0 && (
+                <p style={{ marginBottom: '16px', color: 'var(--text-tertiary)', fontSize: '13px' }}>
+                    🔗 {evidenceSummary.verified + evidenceSummary.relocated} of {evidenceSummary.citations} cited quotes were found in the transcripts
+                    {evidenceSummary.unverified > 0 && (
+                        <span style={{ color: 'var(--color-warning-600)' }}> • {evidenceSummary.unverified} could not be found and may be hallucinated</span>
+                    )}
+                </p>
+            )}
+            {analysis?.llmStageErrors?.length > 0 && (
+                <p style={{ marginBottom: '16px', color: 'var(--color-warning-600)', fontSize: '13px' }}>
+                    ⚠️ Some analysis stages failed and are missing from this report: {analysis.llmStageErrors.map(e => e.stage).join(', ')}
+                </p>
+            )}
 
             {issues.length > 0 ? (
                 <div className="recommendation-list" style={{ marginBottom: '32px' }}>
                     {issues.map((issue, i) => (
-                        <div key={i} className="recommendation-item" style={{ borderLeftColor: issue.severity === 'high' ? 'var(--color-danger-500)' : issue.severity === 'medium' ? 'var(--color-warning-500)' : 'var(--color-neutral-400)' }}>
+                        <div key={i} className="recommendation-item" {...findingProps(issue)} style={{ ...findingProps(issue).style, borderLeftColor: issue.severity === 'high' ? 'var(--color-danger-500)' : issue.severity === 'medium' ? 'var(--color-warning-500)' : 'var(--color-neutral-400)' }}>
                             <div className="recommendation-header">
                                 <span className="recommendation-title">{issue.issue}</span>
                                 <span className={`badge ${severityColors[issue.severity] || 'badge-neutral'}`}>{issue.severity}</span>
                                 <span className="badge badge-neutral">{issue.type}</span>
+                                {issue.confidence && (
+                                    <span className="badge badge-neutral" title="How directly the transcripts support this finding">{issue.confidence}</span>
+                                )}
                             </div>
                             {issue.frequency && (
-                                <div style={{ marginTop: '8px', fontSize: '13px' }}>Observed: {issue.frequency} times</div>
+                                <div style={{ marginTop: '8px', fontSize: '13px' }}>
+                                    Observed: {issue.frequency} times
+                                    {issue.batchCount > 0 && coverage && (
+                                        <span style={{ color: 'var(--text-tertiary)' }}>
+                                            {' '}• in {issue.batchCount} of {coverage.totalBatches} batches, {issue.evidenceCount} evidence quotes
+                                        </span>
+                                    )}
+                                </div>
                             )}
-                            {issue.evidence && (
+                            {issue.evidenceRefs?.length > 0 ? (
+                                <EvidenceList finding={issue} onOpen={onOpenConversation} />
+                            ) : issue.evidence && (
                                 <div style={{ marginTop: '8px', padding: '8px', background: 'var(--bg-secondary)', borderRadius: '4px', fontSize: '13px', fontStyle: 'italic' }}>
                                     "{issue.evidence}"
                                 </div>
                             )}
+                            {issue.details && (
+                                <div style={{ marginTop: '8px', fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                    {issue.details}
+                                </div>
+                            )}
                             {issue.caveat && (
                                 <div style={{ marginTop: '8px', fontSize: '12px', color: 'var(--color-warning-600)' }}>
                                     ⚠️ {issue.caveat}
@@ -1351,22 +2550,32 @@ function IssuesAndRecommendations({ analysis }) {
             {recommendations.length > 0 ? (
                 <div className="recommendation-list">
                     {recommendations.map((rec, i) => (
-                        <div key={i} className="recommendation-item">
+                        <div key={i} className="recommendation-item" {...findingProps(rec)}>
                             <div className="recommendation-header">
                                 <span className="recommendation-number">{rec.id || i + 1}</span>
                                 <span className="recommendation-title">{rec.title}</span>
                                 <span className={`badge ${rec.effort === 'low' ? 'badge-success' : rec.effort === 'high' ? 'badge-danger' : 'badge-warning'}`}>
                                     {rec.effort} effort
                                 </span>
+                                {rec.confidence && (
+                                    <span className="badge badge-neutral" title="How directly the transcripts support this recommendation">{rec.confidence}</span>
+                                )}
                             </div>
                             {rec.rationale && (
                                 <div style={{ marginTop: '8px', color: 'var(--text-secondary)' }}>{rec.rationale}</div>
                             )}
-                            {rec.evidence && (
+                            {rec.evidenceRefs?.length > 0 ? (
+                                <EvidenceList finding={rec} onOpen={onOpenConversation} />
+                            ) : rec.evidence && (
                                 <div style={{ marginTop: '8px', fontSize: '13px', color: 'var(--text-tertiary)' }}>
                                     Evidence: {rec.evidence}
                                 </div>
                             )}
+                            {rec.expectedOutcome && (
+                                <div style={{ marginTop: '8px', fontSize: '13px', color: 'var(--color-primary-600)' }}>
+                                    🎯 Expected outcome: {rec.expectedOutcome}
+                                </div>
+                            )}
                             {rec.action && (
                                 <div style={{ marginTop: '8px', padding: '8px', background: 'var(--bg-secondary)', borderRadius: '4px' }}>
                                     <strong>Action:</strong> {rec.action}
@@ -1391,9 +2600,11 @@ function IssuesAndRecommendations({ analysis }) {
                     <h3 className="section-title" style={{ marginTop: '32px' }}>👁️ Observations</h3>
                     <div className="recommendation-list">
                         {observations.patterns.map((obs, i) => (
-                            <div key={i} className="recommendation-item">
+                            <div key={i} className="recommendation-item" {...findingProps(obs)}>
                                 <div className="recommendation-title">{obs.observation}</div>
-                                {obs.evidence && (
+                                {obs.evidenceRefs?.length > 0 ? (
+                                    <EvidenceList finding={obs} onOpen={onOpenConversation} />
+                                ) : obs.evidence && (
                                     <div style={{ marginTop: '8px', fontSize: '13px', color: 'var(--text-tertiary)' }}>{obs.evidence}</div>
                                 )}
                                 {obs.businessRelevance && (
@@ -1410,6 +2621,56 @@ function IssuesAndRecommendations({ analysis }) {
     );
 }
 
+// Evidence List Component - cited quotes with their verification status, and free-text notes
+const EVIDENCE_BADGES = {
+    verified: { icon: '✓', color: 'var(--color-success-600)', label: 'Found in the cited message' },
+    relocated: { icon: '↪', color: 'var(--color-warning-600)', label: 'Found in the transcripts, but not in the cited message' },
+    unverified: { icon: '⚠️', color: 'var(--color-danger-600)', label: 'Not found in the transcripts - possibly hallucinated' },
+    note: { icon: '📝', color: 'var(--text-tertiary)', label: 'Description from the analysis, not a quote' },
+};
+
+function EvidenceList({ finding, onOpen }) {
+    return (
+        <div style={{ marginTop: '8px' }}>
+            {finding.evidenceStatus === 'unverified' && (
+                <div style={{ marginBottom: '6px', fontSize: '12px', color: 'var(--color-danger-600)' }}>
+                    ⚠️ None of the quoted evidence could be found in the transcripts. Treat this finding as possibly hallucinated.
+                </div>
+            )}
+            {finding.evidenceRefs.map((ref, i) => {
+                const badge = EVIDENCE_BADGES[ref.status] || EVIDENCE_BADGES.unverified;
+                const canOpen = ref.status !== 'unverified' && ref.sessionId;
+                return (
+                    <div
+                        key={i}
+                        onClick={canOpen ? (e) => {
+                            e.stopPropagation();
+                            onOpen?.({ sessionId: ref.sessionId, messageId: ref.messageId });
+                        } : undefined}
+                        title={badge.label}
+                        style={{
+                            display: 'flex', gap: '8px', alignItems: 'baseline',
+                            marginTop: i > 0 ? '4px' : 0, padding: '8px',
+                            background: 'var(--bg-secondary)', borderRadius: '4px', fontSize: '13px',
+                            cursor: canOpen ? 'pointer' : 'default',
+                        }}
+                    >
+                        <span style={{ color: badge.color, flexShrink: 0 }}>{badge.icon}</span>
+                        {ref.status === 'note' ? (
+                            <span style={{ flex: 1, color: 'var(--text-secondary)' }}>{ref.quote}</span>
+                        ) : (
+                            <span style={{ fontStyle: 'italic', flex: 1 }}>"{ref.quote}"</span>
+                        )}
+                        {canOpen && (
+                            <span style={{ fontSize: '12px', color: 'var(--color-primary-600)', flexShrink: 0 }}>View conversation →</span>
+                        )}
+                    </div>
+                );
+            })}
+        </div>
+    );
+}
+
 // Site Info Component - displays website info from Jina AI scraper
 function SiteInfo({ websiteContent, llmEnabled }) {
     if (!websiteContent?.success) {
@@ -1679,7 +2940,66 @@ function SiteInfo({ websiteContent, llmEnabled }) {
 }
 
 // User Insights Component - displays user behavior analysis
-function UserInsights({ userBehavior }) {
+// Per-intent volume, no-result rate and turn depth from the editable taxonomy
+function TaxonomyIntents({ report, onDrilldown }) {
+    const cellStyle = { padding: '10px 12px', verticalAlign: 'top' };
+    const rows = [...report.intents, ...(report.unclassified.count > 0 ? [report.unclassified] : [])];
+    const maxShare = Math.max(...rows.map(row => row.percentage), 1);
+
+    return (
+        <div style={{ marginBottom: '32px' }}>
+            <h4 style={{ marginBottom: '8px' }}>Intent Taxonomy</h4>
+            <p style={{ color: 'var(--text-tertiary)', fontSize: '13px', marginBottom: '16px' }}>
+                {report.classifiedTurns} of {report.totalTurns} user turns ({report.coverage}%) matched an intent.
+                Edit the intents under Analysis Configuration → Additional Business Context.
+            </p>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+                <thead>
+                    <tr style={{ background: 'var(--bg-secondary)', textAlign: 'left' }}>
+                        <th style={cellStyle}>Intent</th>
+                        <th style={{ ...cellStyle, width: '180px' }}>Turns</th>
+                        <th style={{ ...cellStyle, textAlign: 'center' }}>Sessions</th>
+                        <th style={{ ...cellStyle, textAlign: 'center' }} title="Turns the bot answered without results or products">No-result rate</th>
+                        <th style={{ ...cellStyle, textAlign: 'center' }} title="Average user turn number the intent comes up at">Avg turn</th>
+                        <th style={{ ...cellStyle, textAlign: 'center' }} title="Average user turns in sessions with this intent">Avg session turns</th>
+                        <th style={cellStyle}>Examples</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {rows.map(row => (
+                        <tr
+                            key={row.id}
+                            className={onDrilldown && row.count > 0 ? 'drillable' : ''}
+                            onClick={row.count > 0 ? drillTo(onDrilldown, 'taxonomyIntent', { id: row.id, name: row.name }) : undefined}
+                            style={{ borderBottom: '1px solid var(--border-secondary)', opacity: row.count > 0 ? 1 : 0.5 }}
+                        >
+                            <td style={{ ...cellStyle, fontWeight: 600, fontStyle: row === report.unclassified ? 'italic' : 'normal' }}>{row.name}</td>
+                            <td style={cellStyle}>
+                                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                                    <div style={{ flex: 1, height: '8px', background: 'var(--bg-tertiary)', borderRadius: '4px' }}>
+                                        <div style={{ width: `${(row.percentage / maxShare) * 100}%`, height: '100%', background: 'var(--color-primary-500)', borderRadius: '4px' }} />
+                                    </div>
+                                    <span style={{ whiteSpace: 'nowrap' }}>{row.count} ({row.percentage}%)</span>
+                                </div>
+                            </td>
+                            <td style={{ ...cellStyle, textAlign: 'center' }}>{row.sessions}</td>
+                            <td style={{ ...cellStyle, textAlign: 'center', color: row.noResultRate > 50 ? 'var(--color-danger-500)' : 'inherit' }}>
+                                {row.noResultRate !== null ? `${row.noResultRate}%` : '—'}
+                            </td>
+                            <td style={{ ...cellStyle, textAlign: 'center' }}>{row.avgTurn ?? '—'}</td>
+                            <td style={{ ...cellStyle, textAlign: 'center' }}>{row.avgSessionTurns ?? '—'}</td>
+                            <td style={{ ...cellStyle, fontSize: '13px', color: 'var(--text-secondary)' }}>
+                                {row.examples.slice(0, 3).map(example => `"${example}"`).join(', ')}
+                            </td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function UserInsights({ userBehavior, onOpenConversation, onDrilldown }) {
     if (!userBehavior) {
         return (
             <div>
@@ -1692,7 +3012,26 @@ function UserInsights({ userBehavior }) {
         );
     }
 
-    const { queryComplexity, repeatedQueries, intentCategories, insights } = userBehavior;
+    const { queryComplexity, repeatedQueries, intentCategories, taxonomyIntents, platformIntents, insights } = userBehavior;
+
+    const complexityData = [
+        { key: 'singleWord', name: 'Single Word', value: queryComplexity?.singleWord || 0, color: '#94a3b8' },
+        { key: 'simplePhrase', name: 'Simple Phrase', value: queryComplexity?.simplePhrase || 0, color: '#60a5fa' },
+        { key: 'advancedSearch', name: 'Advanced Search', value: queryComplexity?.advancedSearch || 0, color: '#34d399' },
+        { key: 'naturalLanguage', name: 'Natural Language', value: queryComplexity?.naturalLanguage || 0, color: '#a78bfa' },
+    ].filter(d => d.value > 0);
+
+    const intentData = [
+        { key: 'productSearch', name: 'Product Search', value: intentCategories?.productSearch || 0, color: '#6366f1' },
+        { key: 'locationQuery', name: 'Location Query', value: intentCategories?.locationQuery || 0, color: '#22d3ee' },
+        { key: 'categoryBrowse', name: 'Category Browse', value: intentCategories?.categoryBrowse || 0, color: '#f59e0b' },
+        { key: 'supportRequest', name: 'Support Request', value: intentCategories?.supportRequest || 0, color: '#ef4444' },
+    ].filter(d => d.value > 0);
+
+    // Recharts passes the clicked slice with its data entry as payload
+    const drillToSlice = (type, param) => onDrilldown
+        ? (slice) => onDrilldown(createDrilldown(type, { [param]: slice.payload?.key ?? slice.key }))
+        : undefined;
 
     return (
         <div>
@@ -1710,12 +3049,9 @@ function UserInsights({ userBehavior }) {
                         <ResponsiveContainer width="100%" height="100%">
                             <PieChart>
                                 <Pie
-                                    data={[
-                                        { name: 'Single Word', value: queryComplexity?.singleWord || 0, color: '#94a3b8' },
-                                        { name: 'Simple Phrase', value: queryComplexity?.simplePhrase || 0, color: '#60a5fa' },
-                                        { name: 'Advanced Search', value: queryComplexity?.advancedSearch || 0, color: '#34d399' },
-                                        { name: 'Natural Language', value: queryComplexity?.naturalLanguage || 0, color: '#a78bfa' },
-                                    ].filter(d => d.value > 0)}
+                                    data={complexityData}
+                                    onClick={drillToSlice('queryComplexity', 'kind')}
+                                    style={{ cursor: onDrilldown ? 'pointer' : 'default' }}
                                     cx="50%"
                                     cy="50%"
                                     innerRadius={50}
@@ -1725,12 +3061,7 @@ function UserInsights({ userBehavior }) {
                                     label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                                     labelLine={false}
                                 >
-                                    {[
-                                        { name: 'Single Word', value: queryComplexity?.singleWord || 0, color: '#94a3b8' },
-                                        { name: 'Simple Phrase', value: queryComplexity?.simplePhrase || 0, color: '#60a5fa' },
-                                        { name: 'Advanced Search', value: queryComplexity?.advancedSearch || 0, color: '#34d399' },
-                                        { name: 'Natural Language', value: queryComplexity?.naturalLanguage || 0, color: '#a78bfa' },
-                                    ].filter(d => d.value > 0).map((entry, index) => (
+                                    {complexityData.map((entry, index) => (
                                         <Cell key={`cell-${index}`} fill={entry.color} />
                                     ))}
                                 </Pie>
@@ -1741,22 +3072,22 @@ function UserInsights({ userBehavior }) {
                     {/* Metric Cards */}
                     <div style={{ flex: '1', minWidth: '280px' }}>
                         <div className="metrics-grid">
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryComplexity', { kind: 'singleWord' })}>
                                 <div className="metric-label">Single Word</div>
                                 <div className="metric-value">{queryComplexity?.singleWord || 0}</div>
                                 <div className="metric-trend">{queryComplexity?.percentages?.singleWord || 0}%</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryComplexity', { kind: 'simplePhrase' })}>
                                 <div className="metric-label">Simple Phrase</div>
                                 <div className="metric-value">{queryComplexity?.simplePhrase || 0}</div>
                                 <div className="metric-trend">{queryComplexity?.percentages?.simplePhrase || 0}%</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryComplexity', { kind: 'advancedSearch' })}>
                                 <div className="metric-label">Advanced Search</div>
                                 <div className="metric-value">{queryComplexity?.advancedSearch || 0}</div>
                                 <div className="metric-trend positive">{queryComplexity?.percentages?.advancedSearch || 0}%</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryComplexity', { kind: 'naturalLanguage' })}>
                                 <div className="metric-label">Natural Language</div>
                                 <div className="metric-value">{queryComplexity?.naturalLanguage || 0}</div>
                                 <div className="metric-trend positive">{queryComplexity?.percentages?.naturalLanguage || 0}%</div>
@@ -1797,12 +3128,9 @@ function UserInsights({ userBehavior }) {
                         <ResponsiveContainer width="100%" height="100%">
                             <PieChart>
                                 <Pie
-                                    data={[
-                                        { name: 'Product Search', value: intentCategories?.productSearch || 0, color: '#6366f1' },
-                                        { name: 'Location Query', value: intentCategories?.locationQuery || 0, color: '#22d3ee' },
-                                        { name: 'Category Browse', value: intentCategories?.categoryBrowse || 0, color: '#f59e0b' },
-                                        { name: 'Support Request', value: intentCategories?.supportRequest || 0, color: '#ef4444' },
-                                    ].filter(d => d.value > 0)}
+                                    data={intentData}
+                                    onClick={drillToSlice('queryIntent', 'category')}
+                                    style={{ cursor: onDrilldown ? 'pointer' : 'default' }}
                                     cx="50%"
                                     cy="50%"
                                     innerRadius={50}
@@ -1812,12 +3140,7 @@ function UserInsights({ userBehavior }) {
                                     label={({ name, percent }) => `${name} ${(percent * 100).toFixed(0)}%`}
                                     labelLine={false}
                                 >
-                                    {[
-                                        { name: 'Product Search', value: intentCategories?.productSearch || 0, color: '#6366f1' },
-                                        { name: 'Location Query', value: intentCategories?.locationQuery || 0, color: '#22d3ee' },
-                                        { name: 'Category Browse', value: intentCategories?.categoryBrowse || 0, color: '#f59e0b' },
-                                        { name: 'Support Request', value: intentCategories?.supportRequest || 0, color: '#ef4444' },
-                                    ].filter(d => d.value > 0).map((entry, index) => (
+                                    {intentData.map((entry, index) => (
                                         <Cell key={`cell-intent-${index}`} fill={entry.color} />
                                     ))}
                                 </Pie>
@@ -1828,19 +3151,19 @@ function UserInsights({ userBehavior }) {
                     {/* Metric Cards */}
                     <div style={{ flex: '1', minWidth: '280px' }}>
                         <div className="metrics-grid">
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryIntent', { category: 'productSearch' })}>
                                 <div className="metric-label">Product Search</div>
                                 <div className="metric-value">{intentCategories?.productSearch || 0}</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryIntent', { category: 'locationQuery' })}>
                                 <div className="metric-label">Location Query</div>
                                 <div className="metric-value">{intentCategories?.locationQuery || 0}</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryIntent', { category: 'categoryBrowse' })}>
                                 <div className="metric-label">Category Browse</div>
                                 <div className="metric-value">{intentCategories?.categoryBrowse || 0}</div>
                             </div>
-                            <div className="metric-card">
+                            <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'queryIntent', { category: 'supportRequest' })}>
                                 <div className="metric-label">Support Request</div>
                                 <div className="metric-value" style={{ color: intentCategories?.supportRequest > 0 ? 'var(--color-warning-500)' : 'inherit' }}>
                                     {intentCategories?.supportRequest || 0}
@@ -1851,12 +3174,55 @@ function UserInsights({ userBehavior }) {
                 </div>
             </div>
 
+            {/* Rule-based intents from the editable taxonomy */}
+            {taxonomyIntents && <TaxonomyIntents report={taxonomyIntents} onDrilldown={onDrilldown} />}
+
+            {/* Platform NLU Intents (imported from Dialogflow, Rasa, Botpress, ...) */}
+            {platformIntents?.total > 0 && (
+                <div style={{ marginBottom: '32px' }}>
+                    <h4 style={{ marginBottom: '16px' }}>Platform Intents</h4>
+                    <div className="metrics-grid" style={{ marginBottom: '16px' }}>
+                        <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'classifiedIntent')}>
+                            <div className="metric-label">Classified Queries</div>
+                            <div className="metric-value">{platformIntents.total}</div>
+                        </div>
+                        <div className="metric-card">
+                            <div className="metric-label">Distinct Intents</div>
+                            <div className="metric-value">{platformIntents.uniqueIntents}</div>
+                        </div>
+                        <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'lowConfidenceIntent')}>
+                            <div className="metric-label">Low Confidence</div>
+                            <div className="metric-value" style={{ color: platformIntents.lowConfidenceCount > 0 ? 'var(--color-warning-500)' : 'inherit' }}>
+                                {platformIntents.lowConfidenceCount}
+                            </div>
+                            <div className="metric-trend">below {platformIntents.lowConfidenceThreshold} confidence</div>
+                        </div>
+                    </div>
+                    <div style={{ padding: '16px', background: 'var(--bg-secondary)', borderRadius: '8px' }}>
+                        {platformIntents.intents.slice(0, 15).map((intent, i) => (
+                            <div
+                                key={i}
+                                className="drillable"
+                                onClick={drillTo(onDrilldown, 'platformIntent', { name: intent.name })}
+                                style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', padding: '6px 0', borderBottom: '1px solid var(--border-light)' }}
+                            >
+                                <span><strong>{intent.name}</strong></span>
+                                <span style={{ color: 'var(--text-tertiary)' }}>
+                                    {intent.count} ({intent.percentage}%)
+                                    {intent.avgConfidence !== null && <> • avg confidence {intent.avgConfidence}</>}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
             {/* Repeated Queries */}
             {repeatedQueries?.sessionsWithRepeats > 0 && (
                 <div style={{ marginBottom: '32px' }}>
                     <h4 style={{ marginBottom: '16px' }}>Repeated Queries</h4>
                     <div className="metrics-grid" style={{ marginBottom: '16px' }}>
-                        <div className="metric-card">
+                        <div className="metric-card drillable" onClick={drillTo(onDrilldown, 'repeatedQueries')}>
                             <div className="metric-label">Sessions with Repeats</div>
                             <div className="metric-value" style={{ color: 'var(--color-warning-500)' }}>{repeatedQueries.sessionsWithRepeats}</div>
                             <div className="metric-trend">{repeatedQueries.percentage}% of sessions</div>
@@ -1870,8 +3236,14 @@ function UserInsights({ userBehavior }) {
                         <div style={{ padding: '16px', background: 'var(--bg-secondary)', borderRadius: '8px' }}>
                             <div style={{ fontSize: '12px', color: 'var(--text-tertiary)', marginBottom: '12px' }}>Examples of Repeated Queries</div>
                             {repeatedQueries.examples.slice(0, 5).map((ex, i) => (
-                                <div key={i} style={{ fontSize: '13px', marginBottom: '8px', padding: '8px', background: 'var(--bg-primary)', borderRadius: '4px' }}>
+                                <div
+                                    key={i}
+                                    onClick={ex.sessionId ? () => onOpenConversation?.({ sessionId: String(ex.sessionId), messageId: null }) : undefined}
+                                    title={ex.sessionId ? 'Open this conversation' : undefined}
+                                    style={{ fontSize: '13px', marginBottom: '8px', padding: '8px', background: 'var(--bg-primary)', borderRadius: '4px', cursor: ex.sessionId ? 'pointer' : 'default' }}
+                                >
                                     <strong>"{ex.query}"</strong> - repeated {ex.count}x in session
+                                    {ex.sessionId && <span style={{ color: 'var(--color-primary-600)' }}> • View conversation →</span>}
                                 </div>
                             ))}
                         </div>
@@ -0,0 +1,242 @@
+import { useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { formatDate } from '../../utils/helpers';
+import { describeTimezone } from '../../utils/timezone';
+import './RunComparison.css';
+
+const DIRECTION_LABELS = {
+    improved: { icon: '▲', className: 'improved', title: 'Improved' },
+    regressed: { icon: '▼', className: 'regressed', title: 'Regressed' },
+    changed: { icon: '●', className: 'changed', title: 'Changed' },
+    unchanged: { icon: '=', className: 'unchanged', title: 'Unchanged' },
+};
+
+const SEVERITY_CHANGE_LABELS = {
+    worse: '↑ more severe',
+    better: '↓ less severe',
+};
+
+function formatValue(value, unit) {
+    if (unit === 'percent') return `${value.toFixed(1)}%`;
+    if (unit === 'number') return value.toFixed(2);
+    return Math.round(value).toLocaleString();
+}
+
+function formatDelta(delta, unit) {
+    const sign = delta > 0 ? '+' : delta < 0 ? '−' : '±';
+    const magnitude = Math.abs(delta);
+    if (unit === 'percent') return `${sign}${magnitude.toFixed(1)} pts`;
+    if (unit === 'number') return `${sign}${magnitude.toFixed(2)}`;
+    return `${sign}${Math.round(magnitude).toLocaleString()}`;
+}
+
+function describeLlm(llm) {
+    return llm ? `${llm.provider} · ${llm.model} · ${llm.analysisMode}` : 'Rule-based only';
+}
+
+/**
+ * Diff report for two saved analyses (see compareAnalyses)
+ */
+export default function RunComparison({ comparison, onClose }) {
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    const { baseline, current, metrics, complexityMix, timePatterns, issues } = comparison;
+    const groups = [...new Set(metrics.map(metric => metric.group))];
+
+    return (
+        <div className="run-comparison-overlay" onClick={onClose}>
+            <div className="run-comparison" onClick={(e) => e.stopPropagation()}>
+                <div className="run-comparison-header">
+                    <h3 className="run-comparison-title">⚖️ Run Comparison</h3>
+                    <button className="btn btn-ghost" onClick={onClose}>✕</button>
+                </div>
+
+                <div className="run-comparison-body">
+                    <div className="run-comparison-runs">
+                        {[['Baseline', baseline], ['Current', current]].map(([role, run]) => (
+                            <div key={role} className="run-comparison-run">
+                                <span className="run-comparison-run-role">{role}</span>
+                                <strong>{run.name}</strong>
+                                <span>
+                                    {run.createdAt ? formatDate(run.createdAt) : 'Unknown date'} · {run.transcriptCount} sessions · {describeLlm(run.llm)}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+
+                    {comparison.sameTranscripts && (
+                        <div className="run-comparison-note">
+                            ℹ️ Both runs analyzed the same transcripts, so rule-based metrics are identical. Differences come from the LLM configuration.
+                        </div>
+                    )}
+
+                    {baseline.timeZone !== current.timeZone && (
+                        <div className="run-comparison-note">
+                            ⚠️ The runs bucket time patterns in different timezones ({describeTimezone(baseline.timeZone)} vs. {describeTimezone(current.timeZone)}), so hour and day shifts are partly a timezone effect.
+                        </div>
+                    )}
+
+                    {/* Rule-based metrics */}
+                    <section>
+                        <h4 className="run-comparison-section-title">📊 Metrics</h4>
+                        <table className="run-comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>Metric</th>
+                                    <th>Baseline</th>
+                                    <th>Current</th>
+                                    <th>Change</th>
+                                </tr>
+                            </thead>
+                            {groups.map(group => (
+                                <tbody key={group}>
+                                    <tr className="run-comparison-group-row">
+                                        <td colSpan={4}>{group}</td>
+                                    </tr>
+                                    {metrics.filter(metric => metric.group === group).map(metric => {
+                                        const direction = DIRECTION_LABELS[metric.direction];
+                                        return (
+                                            <tr key={metric.id}>
+                                                <td>{metric.label}</td>
+                                                <td>{formatValue(metric.baseline, metric.unit)}</td>
+                                                <td>{formatValue(metric.current, metric.unit)}</td>
+                                                <td className={`run-comparison-delta ${direction.className}`} title={direction.title}>
+                                                    {direction.icon} {formatDelta(metric.delta, metric.unit)}
+                                                </td>
+                                            </tr>
+                                        );
+                                    })}
+                                </tbody>
+                            ))}
+                        </table>
+                    </section>
+
+                    {/* Query complexity mix */}
+                    <section>
+                        <h4 className="run-comparison-section-title">🧠 Query Complexity Mix</h4>
+                        <table className="run-comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>Complexity</th>
+                                    <th>Baseline</th>
+                                    <th>Current</th>
+                                    <th>Change</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {complexityMix.map(row => (
+                                    <tr key={row.key}>
+                                        <td>{row.label}</td>
+                                        <td>{formatValue(row.baseline, 'percent')}</td>
+                                        <td>{formatValue(row.current, 'percent')}</td>
+                                        <td className="run-comparison-delta">{formatDelta(row.delta, 'percent')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+
+                    {/* Time patterns */}
+                    <section>
+                        <h4 className="run-comparison-section-title">⏰ Time Patterns</h4>
+                        <div className="run-comparison-busiest">
+                            <span>
+                                Busiest hour: <strong>{timePatterns.busiestHour.baseline || '—'}</strong> → <strong>{timePatterns.busiestHour.current || '—'}</strong>
+                            </span>
+                            <span>
+                                Busiest day: <strong>{timePatterns.busiestDay.baseline || '—'}</strong> → <strong>{timePatterns.busiestDay.current || '—'}</strong>
+                            </span>
+                        </div>
+                        {timePatterns.largestHourShifts.length > 0 && (
+                            <p className="run-comparison-caption">
+                                Largest shifts: {timePatterns.largestHourShifts
+                                    .map(row => `${String(row.hour).padStart(2, '0')}:00 ${formatDelta(row.delta, 'percent')}`)
+                                    .join(', ')}
+                            </p>
+                        )}
+                        <div style={{ width: '100%', height: 220 }}>
+                            <ResponsiveContainer>
+                                <BarChart data={timePatterns.hourly}>
+                                    <XAxis dataKey="hour" tick={{ fontSize: 11 }} />
+                                    <YAxis unit="%" tick={{ fontSize: 11 }} />
+                                    <Tooltip formatter={(value) => `${value.toFixed(1)}% of sessions`} labelFormatter={(hour) => `${hour}:00`} />
+                                    <Legend />
+                                    <Bar dataKey="baseline" name="Baseline" fill="#94a3b8" />
+                                    <Bar dataKey="current" name="Current" fill="#6366f1" />
+                                </BarChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <table className="run-comparison-table">
+                            <thead>
+                                <tr>
+                                    <th>Day</th>
+                                    <th>Baseline</th>
+                                    <th>Current</th>
+                                    <th>Change</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {timePatterns.daily.map(row => (
+                                    <tr key={row.day}>
+                                        <td>{row.day}</td>
+                                        <td>{formatValue(row.baseline, 'percent')}</td>
+                                        <td>{formatValue(row.current, 'percent')}</td>
+                                        <td className="run-comparison-delta">{formatDelta(row.delta, 'percent')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+
+                    {/* LLM issues */}
+                    <section>
+                        <h4 className="run-comparison-section-title">⚠️ Issues</h4>
+                        {!comparison.llmCompared ? (
+                            <p className="run-comparison-caption">
+                                Issue tracking needs LLM analysis in both runs.
+                            </p>
+                        ) : (
+                            <div className="run-comparison-issues">
+                                <IssueColumn title="🆕 New" className="new" items={issues.new.map(issue => ({ issue }))} />
+                                <IssueColumn title="🔁 Persisting" className="persisting" items={issues.persisting.map(pair => ({
+                                    issue: pair.current,
+                                    note: SEVERITY_CHANGE_LABELS[pair.severityChange],
+                                    previous: pair.baseline.issue !== pair.current.issue ? pair.baseline.issue : null,
+                                }))} />
+                                <IssueColumn title="✅ Resolved" className="resolved" items={issues.resolved.map(issue => ({ issue }))} />
+                            </div>
+                        )}
+                    </section>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function IssueColumn({ title, className, items }) {
+    return (
+        <div className={`run-comparison-issue-column ${className}`}>
+            <h5>{title} ({items.length})</h5>
+            {items.length === 0 ? (
+                <p className="run-comparison-caption">None</p>
+            ) : (
+                items.map(({ issue, note, previous }, i) => (
+                    <div key={i} className="run-comparison-issue">
+                        <div className="run-comparison-issue-text">
+                            {issue.issue}
+                            {issue.severity && <span className="badge badge-neutral">{issue.severity}</span>}
+                        </div>
+                        {previous && <div className="run-comparison-caption">Was: {previous}</div>}
+                        {note && <div className="run-comparison-caption">{note}</div>}
+                    </div>
+                ))
+            )}
+        </div>
+    );
+}
@@ -1,5 +1,6 @@
-import { createContext, useContext, useReducer, useEffect } from 'react';
+import { createContext, useContext, useReducer, useEffect, useRef } from 'react';
 import { STORAGE_KEYS, LLM_PROVIDERS } from '../utils/constants';
+import { DEFAULT_INTENT_TAXONOMY } from '../services/analyzer/intentTaxonomy';
 
 // Initial state
 const initialState = {
@@ -12,6 +13,7 @@ const initialState = {
         model: 'gpt-4o',
         apiKey: '',
         isConnected: false,
+        analysisMode: 'mapReduce',
     },
 
     // Files
@@ -24,16 +26,22 @@ const initialState = {
         businessModel: 'b2c',
         industry: '',
         geography: '',
+        timezone: '', // IANA timezone for time patterns; empty = derive from geography
         additionalContext: '',
         websiteContent: null, // Scraped website content
     },
 
+    // Intents used to classify user turns without an LLM (edited in IntentTaxonomyEditor)
+    intentTaxonomy: DEFAULT_INTENT_TAXONOMY,
+
     // Analysis state
     analysis: {
         isRunning: false,
         currentStage: null,
         progress: 0,
         error: null,
+        // Problems behind a structured LLM error (invalid JSON, schema mismatch)
+        errorDetails: null,
     },
 
     // Results
@@ -50,6 +58,7 @@ const ActionTypes = {
     SET_UPLOADED_FILES: 'SET_UPLOADED_FILES',
     SET_PARSED_TRANSCRIPTS: 'SET_PARSED_TRANSCRIPTS',
     SET_BUSINESS_CONTEXT: 'SET_BUSINESS_CONTEXT',
+    SET_INTENT_TAXONOMY: 'SET_INTENT_TAXONOMY',
     SET_ANALYSIS_STATE: 'SET_ANALYSIS_STATE',
     SET_RESULTS: 'SET_RESULTS',
     SET_ACTIVE_TAB: 'SET_ACTIVE_TAB',
@@ -74,6 +83,9 @@ function appReducer(state, action) {
         case ActionTypes.SET_BUSINESS_CONTEXT:
             return { ...state, businessContext: { ...state.businessContext, ...action.payload } };
 
+        case ActionTypes.SET_INTENT_TAXONOMY:
+            return { ...state, intentTaxonomy: action.payload };
+
         case ActionTypes.SET_ANALYSIS_STATE:
             return { ...state, analysis: { ...state.analysis, ...action.payload } };
 
@@ -124,6 +136,17 @@ export function AppProvider({ children }) {
                 }
             }
 
+            // Intent taxonomy
+            const savedTaxonomy = localStorage.getItem(STORAGE_KEYS.intentTaxonomy);
+            if (savedTaxonomy) {
+                try {
+                    const parsed = JSON.parse(savedTaxonomy);
+                    if (Array.isArray(parsed) && parsed.length > 0) initial.intentTaxonomy = parsed;
+                } catch (e) {
+                    console.error('Failed to parse saved intent taxonomy:', e);
+                }
+            }
+
             // Clear session data on page load for fresh start
             sessionStorage.removeItem(STORAGE_KEYS.results);
             sessionStorage.removeItem(STORAGE_KEYS.transcripts);
@@ -132,6 +155,9 @@ export function AppProvider({ children }) {
         return initial;
     });
 
+    // AbortController of the running analysis (not state - it never renders)
+    const analysisControllerRef = useRef(null);
+
     // Apply theme to document
     useEffect(() => {
         document.documentElement.setAttribute('data-theme', state.theme);
@@ -143,9 +169,19 @@ export function AppProvider({ children }) {
         const configToSave = {
             provider: state.llmConfig.provider,
             model: state.llmConfig.model,
+            analysisMode: state.llmConfig.analysisMode,
         };
         localStorage.setItem(STORAGE_KEYS.llmConfig, JSON.stringify(configToSave));
-    }, [state.llmConfig.provider, state.llmConfig.model]);
+    }, [state.llmConfig.provider, state.llmConfig.model, state.llmConfig.analysisMode]);
+
+    // Save the intent taxonomy only once it differs from the default, so default updates still reach untouched setups
+    useEffect(() => {
+        if (state.intentTaxonomy === DEFAULT_INTENT_TAXONOMY) {
+            localStorage.removeItem(STORAGE_KEYS.intentTaxonomy);
+        } else {
+            localStorage.setItem(STORAGE_KEYS.intentTaxonomy, JSON.stringify(state.intentTaxonomy));
+        }
+    }, [state.intentTaxonomy]);
 
     // Save results to sessionStorage (survives HMR refresh)
     useEffect(() => {
@@ -199,11 +235,25 @@ export function AppProvider({ children }) {
 
         setBusinessContext: (context) => dispatch({ type: ActionTypes.SET_BUSINESS_CONTEXT, payload: context }),
 
+        setIntentTaxonomy: (taxonomy) => dispatch({ type: ActionTypes.SET_INTENT_TAXONOMY, payload: taxonomy }),
+
         setAnalysisState: (analysisState) => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: analysisState }),
-        startAnalysis: () => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: true, progress: 0, error: null } }),
+        // Returns the AbortSignal the run should pass to runAnalysis
+        startAnalysis: () => {
+            analysisControllerRef.current?.abort();
+            analysisControllerRef.current = new AbortController();
+            dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: true, progress: 0, error: null, errorDetails: null } });
+            return analysisControllerRef.current.signal;
+        },
+        // Abort the running analysis and return to the configured state (transcripts are kept)
+        cancelAnalysis: () => {
+            analysisControllerRef.current?.abort();
+            analysisControllerRef.current = null;
+            dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: false, currentStage: null, progress: 0, error: null, errorDetails: null } });
+        },
         updateProgress: (stage, progress) => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { currentStage: stage, progress } }),
         finishAnalysis: () => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: false, progress: 100 } }),
-        setAnalysisError: (error) => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: false, error } }),
+        setAnalysisError: (error, errorDetails = null) => dispatch({ type: ActionTypes.SET_ANALYSIS_STATE, payload: { isRunning: false, error, errorDetails } }),
 
         setResults: (results) => dispatch({ type: ActionTypes.SET_RESULTS, payload: results }),
 
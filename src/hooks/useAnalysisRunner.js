@@ -0,0 +1,82 @@
+import { useApp } from '../context/AppContext';
+import { runAnalysis } from '../services/analyzer/analysisEngine';
+import llmService from '../services/llm/llmService';
+import { saveAnalysis } from '../services/history/historyStore';
+import { withLabeledQueries } from '../services/analyzer/intentTaxonomy';
+import { getAcceptedLabels } from '../services/labeling/labelStore';
+import { toVerifiedExamples } from '../services/labeling/queryLabeler';
+
+/**
+ * Runs the analysis pipeline with the current configuration and stores the results
+ * Used by the dashboard (all transcripts) and by drill-downs (a session subset)
+ */
+export function useAnalysisRunner() {
+    const { state, actions } = useApp();
+    const { llmConfig, parsedTranscripts, businessContext, intentTaxonomy, results: currentResults } = state;
+
+    const isLLMConfigured = !!(llmConfig.isConnected && llmConfig.apiKey);
+
+    /**
+     * @param {Object} options
+     * @param {Array} options.transcripts - Sessions to analyze (defaults to all parsed transcripts)
+     * @param {Object} options.scope - { label, sessionCount, totalSessions, sessionIds } when analyzing a subset;
+     *   the current results are kept as parentResults so the report can go back to them
+     */
+    const run = async ({ transcripts = parsedTranscripts, scope = null } = {}) => {
+        const signal = actions.startAnalysis();
+
+        try {
+            // Configure LLM service
+            llmService.configure(llmConfig.provider, llmConfig.model, llmConfig.apiKey);
+
+            // Reviewed query labels sharpen both the rule-based intents and the LLM prompts
+            const acceptedLabels = getAcceptedLabels();
+
+            const results = await runAnalysis({
+                transcripts,
+                websiteUrl: businessContext.websiteUrl,
+                businessModel: businessContext.businessModel,
+                businessContext: {
+                    industry: businessContext.industry,
+                    geography: businessContext.geography,
+                    timezone: businessContext.timezone,
+                    additionalContext: businessContext.additionalContext,
+                    websiteContent: businessContext.websiteContent,
+                    verifiedLabels: toVerifiedExamples(acceptedLabels, intentTaxonomy),
+                },
+                // Pass LLM config - analysis will skip LLM if not configured
+                llmConfig: isLLMConfigured ? llmConfig : null,
+                intentTaxonomy: withLabeledQueries(intentTaxonomy, acceptedLabels),
+                onProgress: (stage, progress) => {
+                    if (!signal.aborted) actions.updateProgress(stage, progress);
+                },
+                signal,
+            });
+
+            if (signal.aborted) return;
+            if (scope) {
+                results.scope = scope;
+                results.parentResults = currentResults;
+            }
+            actions.setResults(results);
+            actions.finishAnalysis();
+
+            // History is best-effort: a failed save must not fail the run
+            saveAnalysis({
+                results,
+                transcripts,
+                businessContext,
+                llm: isLLMConfigured
+                    ? { provider: llmConfig.provider, model: llmConfig.model, analysisMode: llmConfig.analysisMode }
+                    : null,
+            }).catch(error => console.warn('⚠️ Failed to save analysis to history:', error));
+        } catch (error) {
+            // Cancelled runs were already reset by cancelAnalysis
+            if (signal.aborted) return;
+            console.error('Analysis failed:', error);
+            actions.setAnalysisError(error.message, error.details?.length ? error.details : null);
+        }
+    };
+
+    return { runAnalysis: run, isLLMConfigured };
+}
@@ -5,9 +5,16 @@
  */
 
 import llmService from '../llm/llmService';
+import { ANALYSIS_RESULT_SCHEMA } from '../llm/analysisSchema';
 import { getFullAnalysisPrompt } from '../../utils/prompts';
-import { sleep } from '../../utils/helpers';
-import { extractRuleBasedMetrics, extractUserBehavior } from './ruleBasedAnalyzer';
+import { runRuleBasedAnalysis } from './analysisWorkerClient';
+import { runMapReduceAnalysis } from './mapReduce';
+import { runStagedAnalysis } from './stagedPipeline';
+import { linkEvidence } from './evidenceLinker';
+import { addClosestCategories } from './ruleBasedAnalyzer';
+import { DEFAULT_INTENT_TAXONOMY } from './intentTaxonomy';
+import { getSiteCategories } from '../scraper/websiteScraperService';
+import { resolveTimezone } from '../../utils/timezone';
 
 /**
  * Run the complete analysis pipeline
@@ -20,9 +27,14 @@ export async function runAnalysis(config) {
         businessModel,
         businessContext,
         llmConfig,  // Optional - if not provided, skip LLM analysis
+        intentTaxonomy,  // Optional - intents for rule-based turn classification (default taxonomy if omitted)
         onProgress,
+        signal,     // Optional AbortSignal to cancel the run
     } = config;
 
+    // Time patterns are bucketed in the business's timezone, not the browser's
+    const { timeZone, source: timeZoneSource } = resolveTimezone(businessContext);
+
     const results = {
         timestamp: new Date().toISOString(),
         transcriptCount: transcripts.length,
@@ -30,22 +42,27 @@ export async function runAnalysis(config) {
         businessModel,
         businessContext,
         llmEnabled: !!llmConfig,
+        timeZone,
+        timeZoneSource,
+        // Kept so drill-downs classify turns with the taxonomy the report was built with
+        intentTaxonomy: intentTaxonomy || DEFAULT_INTENT_TAXONOMY,
     };
 
     try {
-        // Stage 1: Parsing (already done, just update progress)
-        onProgress?.('parsing', 10);
-        await sleep(300);
-
-        // Stage 2: Rule-based metrics extraction (FREE - no LLM needed)
-        onProgress?.('metrics', 25);
-        const ruleBasedMetrics = extractRuleBasedMetrics(transcripts);
+        // Stage 1: Parsing (already done at upload time)
+        onProgress?.('parsing', 5);
+
+        // Stage 2: Rule-based metrics + user behavior (FREE - no LLM needed)
+        // Runs in a Web Worker; progress maps onto 5-45%
+        const { ruleBasedMetrics, userBehavior } = await runRuleBasedAnalysis(transcripts, {
+            signal,
+            timeZone,
+            intentTaxonomy: results.intentTaxonomy,
+            onProgress: (percent) => onProgress?.('metrics', 5 + percent * 0.4),
+        });
         console.log('✅ Rule-based metrics extracted:', ruleBasedMetrics);
-
-        // Stage 2b: User behavior analysis
-        onProgress?.('behavior', 35);
-        const userBehavior = extractUserBehavior(transcripts);
         console.log('✅ User behavior analyzed:', userBehavior);
+        signal?.throwIfAborted();
 
         // Stage 3: LLM Analysis (optional - only if LLM is configured)
         let llmAnalysis = null;
@@ -57,30 +74,59 @@ export async function runAnalysis(config) {
             // Configure LLM service
             llmService.configure(llmConfig.provider, llmConfig.model, llmConfig.apiKey);
 
-            const prompt = getFullAnalysisPrompt(
-                transcripts,
-                websiteUrl,
-                businessModel,
-                businessContext
-            );
-
-            onProgress?.('scoring', 70);
-
-            const response = await llmService.complete(prompt, {
-                maxTokens: 8000,
-                temperature: 0.2,
-            });
-
-            onProgress?.('friction', 85);
-
-            llmAnalysis = llmService.parseJsonResponse(response);
+            if (llmConfig.analysisMode === 'staged') {
+                // One prompt per ANALYSIS_STAGES step; stages map onto 50-95%
+                llmAnalysis = await runStagedAnalysis({
+                    transcripts,
+                    websiteUrl,
+                    businessModel,
+                    businessContext,
+                    sentiment: ruleBasedMetrics.sentiment,
+                    signal,
+                    onStage: (stage, fraction) => onProgress?.(stage, 50 + fraction * 45),
+                });
+            } else if (llmConfig.analysisMode === 'mapReduce') {
+                // Every transcript, batched to the model context; batches map onto 50-90%
+                llmAnalysis = await runMapReduceAnalysis({
+                    transcripts,
+                    websiteUrl,
+                    businessModel,
+                    businessContext,
+                    llmConfig,
+                    sentiment: ruleBasedMetrics.sentiment,
+                    signal,
+                    onBatchProgress: (done, total) => onProgress?.('friction', 50 + (done / total) * 40),
+                });
+            } else {
+                const prompt = getFullAnalysisPrompt(
+                    transcripts,
+                    websiteUrl,
+                    businessModel,
+                    businessContext,
+                    ruleBasedMetrics.sentiment
+                );
+
+                onProgress?.('scoring', 70);
+
+                llmAnalysis = await llmService.completeJson(prompt, {
+                    schema: ANALYSIS_RESULT_SCHEMA,
+                    maxTokens: 8000,
+                    temperature: 0.2,
+                    signal,
+                });
+
+                onProgress?.('friction', 85);
+            }
+            // Tie cited quotes back to transcript messages and flag ones we cannot find
+            llmAnalysis = linkEvidence(llmAnalysis, transcripts);
             console.log('✅ LLM analysis received:', llmAnalysis);
         } else {
             console.log('ℹ️ LLM not configured - skipping AI analysis, using rule-based metrics only');
             onProgress?.('scoring', 70);
         }
 
-        onProgress?.('recommendations', 95);
+        signal?.throwIfAborted();
+        onProgress?.('report', 95);
 
         // Merge rule-based metrics with LLM analysis
         // Rule-based data takes priority for data tabs
@@ -90,13 +136,28 @@ export async function runAnalysis(config) {
             potentialIssues: llmAnalysis?.potentialIssues || [],
             recommendations: llmAnalysis?.recommendations || [],
             observations: llmAnalysis?.observations || {},
+            // Which sessions the LLM saw (map-reduce mode only)
+            llmCoverage: llmAnalysis?.coverage || null,
+            // How many cited quotes were found in the transcripts
+            evidenceSummary: llmAnalysis?.evidenceSummary || null,
+
+            // Staged pipeline output (Intents, Prompt Tuning, Training tabs)
+            intentAnalysis: llmAnalysis?.intentAnalysis || null,
+            promptOptimization: llmAnalysis?.promptOptimization || null,
+            trainingRecommendations: llmAnalysis?.trainingRecommendations || null,
+            executiveSummary: llmAnalysis?.executiveSummary || null,
+            healthMetrics: llmAnalysis?.healthMetrics || null,
+            llmStageErrors: llmAnalysis?.stageErrors || [],
 
             // Rule-based data (Session Overview tab)
             sessionOverview: {
                 totalSessions: ruleBasedMetrics.sessionOverview.totalSessions,
                 dateRange: ruleBasedMetrics.sessionOverview.dateRange,
                 turnAnalysis: ruleBasedMetrics.turnAnalysis,
+                dropOffFunnel: ruleBasedMetrics.dropOffFunnel,
                 timePatterns: ruleBasedMetrics.timePatterns,
+                timeSeries: ruleBasedMetrics.timeSeries,
+                timing: ruleBasedMetrics.timing,
             },
 
             // Rule-based data (Query Analysis tab)
@@ -107,6 +168,8 @@ export async function runAnalysis(config) {
                 queryLengthAnalysis: ruleBasedMetrics.queryAnalysis.queryLengthAnalysis,
                 // Top full queries (for "Top Searched Queries" section)
                 topSearchedQueries: ruleBasedMetrics.queryAnalysis.allUniqueQueries.slice(0, 15),
+                // Queries grouped by meaning
+                clusters: ruleBasedMetrics.queryClusters,
             },
 
             // Rule-based data (Bot Responses tab)
@@ -120,6 +183,18 @@ export async function runAnalysis(config) {
             // User behavior analysis (User Insights tab)
             userBehavior,
 
+            // Rule-based turn-to-turn paths (Conversation Flow tab)
+            conversationFlow: ruleBasedMetrics.conversationFlow,
+
+            // Lexicon sentiment and frustration per user turn (Sentiment tab)
+            sentiment: ruleBasedMetrics.sentiment,
+
+            // Queries that came back empty, matched to site categories (Zero Results tab)
+            zeroResultQueries: addClosestCategories(
+                ruleBasedMetrics.zeroResultQueries,
+                getSiteCategories(businessContext?.websiteContent)
+            ),
+
             // Rule-based product data (kept for internal use)
             productInsights: ruleBasedMetrics.productInsights,
 
@@ -137,6 +212,10 @@ export async function runAnalysis(config) {
 
         return results;
     } catch (error) {
+        if (error?.name === 'AbortError') {
+            console.log('⏹️ Analysis cancelled');
+            throw error;
+        }
         console.error('Analysis failed:', error);
         results.success = false;
         results.error = error.message;
@@ -0,0 +1,57 @@
+/**
+ * Analysis Jobs
+ * CPU-heavy work (file parsing, rule-based analysis) packaged as jobs that run
+ * inside the analysis Web Worker, or on the main thread when workers are unavailable
+ */
+
+import { parseUploadedFiles, normalizeTranscripts } from '../parser/transcriptParser';
+import { extractRuleBasedMetrics, extractUserBehavior } from './ruleBasedAnalyzer';
+
+/**
+ * Parse uploaded files and normalize the transcripts
+ * Per-file transcripts are dropped from the file summaries so only the
+ * normalized transcripts cross the worker boundary
+ * @returns {Promise<{files: Array, transcripts: Array}>}
+ */
+export async function parseFilesJob(files, { resolveColumnMapping, onFileProgress, signal } = {}) {
+    const parsed = await parseUploadedFiles(files, { resolveColumnMapping, onFileProgress, signal });
+    signal?.throwIfAborted();
+
+    return {
+        files: parsed.map(({ filename, format, transcripts, error }) => ({
+            filename,
+            format,
+            error,
+            transcriptCount: transcripts.length,
+        })),
+        transcripts: normalizeTranscripts(parsed),
+    };
+}
+
+/**
+ * Compute rule-based metrics and user behavior
+ * onProgress(percent) reports 0-100 across both steps; timeZone sets time bucketing;
+ * intentTaxonomy classifies user turns (the default taxonomy when omitted)
+ * @returns {Promise<{ruleBasedMetrics: Object, userBehavior: Object}>}
+ */
+export async function ruleBasedAnalysisJob(transcripts, { onProgress, signal, timeZone, intentTaxonomy } = {}) {
+    const ruleBasedMetrics = extractRuleBasedMetrics(transcripts, {
+        timeZone,
+        intentTaxonomy: intentTaxonomy || undefined,
+        onProgress: (fraction) => onProgress?.(fraction * 80),
+    });
+    await yieldToEventLoop();
+    signal?.throwIfAborted();
+
+    const userBehavior = extractUserBehavior(transcripts, { intentTaxonomy: intentTaxonomy || undefined });
+    onProgress?.(100);
+
+    return { ruleBasedMetrics, userBehavior };
+}
+
+/**
+ * Let pending messages (e.g. cancellation) be handled between steps
+ */
+function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
@@ -0,0 +1,143 @@
+/**
+ * Analysis Worker Client
+ * Promise-based wrapper around the analysis Web Worker. Falls back to running
+ * the same jobs on the main thread when Web Workers are unavailable.
+ */
+
+import { parseFilesJob, ruleBasedAnalysisJob } from './analysisJobs';
+
+let worker = null;
+let workerUnavailable = false;
+let nextJobId = 1;
+const jobs = new Map();
+
+/**
+ * Parse uploaded files off the main thread
+ * @param {File[]} files
+ * @param {object} options - { resolveColumnMapping, onFileProgress(filename, percent), signal }
+ * @returns {Promise<{files: Array, transcripts: Array}>}
+ */
+export function parseFiles(files, { resolveColumnMapping, onFileProgress, signal } = {}) {
+    const fallback = () => parseFilesJob(files, { resolveColumnMapping, onFileProgress, signal });
+
+    return runInWorker({ type: 'parse', files }, {
+        signal,
+        fallback,
+        onProgress: ({ filename, progress }) => onFileProgress?.(filename, progress),
+        onColumnMappingRequest: resolveColumnMapping,
+    });
+}
+
+/**
+ * Run rule-based metrics and user behavior analysis off the main thread
+ * @param {Array} transcripts - normalized transcripts
+ * @param {object} options - { onProgress(percent), signal, timeZone, intentTaxonomy }
+ * @returns {Promise<{ruleBasedMetrics: Object, userBehavior: Object}>}
+ */
+export function runRuleBasedAnalysis(transcripts, { onProgress, signal, timeZone, intentTaxonomy } = {}) {
+    const fallback = () => ruleBasedAnalysisJob(transcripts, { onProgress, signal, timeZone, intentTaxonomy });
+
+    return runInWorker({ type: 'analyze', transcripts, timeZone, intentTaxonomy }, {
+        signal,
+        fallback,
+        onProgress: ({ progress }) => onProgress?.(progress),
+    });
+}
+
+/**
+ * Post a job and settle with its result
+ * Aborting the signal rejects immediately and tells the worker to stop
+ */
+function runInWorker(message, { signal, fallback, onProgress, onColumnMappingRequest }) {
+    const activeWorker = getWorker();
+    if (!activeWorker) {
+        return fallback();
+    }
+
+    signal?.throwIfAborted();
+
+    const id = nextJobId++;
+
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            activeWorker.postMessage({ type: 'cancel', id });
+            settle();
+            reject(signal.reason);
+        };
+
+        const settle = () => {
+            jobs.delete(id);
+            signal?.removeEventListener('abort', onAbort);
+        };
+
+        jobs.set(id, {
+            onProgress,
+            onColumnMappingRequest: async (request) => {
+                const mapping = await onColumnMappingRequest?.(request);
+                activeWorker.postMessage({ type: 'columnMapping', id, mapping: mapping ?? null });
+            },
+            resolve: (result) => { settle(); resolve(result); },
+            reject: (error) => { settle(); reject(error); },
+        });
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+        activeWorker.postMessage({ id, ...message });
+    });
+}
+
+/**
+ * Lazily create the shared worker instance
+ */
+function getWorker() {
+    if (worker || workerUnavailable) return worker;
+
+    if (typeof Worker === 'undefined') {
+        workerUnavailable = true;
+        return null;
+    }
+
+    try {
+        worker = new Worker(new URL('../../workers/analysisWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = handleWorkerMessage;
+        worker.onerror = (event) => {
+            console.error('❌ Analysis worker crashed:', event.message);
+            // Fail every in-flight job; a new worker is created for the next one
+            for (const job of jobs.values()) {
+                job.reject(new Error(event.message || 'Analysis worker failed'));
+            }
+            worker.terminate();
+            worker = null;
+        };
+    } catch (error) {
+        console.warn('⚠️ Web Worker unavailable, analysis will run on the main thread:', error);
+        workerUnavailable = true;
+    }
+
+    return worker;
+}
+
+function handleWorkerMessage(event) {
+    const { type, id } = event.data;
+    const job = jobs.get(id);
+    if (!job) return; // Cancelled jobs may still report back
+
+    switch (type) {
+        case 'progress':
+            job.onProgress?.(event.data);
+            break;
+        case 'columnMappingRequest':
+            job.onColumnMappingRequest(event.data.request);
+            break;
+        case 'result':
+            job.resolve(event.data.result);
+            break;
+        case 'error':
+            job.reject(new Error(event.data.error));
+            break;
+        case 'cancelled':
+            job.reject(new DOMException('Analysis cancelled', 'AbortError'));
+            break;
+        default:
+            break;
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Evidence Linker
+ * Resolves the evidence cited by LLM findings to transcript messages and
+ * checks that each quote actually appears in the parsed transcripts
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const EVIDENCE_STATUS = {
+    verified: 'verified',       // Quote found in the cited message/session
+    relocated: 'relocated',     // Quote found, but not where it was cited
+    unverified: 'unverified',   // Quote not found anywhere - possibly hallucinated
+    note: 'note',               // Free-text evidence, not a quote - nothing to verify
+};
+
+// Quotes shorter than this match too easily to count as evidence
+const MIN_QUOTE_LENGTH = 3;
+
+// ============================================================================
+// LINKING
+// ============================================================================
+
+/**
+ * Attach evidenceRefs and evidenceStatus to every issue, recommendation and
+ * observation pattern in an LLM analysis
+ * @returns {Object} a copy of llmAnalysis with linked evidence and an evidenceSummary
+ */
+export function linkEvidence(llmAnalysis, transcripts) {
+    if (!llmAnalysis) return llmAnalysis;
+
+    const index = buildTranscriptIndex(transcripts);
+    const summary = { findings: 0, citations: 0, verified: 0, relocated: 0, unverified: 0, notes: 0 };
+
+    const link = (findings) => (findings || []).map(finding => {
+        const linked = linkFinding(finding, index);
+        summary.findings++;
+        for (const ref of linked.evidenceRefs) {
+            if (ref.status === EVIDENCE_STATUS.note) {
+                summary.notes++;
+            } else {
+                summary.citations++;
+                summary[ref.status]++;
+            }
+        }
+        return linked;
+    });
+
+    return {
+        ...llmAnalysis,
+        potentialIssues: link(llmAnalysis.potentialIssues),
+        recommendations: link(llmAnalysis.recommendations),
+        observations: {
+            ...llmAnalysis.observations,
+            patterns: link(llmAnalysis.observations?.patterns),
+        },
+        evidenceSummary: summary,
+    };
+}
+
+/**
+ * Resolve one finding's evidence
+ * evidence may be { sessionId, messageId, quote } objects, which are verified, or
+ * free-text strings, which are kept as notes since they don't claim to be quotes
+ */
+function linkFinding(finding, index) {
+    const refs = toCitations(finding?.evidence)
+        .map(citation => citation.status === EVIDENCE_STATUS.note ? citation : verifyCitation(citation, index));
+
+    const quotes = refs.filter(ref => ref.status !== EVIDENCE_STATUS.note);
+    const found = quotes.filter(ref => ref.status !== EVIDENCE_STATUS.unverified).length;
+    let evidenceStatus = null;
+    if (quotes.length > 0) {
+        if (found === quotes.length) evidenceStatus = EVIDENCE_STATUS.verified;
+        else if (found === 0) evidenceStatus = EVIDENCE_STATUS.unverified;
+        else evidenceStatus = 'partial';
+    } else if (refs.length > 0) {
+        evidenceStatus = EVIDENCE_STATUS.note;
+    }
+
+    return {
+        ...finding,
+        // Plain-text form for exports and older views
+        evidence: refs.length > 0 ? refs.map(ref => ref.quote).join('; ') : finding?.evidence || '',
+        evidenceRefs: refs,
+        evidenceStatus,
+    };
+}
+
+function toCitations(evidence) {
+    const list = Array.isArray(evidence) ? evidence : evidence ? [evidence] : [];
+
+    return list
+        .map(item => {
+            if (typeof item === 'string') {
+                return { sessionId: null, messageId: null, quote: item, status: EVIDENCE_STATUS.note };
+            }
+            if (item && typeof item === 'object' && item.quote != null) {
+                return {
+                    sessionId: item.sessionId ?? item.session_id ?? item.transcriptId ?? null,
+                    messageId: item.messageId ?? item.message_id ?? null,
+                    quote: String(item.quote),
+                };
+            }
+            return null;
+        })
+        .filter(citation => citation && citation.quote.trim().length > 0);
+}
+
+/**
+ * Check a citation against the transcripts
+ * Looks in the cited message, then the cited session, then everywhere
+ */
+function verifyCitation(citation, index) {
+    const needle = normalizeQuote(citation.quote);
+    const sessionId = citation.sessionId != null ? String(citation.sessionId) : null;
+    const messageId = citation.messageId != null ? String(citation.messageId) : null;
+    const ref = { ...citation, sessionId, messageId, status: EVIDENCE_STATUS.unverified };
+
+    if (needle.length < MIN_QUOTE_LENGTH) return ref;
+
+    const session = sessionId ? index.get(sessionId) : null;
+    if (session) {
+        const cited = messageId ? session.messages.find(message => message.id === messageId) : null;
+        if (cited && containsQuote(cited.text, needle)) {
+            return { ...ref, status: EVIDENCE_STATUS.verified };
+        }
+
+        const inSession = session.messages.find(message => containsQuote(message.text, needle));
+        if (inSession) {
+            // A session-only citation is as precise as the LLM was asked to be
+            const status = messageId ? EVIDENCE_STATUS.relocated : EVIDENCE_STATUS.verified;
+            return { ...ref, messageId: inSession.id, status };
+        }
+    }
+
+    for (const [id, candidate] of index) {
+        const match = candidate.messages.find(message => containsQuote(message.text, needle));
+        if (match) {
+            // Uncited plain-text quotes are verified by being found at all
+            const status = sessionId ? EVIDENCE_STATUS.relocated : EVIDENCE_STATUS.verified;
+            return { ...ref, sessionId: id, messageId: match.id, status };
+        }
+    }
+
+    return ref;
+}
+
+// ============================================================================
+// TEXT MATCHING
+// ============================================================================
+
+function buildTranscriptIndex(transcripts) {
+    const index = new Map();
+    for (const transcript of transcripts || []) {
+        index.set(String(transcript.id), {
+            messages: (transcript.messages || []).map(message => ({
+                id: message.id,
+                text: normalizeText(message.content),
+            })),
+        });
+    }
+    return index;
+}
+
+function normalizeText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalize a quote the way LLMs tend to decorate them:
+ * surrounding quotes, "USER:" style prefixes
+ */
+function normalizeQuote(quote) {
+    return normalizeText(quote)
+        .replace(/^(user|bot|ai|assistant|agent)\s*:\s*/, '')
+        .replace(/^["']+|["']+$/g, '')
+        .trim();
+}
+
+/**
+ * A quote matches when it appears in the message; elided quotes ("a ... b")
+ * match when every part appears in order
+ */
+function containsQuote(text, needle) {
+    if (text.includes(needle)) return true;
+
+    const parts = needle.split(/\s*(?:\.\.\.|…)\s*/).filter(Boolean);
+    if (parts.length < 2) return false;
+
+    let position = 0;
+    for (const part of parts) {
+        const found = text.indexOf(part, position);
+        if (found < 0) return false;
+        position = found + part.length;
+    }
+    return true;
+}
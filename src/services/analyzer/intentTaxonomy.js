@@ -0,0 +1,277 @@
+/**
+ * Intent Taxonomy
+ * User-editable intents (keywords, regex patterns and example utterances) used to
+ * classify every user turn without an LLM. Taxonomies are plain JSON so they can be
+ * saved in localStorage, sent to the analysis worker and stored with the results.
+ * Queries analysts labeled in the review queue are added as labeledQueries (see withLabeledQueries).
+ */
+
+import { lemmatize, tokenizeQuery } from './queryClustering';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const UNCLASSIFIED_INTENT = { id: 'unclassified', name: 'Unclassified' };
+
+// Score a single signal adds; the highest-scoring intent wins, ties go to the earlier intent
+// A query an analyst labeled always gets its label
+const LABEL_SCORE = 10;
+const PATTERN_SCORE = 3;
+const KEYWORD_SCORE = 2;
+const EXAMPLE_SCORE = 2;
+
+// Word overlap with an example utterance needed to count as a match
+export const EXAMPLE_MATCH_THRESHOLD = 0.6;
+
+/**
+ * Default taxonomy, covering the intent categories the LLM analysis reports on
+ * Keywords match whole words (plurals included); patterns are case-insensitive regexes
+ */
+export const DEFAULT_INTENT_TAXONOMY = [
+    {
+        id: 'productDiscovery',
+        name: 'Product Discovery',
+        keywords: ['looking for', 'recommend', 'suggest', 'show me', 'do you have', 'best', 'options', 'ideas', 'gift'],
+        patterns: ['\\b(searching|shopping) for\\b', '\\bwhat (kind|type)s? of\\b'],
+        examples: ['I am looking for running shoes', 'do you have red dresses', 'gift ideas for my dad'],
+    },
+    {
+        id: 'productDetails',
+        name: 'Product Details',
+        keywords: ['size', 'color', 'colour', 'material', 'dimension', 'spec', 'specification', 'feature', 'ingredient', 'made of', 'weight'],
+        patterns: ['\\b(what|which) (size|color|colour|material)s?\\b', '\\bdetails? (of|on|about)\\b'],
+        examples: ['what sizes does this come in', 'is it made of cotton', 'what are the dimensions'],
+    },
+    {
+        id: 'availabilityDelivery',
+        name: 'Availability & Delivery',
+        keywords: ['in stock', 'out of stock', 'available', 'availability', 'shipping', 'delivery', 'deliver', 'pickup', 'pick up'],
+        patterns: ['\\b(when|how long)\\b.*\\b(arrive|deliver|ship)', '\\bnear me\\b'],
+        examples: ['is this in stock', 'how long does delivery take', 'can I pick it up in store'],
+    },
+    {
+        id: 'pricingOffers',
+        name: 'Pricing & Offers',
+        keywords: ['price', 'cost', 'discount', 'coupon', 'promo', 'sale', 'deal', 'offer', 'cheap', 'cheaper', 'budget', 'affordable'],
+        patterns: ['\\$\\s?\\d+', '\\b(under|below|less than) \\$?\\d+', '\\bhow much\\b'],
+        examples: ['how much is this', 'do you have any discount codes', 'laptops under $500'],
+    },
+    {
+        id: 'returnsWarranty',
+        name: 'Returns & Warranty',
+        keywords: ['return', 'refund', 'exchange', 'warranty', 'guarantee', 'damaged', 'defective'],
+        patterns: ['\\b(send|take) (it |this )?back\\b'],
+        examples: ['how do I return an item', 'what is your refund policy', 'is there a warranty'],
+    },
+    {
+        id: 'supportHelp',
+        name: 'Support & Help',
+        keywords: ['help', 'issue', 'problem', 'error', 'not working', 'broken', 'complaint', 'human', 'agent', 'contact'],
+        patterns: ["\\b(can'?t|cannot|unable to)\\b", '\\b(talk|speak) to (a |an )?(human|person|agent|someone)\\b'],
+        examples: ['I need help with my account', 'the checkout is not working', 'can I talk to a person'],
+    },
+    {
+        id: 'orderStatus',
+        name: 'Order Status',
+        keywords: ['order status', 'my order', 'tracking', 'track', 'shipped', 'order number'],
+        patterns: ['\\bwhere is my (order|package|parcel|delivery)\\b', '\\border\\s*#?\\s*\\d{4,}'],
+        examples: ['where is my order', 'has my order shipped', 'track my package'],
+    },
+    {
+        id: 'compatibility',
+        name: 'Compatibility',
+        keywords: ['compatible', 'compatibility', 'work with', 'fit'],
+        patterns: ['\\b(works?|fits?) (with|on|in)\\b', '\\bcompatib'],
+        examples: ['will this work with my iPhone', 'does it fit a queen bed', 'is this compatible with Windows'],
+    },
+    {
+        id: 'bulkB2b',
+        name: 'Bulk/B2B Inquiries',
+        keywords: ['bulk', 'wholesale', 'quote', 'business account', 'invoice', 'tax exempt', 'volume pricing'],
+        patterns: ['\\b\\d{2,}\\s*(units|pcs|pieces|cases|boxes)\\b'],
+        examples: ['do you offer bulk pricing', 'I need a quote for 200 units', 'can I open a business account'],
+    },
+    {
+        id: 'generalQuestions',
+        name: 'General Questions',
+        keywords: ['opening hours', 'store hours', 'about', 'policy', 'who are you'],
+        patterns: ['^(hi|hello|hey|thanks?|thank you)\\b', '\\bare you (a )?(bot|robot|human)\\b'],
+        examples: ['hello', 'what are your opening hours', 'are you a bot'],
+    },
+];
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+/**
+ * New empty intent with an id unique within the taxonomy
+ */
+export function createIntent(taxonomy, name = 'New intent') {
+    const base = name.replace(/[^a-z0-9]+/gi, ' ').trim().split(' ')
+        .map((word, i) => (i === 0 ? word.toLowerCase() : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()))
+        .join('') || 'intent';
+    const ids = new Set(taxonomy.map(intent => intent.id));
+    let id = base;
+    for (let n = 2; ids.has(id) || id === UNCLASSIFIED_INTENT.id; n++) id = `${base}${n}`;
+    return { id, name, keywords: [], patterns: [], examples: [] };
+}
+
+/**
+ * Problems that would make a taxonomy classify badly or not at all
+ * @returns {Array<{ intentId: string|null, field: string|null, message: string }>}
+ */
+export function validateTaxonomy(taxonomy) {
+    const errors = [];
+    if (!Array.isArray(taxonomy) || taxonomy.length === 0) {
+        return [{ intentId: null, field: null, message: 'Add at least one intent' }];
+    }
+
+    const names = new Set();
+    for (const intent of taxonomy) {
+        const name = intent.name?.trim();
+        if (!name) {
+            errors.push({ intentId: intent.id, field: 'name', message: 'Intent needs a name' });
+        } else if (names.has(name.toLowerCase())) {
+            errors.push({ intentId: intent.id, field: 'name', message: `"${name}" is used by another intent` });
+        }
+        names.add(name?.toLowerCase());
+
+        for (const pattern of intent.patterns || []) {
+            try {
+                new RegExp(pattern, 'i');
+            } catch (e) {
+                errors.push({ intentId: intent.id, field: 'patterns', message: `Invalid regex ${pattern}: ${e.message}` });
+            }
+        }
+
+        if (!intent.keywords?.length && !intent.patterns?.length && !intent.examples?.length) {
+            errors.push({ intentId: intent.id, field: null, message: `"${name || intent.id}" has no keywords, patterns or examples and will never match` });
+        }
+    }
+    return errors;
+}
+
+/**
+ * Copy of a taxonomy with reviewed query labels attached to their intents
+ * Labeled queries match exactly and also act as example utterances for similar queries;
+ * labels for intents no longer in the taxonomy are ignored
+ * @param {Array<{ query: string, intentId: string }>} labels - Accepted labels
+ */
+export function withLabeledQueries(taxonomy, labels) {
+    if (!labels?.length) return taxonomy;
+    return taxonomy.map(intent => {
+        const labeledQueries = labels.filter(label => label.intentId === intent.id).map(label => label.query);
+        return labeledQueries.length > 0 ? { ...intent, labeledQueries } : intent;
+    });
+}
+
+// ============================================================================
+// CLASSIFICATION
+// ============================================================================
+
+/**
+ * Lowercase, lemmatized words of a text, stopwords kept so phrases like "do you have" still match
+ */
+function toWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}']+/u)
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(Boolean)
+        .map(lemmatize);
+}
+
+function containsPhrase(words, phrase) {
+    if (phrase.length === 0 || phrase.length > words.length) return false;
+    for (let i = 0; i <= words.length - phrase.length; i++) {
+        if (phrase.every((word, k) => words[i + k] === word)) return true;
+    }
+    return false;
+}
+
+function setSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / Math.sqrt(a.size * b.size);
+}
+
+const compiledTaxonomies = new WeakMap();
+
+/**
+ * Pre-process a taxonomy for classification; invalid patterns are skipped
+ * Compiled taxonomies are cached per taxonomy object
+ */
+export function compileTaxonomy(taxonomy) {
+    if (compiledTaxonomies.has(taxonomy)) return compiledTaxonomies.get(taxonomy);
+
+    const compiled = taxonomy.map(intent => ({
+        id: intent.id,
+        name: intent.name,
+        keywords: (intent.keywords || []).map(toWords).filter(words => words.length > 0),
+        patterns: (intent.patterns || []).flatMap(pattern => {
+            try {
+                return [new RegExp(pattern, 'i')];
+            } catch (e) {
+                return [];
+            }
+        }),
+        examples: [...(intent.examples || []), ...(intent.labeledQueries || [])]
+            .map(example => new Set(tokenizeQuery(example)))
+            .filter(tokens => tokens.size > 0),
+        labeled: new Set((intent.labeledQueries || []).map(query => query.trim().toLowerCase())),
+    }));
+    compiledTaxonomies.set(taxonomy, compiled);
+    return compiled;
+}
+
+/**
+ * Best-matching intent of a user query
+ * @param {string} query
+ * @param {Array} taxonomy - Intent definitions (see DEFAULT_INTENT_TAXONOMY)
+ * @returns {{ id, name, score, matchedBy: 'label'|'pattern'|'keyword'|'example' } | null} - null when nothing matches
+ */
+export function classifyIntent(query, taxonomy) {
+    const words = toWords(query);
+    if (words.length === 0) return null;
+    const tokens = new Set(tokenizeQuery(query));
+    const compiled = compileTaxonomy(taxonomy);
+
+    const key = String(query).trim().toLowerCase();
+    const labeled = compiled.find(intent => intent.labeled.has(key));
+    if (labeled) {
+        return { id: labeled.id, name: labeled.name, score: LABEL_SCORE, matchedBy: 'label' };
+    }
+
+    let best = null;
+    for (const intent of compiled) {
+        let score = 0;
+        let matchedBy = null;
+
+        if (intent.patterns.some(pattern => pattern.test(query))) {
+            score += PATTERN_SCORE;
+            matchedBy = 'pattern';
+        }
+
+        const keywordHits = intent.keywords.filter(phrase => containsPhrase(words, phrase)).length;
+        if (keywordHits > 0) {
+            score += KEYWORD_SCORE * keywordHits;
+            matchedBy = matchedBy || 'keyword';
+        }
+
+        const similarity = Math.max(0, ...intent.examples.map(example => setSimilarity(tokens, example)));
+        if (similarity >= EXAMPLE_MATCH_THRESHOLD) {
+            score += EXAMPLE_SCORE * similarity;
+            matchedBy = matchedBy || 'example';
+        }
+
+        if (score > 0 && (!best || score > best.score)) {
+            best = { id: intent.id, name: intent.name, score: parseFloat(score.toFixed(2)), matchedBy };
+        }
+    }
+    return best;
+}
@@ -0,0 +1,336 @@
+/**
+ * Map-Reduce LLM Analysis
+ * Splits all transcripts into batches that fit the model's context window,
+ * analyzes each batch, then merges issues, recommendations and observations
+ * across batches with deduplication and aggregated evidence counts
+ */
+
+import llmService from '../llm/llmService';
+import { ANALYSIS_RESULT_SCHEMA } from '../llm/analysisSchema';
+import { getBatchAnalysisPrompt } from '../../utils/prompts';
+import { estimateTokens } from '../../utils/helpers';
+import { LLM_PROVIDERS } from '../../utils/constants';
+
+const RESERVED_OUTPUT_TOKENS = 8000;
+// Typical length of a batch response, for cost estimates (RESERVED_OUTPUT_TOKENS is the ceiling)
+const ESTIMATED_BATCH_OUTPUT_TOKENS = 4000;
+// estimateTokens is a rough chars/4 heuristic, so leave headroom
+const CONTEXT_USAGE_RATIO = 0.8;
+const MIN_BATCH_TOKENS = 2000;
+// Jaccard similarity of title words above which two findings are the same one
+const SIMILARITY_THRESHOLD = 0.5;
+const MAX_EVIDENCE_EXAMPLES = 5;
+
+const SEVERITY_RANK = { high: 3, medium: 2, low: 1 };
+const CONFIDENCE_RANK = { observed: 3, inferred: 2, assumed: 1 };
+
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'with', 'that', 'this', 'from', 'into',
+    'when', 'which', 'their', 'they', 'have', 'has', 'was', 'were', 'been', 'can',
+    'users', 'user', 'bot', 'chatbot', 'queries', 'query', 'sessions', 'session',
+]);
+
+// ============================================================================
+// BATCHING
+// ============================================================================
+
+/**
+ * Context window (in tokens) of the configured model
+ */
+export function getModelContextTokens(provider, model) {
+    const models = LLM_PROVIDERS[provider]?.models || [];
+    return models.find(m => m.id === model)?.maxTokens || 128000;
+}
+
+/**
+ * Greedily pack transcripts into batches whose estimated size stays within budget
+ * A single transcript larger than the budget gets a batch of its own
+ */
+export function createTranscriptBatches(transcripts, tokenBudget) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const transcript of transcripts) {
+        // Same serialization as the prompt uses
+        const tokens = estimateTokens(JSON.stringify(transcript, null, 2));
+
+        if (current.length > 0 && currentTokens + tokens > tokenBudget) {
+            batches.push(current);
+            current = [];
+            currentTokens = 0;
+        }
+
+        current.push(transcript);
+        currentTokens += tokens;
+    }
+
+    if (current.length > 0) {
+        batches.push(current);
+    }
+
+    return batches;
+}
+
+/**
+ * Tokens each batch prompt needs besides its transcripts, and what is left for transcripts
+ */
+function getBatchTokenBudget({ transcripts, websiteUrl, businessModel, businessContext, llmConfig, sentiment }) {
+    const contextTokens = getModelContextTokens(llmConfig.provider, llmConfig.model);
+    const overheadTokens = estimateTokens(getBatchAnalysisPrompt(
+        [],
+        { index: 1, total: 1, totalTranscripts: transcripts.length },
+        websiteUrl,
+        businessModel,
+        businessContext,
+        sentiment
+    ));
+    const tokenBudget = Math.floor(contextTokens * CONTEXT_USAGE_RATIO) - RESERVED_OUTPUT_TOKENS - overheadTokens;
+    return { overheadTokens, tokenBudget };
+}
+
+/**
+ * Estimate the tokens a map-reduce run will use: every batch repeats the prompt
+ * overhead and gets its own response
+ * @returns {{ batches: number, inputTokens: number, outputTokens: number }}
+ */
+export function estimateMapReduceTokens({ transcripts, websiteUrl, businessModel, businessContext, llmConfig }) {
+    const { overheadTokens, tokenBudget } = getBatchTokenBudget({ transcripts, websiteUrl, businessModel, businessContext, llmConfig });
+    const batches = createTranscriptBatches(transcripts, Math.max(tokenBudget, MIN_BATCH_TOKENS)).length;
+    const transcriptTokens = transcripts.reduce((sum, transcript) => sum + estimateTokens(JSON.stringify(transcript, null, 2)), 0);
+
+    return {
+        batches,
+        inputTokens: batches * overheadTokens + transcriptTokens,
+        outputTokens: batches * ESTIMATED_BATCH_OUTPUT_TOKENS,
+    };
+}
+
+// ============================================================================
+// MAP: ANALYZE EACH BATCH
+// ============================================================================
+
+/**
+ * Analyze every transcript in batches and merge the results
+ * onBatchProgress(completedBatches, totalBatches) is called after each batch
+ * sentiment is the rule-based sentiment metrics, passed on to every batch prompt
+ * @returns {Promise<Object>} merged { potentialIssues, recommendations, observations, coverage }
+ */
+export async function runMapReduceAnalysis({
+    transcripts,
+    websiteUrl,
+    businessModel,
+    businessContext,
+    llmConfig,
+    sentiment = null,
+    onBatchProgress,
+    signal,
+}) {
+    const { tokenBudget } = getBatchTokenBudget({ transcripts, websiteUrl, businessModel, businessContext, llmConfig, sentiment });
+
+    if (tokenBudget < MIN_BATCH_TOKENS) {
+        throw new Error('Business context is too large to leave room for transcripts in the model context window');
+    }
+
+    const batches = createTranscriptBatches(transcripts, tokenBudget);
+    console.log(`🧩 Map-reduce analysis: ${transcripts.length} transcripts in ${batches.length} batches (~${tokenBudget} tokens each)`);
+
+    const batchAnalyses = [];
+    let failedBatches = 0;
+    let sessionsAnalyzed = 0;
+    let lastError = null;
+
+    for (const [index, batch] of batches.entries()) {
+        signal?.throwIfAborted();
+
+        const prompt = getBatchAnalysisPrompt(
+            batch,
+            { index: index + 1, total: batches.length, totalTranscripts: transcripts.length },
+            websiteUrl,
+            businessModel,
+            businessContext,
+            sentiment
+        );
+
+        try {
+            batchAnalyses.push(await llmService.completeJson(prompt, {
+                schema: ANALYSIS_RESULT_SCHEMA,
+                maxTokens: RESERVED_OUTPUT_TOKENS,
+                temperature: 0.2,
+                signal,
+            }));
+            sessionsAnalyzed += batch.length;
+        } catch (error) {
+            if (error?.name === 'AbortError') throw error;
+            // One bad batch should not sink the whole run
+            console.warn(`⚠️ Batch ${index + 1}/${batches.length} failed:`, error.message);
+            failedBatches++;
+            lastError = error;
+        }
+
+        onBatchProgress?.(index + 1, batches.length);
+    }
+
+    if (batchAnalyses.length === 0) {
+        throw lastError || new Error('All analysis batches failed');
+    }
+
+    return {
+        ...mergeBatchAnalyses(batchAnalyses),
+        coverage: {
+            mode: 'mapReduce',
+            totalBatches: batches.length,
+            failedBatches,
+            sessionsAnalyzed,
+            totalSessions: transcripts.length,
+        },
+    };
+}
+
+// ============================================================================
+// REDUCE: MERGE BATCH RESULTS
+// ============================================================================
+
+/**
+ * Merge per-batch analyses, deduplicating similar findings
+ */
+export function mergeBatchAnalyses(batchAnalyses) {
+    const issues = [];
+    const recommendations = [];
+    const patterns = [];
+    const anomalies = [];
+
+    batchAnalyses.forEach((analysis, batchIndex) => {
+        for (const issue of analysis?.potentialIssues || []) {
+            mergeFinding(issues, issue, issue.issue, batchIndex, (existing) => {
+                if ((SEVERITY_RANK[issue.severity] || 0) > (SEVERITY_RANK[existing.severity] || 0)) {
+                    existing.severity = issue.severity;
+                }
+            });
+        }
+        for (const rec of analysis?.recommendations || []) {
+            mergeFinding(recommendations, rec, rec.title, batchIndex);
+        }
+        for (const pattern of analysis?.observations?.patterns || []) {
+            mergeFinding(patterns, pattern, pattern.observation, batchIndex);
+        }
+        for (const anomaly of analysis?.observations?.anomalies || []) {
+            mergeFinding(anomalies, anomaly, anomaly.anomaly, batchIndex);
+        }
+    });
+
+    const byEvidence = (a, b) => b.batchCount - a.batchCount || b.evidenceCount - a.evidenceCount;
+
+    // Evidence stays a list of citations; linkEvidence resolves it afterwards
+    const withEvidence = finding => ({ ...finding, evidence: finding.evidenceExamples });
+
+    return {
+        potentialIssues: issues
+            .map(finalizeFinding)
+            .map(withEvidence)
+            .sort((a, b) => (SEVERITY_RANK[b.severity] || 0) - (SEVERITY_RANK[a.severity] || 0) || byEvidence(a, b)),
+        recommendations: recommendations
+            .map(finalizeFinding)
+            .sort(byEvidence)
+            .map((rec, i) => ({ ...withEvidence(rec), id: i + 1 })),
+        observations: {
+            patterns: patterns
+                .map(finalizeFinding)
+                .sort(byEvidence)
+                .map(withEvidence),
+            anomalies: anomalies.map(finalizeFinding),
+        },
+    };
+}
+
+/**
+ * Add a finding to the merged list, or fold it into a similar existing one
+ */
+function mergeFinding(merged, finding, title, batchIndex, onMerge) {
+    if (!finding || !title) return;
+
+    const tokens = tokenize(title);
+    const evidence = toEvidenceList(finding.evidence);
+    const occurrences = toCount(finding.occurrences ?? finding.frequency, evidence.length);
+
+    const existing = merged.find(item => similarity(item.tokens, tokens) >= SIMILARITY_THRESHOLD);
+    if (!existing) {
+        merged.push({
+            ...finding,
+            tokens,
+            batches: new Set([batchIndex]),
+            occurrences,
+            evidenceCount: evidence.length,
+            evidenceExamples: evidence.slice(0, MAX_EVIDENCE_EXAMPLES),
+        });
+        return;
+    }
+
+    existing.batches.add(batchIndex);
+    existing.occurrences += occurrences;
+    existing.evidenceCount += evidence.length;
+    for (const citation of evidence) {
+        if (existing.evidenceExamples.length >= MAX_EVIDENCE_EXAMPLES) break;
+        if (!existing.evidenceExamples.some(example => quoteOf(example) === quoteOf(citation))) {
+            existing.evidenceExamples.push(citation);
+        }
+    }
+    // Keep the strongest confidence label any batch gave
+    if ((CONFIDENCE_RANK[finding.confidence] || 0) > (CONFIDENCE_RANK[existing.confidence] || 0)) {
+        existing.confidence = finding.confidence;
+    }
+    onMerge?.(existing);
+}
+
+/**
+ * Drop merge bookkeeping and expose aggregated counts
+ */
+function finalizeFinding(merged) {
+    const finding = { ...merged, frequency: merged.occurrences, batchCount: merged.batches.size };
+    delete finding.tokens;
+    delete finding.batches;
+    delete finding.occurrences;
+    return finding;
+}
+
+/**
+ * Evidence items are quote strings or { sessionId, messageId, quote } citations
+ */
+function toEvidenceList(evidence) {
+    const list = Array.isArray(evidence) ? evidence : [evidence];
+    return list.filter(item => item && (typeof item === 'string' || typeof item === 'object'));
+}
+
+function quoteOf(citation) {
+    return typeof citation === 'string' ? citation : String(citation.quote ?? '');
+}
+
+/**
+ * Parse counts like 3, "3" or "3 times"; fall back to the evidence count
+ */
+function toCount(value, fallback) {
+    const count = parseInt(value, 10);
+    return Number.isFinite(count) && count > 0 ? count : Math.max(fallback, 1);
+}
+
+function tokenize(text) {
+    return new Set(
+        String(text)
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    );
+}
+
+/**
+ * Jaccard similarity of two token sets (0-1)
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
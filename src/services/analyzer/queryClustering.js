@@ -0,0 +1,279 @@
+/**
+ * Query Clustering
+ * Groups user queries by meaning rather than exact text: queries are lemmatized,
+ * weighted with TF-IDF and greedily clustered by cosine similarity.
+ * Runs entirely in the browser with no model download.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Cosine similarity to a cluster centroid needed to join it
+// High enough that "dress" and "red dress" stay apart, while "red dress" and "dress in red" merge
+export const CLUSTER_SIMILARITY_THRESHOLD = 0.75;
+
+// Clusters returned, largest first
+const MAX_CLUSTERS = 50;
+const SAMPLE_QUERIES_PER_CLUSTER = 5;
+const TOP_TERMS_PER_CLUSTER = 3;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'the', 'is', 'are', 'was', 'were', 'be', 'for', 'of', 'to', 'in', 'on', 'at', 'by',
+    'with', 'i', 'me', 'my', 'you', 'your', 'it', 'its', 'and', 'or', 'but', 'do', 'does', 'can',
+    'will', 'what', 'how', 'where', 'when', 'which', 'any', 'have', 'has', 'some', 'that', 'this',
+    'please', 'show', 'find', 'looking', 'look', 'want', 'need', 'get', 'there', 'im', "i'm", 'am',
+]);
+
+// Plurals the suffix rules get wrong
+const IRREGULAR_LEMMAS = {
+    men: 'man',
+    women: 'woman',
+    children: 'child',
+    kids: 'kid',
+    feet: 'foot',
+    teeth: 'tooth',
+    mice: 'mouse',
+    people: 'person',
+    knives: 'knife',
+    wives: 'wife',
+    leaves: 'leaf',
+    shelves: 'shelf',
+};
+
+// Words ending in "s" that are not plurals
+const SINGULAR_S_WORDS = new Set([
+    'dress', 'glass', 'grass', 'class', 'boss', 'gas', 'bus', 'plus', 'yes', 'this', 'is', 'was',
+    'jeans', 'pants', 'shorts', 'leggings', 'sunglasses', 'scissors', 'news', 'series', 'species',
+]);
+
+// ============================================================================
+// LEMMATIZATION
+// ============================================================================
+
+/**
+ * Reduce a lowercase word to its singular form
+ */
+export function lemmatize(word) {
+    if (IRREGULAR_LEMMAS[word]) return IRREGULAR_LEMMAS[word];
+    if (word.length <= 3 || SINGULAR_S_WORDS.has(word) || !word.endsWith('s')) return word;
+    if (/[^aeiou]ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ss|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (/(ss|us|is)$/.test(word)) return word;
+    // "womens" -> "women" -> "woman"
+    const singular = word.slice(0, -1);
+    return IRREGULAR_LEMMAS[singular] || singular;
+}
+
+/**
+ * Lemmatized content words of a query
+ */
+export function tokenizeQuery(query) {
+    return String(query || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s'-]/gu, ' ')
+        .split(/[\s-]+/)
+        .map(word => word.replace(/^'+|'+$/g, ''))
+        .filter(word => word && !STOPWORDS.has(word))
+        .map(lemmatize);
+}
+
+// ============================================================================
+// TF-IDF
+// ============================================================================
+
+/**
+ * Unit-length TF-IDF vector (Map term -> weight) of a token list
+ */
+function toVector(tokens, idf) {
+    const vector = new Map();
+    for (const token of tokens) {
+        vector.set(token, (vector.get(token) || 0) + idf.get(token));
+    }
+    const norm = Math.sqrt([...vector.values()].reduce((sum, w) => sum + w * w, 0));
+    if (norm > 0) {
+        for (const [token, weight] of vector) vector.set(token, weight / norm);
+    }
+    return vector;
+}
+
+function dot(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    let sum = 0;
+    for (const [token, weight] of small) {
+        const other = large.get(token);
+        if (other) sum += weight * other;
+    }
+    return sum;
+}
+
+// ============================================================================
+// CLUSTERING
+// ============================================================================
+
+/**
+ * Cluster query occurrences by meaning
+ * Distinct queries are visited from most to least frequent; each joins the most
+ * similar existing cluster at or above the threshold, or starts a new one
+ * @param {Array<{ query: string, sessionId: string, hasResults: boolean }>} occurrences - One per user query
+ * @param {Object} options - { threshold, maxClusters }
+ * @returns {{ method, threshold, totalQueries, distinctQueries, clusterCount, clusters: Array }}
+ */
+export function clusterQueries(occurrences, options = {}) {
+    const { threshold = CLUSTER_SIMILARITY_THRESHOLD, maxClusters = MAX_CLUSTERS } = options;
+
+    // Group occurrences by their normalized text
+    const distinct = new Map();
+    for (const { query, sessionId, hasResults } of occurrences) {
+        const text = String(query || '').trim();
+        if (!text) continue;
+        const key = text.toLowerCase();
+        if (!distinct.has(key)) {
+            distinct.set(key, { key, variants: new Map(), count: 0, noResults: 0, sessionIds: new Set(), tokens: tokenizeQuery(text) });
+        }
+        const entry = distinct.get(key);
+        entry.count++;
+        entry.variants.set(text, (entry.variants.get(text) || 0) + 1);
+        if (!hasResults) entry.noResults++;
+        if (sessionId != null) entry.sessionIds.add(String(sessionId));
+    }
+
+    const entries = [...distinct.values()];
+    if (entries.length === 0) {
+        return null;
+    }
+
+    // Document frequency over distinct queries, so one very popular phrasing doesn't swamp the weights
+    const documentFrequency = new Map();
+    for (const entry of entries) {
+        for (const token of new Set(entry.tokens)) {
+            documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+        }
+    }
+    const idf = new Map();
+    for (const [token, df] of documentFrequency) {
+        idf.set(token, Math.log((1 + entries.length) / (1 + df)) + 1);
+    }
+
+    entries.sort((a, b) => b.count - a.count || a.key.length - b.key.length);
+
+    const clusters = [];
+    // token -> clusters whose centroid has it, so each query is only compared to candidates
+    const clustersByToken = new Map();
+
+    for (const entry of entries) {
+        // Queries made only of stopwords ("hi", "?") share no terms and stay on their own
+        const vector = toVector(entry.tokens, idf);
+        let best = null;
+        let bestScore = threshold;
+
+        const candidates = new Set();
+        for (const token of vector.keys()) {
+            for (const cluster of clustersByToken.get(token) || []) candidates.add(cluster);
+        }
+        for (const cluster of candidates) {
+            const score = dot(vector, cluster.centroid) / cluster.centroidNorm;
+            if (score >= bestScore) {
+                bestScore = score;
+                best = cluster;
+            }
+        }
+
+        if (!best) {
+            best = { members: [], centroid: new Map(), centroidNorm: 1 };
+            clusters.push(best);
+        }
+
+        best.members.push(entry);
+        // Frequency-weighted centroid keeps the cluster anchored on its popular phrasings
+        for (const [token, weight] of vector) {
+            if (!best.centroid.has(token)) {
+                if (!clustersByToken.has(token)) clustersByToken.set(token, []);
+                clustersByToken.get(token).push(best);
+            }
+            best.centroid.set(token, (best.centroid.get(token) || 0) + weight * entry.count);
+        }
+        best.centroidNorm = Math.sqrt([...best.centroid.values()].reduce((sum, w) => sum + w * w, 0)) || 1;
+    }
+
+    const totalQueries = entries.reduce((sum, entry) => sum + entry.count, 0);
+    const summaries = clusters
+        .map(summarizeCluster)
+        .sort((a, b) => b.size - a.size || b.distinctQueries - a.distinctQueries);
+
+    return {
+        method: 'tfidf',
+        threshold,
+        totalQueries,
+        distinctQueries: entries.length,
+        clusterCount: clusters.length,
+        // Distinct queries that were grouped with at least one other phrasing
+        mergedQueries: clusters.filter(c => c.members.length > 1).reduce((sum, c) => sum + c.members.length, 0),
+        clusters: summaries.slice(0, maxClusters).map((cluster, i) => ({ id: `c${i + 1}`, ...cluster })),
+    };
+}
+
+/**
+ * Size, no-result rate, representative query and samples of one cluster
+ */
+function summarizeCluster(cluster) {
+    const { members } = cluster;
+    const size = members.reduce((sum, m) => sum + m.count, 0);
+    const noResults = members.reduce((sum, m) => sum + m.noResults, 0);
+    const sessionIds = new Set(members.flatMap(m => [...m.sessionIds]));
+
+    // Representative: the most common original spelling of the most common query
+    const top = members.reduce((best, m) => (m.count > best.count ? m : best), members[0]);
+    const label = [...top.variants.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+    const terms = [...cluster.centroid.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_TERMS_PER_CLUSTER)
+        .map(([term]) => term);
+
+    return {
+        label,
+        size,
+        distinctQueries: members.length,
+        sessions: sessionIds.size,
+        noResultRate: size > 0 ? parseFloat(((noResults / size) * 100).toFixed(1)) : 0,
+        terms,
+        sampleQueries: [...members]
+            .sort((a, b) => b.count - a.count)
+            .slice(0, SAMPLE_QUERIES_PER_CLUSTER)
+            .map(m => ({ query: [...m.variants.keys()][0], count: m.count })),
+        // Lowercased member queries, used to drill into the cluster's sessions
+        queries: members.map(m => m.key),
+    };
+}
+
+// ============================================================================
+// CATEGORY MATCHING
+// ============================================================================
+
+/**
+ * Site category whose lemmatized words best overlap a query
+ * Scored as cosine similarity of the two word sets
+ * @returns {{ category: string, score: number } | null} - null when no category shares a word
+ */
+export function findClosestCategory(query, categories) {
+    const queryTokens = new Set(tokenizeQuery(query));
+    if (queryTokens.size === 0) return null;
+
+    let best = null;
+    for (const category of categories) {
+        const categoryTokens = new Set(tokenizeQuery(category));
+        if (categoryTokens.size === 0) continue;
+        let shared = 0;
+        for (const token of categoryTokens) {
+            if (queryTokens.has(token)) shared++;
+        }
+        if (shared === 0) continue;
+
+        const score = shared / Math.sqrt(queryTokens.size * categoryTokens.size);
+        if (!best || score > best.score || (score === best.score && category.length < best.category.length)) {
+            best = { category, score: parseFloat(score.toFixed(2)) };
+        }
+    }
+    return best;
+}
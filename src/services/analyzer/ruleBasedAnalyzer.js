@@ -4,13 +4,20 @@
  * This reduces API costs and provides instant computed metrics
  */
 
+import { toWeekKey, enumerateKeys, detectChangePoints, CHANGE_POINT_METRICS } from './timeSeries';
+import { clusterQueries, findClosestCategory } from './queryClustering';
+import { classifyIntent, DEFAULT_INTENT_TAXONOMY, UNCLASSIFIED_INTENT } from './intentTaxonomy';
+import { scoreSession, FRUSTRATION_THRESHOLD, FRUSTRATION_SIGNALS, SENTIMENT_TRAJECTORIES } from './sentimentScorer';
+import { getZonedParts } from '../../utils/timezone';
+
 /**
  * Format a Date object or ISO string to human-readable format
  * @param {Date|string} date - Date to format
  * @param {boolean} includeTime - Whether to include time
+ * @param {string} timeZone - IANA timezone to display in (browser timezone when omitted)
  * @returns {string} - Formatted date string
  */
-function formatTimestamp(date, includeTime = true) {
+function formatTimestamp(date, includeTime = true, timeZone) {
     if (!date) return null;
 
     const d = date instanceof Date ? date : new Date(date);
@@ -20,6 +27,7 @@ function formatTimestamp(date, includeTime = true) {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
+        timeZone,
     };
 
     if (includeTime) {
@@ -33,34 +41,66 @@ function formatTimestamp(date, includeTime = true) {
 /**
  * Main function to extract all rule-based metrics from transcripts
  * @param {Array} transcripts - Array of parsed transcript objects
+ * @param {Object} options - { onProgress(fraction) called after each extraction step,
+ *   timeZone: IANA timezone for all time bucketing (browser timezone when omitted),
+ *   intentTaxonomy: intents for the trend intent mix (defaults to DEFAULT_INTENT_TAXONOMY) }
  * @returns {Object} - Computed metrics object
  */
-export function extractRuleBasedMetrics(transcripts) {
+export function extractRuleBasedMetrics(transcripts, { onProgress, timeZone, intentTaxonomy = DEFAULT_INTENT_TAXONOMY } = {}) {
     if (!transcripts || transcripts.length === 0) {
         return getEmptyMetrics();
     }
 
-    const sessionOverview = extractSessionOverview(transcripts);
+    const steps = 13;
+    const sessionOverview = extractSessionOverview(transcripts, timeZone);
+    onProgress?.(1 / steps);
     const turnAnalysis = extractTurnAnalysis(transcripts);
+    onProgress?.(2 / steps);
+    const dropOffFunnel = extractDropOffFunnel(transcripts);
+    onProgress?.(3 / steps);
     const queryAnalysis = extractQueryAnalysis(transcripts);
+    onProgress?.(4 / steps);
+    const queryClusters = extractQueryClusters(transcripts);
+    onProgress?.(5 / steps);
+    const zeroResultQueries = extractZeroResultQueries(transcripts, timeZone);
+    onProgress?.(6 / steps);
     const productInsights = extractProductInsights(transcripts);
+    onProgress?.(7 / steps);
     const botResponseAnalysis = extractBotResponseAnalysis(transcripts);
-    const timePatterns = extractTimePatterns(transcripts);
+    onProgress?.(8 / steps);
+    const timePatterns = extractTimePatterns(transcripts, timeZone);
+    onProgress?.(9 / steps);
+    const timeSeries = extractTimeSeries(transcripts, timeZone, intentTaxonomy);
+    onProgress?.(10 / steps);
+    const timing = extractTimingMetrics(transcripts);
+    onProgress?.(11 / steps);
+    const conversationFlow = extractConversationFlow(transcripts);
+    onProgress?.(12 / steps);
+    const sentiment = extractSentiment(transcripts);
+    onProgress?.(1);
 
     return {
         sessionOverview,
         turnAnalysis,
+        dropOffFunnel,
         queryAnalysis,
+        queryClusters,
+        zeroResultQueries,
         productInsights,
         botResponseAnalysis,
         timePatterns,
+        timeSeries,
+        timing,
+        conversationFlow,
+        sentiment,
+        timeZone: timeZone || null,
         dataQualityNotes: {
             totalTranscriptsAnalyzed: transcripts.length,
             extractionMethod: 'rule-based',
             dataLimitations: [
                 'No user engagement/click data available',
                 'No conversion or purchase data',
-                'Cannot determine user satisfaction',
+                'User sentiment is inferred from message wording only',
             ],
         },
     };
@@ -100,6 +140,13 @@ function getEmptyMetrics() {
             clarifyingQuestions: { count: 0, examples: [] },
         },
         timePatterns: { busiestHour: null, busiestDay: null, hourlyDistribution: {} },
+        timeSeries: null,
+        timing: null,
+        dropOffFunnel: null,
+        conversationFlow: null,
+        queryClusters: null,
+        zeroResultQueries: null,
+        sentiment: null,
         dataQualityNotes: { totalTranscriptsAnalyzed: 0, extractionMethod: 'rule-based' },
     };
 }
@@ -111,7 +158,7 @@ function getEmptyMetrics() {
 /**
  * Extract session overview metrics
  */
-function extractSessionOverview(transcripts) {
+function extractSessionOverview(transcripts, timeZone) {
     const timestamps = [];
 
     for (const transcript of transcripts) {
@@ -147,8 +194,8 @@ function extractSessionOverview(transcripts) {
         const totalDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
 
         dateRange = {
-            start: formatTimestamp(start),
-            end: formatTimestamp(end),
+            start: formatTimestamp(start, true, timeZone),
+            end: formatTimestamp(end, true, timeZone),
             startRaw: start.toISOString(),
             endRaw: end.toISOString(),
             totalDays: Math.max(1, totalDays),
@@ -203,6 +250,130 @@ function extractTurnAnalysis(transcripts) {
     };
 }
 
+// ============================================================================
+// DROP-OFF FUNNEL
+// ============================================================================
+
+// Funnel stages are user turns 1..MAX_FUNNEL_TURNS; the last stage also holds longer sessions
+export const MAX_FUNNEL_TURNS = 5;
+const EXIT_EXAMPLES_PER_REASON = 3;
+
+/**
+ * What the bot did right before the user left, in the order they are checked
+ */
+export const EXIT_REASONS = {
+    unanswered: 'No bot reply to the last message',
+    repeatedQuery: 'After repeating an earlier query',
+    clarifyingQuestion: 'After a clarifying question',
+    firstQueryNoResults: 'After the first query returned no results',
+    noResults: 'After a later query returned no results',
+    productsShown: 'After products were shown',
+};
+
+/**
+ * Where and why a session ended: the user turn it ended on and the bot behavior
+ * that preceded the exit (a key of EXIT_REASONS), or null for sessions without user turns
+ * @returns {{ turn: number, reason: string, lastQuery: string, lastReply: string | null } | null}
+ */
+export function getSessionExit(transcript) {
+    const messages = transcript.messages || [];
+    const userIndexes = [];
+    messages.forEach((msg, i) => {
+        if (msg.role === 'user') userIndexes.push(i);
+    });
+    if (userIndexes.length === 0) return null;
+
+    const lastUserIndex = userIndexes[userIndexes.length - 1];
+    const lastQuery = (messages[lastUserIndex].content || '').trim();
+    const replies = messages.slice(lastUserIndex + 1).filter(msg => msg.role === 'bot');
+    const earlierQueries = userIndexes.slice(0, -1).map(i => (messages[i].content || '').trim().toLowerCase());
+
+    let reason;
+    if (replies.length === 0) {
+        reason = 'unanswered';
+    } else if (lastQuery && earlierQueries.includes(lastQuery.toLowerCase())) {
+        reason = 'repeatedQuery';
+    } else if (replies.some(msg => isClarifyingQuestion(msg.content))) {
+        reason = 'clarifyingQuestion';
+    } else if (replies.some(msg => msg.results)) {
+        reason = 'productsShown';
+    } else {
+        reason = userIndexes.length === 1 ? 'firstQueryNoResults' : 'noResults';
+    }
+
+    return {
+        turn: userIndexes.length,
+        reason,
+        lastQuery,
+        lastReply: replies.length > 0 ? (replies[replies.length - 1].content || '').slice(0, 200) : null,
+    };
+}
+
+/**
+ * Funnel of how many sessions reach each user turn, how many leave there,
+ * and which bot behavior preceded each exit, with example sessions per exit reason
+ */
+function extractDropOffFunnel(transcripts) {
+    const stages = Array.from({ length: MAX_FUNNEL_TURNS }, (_, i) => ({
+        turn: i + 1,
+        label: i + 1 === MAX_FUNNEL_TURNS ? `Query ${i + 1}+` : `Query ${i + 1}`,
+        reached: 0,
+        exited: 0,
+        reasons: Object.fromEntries(Object.keys(EXIT_REASONS).map(key => [key, 0])),
+    }));
+    const reasonTotals = Object.fromEntries(Object.keys(EXIT_REASONS).map(key => [key, { count: 0, examples: [] }]));
+    let sessionsWithQueries = 0;
+
+    for (const transcript of transcripts) {
+        const exit = getSessionExit(transcript);
+        if (!exit) continue;
+        sessionsWithQueries++;
+
+        const stageIndex = Math.min(exit.turn, MAX_FUNNEL_TURNS) - 1;
+        for (let i = 0; i <= stageIndex; i++) {
+            stages[i].reached++;
+        }
+        stages[stageIndex].exited++;
+        stages[stageIndex].reasons[exit.reason]++;
+
+        const total = reasonTotals[exit.reason];
+        total.count++;
+        if (total.examples.length < EXIT_EXAMPLES_PER_REASON) {
+            total.examples.push({
+                sessionId: transcript.id,
+                turn: exit.turn,
+                lastQuery: exit.lastQuery.slice(0, 200),
+                lastReply: exit.lastReply,
+            });
+        }
+    }
+
+    if (sessionsWithQueries === 0) {
+        return null;
+    }
+
+    const percentOfSessions = (count) => parseFloat(((count / sessionsWithQueries) * 100).toFixed(1));
+    return {
+        totalSessions: sessionsWithQueries,
+        stages: stages.map(stage => ({
+            ...stage,
+            reachedPercentage: percentOfSessions(stage.reached),
+            // Share of the sessions at this stage that end here
+            exitRate: stage.reached > 0 ? parseFloat(((stage.exited / stage.reached) * 100).toFixed(1)) : 0,
+        })),
+        exitReasons: Object.entries(reasonTotals)
+            .map(([key, { count, examples }]) => ({
+                key,
+                label: EXIT_REASONS[key],
+                count,
+                percentage: percentOfSessions(count),
+                examples,
+            }))
+            .filter(reason => reason.count > 0)
+            .sort((a, b) => b.count - a.count),
+    };
+}
+
 // ============================================================================
 // QUERY ANALYSIS EXTRACTION
 // ============================================================================
@@ -282,6 +453,143 @@ function extractQueryAnalysis(transcripts) {
     };
 }
 
+/**
+ * Group user queries by meaning, with the no-result rate of each group
+ * A query counts as answered with results when any bot reply before the next user turn has results
+ */
+function extractQueryClusters(transcripts) {
+    const occurrences = [];
+
+    for (const transcript of transcripts) {
+        const messages = transcript.messages || [];
+        messages.forEach((msg, i) => {
+            if (msg.role !== 'user' || !msg.content?.trim()) return;
+            let hasResults = false;
+            for (let k = i + 1; k < messages.length && messages[k].role !== 'user'; k++) {
+                if (messages[k].role === 'bot' && messages[k].results) hasResults = true;
+            }
+            occurrences.push({ query: msg.content, sessionId: transcript.id, hasResults });
+        });
+    }
+
+    return clusterQueries(occurrences);
+}
+
+// ============================================================================
+// ZERO-RESULT QUERIES
+// ============================================================================
+
+// Queries listed in the zero-result report, most frequent first
+const MAX_ZERO_RESULT_QUERIES = 100;
+const ZERO_RESULT_EXAMPLE_REPLIES = 2;
+
+/**
+ * Why a user query came back empty: 'noResults' when no bot reply carried results,
+ * 'noProducts' when results came back with an empty product list, or null when products were shown
+ */
+export function getZeroResultReason(replies) {
+    const withResults = replies.filter(msg => msg.role === 'bot' && msg.results);
+    if (withResults.length === 0) return 'noResults';
+    const allEmpty = withResults.every(msg =>
+        Array.isArray(msg.results.products) && flattenProducts(msg.results.products).length === 0 && !msg.results.productsRaw
+    );
+    return allEmpty ? 'noProducts' : null;
+}
+
+/**
+ * Queries whose bot replies returned no results or no products, ranked by frequency,
+ * with first/last seen, example replies and the same queries clustered by meaning
+ */
+function extractZeroResultQueries(transcripts, timeZone) {
+    const byQuery = new Map();
+    const occurrences = [];
+    let totalQueries = 0;
+
+    for (const transcript of transcripts) {
+        const messages = transcript.messages || [];
+        messages.forEach((msg, i) => {
+            if (msg.role !== 'user' || !msg.content?.trim()) return;
+            totalQueries++;
+
+            const replies = [];
+            for (let k = i + 1; k < messages.length && messages[k].role !== 'user'; k++) {
+                if (messages[k].role === 'bot') replies.push(messages[k]);
+            }
+            const reason = getZeroResultReason(replies);
+            if (!reason) return;
+
+            const query = msg.content.trim();
+            const key = query.toLowerCase();
+            occurrences.push({ query, sessionId: transcript.id, hasResults: false });
+
+            if (!byQuery.has(key)) {
+                byQuery.set(key, { query, count: 0, sessionIds: new Set(), first: null, last: null, reasons: {}, exampleReplies: [] });
+            }
+            const entry = byQuery.get(key);
+            entry.count++;
+            entry.sessionIds.add(String(transcript.id));
+            entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+
+            const seen = msg.timestamp ? new Date(msg.timestamp) : null;
+            if (seen && !isNaN(seen.getTime())) {
+                if (!entry.first || seen < entry.first) entry.first = seen;
+                if (!entry.last || seen > entry.last) entry.last = seen;
+            }
+
+            const reply = replies.find(r => r.content?.trim())?.content.trim().slice(0, 200);
+            if (reply && entry.exampleReplies.length < ZERO_RESULT_EXAMPLE_REPLIES && !entry.exampleReplies.includes(reply)) {
+                entry.exampleReplies.push(reply);
+            }
+        });
+    }
+
+    if (occurrences.length === 0) {
+        return null;
+    }
+
+    const queries = [...byQuery.values()]
+        .sort((a, b) => b.count - a.count || b.sessionIds.size - a.sessionIds.size)
+        .slice(0, MAX_ZERO_RESULT_QUERIES)
+        .map(entry => ({
+            query: entry.query,
+            count: entry.count,
+            sessions: entry.sessionIds.size,
+            // Most common reason for this query
+            reason: Object.entries(entry.reasons).sort((a, b) => b[1] - a[1])[0][0],
+            firstSeen: formatTimestamp(entry.first, false, timeZone),
+            lastSeen: formatTimestamp(entry.last, false, timeZone),
+            firstSeenRaw: entry.first?.toISOString() || null,
+            lastSeenRaw: entry.last?.toISOString() || null,
+            exampleReplies: entry.exampleReplies,
+        }));
+
+    return {
+        totalQueries,
+        zeroResultQueries: occurrences.length,
+        percentage: parseFloat(((occurrences.length / totalQueries) * 100).toFixed(1)),
+        distinctQueries: byQuery.size,
+        queries,
+        clusters: clusterQueries(occurrences)?.clusters || [],
+        // Filled in on the main thread from the scraped site (see addClosestCategories)
+        siteCategoryCount: 0,
+    };
+}
+
+/**
+ * Tag each zero-result query and cluster with the closest category on the scraped site,
+ * so product gaps can be told apart from search failures in categories the site carries
+ */
+export function addClosestCategories(report, categories) {
+    if (!report || !categories?.length) return report;
+    const closest = (text) => findClosestCategory(text, categories);
+    return {
+        ...report,
+        siteCategoryCount: categories.length,
+        queries: report.queries.map(q => ({ ...q, closestCategory: closest(q.query) })),
+        clusters: report.clusters.map(cluster => ({ ...cluster, closestCategory: closest(cluster.label) })),
+    };
+}
+
 // ============================================================================
 // PRODUCT INSIGHTS EXTRACTION
 // ============================================================================
@@ -405,6 +713,24 @@ function flattenProducts(products) {
 // BOT RESPONSE ANALYSIS
 // ============================================================================
 
+// Common patterns for clarifying questions
+const CLARIFYING_PATTERNS = [
+    /which\s+(location|state|city|area|option)/i,
+    /would you like me to/i,
+    /can you (tell|clarify|specify)/i,
+    /what (type|kind|model|year)/i,
+    /are you looking for/i,
+    /do you (want|need|prefer)/i,
+    /could you (be more specific|clarify)/i,
+];
+
+/**
+ * Whether a bot message asks the user to clarify or narrow their request
+ */
+export function isClarifyingQuestion(content) {
+    return !!content && CLARIFYING_PATTERNS.some(pattern => pattern.test(content));
+}
+
 /**
  * Extract bot response analysis metrics
  */
@@ -428,17 +754,6 @@ function extractBotResponseAnalysis(transcripts) {
         console.log('🔍 Analyzer - Message with results in first transcript:', msgWithResults ? 'YES' : 'NO');
     }
 
-    // Common patterns for clarifying questions
-    const clarifyingPatterns = [
-        /which\s+(location|state|city|area|option)/i,
-        /would you like me to/i,
-        /can you (tell|clarify|specify)/i,
-        /what (type|kind|model|year)/i,
-        /are you looking for/i,
-        /do you (want|need|prefer)/i,
-        /could you (be more specific|clarify)/i,
-    ];
-
     for (const transcript of transcripts) {
         let hasResults = false;
 
@@ -455,16 +770,11 @@ function extractBotResponseAnalysis(transcripts) {
                 }
 
                 // Check for clarifying questions
-                if (msg.content) {
-                    for (const pattern of clarifyingPatterns) {
-                        if (pattern.test(msg.content)) {
-                            clarifyingQuestions.push({
-                                content: msg.content.slice(0, 200),
-                                sessionId: transcript.id,
-                            });
-                            break;
-                        }
-                    }
+                if (isClarifyingQuestion(msg.content)) {
+                    clarifyingQuestions.push({
+                        content: msg.content.slice(0, 200),
+                        sessionId: transcript.id,
+                    });
                 }
             }
         }
@@ -505,32 +815,53 @@ function extractBotResponseAnalysis(transcripts) {
 // TIME PATTERNS EXTRACTION
 // ============================================================================
 
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Row order of the weekday x hour heatmap
+export const WEEKDAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Hour, day of week, date label and YYYY-MM-DD date key of a session's first message,
+ * as seen in timeZone (browser timezone when omitted)
+ * Returns null when the session has no usable timestamp
+ */
+export function getSessionTimeKeys(transcript, timeZone) {
+    const firstMessage = (transcript.messages || [])[0];
+    if (!firstMessage?.timestamp) return null;
+
+    const date = new Date(firstMessage.timestamp);
+    if (isNaN(date.getTime())) return null;
+
+    const parts = getZonedParts(date, timeZone);
+    const dayOfWeek = parts.weekday;
+    // Precise date string (e.g., "Thursday, Jan 22, 2026")
+    const dateLabel = `${dayOfWeek}, ${MONTH_NAMES[parts.month - 1]} ${parts.day}, ${parts.year}`;
+
+    return { hour: parts.hour, dayOfWeek, dateLabel, dateKey: parts.dateKey };
+}
+
 /**
  * Extract time-based patterns
  */
-function extractTimePatterns(transcripts) {
+function extractTimePatterns(transcripts, timeZone) {
     const hourCounts = {};
     const dayCounts = {};
     const dateCounts = {}; // Track specific dates
-    const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    // 7x24 session starts and sessions without results, rows in WEEKDAY_ORDER
+    const weekdayHourSessions = WEEKDAY_ORDER.map(() => new Array(24).fill(0));
+    const weekdayHourNoResults = WEEKDAY_ORDER.map(() => new Array(24).fill(0));
 
     for (const transcript of transcripts) {
-        // Get the first timestamp from the session
-        const firstMessage = (transcript.messages || [])[0];
-        if (firstMessage?.timestamp) {
-            const date = new Date(firstMessage.timestamp);
-            if (!isNaN(date.getTime())) {
-                const hour = date.getHours();
-                const dayOfWeek = dayNames[date.getDay()];
-
-                // Create precise date string (e.g., "Jan 22, 2026")
-                const dateStr = `${monthNames[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
-                const dateWithDay = `${dayOfWeek}, ${dateStr}`;
-
-                hourCounts[hour] = (hourCounts[hour] || 0) + 1;
-                dayCounts[dayOfWeek] = (dayCounts[dayOfWeek] || 0) + 1;
-                dateCounts[dateWithDay] = (dateCounts[dateWithDay] || 0) + 1;
+        // Bucket by the first timestamp of the session
+        const keys = getSessionTimeKeys(transcript, timeZone);
+        if (keys) {
+            hourCounts[keys.hour] = (hourCounts[keys.hour] || 0) + 1;
+            dayCounts[keys.dayOfWeek] = (dayCounts[keys.dayOfWeek] || 0) + 1;
+            dateCounts[keys.dateLabel] = (dateCounts[keys.dateLabel] || 0) + 1;
+
+            const row = WEEKDAY_ORDER.indexOf(keys.dayOfWeek);
+            weekdayHourSessions[row][keys.hour]++;
+            if (!(transcript.messages || []).some(m => m.role === 'bot' && m.results)) {
+                weekdayHourNoResults[row][keys.hour]++;
             }
         }
     }
@@ -567,12 +898,22 @@ function extractTimePatterns(transcripts) {
 
     return {
         busiestHour: busiestHour !== null ? formatHour(busiestHour) : null,
+        busiestHourOfDay: busiestHour,
         busiestHourCount: maxHourCount,
         busiestDay: busiestDayOfWeek,
         busiestDayCount: maxDayCount,
         busiestDate: busiestDate,
         busiestDateCount: maxDateCount,
         hourlyDistribution: hourCounts,
+        weekdayHourMatrix: {
+            days: WEEKDAY_ORDER,
+            sessions: weekdayHourSessions,
+            noResults: weekdayHourNoResults,
+            // Percent of sessions without results per cell; null where no sessions started
+            noResultRate: weekdayHourSessions.map((row, day) => row.map((count, hour) => (
+                count > 0 ? Math.round((weekdayHourNoResults[day][hour] / count) * 100) : null
+            ))),
+        },
         dailyDistribution: dayCounts,
         dateDistribution: dateCounts,
     };
@@ -581,7 +922,7 @@ function extractTimePatterns(transcripts) {
 /**
  * Format hour to human-readable range
  */
-function formatHour(hour) {
+export function formatHour(hour) {
     const period = hour >= 12 ? 'PM' : 'AM';
     const displayHour = hour % 12 || 12;
     const nextHour = (hour + 1) % 24;
@@ -590,14 +931,595 @@ function formatHour(hour) {
     return `${displayHour}:00 ${period} - ${nextDisplayHour}:00 ${nextPeriod}`;
 }
 
+// ============================================================================
+// TIME SERIES EXTRACTION
+// ============================================================================
+
+function createTrendBucket() {
+    return {
+        sessions: 0,
+        sessionsWithoutResults: 0,
+        userTurns: 0,
+        sessionsWithRepeats: 0,
+        queries: 0,
+        intentCounts: {},
+    };
+}
+
+function addToTrendBucket(bucket, other) {
+    bucket.sessions += other.sessions;
+    bucket.sessionsWithoutResults += other.sessionsWithoutResults;
+    bucket.userTurns += other.userTurns;
+    bucket.sessionsWithRepeats += other.sessionsWithRepeats;
+    bucket.queries += other.queries;
+    for (const [category, count] of Object.entries(other.intentCounts)) {
+        bucket.intentCounts[category] = (bucket.intentCounts[category] || 0) + count;
+    }
+}
+
+/**
+ * Turn a bucket into a chart point; rates are null when the bucket has no sessions
+ */
+function toTrendPoint(key, bucket, intentIds) {
+    const rate = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : null);
+    const intentMix = {};
+    for (const id of intentIds) {
+        intentMix[id] = rate(bucket.intentCounts[id] || 0, bucket.queries);
+    }
+
+    return {
+        key,
+        sessions: bucket.sessions,
+        noResultRate: rate(bucket.sessionsWithoutResults, bucket.sessions),
+        avgTurns: bucket.sessions > 0 ? parseFloat((bucket.userTurns / bucket.sessions).toFixed(2)) : null,
+        repeatRate: rate(bucket.sessionsWithRepeats, bucket.sessions),
+        intentMix,
+    };
+}
+
+function findChangePoints(points, options) {
+    return Object.keys(CHANGE_POINT_METRICS).flatMap(metric => detectChangePoints(points, metric, options));
+}
+
+/**
+ * Daily and weekly series of sessions, no-result rate, average turns, repeat rate
+ * and intent mix, with the change points found in each
+ * Sessions are bucketed by their first timestamp; untimed sessions are left out.
+ * The intent mix classifies every query with the taxonomy, like the per-intent report.
+ */
+function extractTimeSeries(transcripts, timeZone, taxonomy) {
+    const intentCategories = [
+        ...taxonomy.map(intent => ({ id: intent.id, name: intent.name })),
+        UNCLASSIFIED_INTENT,
+    ];
+    const intentIds = intentCategories.map(intent => intent.id);
+    const dailyBuckets = {};
+    let untimedSessions = 0;
+
+    for (const transcript of transcripts) {
+        const keys = getSessionTimeKeys(transcript, timeZone);
+        if (!keys) {
+            untimedSessions++;
+            continue;
+        }
+
+        const messages = transcript.messages || [];
+        const queries = messages
+            .filter(m => m.role === 'user' && m.content?.trim())
+            .map(m => m.content.trim());
+        const normalized = queries.map(q => q.toLowerCase());
+
+        const session = createTrendBucket();
+        session.sessions = 1;
+        session.sessionsWithoutResults = messages.some(m => m.role === 'bot' && m.results) ? 0 : 1;
+        session.userTurns = messages.filter(m => m.role === 'user').length;
+        session.sessionsWithRepeats = new Set(normalized).size < normalized.length ? 1 : 0;
+        session.queries = queries.length;
+        for (const query of queries) {
+            const id = classifyIntent(query, taxonomy)?.id ?? UNCLASSIFIED_INTENT.id;
+            session.intentCounts[id] = (session.intentCounts[id] || 0) + 1;
+        }
+
+        dailyBuckets[keys.dateKey] = dailyBuckets[keys.dateKey] || createTrendBucket();
+        addToTrendBucket(dailyBuckets[keys.dateKey], session);
+    }
+
+    const dayKeys = Object.keys(dailyBuckets).sort();
+    if (dayKeys.length === 0) {
+        return null;
+    }
+
+    // Fill gaps so quiet days show as zero sessions instead of vanishing
+    const dailyKeys = enumerateKeys(dayKeys[0], dayKeys[dayKeys.length - 1], 'day');
+    const daily = dailyKeys.map(key => toTrendPoint(key, dailyBuckets[key] || createTrendBucket(), intentIds));
+
+    const weeklyBuckets = {};
+    for (const key of dayKeys) {
+        const weekKey = toWeekKey(key);
+        weeklyBuckets[weekKey] = weeklyBuckets[weekKey] || createTrendBucket();
+        addToTrendBucket(weeklyBuckets[weekKey], dailyBuckets[key]);
+    }
+    const weeklyKeys = enumerateKeys(toWeekKey(dayKeys[0]), toWeekKey(dayKeys[dayKeys.length - 1]), 'week');
+    const weekly = weeklyKeys.map(key => toTrendPoint(key, weeklyBuckets[key] || createTrendBucket(), intentIds));
+
+    return {
+        daily,
+        weekly,
+        changePoints: {
+            daily: findChangePoints(daily, { window: 7, minSegment: 3 }),
+            weekly: findChangePoints(weekly, { window: 4, minSegment: 2 }),
+        },
+        intentCategories,
+        untimedSessions,
+    };
+}
+
+// ============================================================================
+// TIMING EXTRACTION
+// ============================================================================
+
+// Bot replies slower than this (seconds) count as slow responses
+export const SLOW_RESPONSE_SECONDS = 10;
+
+function toSeconds(ms) {
+    return parseFloat((ms / 1000).toFixed(1));
+}
+
+/**
+ * Per-session timing from message timestamps, or null when the session has fewer
+ * than two distinct timestamps (formats that stamp every message with the session time)
+ * Durations are in seconds. A session is idle-abandoned when the user left without
+ * a reply to their last message, or left right after a slow final reply.
+ * @returns {{ duration, firstResponse, latencies: Array, thinkTimes: Array, slowResponses, abandonment: null | 'unanswered' | 'afterSlowResponse' }}
+ */
+export function getSessionTiming(transcript) {
+    const messages = (transcript.messages || [])
+        .map(msg => ({ role: msg.role, time: msg.timestamp ? new Date(msg.timestamp).getTime() : NaN }))
+        .filter(msg => !isNaN(msg.time));
+    if (new Set(messages.map(msg => msg.time)).size < 2) return null;
+
+    const latencies = [];
+    const thinkTimes = [];
+    let firstResponse = null;
+    let pendingUser = null; // Time of the user message awaiting a bot reply
+    let lastBot = null; // Time of the bot reply awaiting the user's next turn
+    let lastLatency = null;
+
+    for (const msg of messages) {
+        if (msg.role === 'user') {
+            if (lastBot !== null && msg.time >= lastBot) {
+                thinkTimes.push(toSeconds(msg.time - lastBot));
+            }
+            lastBot = null;
+            // Several user messages in a row: latency runs from the first
+            if (pendingUser === null) pendingUser = msg.time;
+        } else if (msg.role === 'bot') {
+            if (pendingUser !== null && msg.time >= pendingUser) {
+                lastLatency = toSeconds(msg.time - pendingUser);
+                latencies.push(lastLatency);
+                if (firstResponse === null) firstResponse = lastLatency;
+            }
+            pendingUser = null;
+            // Follow-up bot messages don't restart the user's think time
+            if (lastBot === null) lastBot = msg.time;
+        }
+    }
+
+    let abandonment = null;
+    if (pendingUser !== null) {
+        abandonment = 'unanswered';
+    } else if (lastBot !== null && lastLatency !== null && lastLatency > SLOW_RESPONSE_SECONDS) {
+        abandonment = 'afterSlowResponse';
+    }
+
+    const times = messages.map(msg => msg.time);
+    return {
+        duration: toSeconds(Math.max(...times) - Math.min(...times)),
+        firstResponse,
+        latencies,
+        thinkTimes,
+        slowResponses: latencies.filter(latency => latency > SLOW_RESPONSE_SECONDS).length,
+        abandonment,
+    };
+}
+
+/**
+ * Nearest-rank percentile of an ascending array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarizeDurations(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return { count: 0, avg: null, p50: null, p90: null, p99: null, max: null };
+    }
+    return {
+        count: sorted.length,
+        avg: parseFloat((sorted.reduce((sum, v) => sum + v, 0) / sorted.length).toFixed(1)),
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99),
+        max: sorted[sorted.length - 1],
+    };
+}
+
+/**
+ * Session duration, time to first bot response, per-turn bot latency,
+ * user think time between turns and idle abandonment, all in seconds
+ */
+function extractTimingMetrics(transcripts) {
+    const durations = [];
+    const firstResponses = [];
+    const latencies = [];
+    const thinkTimes = [];
+    let slowResponses = 0;
+    let sessionsWithSlowResponses = 0;
+    const abandonment = { unanswered: 0, afterSlowResponse: 0 };
+
+    for (const transcript of transcripts) {
+        const timing = getSessionTiming(transcript);
+        if (!timing) continue;
+
+        durations.push(timing.duration);
+        if (timing.firstResponse !== null) firstResponses.push(timing.firstResponse);
+        latencies.push(...timing.latencies);
+        thinkTimes.push(...timing.thinkTimes);
+        slowResponses += timing.slowResponses;
+        if (timing.slowResponses > 0) sessionsWithSlowResponses++;
+        if (timing.abandonment) abandonment[timing.abandonment]++;
+    }
+
+    if (durations.length === 0) {
+        return null;
+    }
+
+    const abandonedSessions = abandonment.unanswered + abandonment.afterSlowResponse;
+    return {
+        timedSessions: durations.length,
+        untimedSessions: transcripts.length - durations.length,
+        sessionDuration: summarizeDurations(durations),
+        firstResponse: summarizeDurations(firstResponses),
+        botLatency: summarizeDurations(latencies),
+        thinkTime: summarizeDurations(thinkTimes),
+        slowResponseThreshold: SLOW_RESPONSE_SECONDS,
+        slowResponses,
+        sessionsWithSlowResponses,
+        abandonment: {
+            ...abandonment,
+            total: abandonedSessions,
+            percentage: parseFloat(((abandonedSessions / durations.length) * 100).toFixed(1)),
+        },
+    };
+}
+
+// ============================================================================
+// CONVERSATION FLOW
+// ============================================================================
+
+// Turns shown in the flow; longer sessions continue into a single "more" node
+export const FLOW_MAX_TURNS = 3;
+const FLOW_TOP_PATHS = 10;
+
+export const FLOW_QUERY_TYPES = {
+    productSearch: 'Product search',
+    locationQuery: 'Location',
+    priceInquiry: 'Price',
+    supportRequest: 'Support',
+    categoryBrowse: 'Category browse',
+    specificItem: 'Specific item',
+};
+
+export const FLOW_RESPONSE_TYPES = {
+    results: 'Results shown',
+    clarifying: 'Clarifying question',
+    noResults: 'No results',
+    fallback: 'Fallback',
+    noReply: 'No reply',
+};
+
+// Bot replies that don't engage with the request at all
+const FALLBACK_PATTERNS = [
+    /\b(didn'?t|don'?t|do not|did not) (understand|get that|quite get)/i,
+    /\b(could|can) you (please )?(rephrase|say that again|try again)/i,
+    /\bi'?m (not sure|unable to help|sorry,? i can'?t)/i,
+    /\bi can only help with/i,
+    /\bsomething went wrong/i,
+    /\bplease try again/i,
+];
+
+/**
+ * Classify the bot messages answering one user turn as a key of FLOW_RESPONSE_TYPES
+ */
+export function classifyBotResponse(replies) {
+    if (replies.length === 0) return 'noReply';
+    if (replies.some(msg => msg.results)) return 'results';
+    if (replies.some(msg => isClarifyingQuestion(msg.content))) return 'clarifying';
+    if (replies.some(msg => msg.content && FALLBACK_PATTERNS.some(pattern => pattern.test(msg.content)))) return 'fallback';
+    return 'noResults';
+}
+
+/**
+ * Node ids a session passes through: q<turn>:<query type> and r<turn>:<response type>
+ * for its first FLOW_MAX_TURNS turns, then 'more' or 'end'; null without user turns
+ */
+export function getSessionFlowPath(transcript) {
+    const messages = transcript.messages || [];
+    const path = [];
+    let turn = 0;
+
+    messages.forEach((msg, i) => {
+        if (msg.role !== 'user') return;
+        turn++;
+        if (turn > FLOW_MAX_TURNS) return;
+
+        const replies = [];
+        for (let k = i + 1; k < messages.length && messages[k].role !== 'user'; k++) {
+            if (messages[k].role === 'bot') replies.push(messages[k]);
+        }
+        path.push(`q${turn}:${classifyQueryIntents((msg.content || '').trim())[0]}`);
+        path.push(`r${turn}:${classifyBotResponse(replies)}`);
+    });
+
+    if (turn === 0) return null;
+    path.push(turn > FLOW_MAX_TURNS ? 'more' : 'end');
+    return path;
+}
+
+/**
+ * Human-readable label for a flow node id
+ */
+export function describeFlowNode(id) {
+    if (id === 'end') return 'Session ends';
+    if (id === 'more') return `Continues past query ${FLOW_MAX_TURNS}`;
+    const [step, type] = id.split(':');
+    const turn = step.slice(1);
+    return step.startsWith('q')
+        ? `Q${turn} · ${FLOW_QUERY_TYPES[type] || type}`
+        : `R${turn} · ${FLOW_RESPONSE_TYPES[type] || type}`;
+}
+
+/**
+ * Turn-to-turn transitions between query types and bot response types,
+ * as Sankey nodes and links, plus the most common complete paths
+ */
+function extractConversationFlow(transcripts) {
+    const nodeCounts = {};
+    const linkCounts = {};
+    const pathCounts = {};
+    let sessionsWithQueries = 0;
+
+    for (const transcript of transcripts) {
+        const path = getSessionFlowPath(transcript);
+        if (!path) continue;
+        sessionsWithQueries++;
+
+        path.forEach((id, i) => {
+            nodeCounts[id] = (nodeCounts[id] || 0) + 1;
+            if (i > 0) {
+                const linkKey = `${path[i - 1]}>${id}`;
+                linkCounts[linkKey] = (linkCounts[linkKey] || 0) + 1;
+            }
+        });
+        const pathKey = path.join('>');
+        pathCounts[pathKey] = (pathCounts[pathKey] || 0) + 1;
+    }
+
+    if (sessionsWithQueries === 0) {
+        return null;
+    }
+
+    const nodes = Object.entries(nodeCounts).map(([id, count]) => {
+        const [step, type] = id.split(':');
+        return {
+            id,
+            kind: type ? (step.startsWith('q') ? 'query' : 'response') : id,
+            type: type || id,
+            turn: type ? Number(step.slice(1)) : null,
+            label: describeFlowNode(id),
+            count,
+        };
+    });
+
+    return {
+        totalSessions: sessionsWithQueries,
+        maxTurns: FLOW_MAX_TURNS,
+        nodes,
+        links: Object.entries(linkCounts).map(([key, value]) => {
+            const [source, target] = key.split('>');
+            return { source, target, value };
+        }),
+        topPaths: Object.entries(pathCounts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, FLOW_TOP_PATHS)
+            .map(([key, count]) => ({
+                path: key.split('>'),
+                count,
+                percentage: parseFloat(((count / sessionsWithQueries) * 100).toFixed(1)),
+            })),
+    };
+}
+
+// ============================================================================
+// SENTIMENT & FRUSTRATION EXTRACTION
+// ============================================================================
+
+const MOST_FRUSTRATED_SESSIONS = 10;
+
+/**
+ * Lexicon sentiment and frustration of every user turn, how sentiment moves within sessions,
+ * average sentiment by turn number and the most frustrated sessions
+ */
+function extractSentiment(transcripts) {
+    const distribution = { positive: 0, neutral: 0, negative: 0 };
+    const signalTotals = Object.fromEntries(Object.keys(FRUSTRATION_SIGNALS).map(key => [key, { turns: 0, sessions: 0 }]));
+    const trajectoryCounts = Object.fromEntries(Object.keys(SENTIMENT_TRAJECTORIES).map(key => [key, 0]));
+    const byTurn = Array.from({ length: MAX_FUNNEL_TURNS }, () => ({ turns: 0, sentiment: 0, frustration: 0 }));
+    const sessions = [];
+    let totalTurns = 0;
+    let sentimentSum = 0;
+    let frustratedTurns = 0;
+
+    for (const transcript of transcripts) {
+        const scored = scoreSession(transcript);
+        if (!scored) continue;
+
+        const sessionSignals = new Set();
+        for (const turn of scored.turns) {
+            totalTurns++;
+            sentimentSum += turn.sentiment;
+            distribution[turn.label]++;
+            if (turn.frustration >= FRUSTRATION_THRESHOLD) frustratedTurns++;
+
+            const bucket = byTurn[Math.min(turn.turn, MAX_FUNNEL_TURNS) - 1];
+            bucket.turns++;
+            bucket.sentiment += turn.sentiment;
+            bucket.frustration += turn.frustration;
+
+            for (const signal of turn.signals) {
+                signalTotals[signal].turns++;
+                sessionSignals.add(signal);
+            }
+        }
+        sessionSignals.forEach(signal => signalTotals[signal].sessions++);
+        if (scored.trajectory) trajectoryCounts[scored.trajectory]++;
+
+        const peakTurn = scored.turns.reduce((peak, turn) => (turn.frustration > peak.frustration ? turn : peak));
+        sessions.push({
+            sessionId: transcript.id,
+            peakFrustration: scored.peakFrustration,
+            frustratedTurns: scored.frustratedTurns,
+            avgSentiment: scored.avgSentiment,
+            trajectory: scored.trajectory,
+            turnCount: scored.turns.length,
+            signals: [...sessionSignals],
+            sentiments: scored.turns.map(turn => turn.label),
+            peakTurn: { turn: peakTurn.turn, messageId: peakTurn.messageId, query: peakTurn.query.slice(0, 200) },
+        });
+    }
+
+    if (totalTurns === 0) {
+        return null;
+    }
+
+    const percent = (count, total) => (total > 0 ? parseFloat(((count / total) * 100).toFixed(1)) : 0);
+    const frustratedSessions = sessions.filter(session => session.peakFrustration >= FRUSTRATION_THRESHOLD).length;
+    const multiTurnSessions = Object.values(trajectoryCounts).reduce((sum, count) => sum + count, 0);
+
+    return {
+        totalTurns,
+        totalSessions: sessions.length,
+        avgSentiment: parseFloat((sentimentSum / totalTurns).toFixed(2)),
+        distribution: Object.fromEntries(Object.entries(distribution).map(([label, count]) => [
+            label, { count, percentage: percent(count, totalTurns) },
+        ])),
+        frustratedTurns,
+        frustratedTurnRate: percent(frustratedTurns, totalTurns),
+        frustratedSessions,
+        frustratedSessionRate: percent(frustratedSessions, sessions.length),
+        signals: Object.entries(signalTotals)
+            .map(([key, { turns, sessions: signalSessions }]) => ({
+                key,
+                label: FRUSTRATION_SIGNALS[key].label,
+                turns,
+                sessions: signalSessions,
+                percentage: percent(turns, totalTurns),
+            }))
+            .filter(signal => signal.turns > 0)
+            .sort((a, b) => b.turns - a.turns),
+        // Direction of sentiment within sessions with at least two user turns
+        multiTurnSessions,
+        trajectories: Object.entries(trajectoryCounts).map(([key, count]) => ({
+            key,
+            label: SENTIMENT_TRAJECTORIES[key],
+            count,
+            percentage: percent(count, multiTurnSessions),
+        })),
+        byTurn: byTurn
+            .map((bucket, i) => ({
+                turn: i + 1,
+                label: i + 1 === MAX_FUNNEL_TURNS ? `Query ${i + 1}+` : `Query ${i + 1}`,
+                turns: bucket.turns,
+                avgSentiment: bucket.turns > 0 ? parseFloat((bucket.sentiment / bucket.turns).toFixed(2)) : 0,
+                avgFrustration: bucket.turns > 0 ? parseFloat((bucket.frustration / bucket.turns).toFixed(2)) : 0,
+            }))
+            .filter(bucket => bucket.turns > 0),
+        mostFrustrated: sessions
+            .filter(session => session.peakFrustration > 0)
+            .sort((a, b) => b.peakFrustration - a.peakFrustration ||
+                b.frustratedTurns - a.frustratedTurns ||
+                a.avgSentiment - b.avgSentiment)
+            .slice(0, MOST_FRUSTRATED_SESSIONS),
+    };
+}
+
 // ============================================================================
 // USER BEHAVIOR ANALYSIS
 // ============================================================================
 
+// Pattern matchers for query classification
+const QUERY_PATTERNS = {
+    location: /\b(near|in|at|around|close to|nearby)\s+(me|my|location|\w+,?\s*\w*)/i,
+    price: /\b(price|cost|under|below|above|budget|\$\d+|cheap|expensive|affordable)/i,
+    support: /\b(help|issue|problem|error|can'?t|unable|locked|not working|broken)/i,
+    naturalLanguage: /\b(i'?m|i am|i want|i need|looking for|searching for|trying to find|do you have)/i,
+    specificItem: /\b([A-Z]{2,}\s*[-]?\s*\d+|\d{4,}|model|sku|item\s*#)/i,
+};
+
+function countWords(query) {
+    return query.split(/\s+/).filter(w => w.length > 0).length;
+}
+
+/**
+ * Classify a user query as singleWord | naturalLanguage | advancedSearch | simplePhrase
+ */
+export function classifyQueryComplexity(query) {
+    const wordCount = countWords(query);
+
+    if (wordCount === 1) return 'singleWord';
+    if (QUERY_PATTERNS.naturalLanguage.test(query)) return 'naturalLanguage';
+    if (wordCount >= 5 || (QUERY_PATTERNS.location.test(query) && QUERY_PATTERNS.price.test(query))) {
+        return 'advancedSearch';
+    }
+    return 'simplePhrase';
+}
+
+/**
+ * Intent categories a user query counts towards (a query can count in several)
+ */
+export function classifyQueryIntents(query) {
+    const wordCount = countWords(query);
+    const categories = [];
+
+    if (QUERY_PATTERNS.support.test(query)) {
+        categories.push('supportRequest');
+    } else if (QUERY_PATTERNS.location.test(query)) {
+        categories.push('locationQuery');
+    }
+
+    if (QUERY_PATTERNS.price.test(query)) {
+        categories.push('priceInquiry');
+    }
+
+    if (QUERY_PATTERNS.specificItem.test(query)) {
+        categories.push('specificItem');
+    } else if (wordCount <= 2 && !QUERY_PATTERNS.location.test(query) && !QUERY_PATTERNS.support.test(query)) {
+        categories.push('categoryBrowse');
+    } else {
+        categories.push('productSearch');
+    }
+
+    return categories;
+}
+
 /**
  * Extract user behavior metrics - how users interact with the chatbot
+ * @param {Object} options - { intentTaxonomy } used to classify every user turn (defaults to DEFAULT_INTENT_TAXONOMY)
  */
-export function extractUserBehavior(transcripts) {
+export function extractUserBehavior(transcripts, { intentTaxonomy = DEFAULT_INTENT_TAXONOMY } = {}) {
     if (!transcripts || transcripts.length === 0) {
         return getEmptyUserBehavior();
     }
@@ -628,15 +1550,6 @@ export function extractUserBehavior(transcripts) {
         specificItem: 0       // Specific model/SKU
     };
 
-    // Pattern matchers
-    const patterns = {
-        location: /\b(near|in|at|around|close to|nearby)\s+(me|my|location|\w+,?\s*\w*)/i,
-        price: /\b(price|cost|under|below|above|budget|\$\d+|cheap|expensive|affordable)/i,
-        support: /\b(help|issue|problem|error|can'?t|unable|locked|not working|broken)/i,
-        naturalLanguage: /\b(i'?m|i am|i want|i need|looking for|searching for|trying to find|do you have)/i,
-        specificItem: /\b([A-Z]{2,}\s*[-]?\s*\d+|\d{4,}|model|sku|item\s*#)/i,
-    };
-
     for (const transcript of transcripts) {
         const userMessages = (transcript.messages || []).filter(m => m.role === 'user');
         const sessionQueries = [];
@@ -646,48 +1559,15 @@ export function extractUserBehavior(transcripts) {
             if (!query) continue;
 
             sessionQueries.push(query.toLowerCase());
-            const wordCount = query.split(/\s+/).filter(w => w.length > 0).length;
-
-            // Classify query complexity
-            if (wordCount === 1) {
-                queryComplexity.singleWord++;
-                if (queryComplexity.examples.singleWord.length < 5) {
-                    queryComplexity.examples.singleWord.push(query);
-                }
-            } else if (patterns.naturalLanguage.test(query)) {
-                queryComplexity.naturalLanguage++;
-                if (queryComplexity.examples.naturalLanguage.length < 5) {
-                    queryComplexity.examples.naturalLanguage.push(query);
-                }
-            } else if (wordCount >= 5 || (patterns.location.test(query) && patterns.price.test(query))) {
-                queryComplexity.advancedSearch++;
-                if (queryComplexity.examples.advancedSearch.length < 5) {
-                    queryComplexity.examples.advancedSearch.push(query);
-                }
-            } else {
-                queryComplexity.simplePhrase++;
-                if (queryComplexity.examples.simplePhrase.length < 5) {
-                    queryComplexity.examples.simplePhrase.push(query);
-                }
-            }
-
-            // Classify intent
-            if (patterns.support.test(query)) {
-                intentCategories.supportRequest++;
-            } else if (patterns.location.test(query)) {
-                intentCategories.locationQuery++;
-            }
 
-            if (patterns.price.test(query)) {
-                intentCategories.priceInquiry++;
+            const complexity = classifyQueryComplexity(query);
+            queryComplexity[complexity]++;
+            if (queryComplexity.examples[complexity].length < 5) {
+                queryComplexity.examples[complexity].push(query);
             }
 
-            if (patterns.specificItem.test(query)) {
-                intentCategories.specificItem++;
-            } else if (wordCount <= 2 && !patterns.location.test(query) && !patterns.support.test(query)) {
-                intentCategories.categoryBrowse++;
-            } else {
-                intentCategories.productSearch++;
+            for (const category of classifyQueryIntents(query)) {
+                intentCategories[category]++;
             }
         }
 
@@ -737,10 +1617,146 @@ export function extractUserBehavior(transcripts) {
                 : 0
         },
         intentCategories,
+        taxonomyIntents: extractTaxonomyIntents(transcripts, intentTaxonomy),
+        platformIntents: extractPlatformIntents(transcripts),
         insights: generateBehaviorInsights(queryComplexity, repeatedQueries, intentCategories, totalQueries, transcripts.length)
     };
 }
 
+const TAXONOMY_INTENT_EXAMPLES = 5;
+
+/**
+ * Classify every user turn against the intent taxonomy
+ * Per intent: turn volume, sessions, share of turns the bot answered without results or products,
+ * average turn number the intent is raised at and average length of the sessions it appears in
+ */
+function extractTaxonomyIntents(transcripts, taxonomy) {
+    const byIntent = new Map(
+        [...taxonomy, UNCLASSIFIED_INTENT].map(intent => [intent.id, {
+            id: intent.id,
+            name: intent.name,
+            count: 0,
+            noResults: 0,
+            turnSum: 0,
+            sessionIds: new Set(),
+            sessionTurnSum: 0,
+            matchedBy: { label: 0, pattern: 0, keyword: 0, example: 0 },
+            examples: [],
+        }])
+    );
+    let totalTurns = 0;
+
+    for (const transcript of transcripts) {
+        const messages = transcript.messages || [];
+        const sessionTurns = messages.filter(msg => msg.role === 'user').length;
+        const sessionId = String(transcript.id);
+        let turn = 0;
+
+        messages.forEach((msg, i) => {
+            if (msg.role !== 'user') return;
+            turn++;
+            const query = msg.content?.trim();
+            if (!query) return;
+            totalTurns++;
+
+            const match = classifyIntent(query, taxonomy);
+            const entry = byIntent.get(match?.id ?? UNCLASSIFIED_INTENT.id);
+
+            const replies = [];
+            for (let k = i + 1; k < messages.length && messages[k].role !== 'user'; k++) {
+                if (messages[k].role === 'bot') replies.push(messages[k]);
+            }
+
+            entry.count++;
+            entry.turnSum += turn;
+            if (getZeroResultReason(replies)) entry.noResults++;
+            if (match) entry.matchedBy[match.matchedBy]++;
+            if (!entry.sessionIds.has(sessionId)) {
+                entry.sessionIds.add(sessionId);
+                entry.sessionTurnSum += sessionTurns;
+            }
+            if (entry.examples.length < TAXONOMY_INTENT_EXAMPLES && !entry.examples.includes(query)) {
+                entry.examples.push(query);
+            }
+        });
+    }
+
+    if (totalTurns === 0) return null;
+
+    const toSummary = (entry) => ({
+        id: entry.id,
+        name: entry.name,
+        count: entry.count,
+        percentage: parseFloat(((entry.count / totalTurns) * 100).toFixed(1)),
+        sessions: entry.sessionIds.size,
+        noResultRate: entry.count > 0 ? parseFloat(((entry.noResults / entry.count) * 100).toFixed(1)) : null,
+        avgTurn: entry.count > 0 ? parseFloat((entry.turnSum / entry.count).toFixed(1)) : null,
+        avgSessionTurns: entry.sessionIds.size > 0 ? parseFloat((entry.sessionTurnSum / entry.sessionIds.size).toFixed(1)) : null,
+        matchedBy: entry.matchedBy,
+        examples: entry.examples,
+    });
+
+    const unclassified = toSummary(byIntent.get(UNCLASSIFIED_INTENT.id));
+    byIntent.delete(UNCLASSIFIED_INTENT.id);
+
+    return {
+        totalTurns,
+        classifiedTurns: totalTurns - unclassified.count,
+        coverage: parseFloat((((totalTurns - unclassified.count) / totalTurns) * 100).toFixed(1)),
+        // Taxonomy order is kept so the report reads like the editor
+        intents: [...byIntent.values()].map(toSummary),
+        unclassified,
+    };
+}
+
+export const LOW_CONFIDENCE_THRESHOLD = 0.5;
+
+/**
+ * Summarize NLU intents recorded by the chatbot platform (Dialogflow, Rasa, ...)
+ * Returns null when no imported message carries an intent
+ */
+function extractPlatformIntents(transcripts) {
+    const byName = {};
+    let total = 0;
+    let lowConfidence = 0;
+
+    for (const transcript of transcripts) {
+        for (const msg of transcript.messages || []) {
+            if (msg.role !== 'user' || !msg.intent?.name) continue;
+
+            total++;
+            const entry = byName[msg.intent.name] || (byName[msg.intent.name] = { name: msg.intent.name, count: 0, confidences: [] });
+            entry.count++;
+
+            if (typeof msg.intent.confidence === 'number') {
+                entry.confidences.push(msg.intent.confidence);
+                if (msg.intent.confidence < LOW_CONFIDENCE_THRESHOLD) lowConfidence++;
+            }
+        }
+    }
+
+    if (total === 0) return null;
+
+    const intents = Object.values(byName)
+        .map(({ name, count, confidences }) => ({
+            name,
+            count,
+            percentage: Math.round((count / total) * 100),
+            avgConfidence: confidences.length > 0
+                ? Math.round((confidences.reduce((a, b) => a + b, 0) / confidences.length) * 100) / 100
+                : null,
+        }))
+        .sort((a, b) => b.count - a.count);
+
+    return {
+        total,
+        uniqueIntents: intents.length,
+        lowConfidenceCount: lowConfidence,
+        lowConfidenceThreshold: LOW_CONFIDENCE_THRESHOLD,
+        intents,
+    };
+}
+
 /**
  * Generate human-readable insights from behavior data
  */
@@ -810,6 +1826,8 @@ function getEmptyUserBehavior() {
         },
         repeatedQueries: { sessionsWithRepeats: 0, totalRepeats: 0, percentage: 0, examples: [] },
         intentCategories: { productSearch: 0, locationQuery: 0, priceInquiry: 0, supportRequest: 0, categoryBrowse: 0, specificItem: 0 },
+        taxonomyIntents: null,
+        platformIntents: null,
         insights: []
     };
 }
@@ -0,0 +1,322 @@
+/**
+ * Run Comparison
+ * Diffs two saved analyses: rule-based metric deltas, query mix and time pattern
+ * shifts, and which LLM issues are new, resolved or persisting
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Rate changes smaller than this (percentage points) count as unchanged
+const UNCHANGED_EPSILON = 0.5;
+
+// Token overlap needed to treat two LLM issues as the same problem
+const ISSUE_MATCH_THRESHOLD = 0.35;
+// Looser overlap is enough when the LLM gave both issues the same type
+const SAME_TYPE_MATCH_THRESHOLD = 0.2;
+
+const DAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const COMPLEXITY_KINDS = [
+    { key: 'singleWord', label: 'Single word' },
+    { key: 'simplePhrase', label: 'Simple phrase' },
+    { key: 'advancedSearch', label: 'Advanced search' },
+    { key: 'naturalLanguage', label: 'Natural language' },
+];
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'are', 'with', 'that', 'this', 'from', 'not', 'but', 'was', 'were',
+    'has', 'have', 'had', 'its', 'when', 'which', 'their', 'they', 'them', 'into', 'than',
+    'too', 'can', 'cannot', 'does', 'doesn', 'don', 'being', 'been', 'some', 'many', 'users', 'user',
+]);
+
+function percentOf(count, total) {
+    return total > 0 ? (count / total) * 100 : 0;
+}
+
+/**
+ * Scalar metrics compared run over run
+ * better: 'lower' | 'higher' decides whether a change is an improvement; null is neutral
+ */
+const METRICS = [
+    {
+        id: 'totalSessions',
+        group: 'Turn analysis',
+        label: 'Sessions analyzed',
+        unit: 'count',
+        better: null,
+        get: ({ metrics }) => metrics.sessionOverview?.totalSessions ?? 0,
+    },
+    {
+        id: 'avgTurns',
+        group: 'Turn analysis',
+        label: 'Avg user turns per session',
+        unit: 'number',
+        better: null,
+        get: ({ metrics }) => metrics.turnAnalysis?.avgTurnsPerSession ?? 0,
+    },
+    {
+        id: 'singleTurnRate',
+        group: 'Turn analysis',
+        label: 'Single-turn sessions',
+        unit: 'percent',
+        better: null,
+        get: ({ metrics }) => percentOf(metrics.turnAnalysis?.singleTurnSessions || 0, metrics.sessionOverview?.totalSessions),
+    },
+    {
+        id: 'multiTurnRate',
+        group: 'Turn analysis',
+        label: 'Multi-turn sessions',
+        unit: 'percent',
+        better: null,
+        get: ({ metrics }) => percentOf(metrics.turnAnalysis?.multiTurnSessions || 0, metrics.sessionOverview?.totalSessions),
+    },
+    {
+        id: 'maxTurns',
+        group: 'Turn analysis',
+        label: 'Longest session (turns)',
+        unit: 'count',
+        better: null,
+        get: ({ metrics }) => metrics.turnAnalysis?.maxTurnsInSession ?? 0,
+    },
+    {
+        id: 'noResultRate',
+        group: 'Results',
+        label: 'Sessions without results',
+        unit: 'percent',
+        better: 'lower',
+        get: ({ metrics }) => {
+            const { sessionsWithResults, sessionsWithoutResults } = metrics.botResponseAnalysis || {};
+            const total = (sessionsWithResults?.count || 0) + (sessionsWithoutResults?.count || 0);
+            return percentOf(sessionsWithoutResults?.count || 0, total);
+        },
+    },
+    {
+        id: 'avgProducts',
+        group: 'Results',
+        label: 'Avg products returned',
+        unit: 'number',
+        better: null,
+        get: ({ metrics }) => metrics.botResponseAnalysis?.avgProductsReturned ?? 0,
+    },
+    {
+        id: 'repeatedQueryRate',
+        group: 'Queries',
+        label: 'Sessions with repeated queries',
+        unit: 'percent',
+        better: 'lower',
+        get: ({ userBehavior, metrics }) => percentOf(
+            userBehavior.repeatedQueries?.sessionsWithRepeats || 0,
+            metrics.sessionOverview?.totalSessions
+        ),
+    },
+    {
+        id: 'totalQueries',
+        group: 'Queries',
+        label: 'User queries',
+        unit: 'count',
+        better: null,
+        get: ({ userBehavior }) => userBehavior.queryComplexity?.total ?? 0,
+    },
+];
+
+// ============================================================================
+// COMPARISON
+// ============================================================================
+
+/**
+ * Compare two saved analyses
+ * @param {Object} baseline - { entry, results } of the earlier run
+ * @param {Object} current - { entry, results } of the later run
+ */
+export function compareAnalyses(baseline, current) {
+    const before = getRunData(baseline.results);
+    const after = getRunData(current.results);
+
+    return {
+        baseline: describeRun(baseline),
+        current: describeRun(current),
+        sameTranscripts: !!baseline.entry?.fingerprint && baseline.entry.fingerprint === current.entry?.fingerprint,
+        metrics: METRICS.map(metric => compareValues(metric, metric.get(before), metric.get(after))),
+        complexityMix: compareComplexityMix(before.userBehavior, after.userBehavior),
+        timePatterns: compareTimePatterns(before.metrics.timePatterns, after.metrics.timePatterns),
+        issues: compareIssues(
+            baseline.results?.analysis?.potentialIssues,
+            current.results?.analysis?.potentialIssues
+        ),
+        llmCompared: !!(baseline.results?.llmEnabled && current.results?.llmEnabled),
+    };
+}
+
+function getRunData(results) {
+    return {
+        metrics: results?.ruleBasedMetrics || {},
+        userBehavior: results?.userBehavior || results?.analysis?.userBehavior || {},
+    };
+}
+
+function describeRun({ entry, results }) {
+    return {
+        name: entry?.name || 'Analysis',
+        createdAt: entry?.createdAt || results?.timestamp || null,
+        transcriptCount: results?.transcriptCount ?? entry?.transcriptCount ?? 0,
+        llm: entry?.llm || null,
+        timeZone: results?.timeZone || null,
+    };
+}
+
+function compareValues(metric, baselineValue, currentValue) {
+    const delta = currentValue - baselineValue;
+    const epsilon = metric.unit === 'percent' ? UNCHANGED_EPSILON : 0;
+
+    let direction = 'unchanged';
+    if (Math.abs(delta) > epsilon) {
+        if (!metric.better) direction = 'changed';
+        else if ((delta < 0) === (metric.better === 'lower')) direction = 'improved';
+        else direction = 'regressed';
+    }
+
+    return {
+        id: metric.id,
+        group: metric.group,
+        label: metric.label,
+        unit: metric.unit,
+        baseline: baselineValue,
+        current: currentValue,
+        delta,
+        direction,
+    };
+}
+
+/**
+ * Share of queries per complexity class, in percentage points
+ */
+function compareComplexityMix(before, after) {
+    const share = (behavior, key) => percentOf(behavior.queryComplexity?.[key] || 0, behavior.queryComplexity?.total);
+
+    return COMPLEXITY_KINDS.map(({ key, label }) => {
+        const baseline = share(before, key);
+        const current = share(after, key);
+        return { key, label, baseline, current, delta: current - baseline };
+    });
+}
+
+/**
+ * Busiest hour/day and the per-hour and per-day share of sessions
+ * Shares, not counts, so runs of different sizes compare fairly
+ */
+function compareTimePatterns(before = {}, after = {}) {
+    const shares = (distribution = {}) => {
+        const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+        return (key) => percentOf(distribution[key] || 0, total);
+    };
+
+    const hourBefore = shares(before.hourlyDistribution);
+    const hourAfter = shares(after.hourlyDistribution);
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({
+        hour,
+        baseline: hourBefore(hour),
+        current: hourAfter(hour),
+        delta: hourAfter(hour) - hourBefore(hour),
+    }));
+
+    const dayBefore = shares(before.dailyDistribution);
+    const dayAfter = shares(after.dailyDistribution);
+    const daily = DAY_ORDER.map(day => ({
+        day,
+        baseline: dayBefore(day),
+        current: dayAfter(day),
+        delta: dayAfter(day) - dayBefore(day),
+    }));
+
+    return {
+        busiestHour: { baseline: before.busiestHour || null, current: after.busiestHour || null },
+        busiestDay: { baseline: before.busiestDay || null, current: after.busiestDay || null },
+        hourly,
+        daily,
+        // Hours whose share of traffic moved the most
+        largestHourShifts: [...hourly]
+            .filter(row => Math.abs(row.delta) > UNCHANGED_EPSILON)
+            .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+            .slice(0, 3),
+    };
+}
+
+// ============================================================================
+// ISSUE MATCHING
+// ============================================================================
+
+/**
+ * Pair baseline and current LLM issues by wording
+ * @returns {{ new: Array, resolved: Array, persisting: Array<{ baseline, current, similarity, severityChange }> }}
+ */
+export function compareIssues(baselineIssues = [], currentIssues = []) {
+    const before = (baselineIssues || []).map(issue => ({ issue, tokens: issueTokens(issue) }));
+    const after = (currentIssues || []).map(issue => ({ issue, tokens: issueTokens(issue) }));
+
+    // Score every pair, then match greedily from the most similar
+    const candidates = [];
+    before.forEach((b, i) => {
+        after.forEach((a, j) => {
+            const similarity = jaccard(b.tokens, a.tokens);
+            const sameType = !!b.issue.type && b.issue.type === a.issue.type;
+            const threshold = sameType ? SAME_TYPE_MATCH_THRESHOLD : ISSUE_MATCH_THRESHOLD;
+            if (similarity >= threshold) candidates.push({ i, j, similarity });
+        });
+    });
+    candidates.sort((x, y) => y.similarity - x.similarity);
+
+    const matchedBefore = new Set();
+    const matchedAfter = new Set();
+    const persisting = [];
+    for (const { i, j, similarity } of candidates) {
+        if (matchedBefore.has(i) || matchedAfter.has(j)) continue;
+        matchedBefore.add(i);
+        matchedAfter.add(j);
+        const baseline = before[i].issue;
+        const current = after[j].issue;
+        persisting.push({
+            baseline,
+            current,
+            similarity: parseFloat(similarity.toFixed(2)),
+            severityChange: compareSeverity(baseline.severity, current.severity),
+        });
+    }
+
+    return {
+        new: after.filter((_, j) => !matchedAfter.has(j)).map(a => a.issue),
+        resolved: before.filter((_, i) => !matchedBefore.has(i)).map(b => b.issue),
+        persisting,
+    };
+}
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+function compareSeverity(before, after) {
+    const b = SEVERITY_RANK[String(before || '').toLowerCase()];
+    const a = SEVERITY_RANK[String(after || '').toLowerCase()];
+    if (!b || !a || a === b) return 'same';
+    return a > b ? 'worse' : 'better';
+}
+
+function issueTokens(issue) {
+    return new Set(
+        String(issue?.issue || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 2 && !STOPWORDS.has(word))
+            // Crude stemming so "searches"/"search" and "failed"/"failing" line up
+            .map(word => word.replace(/(ing|ed|es|s)$/, ''))
+    );
+}
+
+function jaccard(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const token of a) {
+        if (b.has(token)) shared++;
+    }
+    return shared / (a.size + b.size - shared);
+}
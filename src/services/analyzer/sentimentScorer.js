@@ -0,0 +1,240 @@
+/**
+ * Sentiment & Frustration Scorer
+ * Scores every user turn offline with a small valence lexicon (negation and boosters
+ * handled VADER-style) plus frustration signals: shouting, repeated punctuation,
+ * rephrasing the previous query, profanity and "not what I asked" complaints.
+ * No LLM or model download needed.
+ */
+
+import { lemmatize, tokenizeQuery } from './queryClustering';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Sentiment in [-1, 1] beyond which a turn is positive or negative
+export const SENTIMENT_THRESHOLD = 0.05;
+
+// Frustration in [0, 1] at which a turn counts as frustrated
+export const FRUSTRATION_THRESHOLD = 0.4;
+
+// Change in average sentiment between a session's first and second half that counts as a trend
+const TRAJECTORY_DELTA = 0.2;
+
+// Share of content words a query must share with the previous one to count as a rephrase
+const REPHRASE_SIMILARITY = 0.6;
+
+// Normalizes a summed valence into [-1, 1] (same constant as VADER)
+const NORMALIZATION_ALPHA = 15;
+const NEGATION_SCALAR = -0.74;
+const BOOSTER_SCALAR = 1.3;
+// Words before a lexicon word that a negator still flips
+const NEGATION_WINDOW = 3;
+// How much negative sentiment adds to frustration
+const NEGATIVE_SENTIMENT_WEIGHT = 0.5;
+
+/**
+ * Frustration signals, with how much each adds to a turn's frustration
+ */
+export const FRUSTRATION_SIGNALS = {
+    notWhatIAsked: { label: '"Not what I asked"', weight: 0.4 },
+    profanity: { label: 'Profanity', weight: 0.35 },
+    rephrasing: { label: 'Rephrased previous query', weight: 0.25 },
+    allCaps: { label: 'ALL CAPS', weight: 0.2 },
+    repeatedPunctuation: { label: 'Repeated punctuation (!!, ??)', weight: 0.15 },
+};
+
+export const SENTIMENT_TRAJECTORIES = {
+    improving: 'Improving',
+    stable: 'Stable',
+    declining: 'Declining',
+};
+
+// Word valence from -3 (very negative) to 3 (very positive), lemmatized
+const LEXICON = {
+    thank: 2, thx: 2, great: 3, perfect: 3, awesome: 3, love: 3, excellent: 3,
+    good: 2, nice: 2, helpful: 2, amazing: 3, cool: 1, happy: 2, glad: 2, wonderful: 3,
+    fantastic: 3, appreciate: 2, brilliant: 3, beautiful: 2, best: 2, easy: 1, exactly: 1,
+    bad: -2, terrible: -3, awful: -3, horrible: -3, useless: -3, stupid: -3, worst: -3,
+    hate: -3, annoying: -2, annoyed: -2, frustrating: -3, frustrated: -3, ridiculous: -2,
+    wrong: -2, broken: -2, poor: -2, disappointed: -2, disappointing: -2, confusing: -2,
+    confused: -1, unhelpful: -2, waste: -2, slow: -1, problem: -1, angry: -3, upset: -2,
+    suck: -3, pointless: -2, nonsense: -2, impossible: -2, fail: -2, failed: -2,
+    worse: -2, dumb: -3, joke: -1, rubbish: -2, garbage: -3, incompetent: -3,
+};
+
+const PROFANITY = new Set([
+    'damn', 'dammit', 'crap', 'crappy', 'shit', 'shitty', 'bullshit', 'fuck', 'fucking', 'fucked',
+    'wtf', 'ffs', 'omfg', 'hell', 'bloody', 'pissed',
+]);
+
+// Profanity reads as negative even without a lexicon entry
+const PROFANITY_VALENCE = -2;
+
+const NEGATORS = new Set([
+    'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'without', 'cannot',
+    'dont', 'doesnt', 'didnt', 'isnt', 'wasnt', 'arent', 'cant', 'wont', 'couldnt', 'shouldnt',
+]);
+
+const BOOSTERS = new Set([
+    'very', 'really', 'so', 'extremely', 'totally', 'super', 'too', 'absolutely', 'completely', 'utterly',
+]);
+
+// Matched against lowercase words joined by single spaces, apostrophes dropped
+const NOT_WHAT_I_ASKED_PATTERNS = [
+    /\bnot what (i|im|i am) (asked|want|wanted|meant|said|need|needed|looking for)\b/,
+    /\b(thats|that is) not (it|right|what)\b/,
+    /\bi (already|just) (said|told you|asked)\b/,
+    /\b(youre|you are) not (listening|understanding|getting it)\b/,
+    /\byou (dont|do not) (understand|get it|listen)\b/,
+    /\b(doesnt|does not|didnt|did not) (help|answer)\b/,
+    /\bnot (helpful|helping)\b/,
+    /\b(didnt|did not) ask (for|about)\b/,
+    /\b(answer|read) my question\b/,
+    /\bwrong (answer|product|item|thing)\b/,
+    /\bare you (even|a bot|stupid|serious)\b/,
+];
+
+// ============================================================================
+// TURN SCORING
+// ============================================================================
+
+/**
+ * Lowercase words with apostrophes dropped, so "don't" and "dont" match the same negator
+ */
+function toWords(text) {
+    return text
+        .toLowerCase()
+        .replace(/[’']/g, '')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Lexicon sentiment in [-1, 1]; negators within NEGATION_WINDOW words flip and damp a word,
+ * a booster right before it strengthens it
+ */
+function scoreSentiment(words) {
+    let sum = 0;
+    words.forEach((word, i) => {
+        let valence = LEXICON[word] ?? LEXICON[lemmatize(word)] ?? (PROFANITY.has(word) ? PROFANITY_VALENCE : 0);
+        if (valence === 0) return;
+
+        if (i > 0 && BOOSTERS.has(words[i - 1])) valence *= BOOSTER_SCALAR;
+        if (words.slice(Math.max(0, i - NEGATION_WINDOW), i).some(w => NEGATORS.has(w))) valence *= NEGATION_SCALAR;
+        sum += valence;
+    });
+    return sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+}
+
+/**
+ * Shouting: mostly capital letters over at least two words (a single all-caps word is usually a model name)
+ */
+function isShouting(text) {
+    const letters = text.match(/\p{L}/gu) || [];
+    const upper = letters.filter(ch => ch !== ch.toLowerCase() && ch === ch.toUpperCase()).length;
+    const words = text.trim().split(/\s+/).filter(word => /\p{L}/u.test(word));
+    return letters.length >= 8 && words.length >= 2 && upper / letters.length >= 0.7;
+}
+
+/**
+ * Share of content words two queries have in common (Jaccard)
+ */
+function querySimilarity(a, b) {
+    const setA = new Set(tokenizeQuery(a));
+    const setB = new Set(tokenizeQuery(b));
+    if (setA.size === 0 || setB.size === 0) return 0;
+    const shared = [...setA].filter(word => setB.has(word)).length;
+    return shared / (setA.size + setB.size - shared);
+}
+
+/**
+ * Score one user turn
+ * @param {string} text
+ * @param {Object} options - { previousQuery: the session's previous user turn, for rephrase detection }
+ * @returns {{ sentiment: number, label: 'positive'|'neutral'|'negative', frustration: number, signals: string[] }}
+ */
+export function scoreTurn(text, { previousQuery = null } = {}) {
+    const content = String(text || '');
+    const words = toWords(content);
+    const normalized = words.join(' ');
+    const sentiment = scoreSentiment(words);
+
+    const signals = [];
+    if (NOT_WHAT_I_ASKED_PATTERNS.some(pattern => pattern.test(normalized))) signals.push('notWhatIAsked');
+    if (words.some(word => PROFANITY.has(word))) signals.push('profanity');
+    if (previousQuery && querySimilarity(content, previousQuery) >= REPHRASE_SIMILARITY) signals.push('rephrasing');
+    if (isShouting(content)) signals.push('allCaps');
+    if (/[!?]{2,}/.test(content)) signals.push('repeatedPunctuation');
+
+    const frustration = Math.min(1,
+        signals.reduce((total, signal) => total + FRUSTRATION_SIGNALS[signal].weight, 0) +
+        Math.max(0, -sentiment) * NEGATIVE_SENTIMENT_WEIGHT
+    );
+
+    return {
+        sentiment: round(sentiment),
+        label: sentiment >= SENTIMENT_THRESHOLD ? 'positive' : sentiment <= -SENTIMENT_THRESHOLD ? 'negative' : 'neutral',
+        frustration: round(frustration),
+        signals,
+    };
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ============================================================================
+// SESSION SCORING
+// ============================================================================
+
+function average(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Direction of sentiment within a session: the average of its second half against its first half
+ * null for sessions with fewer than two user turns
+ */
+function getTrajectory(sentiments) {
+    if (sentiments.length < 2) return null;
+    const half = Math.floor(sentiments.length / 2);
+    const delta = average(sentiments.slice(-half)) - average(sentiments.slice(0, half));
+    if (delta >= TRAJECTORY_DELTA) return 'improving';
+    if (delta <= -TRAJECTORY_DELTA) return 'declining';
+    return 'stable';
+}
+
+/**
+ * Score every user turn of a session
+ * @returns {{ turns: Array<{ turn, messageId, query, sentiment, label, frustration, signals }>,
+ *   avgSentiment, peakFrustration, frustratedTurns, trajectory }} or null without user turns
+ */
+export function scoreSession(transcript) {
+    const turns = [];
+    let previousQuery = null;
+
+    for (const msg of transcript.messages || []) {
+        const query = msg.role === 'user' ? msg.content?.trim() : null;
+        if (!query) continue;
+
+        turns.push({
+            turn: turns.length + 1,
+            messageId: msg.id ?? null,
+            query,
+            ...scoreTurn(query, { previousQuery }),
+        });
+        previousQuery = query;
+    }
+
+    if (turns.length === 0) return null;
+
+    const sentiments = turns.map(turn => turn.sentiment);
+    return {
+        turns,
+        avgSentiment: round(average(sentiments)),
+        peakFrustration: Math.max(...turns.map(turn => turn.frustration)),
+        frustratedTurns: turns.filter(turn => turn.frustration >= FRUSTRATION_THRESHOLD).length,
+        trajectory: getTrajectory(sentiments),
+    };
+}
@@ -0,0 +1,273 @@
+/**
+ * Session Drill-down
+ * Turns a clicked metric, card or chart segment into the set of sessions behind it.
+ * Predicates reuse the rule-based classifiers so a drill-down matches the count it came from.
+ */
+
+import {
+    getSessionTimeKeys,
+    getSessionTiming,
+    getSessionExit,
+    EXIT_REASONS,
+    MAX_FUNNEL_TURNS,
+    getSessionFlowPath,
+    describeFlowNode,
+    formatHour,
+    SLOW_RESPONSE_SECONDS,
+    classifyQueryComplexity,
+    classifyQueryIntents,
+    LOW_CONFIDENCE_THRESHOLD,
+} from './ruleBasedAnalyzer';
+import { toWeekKey } from './timeSeries';
+import { classifyIntent, DEFAULT_INTENT_TAXONOMY, UNCLASSIFIED_INTENT } from './intentTaxonomy';
+import { scoreSession, FRUSTRATION_THRESHOLD, FRUSTRATION_SIGNALS, SENTIMENT_TRAJECTORIES } from './sentimentScorer';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function userQueries(transcript) {
+    return (transcript.messages || [])
+        .filter(msg => msg.role === 'user' && msg.content?.trim())
+        .map(msg => msg.content.trim());
+}
+
+function userTurnCount(transcript) {
+    return (transcript.messages || []).filter(msg => msg.role === 'user').length;
+}
+
+function hasBotResults(transcript) {
+    return (transcript.messages || []).some(msg => msg.role === 'bot' && msg.results);
+}
+
+function hasRepeatedQuery(transcript) {
+    const queries = userQueries(transcript).map(q => q.toLowerCase());
+    return new Set(queries).size < queries.length;
+}
+
+function userIntents(transcript) {
+    return (transcript.messages || [])
+        .filter(msg => msg.role === 'user' && msg.intent?.name)
+        .map(msg => msg.intent);
+}
+
+const COMPLEXITY_LABELS = {
+    singleWord: 'single-word',
+    simplePhrase: 'simple-phrase',
+    advancedSearch: 'advanced-search',
+    naturalLanguage: 'natural-language',
+};
+
+const ABANDONMENT_LABELS = {
+    unanswered: 'Sessions that ended on an unanswered message',
+    afterSlowResponse: 'Sessions abandoned after a slow reply',
+};
+
+const INTENT_LABELS = {
+    productSearch: 'product search',
+    locationQuery: 'location',
+    priceInquiry: 'price',
+    supportRequest: 'support request',
+    categoryBrowse: 'category browse',
+    specificItem: 'specific item',
+};
+
+// ============================================================================
+// DRILL-DOWN TYPES
+// ============================================================================
+
+/**
+ * Each type has a label(params) and a match(transcript, params, context) predicate
+ * context.timeZone is the timezone the report's time patterns were bucketed in;
+ * context.intentTaxonomy is the taxonomy its user turns were classified with
+ */
+export const DRILLDOWN_TYPES = {
+    all: {
+        label: () => 'All sessions',
+        match: () => true,
+    },
+    singleTurn: {
+        label: () => 'Single-turn sessions',
+        match: (t) => userTurnCount(t) === 1,
+    },
+    multiTurn: {
+        label: () => 'Multi-turn sessions',
+        match: (t) => userTurnCount(t) > 1,
+    },
+    maxTurns: {
+        label: ({ turns }) => `Sessions with ${turns} turns`,
+        match: (t, { turns }) => userTurnCount(t) === turns,
+    },
+    withResults: {
+        label: () => 'Sessions with results',
+        match: (t) => hasBotResults(t),
+    },
+    withoutResults: {
+        label: () => 'Sessions without results',
+        match: (t) => !hasBotResults(t),
+    },
+    escalated: {
+        label: () => 'Escalated sessions',
+        match: (t) => !!t.metadata?.hasEscalation,
+    },
+    hour: {
+        label: ({ hour }) => `Sessions starting ${formatHour(hour)}`,
+        match: (t, { hour }, { timeZone }) => getSessionTimeKeys(t, timeZone)?.hour === hour,
+    },
+    dayOfWeek: {
+        label: ({ day }) => `Sessions on ${day}s`,
+        match: (t, { day }, { timeZone }) => getSessionTimeKeys(t, timeZone)?.dayOfWeek === day,
+    },
+    weekdayHour: {
+        label: ({ day, hour }) => `Sessions starting ${day}s ${formatHour(hour)}`,
+        match: (t, { day, hour }, { timeZone }) => {
+            const keys = getSessionTimeKeys(t, timeZone);
+            return keys?.dayOfWeek === day && keys.hour === hour;
+        },
+    },
+    date: {
+        label: ({ date }) => `Sessions on ${date}`,
+        match: (t, { date }, { timeZone }) => getSessionTimeKeys(t, timeZone)?.dateLabel === date,
+    },
+    // A point on a trend chart: params.key is a YYYY-MM-DD day, or the Monday of a week
+    period: {
+        label: ({ granularity, key }) => (granularity === 'week' ? `Sessions in the week of ${key}` : `Sessions on ${key}`),
+        match: (t, { granularity, key }, { timeZone }) => {
+            const dateKey = getSessionTimeKeys(t, timeZone)?.dateKey;
+            if (!dateKey) return false;
+            return (granularity === 'week' ? toWeekKey(dateKey) : dateKey) === key;
+        },
+    },
+    slowResponse: {
+        label: () => `Sessions with bot replies slower than ${SLOW_RESPONSE_SECONDS}s`,
+        match: (t) => getSessionTiming(t)?.slowResponses > 0,
+    },
+    // params.reason narrows to 'unanswered' or 'afterSlowResponse'
+    abandoned: {
+        label: ({ reason }) => ABANDONMENT_LABELS[reason] || 'Idle-abandoned sessions',
+        match: (t, { reason }) => {
+            const abandonment = getSessionTiming(t)?.abandonment;
+            return !!abandonment && (!reason || abandonment === reason);
+        },
+    },
+    // Funnel exits: params.turn is the user turn the session ended on (MAX_FUNNEL_TURNS means that many or more)
+    dropOff: {
+        label: ({ reason, turn }) => {
+            const where = turn ? ` at query ${turn}${turn === MAX_FUNNEL_TURNS ? '+' : ''}` : '';
+            return reason ? `Exits${where}: ${EXIT_REASONS[reason] || reason}` : `Sessions ending${where}`;
+        },
+        match: (t, { reason, turn }) => {
+            const exit = getSessionExit(t);
+            if (!exit) return false;
+            if (reason && exit.reason !== reason) return false;
+            if (!turn) return true;
+            return turn === MAX_FUNNEL_TURNS ? exit.turn >= turn : exit.turn === turn;
+        },
+    },
+    // Conversation flow: a Sankey node, a link between two nodes, or a complete path
+    flowNode: {
+        label: ({ node }) => `Sessions through "${describeFlowNode(node)}"`,
+        match: (t, { node }) => !!getSessionFlowPath(t)?.includes(node),
+    },
+    flowLink: {
+        label: ({ source, target }) => `Sessions going ${describeFlowNode(source)} → ${describeFlowNode(target)}`,
+        match: (t, { source, target }) => {
+            const path = getSessionFlowPath(t) || [];
+            return path.some((node, i) => node === source && path[i + 1] === target);
+        },
+    },
+    flowPath: {
+        label: ({ path }) => `Sessions on path ${path.map(describeFlowNode).join(' → ')}`,
+        match: (t, { path }) => getSessionFlowPath(t)?.join('>') === path.join('>'),
+    },
+    withQueries: {
+        label: () => 'Sessions with user queries',
+        match: (t) => userQueries(t).length > 0,
+    },
+    query: {
+        label: ({ query }) => `Sessions asking "${query}"`,
+        match: (t, { query }) => userQueries(t).some(q => q.toLowerCase() === query.toLowerCase()),
+    },
+    // params.queries are the cluster's lowercased member queries
+    queryCluster: {
+        label: ({ label }) => `Sessions in query cluster "${label}"`,
+        match: (t, { queries }) => {
+            const members = new Set(queries);
+            return userQueries(t).some(q => members.has(q.toLowerCase()));
+        },
+    },
+    queryComplexity: {
+        label: ({ kind }) => `Sessions with ${COMPLEXITY_LABELS[kind] || kind} queries`,
+        match: (t, { kind }) => userQueries(t).some(q => classifyQueryComplexity(q) === kind),
+    },
+    queryIntent: {
+        label: ({ category }) => `Sessions with ${INTENT_LABELS[category] || category} queries`,
+        match: (t, { category }) => userQueries(t).some(q => classifyQueryIntents(q).includes(category)),
+    },
+    taxonomyIntent: {
+        label: ({ name }) => `Sessions with "${name}" turns`,
+        match: (t, { id }, context) => userQueries(t).some(q =>
+            (classifyIntent(q, context.intentTaxonomy || DEFAULT_INTENT_TAXONOMY)?.id ?? UNCLASSIFIED_INTENT.id) === id
+        ),
+    },
+    // Sentiment tab: frustrated sessions, optionally narrowed to one frustration signal
+    frustrated: {
+        label: ({ signal }) => (signal
+            ? `Sessions with ${FRUSTRATION_SIGNALS[signal]?.label || signal} turns`
+            : 'Frustrated sessions'),
+        match: (t, { signal }) => {
+            const scored = scoreSession(t);
+            if (!scored) return false;
+            return signal
+                ? scored.turns.some(turn => turn.signals.includes(signal))
+                : scored.peakFrustration >= FRUSTRATION_THRESHOLD;
+        },
+    },
+    sentimentTrajectory: {
+        label: ({ trajectory }) => `Sessions with ${(SENTIMENT_TRAJECTORIES[trajectory] || trajectory).toLowerCase()} sentiment`,
+        match: (t, { trajectory }) => scoreSession(t)?.trajectory === trajectory,
+    },
+    sentimentLabel: {
+        label: ({ label }) => `Sessions with ${label} turns`,
+        match: (t, { label }) => !!scoreSession(t)?.turns.some(turn => turn.label === label),
+    },
+    repeatedQueries: {
+        label: () => 'Sessions with repeated queries',
+        match: (t) => hasRepeatedQuery(t),
+    },
+    platformIntent: {
+        label: ({ name }) => `Sessions with intent "${name}"`,
+        match: (t, { name }) => userIntents(t).some(intent => intent.name === name),
+    },
+    classifiedIntent: {
+        label: () => 'Sessions with platform intents',
+        match: (t) => userIntents(t).length > 0,
+    },
+    lowConfidenceIntent: {
+        label: () => 'Sessions with low-confidence intents',
+        match: (t) => userIntents(t).some(intent =>
+            typeof intent.confidence === 'number' && intent.confidence < LOW_CONFIDENCE_THRESHOLD
+        ),
+    },
+};
+
+/**
+ * Describe a drill-down: { type, params, label }
+ */
+export function createDrilldown(type, params = {}) {
+    const definition = DRILLDOWN_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown drill-down type: ${type}`);
+    }
+    return { type, params, label: definition.label(params) };
+}
+
+/**
+ * Sessions matching a drill-down
+ * @param {Object} context - { timeZone, intentTaxonomy } of the report, so drill-downs match its buckets and intents
+ */
+export function getDrilldownSessions(transcripts, drilldown, context = {}) {
+    const definition = DRILLDOWN_TYPES[drilldown?.type];
+    if (!definition) return transcripts;
+    return transcripts.filter(transcript => definition.match(transcript, drilldown.params, context));
+}
@@ -0,0 +1,234 @@
+/**
+ * Staged LLM Pipeline
+ * Runs the per-stage prompts in sequence (domain → intents → scoring →
+ * friction/knowledge gaps → prompt optimization → recommendations), feeding
+ * each stage's output into the next, then maps the results onto the shapes the
+ * report views expect
+ */
+
+import llmService from '../llm/llmService';
+import {
+    getDomainInferencePrompt,
+    getIntentDiscoveryPrompt,
+    getResponseScoringPrompt,
+    getFrictionDetectionPrompt,
+    getKnowledgeGapPrompt,
+    getPromptOptimizationPrompt,
+    getRecommendationsPrompt,
+} from '../../utils/prompts';
+
+const STAGE_MAX_TOKENS = 4096;
+
+/**
+ * Run every stage; onStage(stageId, fraction) reports progress through the pipeline
+ * sentiment is the rule-based sentiment metrics, passed on to friction detection
+ * A failed stage is recorded in `stageErrors` and later stages continue without it
+ * @returns {Promise<Object>} { potentialIssues, recommendations, observations,
+ *   intentAnalysis, promptOptimization, trainingRecommendations, executiveSummary,
+ *   healthMetrics, stages, stageErrors }
+ */
+export async function runStagedAnalysis({
+    transcripts,
+    websiteUrl,
+    businessModel,
+    businessContext,
+    sentiment = null,
+    onStage,
+    signal,
+}) {
+    const stages = {};
+    const stageErrors = [];
+    const totalCalls = 7;
+    let completedCalls = 0;
+
+    const runStage = async (stageId, key, prompt) => {
+        onStage?.(stageId, completedCalls / totalCalls);
+        signal?.throwIfAborted();
+
+        try {
+            stages[key] = await llmService.completeJson(prompt, {
+                maxTokens: STAGE_MAX_TOKENS,
+                temperature: 0.2,
+                signal,
+            });
+            console.log(`✅ Stage "${key}" complete`);
+        } catch (error) {
+            if (error?.name === 'AbortError') throw error;
+            console.warn(`⚠️ Stage "${key}" failed:`, error.message);
+            stageErrors.push({ stage: key, error: error.message });
+            stages[key] = null;
+        }
+
+        completedCalls++;
+        return stages[key];
+    };
+
+    // 1. Domain: what the business sells and what users are likely to ask
+    const inferredDomain = await runStage('domain', 'domain', getDomainInferencePrompt(websiteUrl, businessModel));
+    const domainContext = {
+        ...inferredDomain,
+        ...(businessContext.industry && { industry: businessContext.industry }),
+        ...(businessContext.geography && { geography: businessContext.geography }),
+        ...(businessContext.websiteContent?.success && { websiteSummary: businessContext.websiteContent.summary }),
+        ...(businessContext.additionalContext && { additionalContext: businessContext.additionalContext }),
+        ...(businessContext.verifiedLabels?.length && { verifiedQueryLabels: businessContext.verifiedLabels }),
+    };
+
+    // 2. Intents, grounded in the domain
+    const intents = await runStage('intents', 'intents', getIntentDiscoveryPrompt(transcripts, domainContext));
+
+    // 3. Response quality
+    const scoring = await runStage('scoring', 'scoring', getResponseScoringPrompt(transcripts));
+
+    // 4. Friction and knowledge gaps
+    const friction = await runStage('friction', 'friction', getFrictionDetectionPrompt(transcripts, sentiment));
+    const knowledgeGaps = await runStage('friction', 'knowledgeGaps', getKnowledgeGapPrompt(transcripts, domainContext));
+
+    // 5. Prompt optimization from what the earlier stages found
+    const promptOptimization = await runStage('recommendations', 'promptOptimization', getPromptOptimizationPrompt({
+        topIssues: [
+            ...(friction?.loops || []).map(loop => loop.rootCause),
+            ...(knowledgeGaps?.knowledgeGaps || []).map(gap => gap.specificGap),
+        ].filter(Boolean).slice(0, 10),
+        commonFailures: scoring?.commonFailurePatterns || [],
+        missingIntents: intents?.missingIntents || [],
+    }, domainContext));
+
+    // 6. Prioritized plan from the complete analysis
+    const plan = await runStage('recommendations', 'recommendations', getRecommendationsPrompt({
+        intents,
+        scoring: scoring && { overallScores: scoring.overallScores, commonFailurePatterns: scoring.commonFailurePatterns },
+        friction: friction && { frictionSummary: friction.frictionSummary, loops: friction.loops, deadEnds: friction.deadEnds },
+        knowledgeGaps,
+        promptOptimization: promptOptimization && { systemPromptIssues: promptOptimization.systemPromptIssues },
+    }, domainContext, businessModel));
+
+    onStage?.('report', 1);
+
+    if (stageErrors.length === totalCalls) {
+        throw new Error(`All analysis stages failed: ${stageErrors[0].error}`);
+    }
+
+    return {
+        ...mapToReport({ intents, scoring, friction, knowledgeGaps, promptOptimization, plan }),
+        stages,
+        stageErrors,
+    };
+}
+
+// ============================================================================
+// MAP STAGE OUTPUT TO REPORT SHAPES
+// ============================================================================
+
+/**
+ * Quoted user messages as one citation each, for linkEvidence to find by text
+ * (the stage prompts don't ask for session or message ids)
+ */
+function toQuotes(examples) {
+    return (Array.isArray(examples) ? examples : examples ? [examples] : [])
+        .filter(example => typeof example === 'string' && example.trim())
+        .map(quote => ({ sessionId: null, messageId: null, quote }));
+}
+
+function mapToReport({ intents, scoring, friction, knowledgeGaps, promptOptimization, plan }) {
+    return {
+        potentialIssues: [
+            ...(scoring?.commonFailurePatterns || []).map(pattern => ({
+                issue: pattern.pattern,
+                type: 'Response Failure',
+                frequency: pattern.frequency,
+                evidence: toQuotes(pattern.examples),
+                caveat: pattern.fix ? `Suggested fix: ${pattern.fix}` : undefined,
+                severity: pattern.impact,
+            })),
+            ...(friction?.loops || []).map(loop => ({
+                issue: loop.rootCause,
+                type: 'Conversation Loop',
+                // The LLM's description of the loop, not a quote
+                details: loop.evidence,
+                caveat: loop.solution ? `Suggested fix: ${loop.solution}` : undefined,
+                severity: loop.userFrustrationLevel,
+            })),
+            ...(knowledgeGaps?.knowledgeGaps || []).map(gap => ({
+                issue: gap.specificGap,
+                type: `Knowledge Gap: ${gap.category}`,
+                frequency: gap.frequency,
+                details: Array.isArray(gap.evidence) ? gap.evidence.join(' → ') : gap.evidence,
+                severity: gap.impact,
+            })),
+        ].filter(issue => issue.issue),
+
+        recommendations: (plan?.recommendations || []).map((rec, i) => ({
+            id: rec.id || i + 1,
+            title: rec.title,
+            rationale: rec.description,
+            expectedOutcome: rec.expectedOutcome,
+            action: rec.implementation,
+            effort: rec.effort,
+            category: rec.category,
+            impact: rec.impact,
+        })),
+
+        observations: {
+            patterns: (intents?.emergingIntents || []).map(intent => ({
+                observation: `Emerging intent: ${intent.intentName}`,
+                evidence: toQuotes(intent.examples),
+                businessRelevance: intent.occurrences ? `Seen ${intent.occurrences} times` : undefined,
+            })),
+            anomalies: (friction?.deadEnds || []).map(deadEnd => ({
+                anomaly: `Dead end: "${deadEnd.lastUserMessage}"`,
+                details: deadEnd.missedOpportunity,
+            })),
+        },
+
+        intentAnalysis: intents && {
+            discoveredIntents: (intents.intents || []).map(intent => ({
+                name: intent.intentName,
+                category: intent.category,
+                frequency: intent.frequency,
+                qualityScore: intent.qualityScore,
+                qualityReason: intent.qualityReason,
+                examples: intent.exampleUtterances || [],
+                gaps: intent.coverageGaps || [],
+                improvementOpportunity: intent.improvementOpportunity,
+            })),
+            missingIntents: (intents.missingIntents || []).map(intent => ({
+                name: intent.intentName,
+                evidence: intent.evidence,
+                priority: intent.priority,
+                recommendedResponses: intent.recommendedResponses || [],
+            })),
+            overloadedIntents: intents.overloadedIntents || [],
+        },
+
+        promptOptimization: promptOptimization && {
+            suggestions: (promptOptimization.promptImprovements || []).map(improvement => ({
+                area: improvement.area,
+                currentBehavior: improvement.currentBehavior,
+                recommendation: improvement.targetBehavior,
+                promptSnippet: improvement.promptSnippet,
+                expectedOutcome: improvement.expectedOutcome,
+            })),
+            guardrails: promptOptimization.guardrailsNeeded || [],
+            toneAdjustments: promptOptimization.toneAdjustments || null,
+            sampleImprovedPrompt: promptOptimization.examplePromptTemplate,
+        },
+
+        trainingRecommendations: (plan?.trainingRecommendations || knowledgeGaps?.faqsNeeded) && {
+            newIntents: (plan?.trainingRecommendations?.newIntentsToAdd || []).map(intent => ({
+                name: intent.intentName,
+                utterances: intent.sampleUtterances || [],
+                responses: intent.suggestedResponses || [],
+            })),
+            intentsToImprove: plan?.trainingRecommendations?.intentsToImprove || [],
+            faqsToAdd: (knowledgeGaps?.faqsNeeded || []).map(faq => ({
+                question: faq.question,
+                answer: faq.recommendedResponse,
+                occurrences: faq.occurrences,
+            })),
+        },
+
+        executiveSummary: plan?.executiveSummary || null,
+        healthMetrics: plan?.healthMetrics || null,
+    };
+}
@@ -0,0 +1,120 @@
+/**
+ * Time Series Utilities
+ * Day/week bucket keys, gap filling and change-point detection for the
+ * trend metrics computed in ruleBasedAnalyzer
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// BUCKET KEYS
+// ============================================================================
+
+/**
+ * YYYY-MM-DD key of the Monday starting the week of a YYYY-MM-DD day key
+ */
+export function toWeekKey(dateKey) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    const mondayOffset = (date.getUTCDay() + 6) % 7;
+    return new Date(date.getTime() - mondayOffset * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Every bucket key from first to last, stepping by days or weeks
+ * Keys are calendar dates, so stepping in UTC avoids DST gaps
+ */
+export function enumerateKeys(firstKey, lastKey, granularity = 'day') {
+    const step = granularity === 'week' ? 7 * DAY_MS : DAY_MS;
+    const end = new Date(`${lastKey}T00:00:00Z`).getTime();
+    const keys = [];
+    for (let t = new Date(`${firstKey}T00:00:00Z`).getTime(); t <= end; t += step) {
+        keys.push(new Date(t).toISOString().slice(0, 10));
+    }
+    return keys;
+}
+
+// ============================================================================
+// CHANGE-POINT DETECTION
+// ============================================================================
+
+/**
+ * How large a shift must be before it is reported, per metric
+ * minDelta is in the metric's unit; minRelativeDelta is a fraction of the earlier mean
+ */
+export const CHANGE_POINT_METRICS = {
+    sessions: { label: 'Sessions', minRelativeDelta: 0.3 },
+    noResultRate: { label: 'No-result rate', minDelta: 5 },
+    avgTurns: { label: 'Avg turns', minDelta: 0.25 },
+    repeatRate: { label: 'Repeat rate', minDelta: 5 },
+};
+
+// Cap for the shift score when the surrounding windows have no variance
+const MAX_SCORE = 99;
+
+function mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function variance(values, avg) {
+    if (values.length < 2) return 0;
+    return values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Find points where a metric's level shifts
+ * Compares the window before each point with the window from it onwards
+ * (a two-sample t statistic) and keeps the strongest shift in each neighbourhood
+ * @param {Array} points - Series points, oldest first; null values (no sessions) are skipped
+ * @param {string} metric - Key of the value to test
+ * @param {Object} options - { window, minSegment, threshold, minDelta, minRelativeDelta }
+ * @returns {Array<{ metric, key, index, before, after, delta, score, direction }>}
+ */
+export function detectChangePoints(points, metric, options = {}) {
+    const {
+        window = 7,
+        minSegment = 3,
+        threshold = 2.5,
+        minDelta = 0,
+        minRelativeDelta = 0,
+    } = { ...CHANGE_POINT_METRICS[metric], ...options };
+
+    const values = points.map(point => point[metric]);
+    const candidates = [];
+
+    for (let i = minSegment; i <= values.length - minSegment; i++) {
+        const before = values.slice(Math.max(0, i - window), i).filter(v => v != null);
+        const after = values.slice(i, i + window).filter(v => v != null);
+        if (before.length < minSegment || after.length < minSegment) continue;
+
+        const meanBefore = mean(before);
+        const meanAfter = mean(after);
+        const delta = meanAfter - meanBefore;
+        if (Math.abs(delta) < Math.max(minDelta, Math.abs(meanBefore) * minRelativeDelta)) continue;
+
+        const pooled = ((before.length - 1) * variance(before, meanBefore) + (after.length - 1) * variance(after, meanAfter)) /
+            (before.length + after.length - 2);
+        const stdError = Math.sqrt(pooled * (1 / before.length + 1 / after.length));
+        const score = stdError > 0 ? Math.min(MAX_SCORE, Math.abs(delta) / stdError) : MAX_SCORE;
+        if (score < threshold) continue;
+
+        candidates.push({
+            metric,
+            key: points[i].key,
+            index: i,
+            before: parseFloat(meanBefore.toFixed(2)),
+            after: parseFloat(meanAfter.toFixed(2)),
+            delta: parseFloat(delta.toFixed(2)),
+            score: parseFloat(score.toFixed(1)),
+            direction: delta > 0 ? 'up' : 'down',
+        });
+    }
+
+    // Neighbouring points see nearly the same windows - keep only the strongest
+    const kept = [];
+    for (const candidate of candidates.sort((a, b) => b.score - a.score || Math.abs(b.delta) - Math.abs(a.delta))) {
+        if (kept.every(point => Math.abs(point.index - candidate.index) >= window)) {
+            kept.push(candidate);
+        }
+    }
+    return kept.sort((a, b) => a.index - b.index);
+}
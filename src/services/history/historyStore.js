@@ -0,0 +1,223 @@
+/**
+ * Analysis History Store
+ * Keeps completed analyses in IndexedDB so past runs can be reopened
+ * without re-uploading transcripts or calling the LLM again
+ */
+
+import { STORAGE_KEYS } from '../../utils/constants';
+import { generateId } from '../../utils/helpers';
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+const DB_VERSION = 1;
+// Small listing records, read all at once by the history panel
+const ENTRIES_STORE = 'entries';
+// Full results and transcripts, read only when an entry is opened
+const PAYLOADS_STORE = 'payloads';
+
+let dbPromise = null;
+
+/**
+ * Whether this browser can persist history
+ */
+export function isHistoryAvailable() {
+    return typeof indexedDB !== 'undefined';
+}
+
+function openDatabase() {
+    if (!isHistoryAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available in this browser'));
+    }
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(STORAGE_KEYS.analysisHistory, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(ENTRIES_STORE)) {
+                    db.createObjectStore(ENTRIES_STORE, { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains(PAYLOADS_STORE)) {
+                    db.createObjectStore(PAYLOADS_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                dbPromise = null;
+                reject(request.error);
+            };
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Run fn(stores) in one transaction and resolve with its result once committed
+ */
+async function withStores(mode, fn) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([ENTRIES_STORE, PAYLOADS_STORE], mode);
+        let result;
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        Promise.resolve(fn({
+            entries: tx.objectStore(ENTRIES_STORE),
+            payloads: tx.objectStore(PAYLOADS_STORE),
+        })).then(value => { result = value; }, reject);
+    });
+}
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// ============================================================================
+// FINGERPRINT
+// ============================================================================
+
+/**
+ * Stable fingerprint of a transcript set: same sessions and messages, same fingerprint
+ * FNV-1a over session ids, roles and message text, independent of upload order
+ */
+export function fingerprintTranscripts(transcripts = []) {
+    const sessionHashes = transcripts
+        .map(transcript => {
+            let text = String(transcript.id);
+            for (const msg of transcript.messages || []) {
+                text += `\u0000${msg.role}\u0001${msg.content || ''}`;
+            }
+            return fnv1a(text);
+        })
+        .sort();
+
+    return `${transcripts.length}-${fnv1a(sessionHashes.join(''))}`;
+}
+
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+/**
+ * Save a completed analysis
+ * @param {Object} options
+ * @param {Object} options.results - Analysis results (parentResults is dropped)
+ * @param {Array} options.transcripts - The analyzed sessions, so drill-downs work after reopening
+ * @param {Object} options.businessContext - Business context the run used
+ * @param {Object|null} options.llm - { provider, model, analysisMode }, or null for rule-based runs
+ * @returns {Promise<Object>} the saved entry
+ */
+export async function saveAnalysis({ results, transcripts = [], businessContext = null, llm = null, name = '' }) {
+    const storedResults = { ...results };
+    delete storedResults.parentResults;
+    const createdAt = new Date().toISOString();
+
+    const entry = {
+        id: generateId(),
+        name: name || defaultEntryName(results, createdAt),
+        tags: [],
+        createdAt,
+        fingerprint: fingerprintTranscripts(transcripts),
+        transcriptCount: transcripts.length,
+        websiteUrl: results.websiteUrl || '',
+        businessModel: results.businessModel || '',
+        llm,
+        scopeLabel: results.scope?.label || null,
+        issueCount: results.analysis?.potentialIssues?.length || 0,
+        recommendationCount: results.analysis?.recommendations?.length || 0,
+    };
+
+    await withStores('readwrite', ({ entries, payloads }) => {
+        entries.put(entry);
+        payloads.put({ id: entry.id, results: storedResults, transcripts, businessContext });
+    });
+
+    console.log(`🗂️ Saved analysis to history: ${entry.name}`);
+    return entry;
+}
+
+function defaultEntryName(results, createdAt) {
+    let site = '';
+    try {
+        site = results.websiteUrl ? new URL(results.websiteUrl).hostname : '';
+    } catch {
+        site = results.websiteUrl;
+    }
+    const date = new Date(createdAt).toLocaleString();
+    const label = results.scope?.label || site || 'Analysis';
+    return `${label} — ${date}`;
+}
+
+/**
+ * All saved entries, newest first
+ */
+export async function listAnalyses() {
+    const entries = await withStores('readonly', ({ entries }) => requestToPromise(entries.getAll()));
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Load a saved analysis: { entry, results, transcripts, businessContext }
+ */
+export async function loadAnalysis(id) {
+    const [entry, payload] = await withStores('readonly', ({ entries, payloads }) =>
+        Promise.all([requestToPromise(entries.get(id)), requestToPromise(payloads.get(id))])
+    );
+    if (!entry || !payload) {
+        throw new Error('This analysis is no longer in history');
+    }
+    return {
+        entry,
+        results: payload.results,
+        transcripts: payload.transcripts || [],
+        businessContext: payload.businessContext,
+    };
+}
+
+/**
+ * Rename or retag an entry
+ * @param {Object} changes - { name?, tags? }
+ * @returns {Promise<Object>} the updated entry
+ */
+export async function updateAnalysis(id, changes) {
+    return withStores('readwrite', async ({ entries }) => {
+        const entry = await requestToPromise(entries.get(id));
+        if (!entry) {
+            throw new Error('This analysis is no longer in history');
+        }
+
+        const updated = { ...entry };
+        if (typeof changes.name === 'string' && changes.name.trim()) {
+            updated.name = changes.name.trim();
+        }
+        if (Array.isArray(changes.tags)) {
+            updated.tags = [...new Set(changes.tags.map(tag => tag.trim()).filter(Boolean))];
+        }
+        entries.put(updated);
+        return updated;
+    });
+}
+
+/**
+ * Delete an entry and its stored results
+ */
+export async function deleteAnalysis(id) {
+    await withStores('readwrite', ({ entries, payloads }) => {
+        entries.delete(id);
+        payloads.delete(id);
+    });
+}
@@ -0,0 +1,89 @@
+/**
+ * Query Label Store
+ * Keeps LLM-suggested and analyst-reviewed query labels in localStorage, keyed by
+ * the lowercased query, so reviews carry over between runs and uploads
+ *
+ * A label is { key, query, sessionId, intentId, sentiment, status, suggestion, ruleIntentId, corrected, createdAt, reviewedAt }
+ * status: 'pending' (awaiting review) | 'accepted' | 'rejected'
+ * suggestion: { intentId, sentiment, confidence, reason } as returned by the LLM
+ */
+
+import { STORAGE_KEYS } from '../../utils/constants';
+
+export function toLabelKey(query) {
+    return String(query || '').trim().toLowerCase();
+}
+
+function readLabels() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEYS.queryLabels);
+        return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        console.warn('Failed to read saved query labels:', e);
+        return {};
+    }
+}
+
+function writeLabels(labels) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.queryLabels, JSON.stringify(labels));
+    } catch (e) {
+        console.warn('Failed to save query labels:', e);
+    }
+}
+
+/**
+ * All stored labels, newest first
+ */
+export function getLabels() {
+    return Object.values(readLabels()).sort((a, b) => (b.reviewedAt || b.createdAt).localeCompare(a.reviewedAt || a.createdAt));
+}
+
+/**
+ * Labels analysts accepted (as suggested or corrected)
+ */
+export function getAcceptedLabels() {
+    return getLabels().filter(label => label.status === 'accepted');
+}
+
+/**
+ * Add new pending labels; queries that already have a label are left untouched
+ */
+export function addPendingLabels(newLabels) {
+    const labels = readLabels();
+    for (const label of newLabels) {
+        if (!labels[label.key]) labels[label.key] = label;
+    }
+    writeLabels(labels);
+}
+
+/**
+ * Accept or reject a label; accepting with a different intent or sentiment marks it corrected
+ * @param {string} key
+ * @param {Object} review - { status: 'accepted'|'rejected', intentId, sentiment }
+ */
+export function reviewLabel(key, { status, intentId, sentiment }) {
+    const labels = readLabels();
+    const label = labels[key];
+    if (!label) return;
+
+    labels[key] = {
+        ...label,
+        status,
+        intentId: intentId ?? label.intentId,
+        sentiment: sentiment ?? label.sentiment,
+        corrected: status === 'accepted' &&
+            ((intentId ?? label.intentId) !== label.suggestion?.intentId || (sentiment ?? label.sentiment) !== label.suggestion?.sentiment),
+        reviewedAt: new Date().toISOString(),
+    };
+    writeLabels(labels);
+}
+
+/**
+ * Forget a label so its query can be sampled again
+ */
+export function removeLabel(key) {
+    const labels = readLabels();
+    delete labels[key];
+    writeLabels(labels);
+}
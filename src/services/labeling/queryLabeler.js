@@ -0,0 +1,127 @@
+/**
+ * Query Labeler
+ * Samples user queries for the review queue and asks the LLM for intent and
+ * sentiment labels. Only a sample is sent, so labeling costs a single call;
+ * accepted labels are reused by the rule-based classifier and later prompts.
+ */
+
+import llmService from '../llm/llmService';
+import { QUERY_LABELS_SCHEMA, QUERY_SENTIMENTS } from '../llm/analysisSchema';
+import { getQueryLabelingPrompt } from '../../utils/prompts';
+import { classifyIntent, UNCLASSIFIED_INTENT } from '../analyzer/intentTaxonomy';
+import { toLabelKey } from './labelStore';
+
+export const DEFAULT_LABEL_SAMPLE_SIZE = 25;
+
+// Verified labels quoted in prompts, to keep them short
+const MAX_PROMPT_EXAMPLES = 20;
+const CONTEXT_LENGTH = 150;
+
+/**
+ * Distinct user queries worth labeling, most frequent first
+ * Queries the taxonomy leaves unclassified alternate with classified ones, so the sample
+ * both fills gaps in the taxonomy and checks what it already matches
+ * @param {Object} options - { sampleSize, excludeKeys: Set of label keys already stored }
+ * @returns {Array<{ key, query, count, sessionId, context, ruleIntentId }>}
+ */
+export function sampleQueriesForLabeling(transcripts, taxonomy, { sampleSize = DEFAULT_LABEL_SAMPLE_SIZE, excludeKeys = new Set() } = {}) {
+    const byKey = new Map();
+
+    for (const transcript of transcripts) {
+        const messages = transcript.messages || [];
+        messages.forEach((msg, i) => {
+            if (msg.role !== 'user' || !msg.content?.trim()) return;
+            const key = toLabelKey(msg.content);
+            if (excludeKeys.has(key)) return;
+
+            if (!byKey.has(key)) {
+                const reply = messages.slice(i + 1).find(m => m.role === 'user' || (m.role === 'bot' && m.content?.trim()));
+                byKey.set(key, {
+                    key,
+                    query: msg.content.trim(),
+                    count: 0,
+                    sessionId: transcript.id != null ? String(transcript.id) : null,
+                    context: reply?.role === 'bot' ? reply.content.trim().slice(0, CONTEXT_LENGTH) : null,
+                });
+            }
+            byKey.get(key).count++;
+        });
+    }
+
+    const candidates = [...byKey.values()]
+        .sort((a, b) => b.count - a.count)
+        .map(candidate => ({ ...candidate, ruleIntentId: classifyIntent(candidate.query, taxonomy)?.id ?? UNCLASSIFIED_INTENT.id }));
+    const unclassified = candidates.filter(c => c.ruleIntentId === UNCLASSIFIED_INTENT.id);
+    const classified = candidates.filter(c => c.ruleIntentId !== UNCLASSIFIED_INTENT.id);
+
+    const sample = [];
+    for (let i = 0; sample.length < sampleSize && (i < unclassified.length || i < classified.length); i++) {
+        if (i < unclassified.length) sample.push(unclassified[i]);
+        if (i < classified.length && sample.length < sampleSize) sample.push(classified[i]);
+    }
+    return sample;
+}
+
+/**
+ * Accepted labels as { query, intent, sentiment } prompt examples
+ * Corrections come first since they show where the LLM went wrong; labels whose intent
+ * was removed from the taxonomy are skipped
+ */
+export function toVerifiedExamples(acceptedLabels, taxonomy, limit = MAX_PROMPT_EXAMPLES) {
+    const names = new Map(taxonomy.map(intent => [intent.id, intent.name]));
+    names.set(UNCLASSIFIED_INTENT.id, UNCLASSIFIED_INTENT.name);
+
+    return [...acceptedLabels]
+        .filter(label => names.has(label.intentId))
+        .sort((a, b) => Number(b.corrected) - Number(a.corrected))
+        .slice(0, limit)
+        .map(label => ({ query: label.query, intent: names.get(label.intentId), sentiment: label.sentiment }));
+}
+
+/**
+ * Ask the LLM to label a sample of queries
+ * llmService must already be configured
+ * @returns {Promise<Array>} Pending labels for the label store
+ */
+export async function suggestLabels(sample, taxonomy, acceptedLabels = [], { signal } = {}) {
+    if (sample.length === 0) return [];
+
+    const prompt = getQueryLabelingPrompt(
+        sample.map(({ query, context }) => ({ query, context })),
+        taxonomy,
+        toVerifiedExamples(acceptedLabels, taxonomy)
+    );
+    console.log(`🏷️ Requesting LLM labels for ${sample.length} queries...`);
+    const response = await llmService.completeJson(prompt, { schema: QUERY_LABELS_SCHEMA, temperature: 0, signal });
+
+    const idsByName = new Map(taxonomy.map(intent => [intent.name.toLowerCase(), intent.id]));
+    const suggestions = new Map(response.labels.map(label => [Number(label.index), label]));
+    const createdAt = new Date().toISOString();
+
+    return sample.map((item, index) => {
+        const suggestion = suggestions.get(index);
+        const intentId = idsByName.get(String(suggestion?.intent || '').trim().toLowerCase()) ?? UNCLASSIFIED_INTENT.id;
+        const sentiment = QUERY_SENTIMENTS.includes(suggestion?.sentiment) ? suggestion.sentiment : 'neutral';
+        const confidence = Number(suggestion?.confidence);
+
+        return {
+            key: item.key,
+            query: item.query,
+            sessionId: item.sessionId,
+            intentId,
+            sentiment,
+            status: 'pending',
+            suggestion: {
+                intentId,
+                sentiment,
+                confidence: Number.isFinite(confidence) ? confidence : null,
+                reason: suggestion?.reason || (suggestion ? '' : 'No label returned for this query'),
+            },
+            // Rule-based intent at sampling time, to show where the taxonomy disagrees
+            ruleIntentId: item.ruleIntentId,
+            corrected: false,
+            createdAt,
+            reviewedAt: null,
+        };
+    });
+}
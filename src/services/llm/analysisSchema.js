@@ -0,0 +1,196 @@
+/**
+ * Analysis Result Schemas
+ * JSON schemas (a small subset: type, properties, required, items, enum) for
+ * LLM analysis output, and a validator used before results reach the report
+ */
+
+export const CONFIDENCE_LABELS = ['observed', 'inferred', 'assumed'];
+
+const SEVERITY = ['high', 'medium', 'low'];
+const EFFORT = ['low', 'medium', 'high'];
+
+// A citation is { sessionId, messageId, quote }; plain quote strings are still accepted
+const CITATION = {
+    type: ['object', 'string'],
+    properties: {
+        sessionId: { type: ['string', 'number'] },
+        messageId: { type: 'string' },
+        quote: { type: 'string' },
+    },
+};
+const EVIDENCE = { type: ['array', 'string'], items: CITATION };
+const COUNT = { type: ['number', 'string'] };
+
+const ISSUE_SCHEMA = {
+    type: 'object',
+    required: ['issue'],
+    properties: {
+        issue: { type: 'string' },
+        type: { type: 'string' },
+        frequency: COUNT,
+        occurrences: COUNT,
+        evidence: EVIDENCE,
+        caveat: { type: 'string' },
+        severity: { type: 'string', enum: SEVERITY },
+        confidence: { type: 'string', enum: CONFIDENCE_LABELS },
+    },
+};
+
+const RECOMMENDATION_SCHEMA = {
+    type: 'object',
+    required: ['title'],
+    properties: {
+        id: COUNT,
+        title: { type: 'string' },
+        rationale: { type: 'string' },
+        evidence: EVIDENCE,
+        action: { type: 'string' },
+        effort: { type: 'string', enum: EFFORT },
+        caveat: { type: 'string' },
+        confidence: { type: 'string', enum: CONFIDENCE_LABELS },
+    },
+};
+
+const OBSERVATIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        patterns: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['observation'],
+                properties: {
+                    observation: { type: 'string' },
+                    occurrences: COUNT,
+                    evidence: EVIDENCE,
+                    businessRelevance: { type: 'string' },
+                    confidence: { type: 'string', enum: CONFIDENCE_LABELS },
+                },
+            },
+        },
+        anomalies: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['anomaly'],
+                properties: {
+                    anomaly: { type: 'string' },
+                    details: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * LLM-owned sections of the analysis result (single prompt and map-reduce batches)
+ */
+export const ANALYSIS_RESULT_SCHEMA = {
+    type: 'object',
+    required: ['potentialIssues', 'recommendations'],
+    properties: {
+        potentialIssues: { type: 'array', items: ISSUE_SCHEMA },
+        observations: OBSERVATIONS_SCHEMA,
+        recommendations: { type: 'array', items: RECOMMENDATION_SCHEMA },
+    },
+};
+
+export const QUERY_SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+/**
+ * Intent/sentiment labels for a sample of user queries (review queue)
+ */
+export const QUERY_LABELS_SCHEMA = {
+    type: 'object',
+    required: ['labels'],
+    properties: {
+        labels: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['index', 'intent', 'sentiment'],
+                properties: {
+                    index: COUNT,
+                    intent: { type: 'string' },
+                    sentiment: { type: 'string', enum: QUERY_SENTIMENTS },
+                    confidence: COUNT,
+                    reason: { type: 'string' },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Validate a value against a schema
+ * Type and required-field problems are errors; enum mismatches are only
+ * warnings since the value is still usable
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+    const result = { errors: [], warnings: [] };
+    validateNode(value, schema, path, result);
+    return result;
+}
+
+function validateNode(value, schema, path, result) {
+    if (!schema) return;
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowed.includes(typeOf(value))) {
+            result.errors.push(`${path} should be ${allowed.join(' or ')}, got ${typeOf(value)}`);
+            return;
+        }
+    }
+
+    if (schema.enum && typeof value === 'string' && !schema.enum.includes(value.toLowerCase())) {
+        result.warnings.push(`${path} should be one of ${schema.enum.join(', ')}, got "${value}"`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateNode(item, schema.items, `${path}[${i}]`, result));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined || value[key] === null) {
+                result.errors.push(`${path}.${key} is required`);
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            // Optional fields may be missing or null
+            if (value[key] !== undefined && value[key] !== null) {
+                validateNode(value[key], propertySchema, `${path}.${key}`, result);
+            }
+        }
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Compact skeleton of a schema, used to remind the LLM of the expected shape
+ */
+export function describeSchema(schema) {
+    if (!schema) return 'any';
+    if (schema.enum) return schema.enum.join(' | ');
+
+    // Prefer the structured alternative when several types are allowed
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = types.find(t => t === 'array' || t === 'object') || types.join(' | ');
+    if (type === 'array') return [describeSchema(schema.items)];
+    if (type === 'object') {
+        return Object.fromEntries(
+            Object.entries(schema.properties || {}).map(([key, property]) => [
+                (schema.required || []).includes(key) ? key : `${key}?`,
+                describeSchema(property),
+            ])
+        );
+    }
+    return type;
+}
@@ -0,0 +1,170 @@
+/**
+ * JSON Repair
+ * Tolerant parsing of LLM output: strips markdown fences and stray prose,
+ * drops trailing commas and closes truncated arrays/objects
+ */
+
+/**
+ * Parse LLM output as JSON, repairing it if needed
+ * @returns {{ value: any, repaired: boolean }}
+ * @throws {SyntaxError} when the text cannot be repaired into valid JSON
+ */
+export function parseJsonLenient(text) {
+    const trimmed = String(text ?? '').trim();
+
+    try {
+        return { value: JSON.parse(stripFences(trimmed)), repaired: false };
+    } catch {
+        // Fall through to repair
+    }
+
+    const repairedText = repairJson(trimmed);
+    if (repairedText === null) {
+        throw new SyntaxError('No JSON object or array found in response');
+    }
+    return { value: JSON.parse(repairedText), repaired: true };
+}
+
+// Bracket positions tried as the start of the JSON before giving up
+const MAX_START_ATTEMPTS = 10;
+
+// A complete JSON number or literal
+const LITERAL_PATTERN = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)$/;
+
+/**
+ * Best-effort repair of a JSON document embedded in LLM output
+ * A bracket in leading prose ("Sure! [note] {...}") is not the JSON start, so every
+ * { or [ is tried in turn and the largest value that parses wins
+ * @returns {string|null} repaired JSON text, or null when no JSON start was found
+ */
+export function repairJson(text) {
+    const source = stripFences(text);
+    let first = null;
+    let best = null;
+    let coveredUntil = 0;
+    let attempts = 0;
+
+    for (const { index } of source.matchAll(/[{[]/g)) {
+        // Brackets inside a value that already parsed are part of it
+        if (index < coveredUntil) continue;
+        if (++attempts > MAX_START_ATTEMPTS) break;
+
+        const candidate = balance(source.slice(index));
+        first ??= candidate;
+        try {
+            JSON.parse(candidate);
+        } catch {
+            continue;
+        }
+        coveredUntil = index + candidate.length;
+        if (!best || candidate.length > best.length) best = candidate;
+    }
+
+    // Nothing parsed: hand back the first attempt so the caller reports its error
+    return best ?? first;
+}
+
+/**
+ * Remove ```json ... ``` fences, including an unterminated opening fence
+ */
+function stripFences(text) {
+    const fenced = text.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    return fenced ? fenced[1].trim() : text;
+}
+
+/**
+ * Walk the text outside of strings, tracking open brackets
+ * - stops at the end of the top-level value (drops trailing prose)
+ * - removes commas directly before a closing bracket
+ * - if the text ends early, drops an unfinished array element (a half-written
+ *   finding would fail the schema), otherwise cuts back to the last complete
+ *   value, then closes everything still open
+ */
+function balance(source) {
+    // Open containers: closer, offset of the opening bracket in out, whether it is an
+    // array element, and for objects whether the next string is a key
+    const stack = [];
+    let out = '';
+    let inString = false;
+    let stringIsKey = false;
+    let escaped = false;
+    // Number or literal being read
+    let token = '';
+    // Longest prefix that ends on a complete value, and what was open there
+    let safeLength = 0;
+    let safeClosers = [];
+
+    const top = () => stack[stack.length - 1];
+    const atKey = () => top()?.closer === '}' && top().expectKey;
+
+    const markSafe = () => {
+        safeLength = out.length;
+        safeClosers = stack.map(frame => frame.closer);
+    };
+
+    const endToken = () => {
+        if (token && LITERAL_PATTERN.test(token) && !atKey()) markSafe();
+        token = '';
+    };
+
+    for (const ch of source) {
+        if (inString) {
+            out += ch;
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+                if (!stringIsKey) markSafe();
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            endToken();
+            stringIsKey = atKey();
+            inString = true;
+            out += ch;
+        } else if (ch === '{' || ch === '[') {
+            endToken();
+            stack.push({
+                closer: ch === '{' ? '}' : ']',
+                start: out.length,
+                isElement: top()?.closer === ']',
+                expectKey: true,
+            });
+            out += ch;
+            markSafe();
+        } else if (ch === '}' || ch === ']') {
+            endToken();
+            out = out.replace(/,\s*$/, '');
+            stack.pop();
+            out += ch;
+            if (stack.length === 0) return out;
+            markSafe();
+        } else if (ch === ',' || ch === ':') {
+            endToken();
+            if (top()) top().expectKey = ch === ',';
+            out += ch;
+        } else if (/\s/.test(ch)) {
+            endToken();
+            out += ch;
+        } else {
+            token += ch;
+            out += ch;
+        }
+    }
+    endToken();
+
+    // Truncated: drop the outermost unfinished array element whole
+    const element = stack.findIndex(frame => frame.isElement);
+    if (element >= 0) {
+        const kept = out.slice(0, stack[element].start).replace(/,\s*$/, '');
+        return kept + stack.slice(0, element).map(frame => frame.closer).reverse().join('');
+    }
+
+    // Otherwise keep complete values only, then close what is open
+    const kept = out.slice(0, safeLength).replace(/,\s*$/, '');
+    return kept + safeClosers.reverse().join('');
+}
@@ -3,6 +3,23 @@
  */
 
 import { LLM_PROVIDERS } from '../../utils/constants';
+import { getJsonFixPrompt } from '../../utils/prompts';
+import { parseJsonLenient } from './jsonRepair';
+import { validateAgainstSchema, describeSchema } from './analysisSchema';
+
+/**
+ * Error for LLM output that could not be turned into a usable result
+ * code: 'INVALID_JSON' | 'SCHEMA_MISMATCH'
+ */
+export class LLMResponseError extends Error {
+    constructor(message, { code, details = [], rawResponse = '' } = {}) {
+        super(message);
+        this.name = 'LLMResponseError';
+        this.code = code;
+        this.details = details;
+        this.rawResponse = rawResponse;
+    }
+}
 
 class LLMService {
     constructor() {
@@ -40,21 +57,22 @@ class LLMService {
 
     /**
      * Send a completion request to the LLM
+     * Pass options.signal (AbortSignal) to cancel the in-flight request
      */
     async complete(prompt, options = {}) {
         if (!this.provider || !this.apiKey) {
             throw new Error('LLM service not configured');
         }
 
-        const { maxTokens = 4096, temperature = 0.3 } = options;
+        const { maxTokens = 4096, temperature = 0.3, signal } = options;
 
         switch (this.provider) {
             case 'openai':
-                return this.completeOpenAI(prompt, maxTokens, temperature);
+                return this.completeOpenAI(prompt, maxTokens, temperature, signal);
             case 'gemini':
-                return this.completeGemini(prompt, maxTokens, temperature);
+                return this.completeGemini(prompt, maxTokens, temperature, signal);
             case 'perplexity':
-                return this.completePerplexity(prompt, maxTokens, temperature);
+                return this.completePerplexity(prompt, maxTokens, temperature, signal);
             default:
                 throw new Error(`Unknown provider: ${this.provider}`);
         }
@@ -63,9 +81,10 @@ class LLMService {
     /**
      * OpenAI completion
      */
-    async completeOpenAI(prompt, maxTokens, temperature) {
+    async completeOpenAI(prompt, maxTokens, temperature, signal) {
         const response = await fetch(LLM_PROVIDERS.openai.endpoint, {
             method: 'POST',
+            signal,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.apiKey}`,
@@ -99,11 +118,12 @@ class LLMService {
     /**
      * Gemini completion
      */
-    async completeGemini(prompt, maxTokens, temperature) {
+    async completeGemini(prompt, maxTokens, temperature, signal) {
         const url = `${LLM_PROVIDERS.gemini.endpoint}/${this.model}:generateContent?key=${this.apiKey}`;
 
         const response = await fetch(url, {
             method: 'POST',
+            signal,
             headers: {
                 'Content-Type': 'application/json',
             },
@@ -136,9 +156,10 @@ class LLMService {
     /**
      * Perplexity completion
      */
-    async completePerplexity(prompt, maxTokens, temperature) {
+    async completePerplexity(prompt, maxTokens, temperature, signal) {
         const response = await fetch(LLM_PROVIDERS.perplexity.endpoint, {
             method: 'POST',
+            signal,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.apiKey}`,
@@ -177,11 +198,11 @@ class LLMService {
             throw new Error('LLM service not configured');
         }
 
-        const { maxTokens = 4096, temperature = 0.3 } = options;
+        const { maxTokens = 4096, temperature = 0.3, signal } = options;
 
         // Only OpenAI and Perplexity support streaming easily
         if (this.provider === 'openai') {
-            yield* this.streamOpenAI(prompt, maxTokens, temperature);
+            yield* this.streamOpenAI(prompt, maxTokens, temperature, signal);
         } else {
             // For non-streaming providers, yield the complete response
             const response = await this.complete(prompt, options);
@@ -192,9 +213,10 @@ class LLMService {
     /**
      * OpenAI streaming
      */
-    async *streamOpenAI(prompt, maxTokens, temperature) {
+    async *streamOpenAI(prompt, maxTokens, temperature, signal) {
         const response = await fetch(LLM_PROVIDERS.openai.endpoint, {
             method: 'POST',
+            signal,
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${this.apiKey}`,
@@ -252,23 +274,69 @@ class LLMService {
     }
 
     /**
-     * Parse JSON response, handling potential markdown formatting
+     * Complete a prompt and return its JSON payload
+     * Output is repaired where possible and validated against options.schema;
+     * if it is still unusable, the LLM is asked once to fix its own output
+     * @throws {LLMResponseError} when the follow-up also fails
      */
-    parseJsonResponse(response) {
-        // Remove markdown code blocks if present
-        let cleaned = response.trim();
+    async completeJson(prompt, options = {}) {
+        const { schema, ...completeOptions } = options;
+
+        const response = await this.complete(prompt, completeOptions);
+        const first = this.checkJsonResponse(response, schema);
+        if (first.errors.length === 0) return first.value;
+
+        console.warn('⚠️ LLM returned unusable JSON, requesting a fix:', first.errors);
+        const fixed = await this.complete(
+            getJsonFixPrompt(response, first.errors, schema ? describeSchema(schema) : null),
+            completeOptions
+        );
+        const second = this.checkJsonResponse(fixed, schema);
+        if (second.errors.length === 0) return second.value;
+
+        throw new LLMResponseError(
+            second.code === 'INVALID_JSON'
+                ? 'The LLM response could not be parsed as JSON'
+                : 'The LLM response did not match the expected analysis format',
+            { code: second.code, details: second.errors, rawResponse: fixed }
+        );
+    }
 
-        // Remove ```json ... ``` or ``` ... ```
-        if (cleaned.startsWith('```')) {
-            cleaned = cleaned.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
+    /**
+     * Parse and validate a response without throwing
+     * @returns {{ value: any, errors: string[], code: string|null }}
+     */
+    checkJsonResponse(response, schema) {
+        let value;
+        try {
+            ({ value } = parseJsonLenient(response));
+        } catch (error) {
+            return { value: null, errors: [error.message], code: 'INVALID_JSON' };
         }
 
+        if (!schema) return { value, errors: [], code: null };
+
+        const { errors, warnings } = validateAgainstSchema(value, schema);
+        if (warnings.length > 0) {
+            console.warn('⚠️ LLM response has unexpected values:', warnings);
+        }
+        return { value, errors, code: errors.length > 0 ? 'SCHEMA_MISMATCH' : null };
+    }
+
+    /**
+     * Parse JSON response, handling markdown fences, stray prose and truncation
+     */
+    parseJsonResponse(response) {
         try {
-            return JSON.parse(cleaned);
+            return parseJsonLenient(response).value;
         } catch (error) {
             console.error('Failed to parse JSON response:', error);
-            console.error('Response was:', cleaned);
-            throw new Error('Failed to parse LLM response as JSON');
+            console.error('Response was:', response);
+            throw new LLMResponseError('Failed to parse LLM response as JSON', {
+                code: 'INVALID_JSON',
+                details: [error.message],
+                rawResponse: response,
+            });
         }
     }
 
@@ -0,0 +1,77 @@
+/**
+ * Botpress Adapter
+ * Handles conversation/message exports where each message has a
+ * `direction` (incoming/outgoing) and a `payload`, grouped by conversation
+ */
+
+import { unwrapRecords, toIsoTimestamp, getDateRange, toIntent, matchRatio } from './platformUtils';
+
+export const botpressAdapter = {
+    id: 'botpress',
+    name: 'Botpress Conversation Export',
+    extensions: ['.json'],
+
+    detect(input) {
+        return matchRatio(getMessageRecords(input.json), isMessage) >= 0.5 ? 0.7 : 0;
+    },
+
+    parse(input) {
+        const sessions = new Map();
+
+        for (const record of getMessageRecords(input.json).filter(isMessage)) {
+            const sessionId = String(record.conversationId ?? record.threadId ?? record.sessionId ?? input.filename);
+            if (!sessions.has(sessionId)) {
+                sessions.set(sessionId, []);
+            }
+            sessions.get(sessionId).push(mapMessage(record));
+        }
+
+        return Array.from(sessions.entries()).map(([id, messages]) => {
+            messages.sort((a, b) => String(a.timestamp || '').localeCompare(String(b.timestamp || '')));
+            return {
+                id,
+                messages: messages.filter(m => m.content),
+                metadata: {
+                    timestamp: messages[0]?.timestamp || null,
+                    dateRange: getDateRange(messages),
+                    platform: 'botpress',
+                },
+            };
+        });
+    },
+};
+
+/**
+ * Messages may be top level, under { messages }, or nested per conversation
+ */
+function getMessageRecords(data) {
+    const records = unwrapRecords(data, ['messages', 'conversations']);
+    if (records.some(r => Array.isArray(r?.messages))) {
+        return records.flatMap(conversation =>
+            (conversation.messages || []).map(m => ({ conversationId: conversation.id, ...m }))
+        );
+    }
+    return records;
+}
+
+function isMessage(record) {
+    return (record.direction === 'incoming' || record.direction === 'outgoing') && record.payload !== undefined;
+}
+
+function mapMessage(record) {
+    const payload = record.payload || {};
+    const nlu = record.nlu || record.event?.nlu || record.incomingEvent?.nlu;
+    const content = payload.text || payload.title || payload.markdown || '';
+
+    return {
+        id: record.id,
+        role: record.direction === 'incoming' ? 'user' : 'bot',
+        content: typeof content === 'string' ? content : '',
+        timestamp: toIsoTimestamp(record.createdAt || record.createdOn || record.sentOn),
+        ...(record.direction === 'incoming' && {
+            intent: toIntent(nlu?.intent?.name, nlu?.intent?.confidence),
+        }),
+    };
+}
+
+export default botpressAdapter;
@@ -0,0 +1,244 @@
+/**
+ * CSV / TSV Adapter
+ * Handles one-row-per-message exports (session id, timestamp, sender, text, results).
+ * Columns are mapped to transcript fields through input.options.resolveColumnMapping,
+ * which lets the caller look up a saved mapping or ask the user.
+ */
+
+import { parseResultsContent } from './timestampedTextAdapter';
+
+// Transcript fields a column can be mapped to
+export const TRANSCRIPT_FIELDS = [
+    { id: 'id', label: 'Session ID', required: false },
+    { id: 'role', label: 'Sender / Role', required: true },
+    { id: 'content', label: 'Message Text', required: true },
+    { id: 'timestamp', label: 'Timestamp', required: false },
+    { id: 'results', label: 'Results (JSON)', required: false },
+];
+
+// Header names recognized when suggesting a mapping, most specific first
+const FIELD_ALIASES = {
+    id: ['session_id', 'sessionid', 'conversation_id', 'conversationid', 'chat_id', 'thread_id', 'session', 'conversation', 'id'],
+    role: ['role', 'sender', 'sender_type', 'speaker', 'author', 'author_type', 'from', 'direction', 'participant', 'who'],
+    content: ['text', 'message', 'message_text', 'content', 'body', 'utterance', 'msg'],
+    timestamp: ['timestamp', 'created_at', 'sent_at', 'datetime', 'time', 'date'],
+    results: ['results', 'results_json', 'result', 'products', 'payload'],
+};
+
+export const csvAdapter = {
+    id: 'csv',
+    name: 'CSV / TSV (one row per message)',
+    extensions: ['.csv', '.tsv'],
+
+    detect(input) {
+        return input.extension === '.csv' || input.extension === '.tsv' ? 0.9 : 0;
+    },
+
+    async parse(input) {
+        const delimiter = detectDelimiter(input.content, input.extension);
+        const rows = parseDelimited(input.content, delimiter)
+            .filter(row => row.some(cell => cell.trim()));
+
+        if (rows.length < 2) {
+            throw new Error('CSV file has no data rows');
+        }
+
+        const headers = rows[0].map(h => h.trim());
+        const dataRows = rows.slice(1);
+        const request = {
+            filename: input.filename,
+            signature: getHeaderSignature(headers),
+            headers,
+            sampleRows: dataRows.slice(0, 5),
+            suggested: suggestColumnMapping(headers),
+        };
+
+        const resolve = input.options?.resolveColumnMapping;
+        const mapping = resolve ? await resolve(request) : request.suggested;
+
+        if (!mapping) {
+            throw new Error('Column mapping cancelled');
+        }
+
+        const missing = TRANSCRIPT_FIELDS
+            .filter(field => field.required && !headers.includes(mapping[field.id]))
+            .map(field => field.label);
+        if (missing.length > 0) {
+            throw new Error(`Column mapping incomplete: ${missing.join(', ')}`);
+        }
+
+        return buildTranscripts(dataRows, headers, mapping, input.filename);
+    },
+};
+
+/**
+ * Group mapped rows into conversations, keeping first-seen session order
+ */
+function buildTranscripts(rows, headers, mapping, filename) {
+    const columnIndex = {};
+    for (const field of TRANSCRIPT_FIELDS) {
+        columnIndex[field.id] = mapping[field.id] ? headers.indexOf(mapping[field.id]) : -1;
+    }
+    const cell = (row, field) => (columnIndex[field] >= 0 ? (row[columnIndex[field]] || '').trim() : '');
+
+    const sessions = new Map();
+
+    for (const row of rows) {
+        const sessionId = cell(row, 'id') || filename;
+        if (!sessions.has(sessionId)) {
+            sessions.set(sessionId, []);
+        }
+
+        const message = {
+            role: cell(row, 'role') || 'unknown',
+            content: cell(row, 'content'),
+            timestamp: cell(row, 'timestamp') || null,
+        };
+
+        const results = parseResultsCell(cell(row, 'results'));
+        if (results) {
+            message.results = results;
+        }
+
+        sessions.get(sessionId).push(message);
+    }
+
+    return Array.from(sessions.entries()).map(([id, messages]) => {
+        const times = messages
+            .map(m => (m.timestamp ? new Date(m.timestamp) : null))
+            .filter(d => d && !isNaN(d.getTime()));
+
+        // Exports are not always in message order; sort when every row has a timestamp
+        if (times.length === messages.length) {
+            messages.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        }
+
+        times.sort((a, b) => a - b);
+
+        return {
+            id,
+            messages,
+            metadata: {
+                timestamp: times[0]?.toISOString() || null,
+                dateRange: {
+                    start: times[0]?.toISOString() || null,
+                    end: times[times.length - 1]?.toISOString() || null,
+                },
+                sourceFile: filename,
+                format: 'csv',
+            },
+        };
+    });
+}
+
+/**
+ * Parse a results cell: JSON object, or the STYLES/PRODUCTS text format
+ */
+function parseResultsCell(value) {
+    if (!value) return null;
+
+    try {
+        const parsed = JSON.parse(value);
+        if (Array.isArray(parsed)) return { products: parsed };
+        if (parsed && typeof parsed === 'object') return parsed;
+    } catch {
+        // Not JSON - fall through to the RESULTS line format
+    }
+
+    const results = parseResultsContent(value);
+    return Object.keys(results).length > 0 ? results : null;
+}
+
+/**
+ * Pick tab or comma based on extension, then on the header line
+ */
+function detectDelimiter(content, extension) {
+    if (extension === '.tsv') return '\t';
+    const newlineIndex = content.indexOf('\n');
+    const headerLine = newlineIndex >= 0 ? content.slice(0, newlineIndex) : content;
+    const tabs = (headerLine.match(/\t/g) || []).length;
+    const commas = (headerLine.match(/,/g) || []).length;
+    return tabs > commas ? '\t' : ',';
+}
+
+/**
+ * Parse delimited text into rows of cells (RFC 4180 quoting, CRLF or LF)
+ */
+export function parseDelimited(content, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 BOM some spreadsheet exports add
+    const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Stable key for a header row, used to remember column mappings
+ */
+export function getHeaderSignature(headers) {
+    return headers.map(h => h.trim().toLowerCase()).join('|');
+}
+
+/**
+ * Suggest a column for each transcript field from common header names
+ */
+export function suggestColumnMapping(headers) {
+    const normalized = headers.map(h => h.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const mapping = {};
+    const used = new Set();
+
+    for (const field of TRANSCRIPT_FIELDS) {
+        mapping[field.id] = null;
+        for (const alias of FIELD_ALIASES[field.id]) {
+            const index = normalized.indexOf(alias);
+            if (index >= 0 && !used.has(index)) {
+                mapping[field.id] = headers[index];
+                used.add(index);
+                break;
+            }
+        }
+    }
+
+    return mapping;
+}
+
+export default csvAdapter;
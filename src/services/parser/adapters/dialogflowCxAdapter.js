@@ -0,0 +1,88 @@
+/**
+ * Dialogflow CX Adapter
+ * Handles conversation history exports (Conversation resources with
+ * `interactions`), as a single object, an array, or { conversations: [...] }
+ */
+
+import { unwrapRecords, toIsoTimestamp, getDateRange, toIntent, matchRatio } from './platformUtils';
+
+export const dialogflowCxAdapter = {
+    id: 'dialogflow-cx',
+    name: 'Dialogflow CX Conversation History',
+    extensions: ['.json'],
+
+    detect(input) {
+        const records = unwrapRecords(input.json, ['conversations']);
+        return matchRatio(records, isConversation) >= 0.5 ? 0.7 : 0;
+    },
+
+    parse(input) {
+        return unwrapRecords(input.json, ['conversations'])
+            .filter(isConversation)
+            .map((conversation, index) => {
+                // The API lists interactions newest first
+                const interactions = [...conversation.interactions].sort((a, b) =>
+                    String(a.createTime || '').localeCompare(String(b.createTime || ''))
+                );
+                const messages = interactions.flatMap(mapInteraction);
+
+                return {
+                    id: getConversationId(conversation) || `${input.filename}-${index}`,
+                    messages,
+                    metadata: {
+                        timestamp: toIsoTimestamp(conversation.startTime) || messages[0]?.timestamp || null,
+                        language: conversation.languageCode,
+                        dateRange: getDateRange(messages),
+                        platform: 'dialogflow-cx',
+                    },
+                };
+            });
+    },
+};
+
+function isConversation(record) {
+    return Array.isArray(record.interactions)
+        && record.interactions.some(i => i?.request || i?.response);
+}
+
+/**
+ * Conversation name is projects/.../conversations/<id>
+ */
+function getConversationId(conversation) {
+    return conversation.name?.split('/').pop() || conversation.id;
+}
+
+/**
+ * One interaction becomes the user turn plus the agent's text responses
+ */
+function mapInteraction(interaction) {
+    const timestamp = toIsoTimestamp(interaction.createTime);
+    const queryResult = interaction.response?.queryResult || {};
+    const queryInput = interaction.request?.queryInput || {};
+    const messages = [];
+
+    const userText = queryInput.text?.text || queryResult.text || queryResult.transcript || '';
+    if (userText) {
+        const intent = queryResult.match?.intent || queryResult.intent;
+        messages.push({
+            role: 'user',
+            content: userText,
+            timestamp,
+            intent: toIntent(
+                intent?.displayName,
+                queryResult.match?.confidence ?? queryResult.intentDetectionConfidence
+            ),
+        });
+    }
+
+    const botText = (queryResult.responseMessages || [])
+        .flatMap(message => message.text?.text || [])
+        .join('\n');
+    if (botText) {
+        messages.push({ role: 'bot', content: botText, timestamp });
+    }
+
+    return messages;
+}
+
+export default dialogflowCxAdapter;
@@ -0,0 +1,64 @@
+/**
+ * Built-in transcript format adapters
+ *
+ * An adapter is a plain object:
+ *   id          - unique format id (stored on parsed results as `format`)
+ *   name        - human readable name
+ *   extensions  - file extensions the adapter can read (used for upload/ZIP filtering)
+ *   detect()    - receives the parse input, returns a 0-1 confidence score
+ *   parse()     - receives the parse input, returns (or resolves to) an array of
+ *                 { id, messages, metadata } transcripts
+ *   normalize() - optional, maps each parsed transcript before normalizeTranscripts
+ *   parseStream() - optional, receives (asyncIterableOfLines, input) for formats
+ *                 that can be parsed incrementally; used instead of reading the
+ *                 whole file into memory
+ *
+ * Platform export adapters may set `intent: { name, confidence }` on user
+ * messages; normalizeTranscripts preserves it for downstream analysis.
+ *
+ * The parse input is { content, filename, extension, options, json } where
+ * `json` is the lazily parsed content (undefined when the content is not JSON).
+ *
+ * Each adapter has a sample export in ./fixtures; `npm run check:adapters`
+ * checks the detected format and parsed session/message counts for all of them.
+ */
+
+import jsonAdapter from './jsonAdapter';
+import timestampedTextAdapter from './timestampedTextAdapter';
+import simpleTextAdapter from './simpleTextAdapter';
+import csvAdapter from './csvAdapter';
+import ndjsonAdapter from './ndjsonAdapter';
+import dialogflowCxAdapter from './dialogflowCxAdapter';
+import rasaAdapter from './rasaAdapter';
+import botpressAdapter from './botpressAdapter';
+import intercomAdapter from './intercomAdapter';
+import zendeskAdapter from './zendeskAdapter';
+import openAiMessagesAdapter from './openAiMessagesAdapter';
+
+export {
+    jsonAdapter,
+    timestampedTextAdapter,
+    simpleTextAdapter,
+    csvAdapter,
+    ndjsonAdapter,
+    dialogflowCxAdapter,
+    rasaAdapter,
+    botpressAdapter,
+    intercomAdapter,
+    zendeskAdapter,
+    openAiMessagesAdapter,
+};
+
+export const BUILT_IN_ADAPTERS = [
+    timestampedTextAdapter,
+    csvAdapter,
+    ndjsonAdapter,
+    dialogflowCxAdapter,
+    rasaAdapter,
+    botpressAdapter,
+    intercomAdapter,
+    zendeskAdapter,
+    openAiMessagesAdapter,
+    jsonAdapter,
+    simpleTextAdapter,
+];
@@ -0,0 +1,67 @@
+/**
+ * Intercom Adapter
+ * Handles conversations from the Intercom API/export (`source` plus
+ * `conversation_parts`), as a single object, an array, or { conversations: [...] }
+ */
+
+import { unwrapRecords, toIsoTimestamp, getDateRange, stripHtml, matchRatio } from './platformUtils';
+
+const USER_AUTHOR_TYPES = ['user', 'lead', 'contact'];
+
+export const intercomAdapter = {
+    id: 'intercom',
+    name: 'Intercom Conversations',
+    extensions: ['.json'],
+
+    detect(input) {
+        const records = unwrapRecords(input.json, ['conversations']);
+        return matchRatio(records, isConversation) >= 0.5 ? 0.7 : 0;
+    },
+
+    parse(input) {
+        return unwrapRecords(input.json, ['conversations'])
+            .filter(isConversation)
+            .map((conversation, index) => {
+                const parts = conversation.conversation_parts?.conversation_parts
+                    || conversation.conversation_parts
+                    || [];
+
+                const messages = [
+                    mapPart({ ...conversation.source, created_at: conversation.source?.created_at ?? conversation.created_at }),
+                    ...parts
+                        // Internal notes are never shown to the customer
+                        .filter(part => part.part_type !== 'note')
+                        .map(mapPart),
+                ].filter(m => m.content);
+
+                return {
+                    id: String(conversation.id ?? `${input.filename}-${index}`),
+                    messages,
+                    metadata: {
+                        timestamp: toIsoTimestamp(conversation.created_at),
+                        dateRange: getDateRange(messages),
+                        platform: 'intercom',
+                    },
+                };
+            });
+    },
+};
+
+function isConversation(record) {
+    return record.conversation_parts !== undefined
+        || (record.type === 'conversation' && record.source !== undefined);
+}
+
+/**
+ * Admins and bots (Fin, operator) are both the business side
+ */
+function mapPart(part) {
+    return {
+        id: part.id,
+        role: USER_AUTHOR_TYPES.includes(part.author?.type) ? 'user' : 'bot',
+        content: stripHtml(part.body),
+        timestamp: toIsoTimestamp(part.created_at),
+    };
+}
+
+export default intercomAdapter;
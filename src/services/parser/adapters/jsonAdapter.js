@@ -0,0 +1,51 @@
+/**
+ * Generic JSON Adapter
+ * Handles a single conversation object or an array of conversation objects
+ */
+
+export const jsonAdapter = {
+    id: 'json',
+    name: 'JSON',
+    extensions: ['.json'],
+
+    /**
+     * Any valid JSON object or array - low score so platform adapters win
+     */
+    detect(input) {
+        const data = input.json;
+        return data && typeof data === 'object' ? 0.2 : 0;
+    },
+
+    parse(input) {
+        const parsed = input.json;
+
+        if (Array.isArray(parsed)) {
+            return parsed.map((item, index) => ({
+                id: item.session_id || item.id || `${input.filename}-${index}`,
+                messages: item.messages || [item],
+                metadata: extractMetadata(item),
+            }));
+        }
+
+        // Single object
+        return [{
+            id: parsed.session_id || parsed.id || input.filename,
+            messages: parsed.messages || [parsed],
+            metadata: extractMetadata(parsed),
+        }];
+    },
+};
+
+/**
+ * Pick known conversation-level fields
+ */
+function extractMetadata(item) {
+    return {
+        timestamp: item.timestamp,
+        language: item.language,
+        escalated: item.escalation_flag,
+        hasOrder: item.order_flag,
+    };
+}
+
+export default jsonAdapter;
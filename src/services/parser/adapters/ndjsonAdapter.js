@@ -0,0 +1,129 @@
+/**
+ * NDJSON / JSON Lines Adapter
+ * One JSON record per line, either a single message or a whole conversation.
+ * Lines are grouped into sessions by session id; a conversation line without one
+ * is its own session. Supports streaming via
+ * parseStream() so multi-hundred-MB exports are never loaded as one string.
+ */
+
+import { mapOpenAiMessages } from './openAiMessagesAdapter';
+
+const SESSION_ID_FIELDS = ['session_id', 'sessionId', 'conversation_id', 'conversationId', 'thread_id'];
+
+export const ndjsonAdapter = {
+    id: 'ndjson',
+    name: 'JSON Lines (.jsonl / .ndjson)',
+    extensions: ['.jsonl', '.ndjson'],
+
+    detect(input) {
+        return input.extension === '.jsonl' || input.extension === '.ndjson' ? 0.9 : 0;
+    },
+
+    parse(input) {
+        const grouper = createSessionGrouper(input.filename);
+        for (const line of input.content.split('\n')) {
+            grouper.addLine(line);
+        }
+        return grouper.finish();
+    },
+
+    /**
+     * Parse from an async iterable of lines
+     */
+    async parseStream(lines, input) {
+        const grouper = createSessionGrouper(input.filename);
+        for await (const line of lines) {
+            grouper.addLine(line);
+        }
+        return grouper.finish();
+    },
+};
+
+/**
+ * Accumulate records into sessions, keeping first-seen session order
+ */
+function createSessionGrouper(filename) {
+    const sessions = new Map();
+    let validLines = 0;
+    let skippedLines = 0;
+    let lineNumber = 0;
+
+    const getSession = (id) => {
+        if (!sessions.has(id)) {
+            sessions.set(id, { id, messages: [], metadata: { sourceFile: filename, format: 'ndjson' } });
+        }
+        return sessions.get(id);
+    };
+
+    return {
+        addLine(line) {
+            lineNumber++;
+            const trimmed = line.trim();
+            if (!trimmed) return;
+
+            let record;
+            try {
+                record = JSON.parse(trimmed);
+            } catch {
+                skippedLines++;
+                return;
+            }
+            if (!record || typeof record !== 'object') {
+                skippedLines++;
+                return;
+            }
+
+            validLines++;
+            const sessionId = SESSION_ID_FIELDS.map(f => record[f]).find(v => v !== undefined && v !== null);
+            const isConversation = Array.isArray(record.messages);
+            // Id-less message lines share one session per file; id-less conversations stay apart
+            const fallbackId = isConversation ? `${filename}-${lineNumber}` : filename;
+            const session = getSession(sessionId !== undefined ? String(sessionId) : fallbackId);
+
+            if (isConversation) {
+                // Whole conversation per line (e.g. OpenAI fine-tuning / eval logs)
+                const { messages, metadata } = mapOpenAiMessages(record.messages);
+                session.messages.push(...messages);
+                session.metadata = {
+                    ...session.metadata,
+                    ...metadata,
+                    timestamp: record.timestamp ?? session.metadata.timestamp,
+                    language: record.language ?? session.metadata.language,
+                };
+            } else {
+                // One message per line
+                session.messages.push(record);
+            }
+        },
+
+        finish() {
+            if (validLines === 0) {
+                throw new Error('No valid JSON lines found');
+            }
+            if (skippedLines > 0) {
+                console.warn(`⚠️ ${filename}: skipped ${skippedLines} malformed JSON lines`);
+            }
+
+            return Array.from(sessions.values()).map(session => {
+                const times = session.messages
+                    .map(m => new Date(m.timestamp || m.created_at || 0))
+                    .filter(d => d.getTime() > 0)
+                    .sort((a, b) => a - b);
+
+                return {
+                    ...session,
+                    metadata: {
+                        ...session.metadata,
+                        timestamp: session.metadata.timestamp || times[0]?.toISOString() || null,
+                        dateRange: {
+                            start: times[0]?.toISOString() || null,
+                            end: times[times.length - 1]?.toISOString() || null,
+                        },
+                    },
+                };
+            });
+        },
+    };
+}
+
+export default ndjsonAdapter;
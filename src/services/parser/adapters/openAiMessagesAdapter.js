@@ -0,0 +1,114 @@
+/**
+ * OpenAI Messages Adapter
+ * Handles chat-completions style `messages` arrays (system/user/assistant/tool
+ * roles), as a bare messages array, a { messages } object, or an array of them
+ */
+
+import { unwrapRecords, matchRatio } from './platformUtils';
+
+const OPENAI_ROLES = ['system', 'developer', 'user', 'assistant', 'tool', 'function'];
+
+export const openAiMessagesAdapter = {
+    id: 'openai-messages',
+    name: 'OpenAI Messages',
+    extensions: ['.json'],
+
+    detect(input) {
+        const conversations = getConversations(input.json);
+        if (conversations.length === 0) return 0;
+
+        const messages = conversations.flatMap(c => c.messages).slice(0, 50);
+        if (!messages.every(m => OPENAI_ROLES.includes(m?.role))) return 0;
+
+        // Plain user/system roles are generic; assistant/tool roles mark the format
+        const hasOpenAiMarkers = messages.some(m =>
+            m.role === 'assistant' || m.role === 'tool' || m.tool_calls || Array.isArray(m.content)
+        );
+        return hasOpenAiMarkers ? 0.6 : 0;
+    },
+
+    parse(input) {
+        return getConversations(input.json).map((conversation, index) => {
+            const { messages, metadata } = mapOpenAiMessages(conversation.messages);
+            return {
+                id: conversation.id || conversation.session_id || `${input.filename}-${index}`,
+                messages,
+                metadata: {
+                    ...metadata,
+                    timestamp: conversation.timestamp || conversation.created_at || null,
+                    platform: 'openai',
+                },
+            };
+        });
+    },
+};
+
+function getConversations(data) {
+    if (Array.isArray(data) && data.length > 0 && data.every(m => m && typeof m.role === 'string')) {
+        return [{ messages: data }];
+    }
+    const records = unwrapRecords(data, ['conversations']);
+    return matchRatio(records, r => Array.isArray(r.messages)) === 1 ? records : [];
+}
+
+/**
+ * Map OpenAI messages to transcript messages
+ * System/developer prompts go to metadata, tool results keep the "tool" role,
+ * and assistant tool calls are preserved alongside the (possibly empty) text.
+ * Other message fields pass through so non-OpenAI records are not degraded.
+ */
+export function mapOpenAiMessages(messages) {
+    const systemPrompts = [];
+    const mapped = [];
+
+    for (const message of messages) {
+        const content = flattenContent(message.content);
+
+        if (message.role === 'system' || message.role === 'developer') {
+            systemPrompts.push(content);
+            continue;
+        }
+
+        if (message.role === 'tool' || message.role === 'function') {
+            mapped.push({
+                role: 'tool',
+                content,
+                toolName: message.name,
+                toolCallId: message.tool_call_id,
+            });
+            continue;
+        }
+
+        mapped.push({
+            ...message,
+            role: message.role === 'assistant' ? 'bot' : message.role,
+            content,
+            ...(message.tool_calls && {
+                toolCalls: message.tool_calls.map(call => ({
+                    id: call.id,
+                    name: call.function?.name,
+                    arguments: call.function?.arguments,
+                })),
+            }),
+        });
+    }
+
+    return {
+        messages: mapped,
+        metadata: systemPrompts.length > 0 ? { systemPrompt: systemPrompts.join('\n\n') } : {},
+    };
+}
+
+/**
+ * Content may be a string or an array of typed parts
+ */
+function flattenContent(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .map(part => (typeof part === 'string' ? part : part?.text || ''))
+        .filter(Boolean)
+        .join('\n');
+}
+
+export default openAiMessagesAdapter;
@@ -0,0 +1,88 @@
+/**
+ * Shared helpers for platform export adapters
+ */
+
+/**
+ * Get the list of records from an export that may be a bare array,
+ * a single record, or a wrapper object such as { conversations: [...] }
+ */
+export function unwrapRecords(data, wrapperKeys = []) {
+    if (Array.isArray(data)) return data;
+    if (!data || typeof data !== 'object') return [];
+
+    for (const key of wrapperKeys) {
+        if (Array.isArray(data[key])) return data[key];
+    }
+    return [data];
+}
+
+/**
+ * Convert ISO strings, unix seconds or unix milliseconds to an ISO string
+ */
+export function toIsoTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    let date;
+    if (typeof value === 'number') {
+        // Platforms mix seconds (Rasa, Intercom) and milliseconds (Zendesk)
+        date = new Date(value < 1e12 ? value * 1000 : value);
+    } else {
+        date = new Date(value);
+    }
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Earliest/latest message timestamps of a conversation
+ */
+export function getDateRange(messages) {
+    const times = messages
+        .map(m => m.timestamp)
+        .filter(Boolean)
+        .sort();
+
+    return {
+        start: times[0] || null,
+        end: times[times.length - 1] || null,
+    };
+}
+
+/**
+ * Convert an HTML message body to plain text
+ */
+export function stripHtml(html) {
+    if (!html) return '';
+    return String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>\s*<p[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .trim();
+}
+
+/**
+ * Build the { name, confidence } intent attached to user messages
+ */
+export function toIntent(name, confidence) {
+    if (!name) return null;
+    const score = Number(confidence);
+    return {
+        name: String(name),
+        confidence: Number.isFinite(score) ? score : null,
+    };
+}
+
+/**
+ * Share of records for which the predicate holds, used for detect() scores
+ */
+export function matchRatio(records, predicate) {
+    if (records.length === 0) return 0;
+    const sample = records.slice(0, 20);
+    return sample.filter(record => record && typeof record === 'object' && predicate(record)).length / sample.length;
+}
@@ -0,0 +1,66 @@
+/**
+ * Rasa Tracker Store Adapter
+ * Handles tracker dumps ({ sender_id, events: [...] }) as a single tracker,
+ * an array of trackers, or { trackers: [...] }
+ */
+
+import { unwrapRecords, toIsoTimestamp, getDateRange, toIntent, matchRatio } from './platformUtils';
+
+export const rasaAdapter = {
+    id: 'rasa',
+    name: 'Rasa Tracker Store',
+    extensions: ['.json'],
+
+    detect(input) {
+        const records = unwrapRecords(input.json, ['trackers']);
+        return matchRatio(records, isTracker) >= 0.5 ? 0.7 : 0;
+    },
+
+    parse(input) {
+        return unwrapRecords(input.json, ['trackers'])
+            .filter(isTracker)
+            .map((tracker, index) => {
+                const messages = tracker.events.map(mapEvent).filter(Boolean);
+
+                return {
+                    id: tracker.sender_id || `${input.filename}-${index}`,
+                    messages,
+                    metadata: {
+                        timestamp: messages[0]?.timestamp || null,
+                        dateRange: getDateRange(messages),
+                        platform: 'rasa',
+                    },
+                };
+            });
+    },
+};
+
+function isTracker(record) {
+    return Array.isArray(record.events)
+        && record.events.some(e => e?.event === 'user' || e?.event === 'bot');
+}
+
+/**
+ * Only user and bot events carry conversation text; actions, slots etc. are skipped
+ */
+function mapEvent(event) {
+    const timestamp = toIsoTimestamp(event.timestamp);
+
+    if (event.event === 'user') {
+        const intent = event.parse_data?.intent;
+        return {
+            role: 'user',
+            content: event.text || '',
+            timestamp,
+            intent: toIntent(intent?.name, intent?.confidence),
+        };
+    }
+
+    if (event.event === 'bot' && event.text) {
+        return { role: 'bot', content: event.text, timestamp };
+    }
+
+    return null;
+}
+
+export default rasaAdapter;
@@ -0,0 +1,72 @@
+/**
+ * Simple Text Adapter
+ * Handles "User: ... / Bot: ..." style plain text transcripts.
+ * Registered as the fallback adapter, so it also catches unrecognized content.
+ */
+
+const USER_LINE = /^(user|customer|human|visitor)\s*[:\-]\s*(.+)/i;
+const BOT_LINE = /^(bot|assistant|agent|chatbot|ai)\s*[:\-]\s*(.+)/i;
+const SESSION_LINE = /^(session|conversation)\s*[:\-]\s*(.+)/im;
+
+export const simpleTextAdapter = {
+    id: 'simple-text',
+    name: 'Plain Text (User:/Bot:)',
+    extensions: ['.txt'],
+
+    detect(input) {
+        const lines = input.content.split('\n').slice(0, 50);
+        const hasSpeakerLines = lines.some(line => USER_LINE.test(line) || BOT_LINE.test(line));
+        return hasSpeakerLines || SESSION_LINE.test(input.content) ? 0.3 : 0;
+    },
+
+    parse(input) {
+        const { content, filename } = input;
+        const lines = content.split('\n').filter(line => line.trim());
+        const conversations = [];
+        let currentConversation = { id: filename, messages: [], metadata: {} };
+
+        for (const line of lines) {
+            // Detect patterns like "User:", "Bot:", "Customer:", "Assistant:", etc.
+            const userMatch = line.match(USER_LINE);
+            const botMatch = line.match(BOT_LINE);
+            const sessionMatch = line.match(/^(session|conversation)\s*[:\-]\s*(.+)/i);
+
+            if (sessionMatch) {
+                if (currentConversation.messages.length > 0) {
+                    conversations.push(currentConversation);
+                }
+                currentConversation = {
+                    id: sessionMatch[2].trim(),
+                    messages: [],
+                    metadata: {}
+                };
+            } else if (userMatch) {
+                currentConversation.messages.push({
+                    role: 'user',
+                    content: userMatch[2].trim(),
+                });
+            } else if (botMatch) {
+                currentConversation.messages.push({
+                    role: 'bot',
+                    content: botMatch[2].trim(),
+                });
+            } else if (line.trim() && currentConversation.messages.length > 0) {
+                // Append to last message if no prefix
+                const lastMsg = currentConversation.messages[currentConversation.messages.length - 1];
+                lastMsg.content += ' ' + line.trim();
+            }
+        }
+
+        if (currentConversation.messages.length > 0) {
+            conversations.push(currentConversation);
+        }
+
+        return conversations.length > 0 ? conversations : [{
+            id: filename,
+            messages: [{ role: 'unknown', content }],
+            metadata: {},
+        }];
+    },
+};
+
+export default simpleTextAdapter;
@@ -0,0 +1,158 @@
+/**
+ * Timestamped Text Adapter
+ * Handles transcripts in the format:
+ * [2026-01-09T05:09:10.591551+00:00] USER: message
+ * [2026-01-09T05:09:15.201538+00:00] AI: response
+ * [2026-01-09T05:09:15.201538+00:00] RESULTS: STYLES: [...]; PRODUCTS [...]
+ */
+
+const DETECT_PATTERN = /\[(\d{4}-\d{2}-\d{2}T[\d:.]+\+[\d:]+)\]\s*(USER|AI|RESULTS|CONVERSATION STARTED)(?:\s*:\s*)?/i;
+
+export const timestampedTextAdapter = {
+    id: 'timestamped',
+    name: 'Timestamped Text (USER/AI/RESULTS)',
+    extensions: ['.txt'],
+
+    detect(input) {
+        return DETECT_PATTERN.test(input.content) ? 0.8 : 0;
+    },
+
+    parse(input) {
+        return parseTimestampedTranscript(input.content, input.filename);
+    },
+};
+
+/**
+ * Parse a timestamped transcript into a single conversation
+ */
+function parseTimestampedTranscript(content, filename) {
+    const lines = content.split('\n');
+    const messages = [];
+    let currentMessage = null;
+    let sessionId = filename;
+    let earliestTimestamp = null;
+    let latestTimestamp = null;
+
+    // Extract session ID from filename if it's in the format: session_UUID_transcript.txt
+    const sessionIdMatch = filename.match(/session_([a-f0-9-]+)_transcript/i);
+    if (sessionIdMatch) {
+        sessionId = sessionIdMatch[1];
+    }
+
+    // Regex to match timestamped lines
+    const linePattern = /^\[(\d{4}-\d{2}-\d{2}T[\d:.]+(?:\+[\d:]+)?)\]\s*(USER|AI|RESULTS|CONVERSATION STARTED)(?:\s*:\s*)?(.*)$/i;
+    const separatorPattern = /^={10,}$/; // Line of equals signs
+
+    for (const line of lines) {
+        const trimmedLine = line.trim();
+
+        // Skip separator lines
+        if (separatorPattern.test(trimmedLine) || !trimmedLine) {
+            continue;
+        }
+
+        const match = trimmedLine.match(linePattern);
+
+        // Debug: check if line contains "RESULTS" but didn't match
+        if (trimmedLine.includes('RESULTS') && !match) {
+            console.warn('⚠️ RESULTS line not matching regex:', trimmedLine.substring(0, 150));
+        }
+
+        if (match) {
+            // Save previous message if exists
+            if (currentMessage) {
+                messages.push(currentMessage);
+            }
+
+            const [, timestamp, role, content] = match;
+            const parsedTimestamp = new Date(timestamp);
+
+            // Track date range
+            if (!earliestTimestamp || parsedTimestamp < earliestTimestamp) {
+                earliestTimestamp = parsedTimestamp;
+            }
+            if (!latestTimestamp || parsedTimestamp > latestTimestamp) {
+                latestTimestamp = parsedTimestamp;
+            }
+
+            const normalizedRole = role.toUpperCase();
+
+            if (normalizedRole === 'CONVERSATION STARTED') {
+                // Skip conversation started markers, just continue
+                currentMessage = null;
+                continue;
+            }
+
+            if (normalizedRole === 'RESULTS') {
+                // Parse RESULTS as metadata for the previous AI message
+                console.log('📦 RESULTS line detected:', content.substring(0, 100) + '...');
+                if (messages.length > 0) {
+                    const lastMessage = messages[messages.length - 1];
+                    console.log('  Last message role:', lastMessage.role);
+                    if (lastMessage.role === 'bot') {
+                        lastMessage.results = parseResultsContent(content);
+                        console.log('  ✅ Results attached:', lastMessage.results);
+                    }
+                }
+                currentMessage = null;
+                continue;
+            }
+
+            currentMessage = {
+                role: normalizedRole === 'USER' ? 'user' : 'bot',
+                content: content.trim(),
+                timestamp: timestamp,
+            };
+        } else if (currentMessage && trimmedLine) {
+            // Continuation of previous message
+            currentMessage.content += ' ' + trimmedLine;
+        }
+    }
+
+    // Don't forget the last message
+    if (currentMessage) {
+        messages.push(currentMessage);
+    }
+
+    // Return as single conversation
+    return [{
+        id: sessionId,
+        messages: messages,
+        metadata: {
+            timestamp: earliestTimestamp?.toISOString() || null,
+            dateRange: {
+                start: earliestTimestamp?.toISOString() || null,
+                end: latestTimestamp?.toISOString() || null,
+            },
+            sourceFile: filename,
+            format: 'timestamped',
+        },
+    }];
+}
+
+/**
+ * Parse RESULTS content: STYLES: [...]; PRODUCTS [[...]]
+ */
+export function parseResultsContent(content) {
+    const results = {};
+
+    // Extract STYLES
+    const stylesMatch = content.match(/STYLES:\s*\[([^\]]+)\]/i);
+    if (stylesMatch) {
+        results.styles = stylesMatch[1].split(',').map(s => s.trim().replace(/['"]/g, ''));
+    }
+
+    // Extract PRODUCTS (could be nested arrays)
+    const productsMatch = content.match(/PRODUCTS\s*(\[[\s\S]*\])/i);
+    if (productsMatch) {
+        try {
+            results.products = JSON.parse(productsMatch[1].replace(/'/g, '"'));
+        } catch (e) {
+            results.productsRaw = productsMatch[1];
+        }
+    }
+
+    return results;
+}
+
+export default timestampedTextAdapter;
@@ -0,0 +1,50 @@
+/**
+ * Zendesk Chat Adapter
+ * Handles chat transcripts from the Zendesk Chat API/export (`history` of
+ * chat.msg events), as a single chat, an array, or { chats: [...] }
+ */
+
+import { unwrapRecords, toIsoTimestamp, getDateRange, matchRatio } from './platformUtils';
+
+export const zendeskAdapter = {
+    id: 'zendesk',
+    name: 'Zendesk Chat Transcripts',
+    extensions: ['.json'],
+
+    detect(input) {
+        const records = unwrapRecords(input.json, ['chats']);
+        return matchRatio(records, isChat) >= 0.5 ? 0.7 : 0;
+    },
+
+    parse(input) {
+        return unwrapRecords(input.json, ['chats'])
+            .filter(isChat)
+            .map((chat, index) => {
+                const messages = chat.history
+                    .filter(event => event.type === 'chat.msg' && event.msg)
+                    .map(event => ({
+                        // Visitors have nick "visitor", agents and bots "agent:<id>"
+                        role: event.nick === 'visitor' ? 'user' : 'bot',
+                        content: event.msg,
+                        timestamp: toIsoTimestamp(event.timestamp),
+                    }));
+
+                return {
+                    id: String(chat.id ?? `${input.filename}-${index}`),
+                    messages,
+                    metadata: {
+                        timestamp: toIsoTimestamp(chat.timestamp) || messages[0]?.timestamp || null,
+                        dateRange: getDateRange(messages),
+                        platform: 'zendesk',
+                    },
+                };
+            });
+    },
+};
+
+function isChat(record) {
+    return Array.isArray(record.history)
+        && record.history.some(event => typeof event?.type === 'string' && event.type.startsWith('chat.'));
+}
+
+export default zendeskAdapter;
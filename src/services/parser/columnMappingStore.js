@@ -0,0 +1,37 @@
+/**
+ * Column Mapping Store
+ * Remembers CSV/TSV column mappings per header signature in localStorage,
+ * so repeat uploads of the same export need no interaction
+ */
+
+import { STORAGE_KEYS } from '../../utils/constants';
+
+function readMappings() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEYS.columnMappings);
+        return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+        console.warn('Failed to read saved column mappings:', e);
+        return {};
+    }
+}
+
+/**
+ * Get the saved mapping for a header signature, or null
+ */
+export function getSavedColumnMapping(signature) {
+    return readMappings()[signature] || null;
+}
+
+/**
+ * Save the mapping for a header signature
+ */
+export function saveColumnMapping(signature, mapping) {
+    try {
+        const mappings = readMappings();
+        mappings[signature] = mapping;
+        localStorage.setItem(STORAGE_KEYS.columnMappings, JSON.stringify(mappings));
+    } catch (e) {
+        console.warn('Failed to save column mapping:', e);
+    }
+}
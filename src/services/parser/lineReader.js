@@ -0,0 +1,66 @@
+/**
+ * Line Reader
+ * Incrementally decodes a byte stream into text lines, so large exports
+ * never have to be held in memory as a single string
+ */
+
+/**
+ * Read lines from a ReadableStream of bytes
+ * @param {ReadableStream<Uint8Array>} stream - e.g. File.stream()
+ * @param {object} options - { totalBytes, onProgress(percent), signal }
+ */
+export async function* readLines(stream, { totalBytes = 0, onProgress, signal } = {}) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let bytesRead = 0;
+
+    try {
+        while (true) {
+            signal?.throwIfAborted();
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            bytesRead += value.byteLength;
+            buffer += decoder.decode(value, { stream: true });
+
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                yield line;
+            }
+
+            if (totalBytes > 0) {
+                onProgress?.(Math.min(100, (bytesRead / totalBytes) * 100));
+            }
+        }
+
+        buffer += decoder.decode();
+        if (buffer) {
+            yield buffer;
+        }
+        onProgress?.(100);
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Expose a JSZip entry as a ReadableStream, decompressing chunk by chunk
+ * onProgress(percent) is driven by JSZip's own progress metadata
+ */
+export function streamZipEntry(entry, onProgress) {
+    return new ReadableStream({
+        start(controller) {
+            entry.internalStream('uint8array')
+                .on('data', (chunk, metadata) => {
+                    controller.enqueue(chunk);
+                    onProgress?.(metadata.percent);
+                })
+                .on('error', (error) => controller.error(error))
+                .on('end', () => controller.close())
+                .resume();
+        },
+    });
+}
@@ -4,35 +4,210 @@
  */
 
 import JSZip from 'jszip';
-import { parseTranscriptContent, generateId } from '../../utils/helpers';
+import { generateId } from '../../utils/helpers';
+import { BUILT_IN_ADAPTERS, simpleTextAdapter } from './adapters';
+import { readLines, streamZipEntry } from './lineReader';
+
+// ============================================================================
+// FORMAT ADAPTER REGISTRY
+// ============================================================================
+
+const formatAdapters = [];
+let fallbackAdapter = simpleTextAdapter;
+
+/**
+ * Register a transcript format adapter (replaces an adapter with the same id)
+ * See ./adapters/index.js for the adapter shape
+ */
+export function registerFormatAdapter(adapter, { fallback = false } = {}) {
+    if (!adapter?.id || typeof adapter.detect !== 'function' || typeof adapter.parse !== 'function') {
+        throw new Error('Format adapter must have an id, detect() and parse()');
+    }
+
+    const existingIndex = formatAdapters.findIndex(a => a.id === adapter.id);
+    if (existingIndex >= 0) {
+        formatAdapters.splice(existingIndex, 1, adapter);
+    } else {
+        formatAdapters.push(adapter);
+    }
+
+    if (fallback) {
+        fallbackAdapter = adapter;
+    }
+}
+
+/**
+ * Get all registered format adapters
+ */
+export function getFormatAdapters() {
+    return [...formatAdapters];
+}
+
+/**
+ * Get every file extension a registered adapter can read
+ */
+export function getSupportedExtensions() {
+    const extensions = new Set();
+    for (const adapter of formatAdapters) {
+        for (const ext of adapter.extensions || []) {
+            extensions.add(ext.toLowerCase());
+        }
+    }
+    return Array.from(extensions);
+}
+
+/**
+ * Check whether a filename has an extension some adapter can read
+ */
+export function isSupportedFile(filename) {
+    const ext = getExtension(filename);
+    return getSupportedExtensions().includes(ext);
+}
+
+/**
+ * Pick the adapter with the highest detection score for the input
+ * Ties go to the adapter registered first; falls back to the fallback adapter
+ */
+export function detectFormat(input) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const adapter of formatAdapters) {
+        let score = 0;
+        try {
+            score = adapter.detect(input) || 0;
+        } catch (error) {
+            console.warn(`Format adapter "${adapter.id}" failed to detect:`, error);
+        }
+
+        if (score > bestScore) {
+            best = adapter;
+            bestScore = score;
+        }
+    }
+
+    return best || fallbackAdapter;
+}
+
+/**
+ * Parse transcript content using the best matching format adapter
+ * @returns {Promise<{format: string, transcripts: Array}>}
+ */
+export async function parseTranscriptContent(content, filename, options = {}) {
+    const input = createParseInput(content, filename, options);
+    const adapter = detectFormat(input);
+
+    const parsed = await adapter.parse(input);
+    const transcripts = adapter.normalize
+        ? parsed.map(transcript => adapter.normalize(transcript, input))
+        : parsed;
+
+    return { format: adapter.id, transcripts };
+}
+
+/**
+ * Parse a byte stream line by line when the detected adapter supports it
+ * Detection only sees the filename (content is empty), so streaming adapters
+ * are expected to detect by extension
+ * @returns {Promise<{format: string, transcripts: Array}|null>} null when the
+ *   format has to be parsed from the full content instead
+ */
+export async function parseTranscriptStream(getStream, filename, options = {}, { totalBytes = 0, onProgress } = {}) {
+    const input = createParseInput('', filename, options);
+    const adapter = detectFormat(input);
+    if (typeof adapter.parseStream !== 'function') {
+        return null;
+    }
+
+    const lines = readLines(getStream(), { totalBytes, onProgress, signal: options.signal });
+    const parsed = await adapter.parseStream(lines, input);
+    const transcripts = adapter.normalize
+        ? parsed.map(transcript => adapter.normalize(transcript, input))
+        : parsed;
+
+    return { format: adapter.id, transcripts };
+}
+
+/**
+ * Build the input object handed to adapters
+ * JSON is parsed at most once, and only when an adapter asks for it
+ */
+function createParseInput(content, filename, options) {
+    let json;
+    let jsonParsed = false;
+
+    return {
+        content,
+        filename,
+        extension: getExtension(filename),
+        options,
+        get json() {
+            if (!jsonParsed) {
+                jsonParsed = true;
+                try {
+                    json = JSON.parse(content);
+                } catch {
+                    json = undefined;
+                }
+            }
+            return json;
+        },
+    };
+}
+
+/**
+ * Get lowercase file extension including the dot
+ */
+function getExtension(filename) {
+    const dotIndex = filename.lastIndexOf('.');
+    return dotIndex >= 0 ? filename.slice(dotIndex).toLowerCase() : '';
+}
+
+BUILT_IN_ADAPTERS.forEach(adapter => registerFormatAdapter(adapter));
+
+// ============================================================================
+// FILE PARSING
+// ============================================================================
 
 /**
  * Parse uploaded files into structured transcript data
+ * options.onFileProgress(filename, percent) reports progress per uploaded file
+ * options.signal (AbortSignal) stops parsing between files and stream chunks
  */
-export async function parseUploadedFiles(files) {
+export async function parseUploadedFiles(files, options = {}) {
     const results = [];
 
     for (const file of files) {
+        options.signal?.throwIfAborted();
+        const onProgress = (percent) => options.onFileProgress?.(file.name, Math.round(percent));
+        onProgress(0);
+
         try {
-            if (file.name.endsWith('.zip')) {
-                const zipResults = await parseZipFile(file);
+            if (file.name.toLowerCase().endsWith('.zip')) {
+                const zipResults = await parseZipFile(file, options, onProgress);
                 results.push(...zipResults);
             } else {
-                const content = await readFileContent(file);
-                const parsed = parseTranscriptContent(content, file.name);
+                const parsed = await parseTranscriptStream(() => file.stream(), file.name, options, {
+                    totalBytes: file.size,
+                    onProgress,
+                }) || await parseTranscriptContent(await readFileContent(file), file.name, options);
                 results.push({
                     filename: file.name,
-                    transcripts: parsed,
+                    format: parsed.format,
+                    transcripts: parsed.transcripts,
                     error: null,
                 });
             }
         } catch (error) {
+            if (error?.name === 'AbortError') throw error;
             results.push({
                 filename: file.name,
                 transcripts: [],
                 error: error.message,
             });
         }
+
+        onProgress(100);
     }
 
     return results;
@@ -52,32 +227,41 @@ async function readFileContent(file) {
 
 /**
  * Parse ZIP file containing transcripts
+ * Progress is reported as the share of entries processed
  */
-async function parseZipFile(file) {
+async function parseZipFile(file, options = {}, onProgress) {
     const zip = new JSZip();
     const contents = await zip.loadAsync(file);
     const results = [];
 
     const fileEntries = Object.entries(contents.files).filter(
-        ([name, entry]) => !entry.dir && (name.endsWith('.txt') || name.endsWith('.json'))
+        ([name, entry]) => !entry.dir && isSupportedFile(name)
     );
 
-    for (const [name, entry] of fileEntries) {
+    for (const [index, [name, entry]] of fileEntries.entries()) {
+        options.signal?.throwIfAborted();
+        const entryProgress = (percent) =>
+            onProgress?.(((index + percent / 100) / fileEntries.length) * 100);
+
         try {
-            const content = await entry.async('string');
-            const parsed = parseTranscriptContent(content, name);
+            const parsed = await parseTranscriptStream(() => streamZipEntry(entry, entryProgress), name, options)
+                || await parseTranscriptContent(await entry.async('string'), name, options);
             results.push({
                 filename: name,
-                transcripts: parsed,
+                format: parsed.format,
+                transcripts: parsed.transcripts,
                 error: null,
             });
         } catch (error) {
+            if (error?.name === 'AbortError') throw error;
             results.push({
                 filename: name,
                 transcripts: [],
                 error: error.message,
             });
         }
+
+        entryProgress(100);
     }
 
     return results;
@@ -126,6 +310,12 @@ function normalizeMessages(messages) {
         timestamp: msg.timestamp || null,
         // Preserve RESULTS data (STYLES, PRODUCTS) if present
         ...(msg.results && { results: msg.results }),
+        // Preserve platform NLU intent ({ name, confidence }) if present
+        ...(msg.intent && { intent: msg.intent }),
+        // Preserve tool calls / tool results from OpenAI-style exports
+        ...(msg.toolCalls && { toolCalls: msg.toolCalls }),
+        ...(msg.toolName && { toolName: msg.toolName }),
+        ...(msg.toolCallId && { toolCallId: msg.toolCallId }),
     }));
 }
 
@@ -135,11 +325,13 @@ function normalizeMessages(messages) {
 function normalizeRole(role) {
     const userRoles = ['user', 'customer', 'human', 'visitor', 'client'];
     const botRoles = ['bot', 'assistant', 'agent', 'chatbot', 'ai', 'system'];
+    const toolRoles = ['tool', 'function'];
 
     const normalized = role.toLowerCase();
 
     if (userRoles.includes(normalized)) return 'user';
     if (botRoles.includes(normalized)) return 'bot';
+    if (toolRoles.includes(normalized)) return 'tool';
     return 'unknown';
 }
 
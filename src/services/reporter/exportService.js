@@ -3,7 +3,9 @@
  * Handle exporting analysis results to various formats
  */
 
-import { downloadFile, formatDate } from '../../utils/helpers';
+import { downloadFile, formatDate, getHeatmapColor, formatDuration } from '../../utils/helpers';
+import { describeTimezone } from '../../utils/timezone';
+import { describeFlowNode } from '../analyzer/ruleBasedAnalyzer';
 
 /**
  * Export results as JSON
@@ -33,6 +35,39 @@ export function exportAsPdf(results, filename = 'chatbot-analysis') {
     printWindow.document.close();
 }
 
+/**
+ * Export a set of sessions (e.g. a drill-down) as JSON or CSV
+ * The CSV uses session_id/role/content/timestamp/results columns so it can be re-imported
+ */
+export function exportSessions(transcripts, filename = 'chatbot-sessions', format = 'json') {
+    if (format === 'csv') {
+        downloadFile(generateSessionsCsv(transcripts), `${filename}.csv`, 'text/csv');
+        return;
+    }
+    downloadFile(JSON.stringify(transcripts, null, 2), `${filename}.json`, 'application/json');
+}
+
+function generateSessionsCsv(transcripts) {
+    const rows = [['session_id', 'role', 'content', 'timestamp', 'results']];
+    for (const transcript of transcripts) {
+        for (const msg of transcript.messages || []) {
+            rows.push([
+                transcript.id,
+                msg.role,
+                msg.content,
+                msg.timestamp || '',
+                msg.results ? JSON.stringify(msg.results) : '',
+            ]);
+        }
+    }
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\n');
+}
+
+function toCsvCell(value) {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Generate SVG donut chart for PDF export
  * @param {Array} data - Array of {name, value, color} objects
@@ -110,6 +145,49 @@ function generateSvgDonutChart(data, size = 180) {
     return svg;
 }
 
+/**
+ * Generate SVG weekday x hour heatmap for PDF export
+ * @param {Object} matrix - timePatterns.weekdayHourMatrix
+ * @param {Array} values - 7x24 cell values (matrix.sessions or matrix.noResultRate)
+ * @param {string} rgb - Base cell color as "r, g, b"
+ * @param {string} unit - Suffix for the cell labels
+ * @returns {string} - SVG markup
+ */
+function generateSvgHeatmap(matrix, values, rgb, unit = '') {
+    const max = Math.max(0, ...values.flat().filter(value => value != null));
+
+    const labelWidth = 36;
+    const headerHeight = 16;
+    const cell = 27;
+    const width = labelWidth + cell * 24;
+    const height = headerHeight + cell * matrix.days.length;
+
+    let svg = `<svg width="100%" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" font-family="sans-serif">`;
+
+    for (let hour = 0; hour < 24; hour += 3) {
+        svg += `<text x="${labelWidth + hour * cell + cell / 2}" y="11" text-anchor="middle" font-size="9" fill="#64748b">${String(hour).padStart(2, '0')}</text>`;
+    }
+
+    matrix.days.forEach((dayName, day) => {
+        const y = headerHeight + day * cell;
+        svg += `<text x="0" y="${y + cell / 2}" dominant-baseline="middle" font-size="10" fill="#475569">${dayName.slice(0, 3)}</text>`;
+
+        values[day].forEach((value, hour) => {
+            const x = labelWidth + hour * cell;
+            const hasSessions = matrix.sessions[day][hour] > 0;
+            const fill = hasSessions ? getHeatmapColor(value, max, rgb) : '#f1f5f9';
+            svg += `<rect x="${x + 1}" y="${y + 1}" width="${cell - 2}" height="${cell - 2}" rx="3" fill="${fill}"/>`;
+            if (hasSessions && value > 0) {
+                const dark = value / max > 0.6;
+                svg += `<text x="${x + cell / 2}" y="${y + cell / 2}" text-anchor="middle" dominant-baseline="middle" font-size="8" fill="${dark ? '#fff' : '#334155'}">${value}${unit}</text>`;
+            }
+        });
+    });
+
+    svg += '</svg>';
+    return svg;
+}
+
 /**
  * Generate styled PDF report with each section as a page
  */
@@ -175,6 +253,7 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
         .metric-label { font-size: 12px; color: #64748b; margin-bottom: 4px; }
         .metric-value { font-size: 24px; font-weight: 700; color: #6366f1; }
         .metric-value.positive { color: #10b981; }
+        .metric-value.negative { color: #ef4444; }
         .metric-value.warning { color: #f59e0b; }
         .badge {
             display: inline-block;
@@ -371,6 +450,7 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
             <span class="icon">📊</span>
             <h1>Session Overview</h1>
         </div>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 12px;">🕒 Dates and times are in ${describeTimezone(results?.timeZone)}</p>
         <div class="metrics-grid">
             <div class="metric-card">
                 <div class="metric-label">Total Sessions</div>
@@ -399,6 +479,57 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
             </div>
         </div>`;
 
+    // Drop-off Funnel
+    const funnel = sessionOverview.dropOffFunnel;
+    if (funnel) {
+        html += `
+        <h2>Drop-off Funnel</h2>
+        <table>
+            <tr><th>Stage</th><th>Reached</th><th>Left here</th><th>Exit rate</th></tr>`;
+        funnel.stages.forEach(stage => {
+            html += `<tr><td>${stage.label}</td><td>${stage.reached} (${stage.reachedPercentage}%)</td><td>${stage.exited}</td><td>${stage.exitRate}%</td></tr>`;
+        });
+        html += `
+        </table>
+        <table>
+            <tr><th>What preceded the exit</th><th>Sessions</th></tr>`;
+        funnel.exitReasons.forEach(reason => {
+            html += `<tr><td>${reason.label}</td><td>${reason.count} (${reason.percentage}%)</td></tr>`;
+        });
+        html += `</table>`;
+    }
+
+    // Timing & Latency
+    const timing = sessionOverview.timing;
+    if (timing) {
+        html += `
+        <h2>Timing &amp; Latency</h2>
+        <table>
+            <tr><th>Measure</th><th>p50</th><th>p90</th><th>p99</th></tr>`;
+        [
+            ['Session duration', timing.sessionDuration],
+            ['Time to first response', timing.firstResponse],
+            ['Bot latency per turn', timing.botLatency],
+            ['User think time', timing.thinkTime],
+        ].forEach(([label, stats]) => {
+            html += `<tr><td>${label}</td><td>${formatDuration(stats.p50)}</td><td>${formatDuration(stats.p90)}</td><td>${formatDuration(stats.p99)}</td></tr>`;
+        });
+        html += `
+        </table>
+        <div class="metrics-grid">
+            <div class="metric-card">
+                <div class="metric-label">Slow Responses (&gt;${timing.slowResponseThreshold}s)</div>
+                <div class="metric-value ${timing.slowResponses ? 'negative' : 'positive'}">${timing.slowResponses}</div>
+                <div style="font-size: 12px; color: #64748b;">in ${timing.sessionsWithSlowResponses} sessions</div>
+            </div>
+            <div class="metric-card">
+                <div class="metric-label">Idle-Abandoned Sessions</div>
+                <div class="metric-value ${timing.abandonment.total ? 'negative' : 'positive'}">${timing.abandonment.percentage}%</div>
+                <div style="font-size: 12px; color: #64748b;">${timing.abandonment.unanswered} unanswered · ${timing.abandonment.afterSlowResponse} after a slow reply</div>
+            </div>
+        </div>`;
+    }
+
     // Time Patterns
     if (timePatterns.busiestHour || timePatterns.busiestDay || timePatterns.busiestDate) {
         html += `
@@ -430,6 +561,16 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
         }
         html += `</div>`;
     }
+
+    const weekdayHour = timePatterns.weekdayHourMatrix;
+    if (weekdayHour && weekdayHour.sessions.flat().some(count => count > 0)) {
+        html += `
+        <h2>Activity by Weekday &amp; Hour</h2>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 8px;">Session starts per hour slot</p>
+        ${generateSvgHeatmap(weekdayHour, weekdayHour.sessions, '99, 102, 241')}
+        <p style="font-size: 12px; color: #64748b; margin: 16px 0 8px;">Share of sessions without results (grey: no sessions)</p>
+        ${generateSvgHeatmap(weekdayHour, weekdayHour.noResultRate, '239, 68, 68', '%')}`;
+    }
     html += `</div>`;
 
     // Page 2: Query Analysis
@@ -460,6 +601,18 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
         });
         html += `</table>`;
     }
+
+    const queryClusters = queryAnalysis.clusters?.clusters || [];
+    if (queryClusters.length > 0) {
+        html += `
+        <h2>Query Clusters</h2>
+        <table>
+            <tr><th>Cluster</th><th>Queries</th><th>No results</th><th>Samples</th></tr>`;
+        queryClusters.slice(0, 15).forEach(cluster => {
+            html += `<tr><td>${cluster.label}</td><td style="text-align: center;">${cluster.size}</td><td style="text-align: center;">${cluster.noResultRate}%</td><td>${cluster.sampleQueries.map(sample => sample.query).join(', ')}</td></tr>`;
+        });
+        html += `</table>`;
+    }
     html += `</div>`;
 
     // Page 3: User Insights
@@ -553,6 +706,21 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
             </div>
         </div>`;
 
+    // Intent taxonomy section
+    const taxonomyIntents = userBehavior.taxonomyIntents;
+    if (taxonomyIntents) {
+        html += `
+        <h2>Intent Taxonomy</h2>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 8px;">${taxonomyIntents.classifiedTurns} of ${taxonomyIntents.totalTurns} user turns (${taxonomyIntents.coverage}%) matched an intent</p>
+        <table>
+            <tr><th>Intent</th><th>Turns</th><th>Sessions</th><th>No-result rate</th><th>Avg turn</th><th>Avg session turns</th></tr>`;
+        [...taxonomyIntents.intents, taxonomyIntents.unclassified].filter(row => row.count > 0).forEach(row => {
+            html += `<tr><td>${row.name}</td><td style="text-align: center;">${row.count} (${row.percentage}%)</td><td style="text-align: center;">${row.sessions}</td><td style="text-align: center;">${row.noResultRate}%</td><td style="text-align: center;">${row.avgTurn}</td><td style="text-align: center;">${row.avgSessionTurns}</td></tr>`;
+        });
+        html += `
+        </table>`;
+    }
+
 
     // Repeated Queries section
     const repeatedQueries = userBehavior.repeatedQueries || {};
@@ -594,6 +762,75 @@ function generateStyledPdfReport(results, filename = 'chatbot-analysis') {
     }
     html += `</div>`;
 
+    // Zero-Result Queries
+    const zeroResults = analysis.zeroResultQueries;
+    if (zeroResults) {
+        html += `
+    <div class="page">
+        <div class="page-header">
+            <span class="icon">🚫</span>
+            <h1>Zero-Result Queries</h1>
+        </div>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 12px;">${zeroResults.zeroResultQueries} of ${zeroResults.totalQueries} queries (${zeroResults.percentage}%) returned no results or no products</p>
+        <table>
+            <tr><th>Query</th><th>Times</th><th>First / last seen</th><th>Closest category</th></tr>`;
+        zeroResults.queries.slice(0, 25).forEach(q => {
+            const category = zeroResults.siteCategoryCount > 0 ? (q.closestCategory?.category || 'Not on site') : '-';
+            html += `<tr><td>${q.query}</td><td style="text-align: center;">${q.count}</td><td>${q.firstSeen || '-'} / ${q.lastSeen || '-'}</td><td>${category}</td></tr>`;
+        });
+        html += `
+        </table>
+    </div>`;
+    }
+
+    // Sentiment & Frustration
+    const sentiment = analysis.sentiment;
+    if (sentiment) {
+        html += `
+    <div class="page">
+        <div class="page-header">
+            <span class="icon">😤</span>
+            <h1>Sentiment & Frustration</h1>
+        </div>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 12px;">Scored offline from message wording. Average sentiment ${sentiment.avgSentiment} (-1 to +1); ${sentiment.frustratedTurns} of ${sentiment.totalTurns} user turns (${sentiment.frustratedTurnRate}%) and ${sentiment.frustratedSessions} of ${sentiment.totalSessions} sessions (${sentiment.frustratedSessionRate}%) frustrated</p>
+        <table>
+            <tr><th>Signal</th><th>Turns</th><th>Sessions</th></tr>`;
+        sentiment.signals.forEach(signal => {
+            html += `<tr><td>${signal.label}</td><td style="text-align: center;">${signal.turns} (${signal.percentage}%)</td><td style="text-align: center;">${signal.sessions}</td></tr>`;
+        });
+        html += `
+        </table>
+        <h3 style="margin: 16px 0 8px;">Most Frustrated Sessions</h3>
+        <table>
+            <tr><th>Session</th><th>Frustration</th><th>Trajectory</th><th>Most frustrated query</th></tr>`;
+        sentiment.mostFrustrated.forEach(session => {
+            html += `<tr><td>${session.sessionId}</td><td style="text-align: center;">${session.peakFrustration}</td><td>${session.trajectory || '-'}</td><td>${session.peakTurn.query}</td></tr>`;
+        });
+        html += `
+        </table>
+    </div>`;
+    }
+
+    // Conversation Flow
+    const flow = analysis.conversationFlow;
+    if (flow?.topPaths.length > 0) {
+        html += `
+    <div class="page">
+        <div class="page-header">
+            <span class="icon">🔀</span>
+            <h1>Conversation Flow</h1>
+        </div>
+        <p style="font-size: 12px; color: #64748b; margin: 0 0 12px;">Most common paths from query type (Q) to bot response (R), first ${flow.maxTurns} queries of ${flow.totalSessions} sessions</p>
+        <table>
+            <tr><th>Path</th><th>Sessions</th></tr>`;
+        flow.topPaths.forEach(({ path, count, percentage }) => {
+            html += `<tr><td>${path.map(describeFlowNode).join(' → ')}</td><td>${count} (${percentage}%)</td></tr>`;
+        });
+        html += `
+        </table>
+    </div>`;
+    }
+
     // Page 4: Issues & Recommendations
     html += `
     <div class="page">
@@ -708,15 +945,69 @@ function generateMarkdownReport(results) {
     }
     md += '\n';
 
+    const timePatterns = overview.timePatterns || {};
     md += '## Session Overview\n';
+    md += `*Dates and times are in ${describeTimezone(results?.timeZone)}*\n\n`;
     md += `- **Total Sessions**: ${overview.totalSessions || 'N/A'}\n`;
+    md += `- **Date Range**: ${overview.dateRange?.start || 'N/A'} - ${overview.dateRange?.end || 'N/A'}\n`;
     md += `- **Single-Turn Sessions**: ${overview.turnAnalysis?.singleTurnSessions || 0}\n`;
-    md += `- **Multi-Turn Sessions**: ${overview.turnAnalysis?.multiTurnSessions || 0}\n\n`;
+    md += `- **Multi-Turn Sessions**: ${overview.turnAnalysis?.multiTurnSessions || 0}\n`;
+    if (timePatterns.busiestHour) md += `- **Busiest Hour**: ${timePatterns.busiestHour} (${timePatterns.busiestHourCount || 0} sessions)\n`;
+    if (timePatterns.busiestDay) md += `- **Busiest Day**: ${timePatterns.busiestDay} (${timePatterns.busiestDayCount || 0} sessions)\n`;
+    if (timePatterns.busiestDate) md += `- **Busiest Date**: ${timePatterns.busiestDate} (${timePatterns.busiestDateCount || 0} sessions)\n`;
+    md += '\n';
+
+    const funnel = overview.dropOffFunnel;
+    if (funnel) {
+        md += '### Drop-off Funnel\n';
+        md += '| Stage | Reached | Left here | Exit rate |\n';
+        md += '|-------|---------|-----------|-----------|\n';
+        funnel.stages.forEach(stage => {
+            md += `| ${stage.label} | ${stage.reached} (${stage.reachedPercentage}%) | ${stage.exited} | ${stage.exitRate}% |\n`;
+        });
+        md += '\n**What preceded the exit:**\n';
+        funnel.exitReasons.forEach(reason => {
+            md += `- ${reason.label}: ${reason.count} (${reason.percentage}%)\n`;
+            reason.examples.slice(0, 1).forEach(example => {
+                md += `  - e.g. "${example.lastQuery}"${example.lastReply ? ` → "${example.lastReply.slice(0, 100)}"` : ''}\n`;
+            });
+        });
+        md += '\n';
+    }
+
+    const timing = overview.timing;
+    if (timing) {
+        md += '### Timing & Latency\n';
+        md += `*Based on ${timing.timedSessions} sessions with per-message timestamps*\n\n`;
+        md += '| Measure | p50 | p90 | p99 |\n';
+        md += '|---------|-----|-----|-----|\n';
+        [
+            ['Session duration', timing.sessionDuration],
+            ['Time to first response', timing.firstResponse],
+            ['Bot latency per turn', timing.botLatency],
+            ['User think time', timing.thinkTime],
+        ].forEach(([label, stats]) => {
+            md += `| ${label} | ${formatDuration(stats.p50)} | ${formatDuration(stats.p90)} | ${formatDuration(stats.p99)} |\n`;
+        });
+        md += `\n- **Slow Responses** (>${timing.slowResponseThreshold}s): ${timing.slowResponses} in ${timing.sessionsWithSlowResponses} sessions\n`;
+        md += `- **Idle-Abandoned Sessions**: ${timing.abandonment.total} (${timing.abandonment.percentage}%) - ${timing.abandonment.unanswered} unanswered, ${timing.abandonment.afterSlowResponse} after a slow reply\n\n`;
+    }
 
     md += '## Query Analysis\n';
     md += `- **Total Queries**: ${queries.totalQueries || 0}\n`;
     md += `- **Unique Queries**: ${queries.uniqueQueries || 0}\n\n`;
 
+    const clusters = queries.clusters?.clusters || [];
+    if (clusters.length > 0) {
+        md += '### Query Clusters\n';
+        md += '| Cluster | Queries | No results | Samples |\n';
+        md += '|---------|---------|------------|---------|\n';
+        clusters.slice(0, 15).forEach(cluster => {
+            md += `| ${cluster.label} | ${cluster.size} | ${cluster.noResultRate}% | ${cluster.sampleQueries.map(sample => sample.query).join(', ')} |\n`;
+        });
+        md += '\n';
+    }
+
     // User Insights section
     const queryComplexity = userBehavior.queryComplexity || {};
     const intentCategories = userBehavior.intentCategories || {};
@@ -737,6 +1028,18 @@ function generateMarkdownReport(results) {
     md += `- **Category Browse**: ${intentCategories.categoryBrowse || 0}\n`;
     md += `- **Support Request**: ${intentCategories.supportRequest || 0}\n\n`;
 
+    const taxonomyIntents = userBehavior.taxonomyIntents;
+    if (taxonomyIntents) {
+        md += '### Intent Taxonomy\n';
+        md += `*${taxonomyIntents.classifiedTurns} of ${taxonomyIntents.totalTurns} user turns (${taxonomyIntents.coverage}%) matched an intent*\n\n`;
+        md += '| Intent | Turns | Sessions | No-result rate | Avg turn | Avg session turns |\n';
+        md += '|--------|-------|----------|----------------|----------|-------------------|\n';
+        [...taxonomyIntents.intents, taxonomyIntents.unclassified].filter(row => row.count > 0).forEach(row => {
+            md += `| ${row.name} | ${row.count} (${row.percentage}%) | ${row.sessions} | ${row.noResultRate}% | ${row.avgTurn} | ${row.avgSessionTurns} |\n`;
+        });
+        md += '\n';
+    }
+
     if (behaviorInsights.length > 0) {
         md += '### Key Insights\n';
         behaviorInsights.forEach(insight => {
@@ -749,6 +1052,46 @@ function generateMarkdownReport(results) {
         md += '\n';
     }
 
+    const zeroResults = analysis.zeroResultQueries;
+    if (zeroResults) {
+        md += '## Zero-Result Queries\n';
+        md += `*${zeroResults.zeroResultQueries} of ${zeroResults.totalQueries} queries (${zeroResults.percentage}%) returned no results or no products*\n\n`;
+        md += '| Query | Times | First seen | Last seen | Closest category |\n';
+        md += '|-------|-------|------------|-----------|------------------|\n';
+        zeroResults.queries.slice(0, 25).forEach(q => {
+            const category = zeroResults.siteCategoryCount > 0 ? (q.closestCategory?.category || 'Not on site') : '-';
+            md += `| ${q.query} | ${q.count} | ${q.firstSeen || '-'} | ${q.lastSeen || '-'} | ${category} |\n`;
+        });
+        md += '\n';
+    }
+
+    const sentiment = analysis.sentiment;
+    if (sentiment) {
+        md += '## Sentiment & Frustration\n';
+        md += `*Scored offline from message wording. Average sentiment ${sentiment.avgSentiment} (-1 to +1); ${sentiment.frustratedTurns} of ${sentiment.totalTurns} user turns (${sentiment.frustratedTurnRate}%) and ${sentiment.frustratedSessions} of ${sentiment.totalSessions} sessions (${sentiment.frustratedSessionRate}%) frustrated*\n\n`;
+        sentiment.signals.forEach(signal => {
+            md += `- ${signal.label}: ${signal.turns} turns in ${signal.sessions} sessions\n`;
+        });
+        if (sentiment.mostFrustrated.length > 0) {
+            md += '\n| Session | Frustration | Trajectory | Most frustrated query |\n';
+            md += '|---------|-------------|------------|-----------------------|\n';
+            sentiment.mostFrustrated.forEach(session => {
+                md += `| ${session.sessionId} | ${session.peakFrustration} | ${session.trajectory || '-'} | ${session.peakTurn.query} |\n`;
+            });
+        }
+        md += '\n';
+    }
+
+    const flow = analysis.conversationFlow;
+    if (flow?.topPaths.length > 0) {
+        md += '## Conversation Flow\n';
+        md += `*Most common paths through the first ${flow.maxTurns} queries*\n\n`;
+        flow.topPaths.forEach(({ path, count, percentage }) => {
+            md += `- ${path.map(describeFlowNode).join(' → ')}: ${count} (${percentage}%)\n`;
+        });
+        md += '\n';
+    }
+
     if (issues.length > 0) {
         md += '## Potential Issues\n';
         issues.forEach(issue => {
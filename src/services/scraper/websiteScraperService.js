@@ -557,3 +557,36 @@ export function getWebsiteContentForPrompt(scrapedData, maxLength = 8000) {
 
     return content;
 }
+
+/**
+ * Category and product-type names found on the scraped site, deduplicated
+ * Combines the LLM site analysis, homepage navigation and category page URLs
+ */
+export function getSiteCategories(scrapedData) {
+    if (!scrapedData) return [];
+
+    const names = [
+        ...(scrapedData.llmAnalysis?.mainCategories || []).map(cat => (typeof cat === 'object' ? cat?.name : cat)),
+        ...(scrapedData.llmAnalysis?.productTypes || []),
+        ...(scrapedData.extractedCategories || []),
+        // "/collections/summer-dresses" -> "summer dresses"
+        ...(scrapedData.categories || []).map(page => {
+            try {
+                const segments = new URL(page.url).pathname.split('/').filter(Boolean);
+                return decodeURIComponent(segments[segments.length - 1] || '').replace(/[-_]+/g, ' ');
+            } catch (e) {
+                return null;
+            }
+        }),
+    ];
+
+    const seen = new Set();
+    return names
+        .map(name => (typeof name === 'string' ? name.trim() : ''))
+        .filter(name => {
+            const key = name.toLowerCase();
+            if (!name || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
@@ -31,6 +31,25 @@ export const LLM_PROVIDERS = {
     },
 };
 
+// How transcripts are sent to the LLM
+export const LLM_ANALYSIS_MODES = {
+    single: {
+        id: 'single',
+        name: 'Single prompt',
+        description: 'One request with the first 100 sessions. Fastest and cheapest.',
+    },
+    mapReduce: {
+        id: 'mapReduce',
+        name: 'All sessions (map-reduce)',
+        description: 'Analyzes every session in batches sized to the model context, then merges the findings.',
+    },
+    staged: {
+        id: 'staged',
+        name: 'Staged pipeline',
+        description: 'Runs domain, intent, scoring, friction, knowledge gap, prompt and recommendation stages in sequence. Adds the Intents, Prompt Tuning and Training tabs.',
+    },
+};
+
 // Business model types
 export const BUSINESS_MODELS = {
     b2c: { id: 'b2c', name: 'B2C', description: 'Business to Consumer' },
@@ -40,6 +59,7 @@ export const BUSINESS_MODELS = {
 // Analysis stages
 export const ANALYSIS_STAGES = [
     { id: 'parsing', name: 'Parsing Transcripts', icon: '📄' },
+    { id: 'metrics', name: 'Computing Metrics', icon: '📈' },
     { id: 'domain', name: 'Analyzing Domain', icon: '🌐' },
     { id: 'intents', name: 'Discovering Intents', icon: '🎯' },
     { id: 'scoring', name: 'Scoring Responses', icon: '📊' },
@@ -48,7 +68,7 @@ export const ANALYSIS_STAGES = [
     { id: 'report', name: 'Compiling Report', icon: '📋' },
 ];
 
-// Intent categories
+// Intent categories (DEFAULT_INTENT_TAXONOMY in intentTaxonomy.js defines rule-based matchers for each)
 export const INTENT_CATEGORIES = [
     'Product Discovery',
     'Product Details',
@@ -95,6 +115,9 @@ export const EFFORT_LEVELS = {
 export const SUPPORTED_FILE_TYPES = {
     'text/plain': ['.txt'],
     'application/json': ['.json'],
+    'text/csv': ['.csv'],
+    'text/tab-separated-values': ['.tsv'],
+    'application/x-ndjson': ['.jsonl', '.ndjson'],
     'application/zip': ['.zip'],
 };
 
@@ -108,6 +131,9 @@ export const STORAGE_KEYS = {
     results: 'chatbot_analyzer_results',
     transcripts: 'chatbot_analyzer_transcripts',
     businessContext: 'chatbot_analyzer_business_context',
+    columnMappings: 'chatbot_analyzer_column_mappings',
+    intentTaxonomy: 'chatbot_analyzer_intent_taxonomy',
+    queryLabels: 'chatbot_analyzer_query_labels',
 };
 
 // Report sections (data-honest analysis)
@@ -116,7 +142,16 @@ export const REPORT_SECTIONS = [
     { id: 'overview', name: 'Session Overview', icon: '📊' },
     { id: 'queries', name: 'Query Analysis', icon: '🔍' },
     { id: 'userInsights', name: 'User Insights', icon: '👤' },
+    { id: 'flow', name: 'Conversation Flow', icon: '🔀', requires: 'conversationFlow' },
+    { id: 'zeroResults', name: 'Zero Results', icon: '🚫', requires: 'zeroResultQueries' },
+    { id: 'sentiment', name: 'Sentiment', icon: '😤', requires: 'sentiment' },
+    { id: 'labels', name: 'Label Review', icon: '🏷️' },
     { id: 'issues', name: 'Issues & Recommendations', icon: '⚠️' },
+    { id: 'conversations', name: 'Conversations', icon: '💬' },
+    // Only shown when the analysis has the given field (staged LLM mode)
+    { id: 'intents', name: 'Intents', icon: '🎯', requires: 'intentAnalysis' },
+    { id: 'promptOptimization', name: 'Prompt Tuning', icon: '✏️', requires: 'promptOptimization' },
+    { id: 'training', name: 'Training', icon: '📚', requires: 'trainingRecommendations' },
 ];
 
 
@@ -12,13 +12,14 @@ export function formatFileSize(bytes) {
 /**
  * Format date to locale string
  */
-export function formatDate(date) {
+export function formatDate(date, timeZone) {
     return new Date(date).toLocaleDateString('en-US', {
         year: 'numeric',
         month: 'short',
         day: 'numeric',
         hour: '2-digit',
         minute: '2-digit',
+        timeZone,
     });
 }
 
@@ -191,245 +192,6 @@ export function sanitizeHtml(html) {
     return div.innerHTML;
 }
 
-/**
- * Parse transcript content to structured format
- */
-export function parseTranscriptContent(content, filename) {
-    // Try JSON first
-    try {
-        const parsed = JSON.parse(content);
-        if (Array.isArray(parsed)) {
-            return parsed.map((item, index) => ({
-                id: item.session_id || item.id || `${filename}-${index}`,
-                messages: item.messages || [item],
-                metadata: {
-                    timestamp: item.timestamp,
-                    language: item.language,
-                    escalated: item.escalation_flag,
-                    hasOrder: item.order_flag,
-                },
-            }));
-        }
-        // Single object
-        return [{
-            id: parsed.session_id || parsed.id || filename,
-            messages: parsed.messages || [parsed],
-            metadata: {
-                timestamp: parsed.timestamp,
-                language: parsed.language,
-                escalated: parsed.escalation_flag,
-                hasOrder: parsed.order_flag,
-            },
-        }];
-    } catch {
-        // Parse as plain text
-        return parseTextTranscript(content, filename);
-    }
-}
-
-/**
- * Parse plain text transcript - supports multiple formats
- */
-function parseTextTranscript(content, filename) {
-    // Check if it's the timestamped format: [2026-01-09T05:09:10.591551+00:00] USER: message
-    const timestampPattern = /\[(\d{4}-\d{2}-\d{2}T[\d:.]+\+[\d:]+)\]\s*(USER|AI|RESULTS|CONVERSATION STARTED)(?:\s*:\s*)?/i;
-
-    if (timestampPattern.test(content)) {
-        return parseTimestampedTranscript(content, filename);
-    }
-
-    // Fallback to original simple format parsing
-    return parseSimpleTextTranscript(content, filename);
-}
-
-/**
- * Parse timestamped transcript format like:
- * [2026-01-09T05:09:10.591551+00:00] USER: message
- * [2026-01-09T05:09:15.201538+00:00] AI: response
- * [2026-01-09T05:09:15.201538+00:00] RESULTS: STYLES: [...]; PRODUCTS [...]
- */
-function parseTimestampedTranscript(content, filename) {
-    const lines = content.split('\n');
-    const messages = [];
-    let currentMessage = null;
-    let sessionId = filename;
-    let earliestTimestamp = null;
-    let latestTimestamp = null;
-
-    // Extract session ID from filename if it's in the format: session_UUID_transcript.txt
-    const sessionIdMatch = filename.match(/session_([a-f0-9-]+)_transcript/i);
-    if (sessionIdMatch) {
-        sessionId = sessionIdMatch[1];
-    }
-
-    // Regex to match timestamped lines
-    const linePattern = /^\[(\d{4}-\d{2}-\d{2}T[\d:.]+(?:\+[\d:]+)?)\]\s*(USER|AI|RESULTS|CONVERSATION STARTED)(?:\s*:\s*)?(.*)$/i;
-    const separatorPattern = /^={10,}$/; // Line of equals signs
-
-    for (const line of lines) {
-        const trimmedLine = line.trim();
-
-        // Skip separator lines
-        if (separatorPattern.test(trimmedLine) || !trimmedLine) {
-            continue;
-        }
-
-        const match = trimmedLine.match(linePattern);
-
-        // Debug: check if line contains "RESULTS" but didn't match
-        if (trimmedLine.includes('RESULTS') && !match) {
-            console.warn('⚠️ RESULTS line not matching regex:', trimmedLine.substring(0, 150));
-        }
-
-        if (match) {
-            // Save previous message if exists
-            if (currentMessage) {
-                messages.push(currentMessage);
-            }
-
-            const [, timestamp, role, content] = match;
-            const parsedTimestamp = new Date(timestamp);
-
-            // Track date range
-            if (!earliestTimestamp || parsedTimestamp < earliestTimestamp) {
-                earliestTimestamp = parsedTimestamp;
-            }
-            if (!latestTimestamp || parsedTimestamp > latestTimestamp) {
-                latestTimestamp = parsedTimestamp;
-            }
-
-            const normalizedRole = role.toUpperCase();
-
-            if (normalizedRole === 'CONVERSATION STARTED') {
-                // Skip conversation started markers, just continue
-                currentMessage = null;
-                continue;
-            }
-
-            if (normalizedRole === 'RESULTS') {
-                // Parse RESULTS as metadata for the previous AI message
-                console.log('📦 RESULTS line detected:', content.substring(0, 100) + '...');
-                if (messages.length > 0) {
-                    const lastMessage = messages[messages.length - 1];
-                    console.log('  Last message role:', lastMessage.role);
-                    if (lastMessage.role === 'bot') {
-                        lastMessage.results = parseResultsContent(content);
-                        console.log('  ✅ Results attached:', lastMessage.results);
-                    }
-                }
-                currentMessage = null;
-                continue;
-            }
-
-            currentMessage = {
-                role: normalizedRole === 'USER' ? 'user' : 'bot',
-                content: content.trim(),
-                timestamp: timestamp,
-            };
-        } else if (currentMessage && trimmedLine) {
-            // Continuation of previous message
-            currentMessage.content += ' ' + trimmedLine;
-        }
-    }
-
-    // Don't forget the last message
-    if (currentMessage) {
-        messages.push(currentMessage);
-    }
-
-    // Return as single conversation
-    return [{
-        id: sessionId,
-        messages: messages,
-        metadata: {
-            timestamp: earliestTimestamp?.toISOString() || null,
-            dateRange: {
-                start: earliestTimestamp?.toISOString() || null,
-                end: latestTimestamp?.toISOString() || null,
-            },
-            sourceFile: filename,
-            format: 'timestamped',
-        },
-    }];
-}
-
-/**
- * Parse RESULTS content: STYLES: [...]; PRODUCTS [[...]]
- */
-function parseResultsContent(content) {
-    const results = {};
-
-    // Extract STYLES
-    const stylesMatch = content.match(/STYLES:\s*\[([^\]]+)\]/i);
-    if (stylesMatch) {
-        results.styles = stylesMatch[1].split(',').map(s => s.trim().replace(/['"]/g, ''));
-    }
-
-    // Extract PRODUCTS (could be nested arrays)
-    const productsMatch = content.match(/PRODUCTS\s*(\[[\s\S]*\])/i);
-    if (productsMatch) {
-        try {
-            results.products = JSON.parse(productsMatch[1].replace(/'/g, '"'));
-        } catch (e) {
-            results.productsRaw = productsMatch[1];
-        }
-    }
-
-    return results;
-}
-
-/**
- * Parse simple text format (original implementation)
- */
-function parseSimpleTextTranscript(content, filename) {
-    const lines = content.split('\n').filter(line => line.trim());
-    const conversations = [];
-    let currentConversation = { id: filename, messages: [], metadata: {} };
-
-    for (const line of lines) {
-        // Detect patterns like "User:", "Bot:", "Customer:", "Assistant:", etc.
-        const userMatch = line.match(/^(user|customer|human|visitor)\s*[:\-]\s*(.+)/i);
-        const botMatch = line.match(/^(bot|assistant|agent|chatbot|ai)\s*[:\-]\s*(.+)/i);
-        const sessionMatch = line.match(/^(session|conversation)\s*[:\-]\s*(.+)/i);
-
-        if (sessionMatch) {
-            if (currentConversation.messages.length > 0) {
-                conversations.push(currentConversation);
-            }
-            currentConversation = {
-                id: sessionMatch[2].trim(),
-                messages: [],
-                metadata: {}
-            };
-        } else if (userMatch) {
-            currentConversation.messages.push({
-                role: 'user',
-                content: userMatch[2].trim(),
-            });
-        } else if (botMatch) {
-            currentConversation.messages.push({
-                role: 'bot',
-                content: botMatch[2].trim(),
-            });
-        } else if (line.trim() && currentConversation.messages.length > 0) {
-            // Append to last message if no prefix
-            const lastMsg = currentConversation.messages[currentConversation.messages.length - 1];
-            lastMsg.content += ' ' + line.trim();
-        }
-    }
-
-    if (currentConversation.messages.length > 0) {
-        conversations.push(currentConversation);
-    }
-
-    return conversations.length > 0 ? conversations : [{
-        id: filename,
-        messages: [{ role: 'unknown', content }],
-        metadata: {},
-    }];
-}
-
-
 /**
  * Estimate token count (rough approximation)
  */
@@ -451,3 +213,27 @@ export function formatNumber(num) {
     }
     return num.toString();
 }
+
+/**
+ * Heatmap cell background: the base color at an opacity scaled by value / max
+ * @param {string} rgb - Base color as "r, g, b"
+ */
+export function getHeatmapColor(value, max, rgb = '99, 102, 241') {
+    if (value == null || !max) return 'transparent';
+    // Floor keeps low non-zero cells distinguishable from empty ones
+    const alpha = value > 0 ? 0.12 + 0.88 * Math.min(1, value / max) : 0;
+    return `rgba(${rgb}, ${alpha.toFixed(2)})`;
+}
+
+/**
+ * Format a duration in seconds as "850ms", "12.4s", "4m 12s" or "1h 05m"
+ */
+export function formatDuration(seconds) {
+    if (seconds == null || isNaN(seconds)) return 'N/A';
+    if (seconds < 1) return `${Math.round(seconds * 1000)}ms`;
+    if (seconds < 60) return `${parseFloat(seconds.toFixed(1))}s`;
+    const totalSeconds = Math.round(seconds);
+    if (totalSeconds < 3600) return `${Math.floor(totalSeconds / 60)}m ${totalSeconds % 60}s`;
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    return `${Math.floor(totalSeconds / 3600)}h ${String(minutes).padStart(2, '0')}m`;
+}
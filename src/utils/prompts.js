@@ -73,7 +73,7 @@ Analyze these transcripts and identify ALL user intents. For each intent, provid
     {
       "intentName": "New pattern that may need dedicated handling",
       "occurrences": 5,
-      "examples": ["Example utterance"]
+      "examples": ["EXACT user message copied from a transcript"]
     }
   ],
   "overloadedIntents": [
@@ -132,7 +132,7 @@ Analyze and provide:
       "pattern": "Description of common failure",
       "frequency": 15,
       "impact": "high | medium | low",
-      "examples": ["Example 1"],
+      "examples": ["EXACT user message copied from a transcript"],
       "fix": "How to address this"
     }
   ]
@@ -143,8 +143,11 @@ Respond ONLY with valid JSON.`;
 
 /**
  * Loop and friction detection prompt
+ * @param {Object} sentiment - Optional rule-based sentiment metrics to ground frustration in
  */
-export function getFrictionDetectionPrompt(transcripts) {
+export function getFrictionDetectionPrompt(transcripts, sentiment = null) {
+  const sample = transcripts.slice(0, 30);
+
   return `You are an expert in conversational UX. Detect loops, friction points, and context issues in these chatbot conversations.
 
 DETECTION FOCUS:
@@ -152,10 +155,10 @@ DETECTION FOCUS:
 - Lost context: Bot forgetting previous information
 - Unnecessary clarifications: Bot asking questions it shouldn't
 - Dead ends: Conversations going nowhere
-- Frustration signals: User expressing annoyance
-
+- Frustration signals: User expressing annoyance${sentiment ? ' (use the rule-based frustration scores below for frustrationRate and userFrustrationLevel)' : ''}
+${getFrustrationSection(sentiment, new Set(sample.map(t => String(t.id))))}
 TRANSCRIPTS:
-${JSON.stringify(transcripts.slice(0, 30), null, 2)}
+${JSON.stringify(sample, null, 2)}
 
 Provide analysis:
 
@@ -433,13 +436,10 @@ Respond ONLY with valid JSON.`;
 }
 
 /**
- * Generate the full analysis prompt (combined for efficiency with capable models)
+ * Scraped website content section shared by the analysis prompts
  */
-export function getFullAnalysisPrompt(transcripts, websiteUrl, businessModel, businessContext) {
-  const transcriptSample = transcripts.slice(0, 100);
-
-  // Get website content if available
-  const websiteContentSection = businessContext.websiteContent?.success
+function getWebsiteContentSection(businessContext) {
+  return businessContext.websiteContent?.success
     ? `
 === SCRAPED WEBSITE CONTENT ===
 The following content was extracted from the website to help you understand their categories, products, and business:
@@ -447,22 +447,58 @@ The following content was extracted from the website to help you understand thei
 ${businessContext.websiteContent.summary || 'No summary available'}
 `
     : '';
+}
 
-  // Additional context overrides - this takes priority
-  // Detect if it's JSON and format accordingly
-  let additionalContextOverride = '';
-  if (businessContext.additionalContext) {
-    let formattedContext = businessContext.additionalContext;
-    let isJsonPrompt = false;
-
-    // Try to detect and parse JSON
-    try {
-      const trimmed = businessContext.additionalContext.trim();
-      if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
-        const parsed = JSON.parse(trimmed);
-        isJsonPrompt = true;
-        // Format JSON nicely for the LLM
-        formattedContext = `[JSON PROMPT DETECTED]
+/**
+ * Analyst-verified query labels shared by the analysis prompts
+ */
+function getVerifiedLabelsSection(businessContext) {
+  if (!businessContext.verifiedLabels?.length) return '';
+
+  return `
+=== ANALYST-VERIFIED QUERY LABELS ===
+These user queries were labeled by an analyst. Use the same intent names when describing similar queries:
+${businessContext.verifiedLabels.map(label => `- "${label.query}" → ${label.intent} (${label.sentiment})`).join('\n')}
+`;
+}
+
+/**
+ * Offline sentiment and frustration scores, so the LLM can ground frustration findings in them
+ * sessionIds limits the listed sessions to those in the prompt; the totals cover every session
+ */
+function getFrustrationSection(sentiment, sessionIds = null) {
+  if (!sentiment) return '';
+
+  const sessions = sentiment.mostFrustrated
+    .filter(session => session.frustratedTurns > 0 && (!sessionIds || sessionIds.has(String(session.sessionId))))
+    .map(session => `- Session ${session.sessionId}: frustration ${session.peakFrustration} at query ${session.peakTurn.turn} "${session.peakTurn.query}" (${session.signals.join(', ') || 'negative wording'})`);
+
+  return `
+=== RULE-BASED FRUSTRATION SCORES ===
+Every user turn was scored offline with a sentiment lexicon and frustration signals (all caps, repeated punctuation, rephrasing, profanity, "not what I asked").
+${sentiment.frustratedTurns} of ${sentiment.totalTurns} user turns (${sentiment.frustratedTurnRate}%) and ${sentiment.frustratedSessions} of ${sentiment.totalSessions} sessions (${sentiment.frustratedSessionRate}%) scored as frustrated.
+${sessions.length > 0 ? `Most frustrated sessions:\n${sessions.join('\n')}` : 'No session scored as frustrated.'}
+`;
+}
+
+/**
+ * User override instructions section shared by the analysis prompts
+ * Additional context takes priority; JSON instructions are detected and formatted
+ */
+function getAdditionalContextOverride(businessContext) {
+  if (!businessContext.additionalContext) return '';
+
+  let formattedContext = businessContext.additionalContext;
+  let isJsonPrompt = false;
+
+  // Try to detect and parse JSON
+  try {
+    const trimmed = businessContext.additionalContext.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      const parsed = JSON.parse(trimmed);
+      isJsonPrompt = true;
+      // Format JSON nicely for the LLM
+      formattedContext = `[JSON PROMPT DETECTED]
 The user has provided structured JSON instructions. Parse and follow these exactly:
 
 \`\`\`json
@@ -471,13 +507,13 @@ ${JSON.stringify(parsed, null, 2)}
 
 Key fields to extract and apply:
 ${Object.entries(parsed).map(([key, value]) => `- ${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`).join('\n')}`;
-      }
-    } catch (e) {
-      // Not valid JSON, use as plain text
-      isJsonPrompt = false;
     }
+  } catch (e) {
+    // Not valid JSON, use as plain text
+    isJsonPrompt = false;
+  }
 
-    additionalContextOverride = `
+  return `
 === USER OVERRIDE INSTRUCTIONS (HIGHEST PRIORITY) ===
 The following instructions from the user OVERRIDE any default behavior. Follow these exactly:
 ${isJsonPrompt ? '\n[This is a structured JSON prompt - parse all fields carefully]\n' : ''}
@@ -485,8 +521,17 @@ ${formattedContext}
 
 === END USER OVERRIDE ===
 `;
-  }
+}
 
+/**
+ * Generate the full analysis prompt (combined for efficiency with capable models)
+ * @param {Object} sentiment - Optional rule-based sentiment metrics; lets the LLM report frustration
+ */
+export function getFullAnalysisPrompt(transcripts, websiteUrl, businessModel, businessContext, sentiment = null) {
+  const transcriptSample = transcripts.slice(0, 100);
+
+  const websiteContentSection = getWebsiteContentSection(businessContext);
+  const additionalContextOverride = getAdditionalContextOverride(businessContext);
 
   return `You are an expert eCommerce chatbot analyst. Perform a comprehensive analysis of these chatbot transcripts.
 
@@ -518,7 +563,7 @@ Business Model: ${businessModel.toUpperCase()}
 Business Goal: Enhance Product Discovery
 Industry Override: ${businessContext.industry || 'Auto-detect from website'}
 Geography: ${businessContext.geography || 'Not specified'}
-${websiteContentSection}
+${websiteContentSection}${getVerifiedLabelsSection(businessContext)}${getFrustrationSection(sentiment)}
 === TRANSCRIPTS (${transcripts.length} total, showing first ${transcriptSample.length}) ===
 ${JSON.stringify(transcriptSample, null, 2)}
 
@@ -554,7 +599,9 @@ For productInsights:
 
 You CANNOT determine from this data:
 - Whether users clicked on results or purchased
-- User satisfaction or frustration (no feedback signals)
+${sentiment
+    ? '- User satisfaction (no feedback signals); for frustration, cite the rule-based frustration scores above'
+    : '- User satisfaction or frustration (no feedback signals)'}
 - Whether the conversation was "successful" 
 - Engagement metrics beyond turn counts
 
@@ -658,9 +705,10 @@ Focus your analysis on what IS observable.
       "issue": "Description of potential issue",
       "type": "No Results | Ambiguous Query | Repeated Query | Very Short Session",
       "frequency": "How often observed",
-      "evidence": "EXACT transcript quote",
+      "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
       "caveat": "Why this is only a potential issue (no engagement data to confirm)",
-      "severity": "high | medium | low"
+      "severity": "high | medium | low",
+      "confidence": "observed | inferred | assumed"
     }
   ],
 
@@ -668,8 +716,9 @@ Focus your analysis on what IS observable.
     "patterns": [
       {
         "observation": "Pattern noticed in the data",
-        "evidence": "Supporting data points",
-        "businessRelevance": "Why this might matter"
+        "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
+        "businessRelevance": "Why this might matter",
+        "confidence": "observed | inferred | assumed"
       }
     ],
     "anomalies": [
@@ -685,10 +734,11 @@ Focus your analysis on what IS observable.
       "id": "number",
       "title": "Clear recommendation",
       "rationale": "Why this is recommended based on observed data",
-      "evidence": "Data supporting this recommendation",
+      "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
       "action": "Specific action to take",
       "effort": "low | medium | high",
-      "caveat": "Any limitations on this recommendation"
+      "caveat": "Any limitations on this recommendation",
+      "confidence": "observed | inferred | assumed"
     }
   ],
 
@@ -697,12 +747,12 @@ Focus your analysis on what IS observable.
     "dataLimitations": [
       "No user engagement/click data available",
       "No conversion or purchase data",
-      "Cannot determine user satisfaction"
+      ${sentiment ? '"No explicit satisfaction feedback; frustration comes from rule-based wording scores"' : '"Cannot determine user satisfaction"'}
     ],
     "whatWeCannotDetermine": [
       "Whether users found what they were looking for",
       "Actual resolution or success rates",
-      "User frustration or satisfaction levels"
+      ${sentiment ? '"User satisfaction levels"' : '"User frustration or satisfaction levels"'}
     ],
     "analysisConfidence": "Description of overall confidence in findings"
   }
@@ -715,9 +765,167 @@ FINAL REMINDERS:
 - Every finding must quote actual transcript content
 - If you cannot observe something, say so explicitly
 - Focus on query patterns, product recommendations, and response patterns
+- Cite evidence as { sessionId, messageId, quote } using the "id" of the transcript and of the message; quotes are checked against the transcripts and unverifiable ones are flagged
+- Label every issue, pattern and recommendation with "confidence": "observed" (directly quoted), "inferred" (reasoned from several observations) or "assumed" (depends on data you do not have)
 - Respond ONLY with valid JSON, no markdown code blocks`;
 }
 
+/**
+ * Batch analysis prompt for map-reduce mode
+ * Sends every transcript in the batch and asks only for the LLM-owned sections
+ * (issues, observations, recommendations); counts come from rule-based metrics.
+ * batchInfo is { index, total, totalTranscripts } with a 1-based index.
+ * @param {Object} sentiment - Optional rule-based sentiment metrics; lets the LLM report frustration
+ */
+export function getBatchAnalysisPrompt(transcripts, batchInfo, websiteUrl, businessModel, businessContext, sentiment = null) {
+  const websiteContentSection = getWebsiteContentSection(businessContext);
+  const additionalContextOverride = getAdditionalContextOverride(businessContext);
+  const frustrationSection = getFrustrationSection(sentiment, new Set(transcripts.map(t => String(t.id))));
+
+  return `You are an expert eCommerce chatbot analyst. You are analyzing batch ${batchInfo.index} of ${batchInfo.total} from a larger set of ${batchInfo.totalTranscripts} chatbot transcripts. Findings from all batches will be merged, so report what THIS batch shows.
+
+=== CRITICAL GROUNDING RULES (READ FIRST) ===
+1. **ONLY report what you can DIRECTLY observe** in the provided transcripts
+2. **DO NOT invent or fabricate** any numbers, counts, percentages, or metrics
+3. **Every claim must have transcript evidence** - if you can't quote it, don't report it
+4. **Count occurrences exactly** - "occurrences" is the number of sessions in THIS batch showing the finding
+5. **Use short, generic titles** (e.g. "Vague single-word queries return no results") so the same finding from different batches can be matched
+6. **Cite your evidence** - every evidence item is { sessionId, messageId, quote } using the "id" of the transcript and of the message; quotes are checked against the transcripts and unverifiable ones are flagged
+7. **Label confidence** - "observed" (directly quoted), "inferred" (reasoned from several observations) or "assumed" (depends on data you do not have)
+${additionalContextOverride}
+=== BUSINESS CONTEXT ===
+Website URL: ${websiteUrl}
+Business Model: ${businessModel.toUpperCase()}
+Business Goal: Enhance Product Discovery
+Industry Override: ${businessContext.industry || 'Auto-detect from website'}
+Geography: ${businessContext.geography || 'Not specified'}
+${websiteContentSection}${getVerifiedLabelsSection(businessContext)}${frustrationSection}
+=== TRANSCRIPTS (batch ${batchInfo.index} of ${batchInfo.total}, ${transcripts.length} sessions) ===
+${JSON.stringify(transcripts, null, 2)}
+
+=== DATA NOTES ===
+- USER messages are the exact queries users typed; bot messages are the chatbot responses
+- "results" contain STYLES (style categories) and PRODUCTS (product IDs) returned
+- There is NO click, purchase or satisfaction data - do not infer success rates${sentiment ? '\n- For frustration, cite the rule-based frustration scores above rather than estimating your own' : ''}
+
+Respond with this JSON structure:
+{
+  "potentialIssues": [
+    {
+      "issue": "Short generic description of the potential issue",
+      "type": "No Results | Ambiguous Query | Repeated Query | Very Short Session",
+      "occurrences": "NUMBER of sessions in this batch showing it",
+      "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
+      "caveat": "Why this is only a potential issue (no engagement data to confirm)",
+      "severity": "high | medium | low",
+      "confidence": "observed | inferred | assumed"
+    }
+  ],
+  "observations": {
+    "patterns": [
+      {
+        "observation": "Pattern noticed in the data",
+        "occurrences": "NUMBER of sessions in this batch showing it",
+        "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
+        "businessRelevance": "Why this might matter",
+        "confidence": "observed | inferred | assumed"
+      }
+    ],
+    "anomalies": [
+      {
+        "anomaly": "Unusual pattern or outlier",
+        "details": "What makes it unusual"
+      }
+    ]
+  },
+  "recommendations": [
+    {
+      "title": "Clear, generic recommendation",
+      "rationale": "Why this is recommended based on observed data",
+      "evidence": [{ "sessionId": "transcript id", "messageId": "message id", "quote": "EXACT text copied from that message" }],
+      "action": "Specific action to take",
+      "effort": "low | medium | high",
+      "caveat": "Any limitations on this recommendation",
+      "confidence": "observed | inferred | assumed"
+    }
+  ]
+}
+
+Respond ONLY with valid JSON, no markdown code blocks`;
+}
+
+/**
+ * Query labeling prompt - Intent and sentiment labels for a sample of user queries,
+ * reviewed by an analyst before they are used
+ * @param {Array<{ query: string, context?: string }>} queries - context is the bot reply that followed
+ * @param {Array<{ name: string, examples: string[] }>} intents - The rule-based intent taxonomy
+ * @param {Array<{ query: string, intent: string, sentiment: string }>} verifiedLabels - Analyst-approved examples
+ */
+export function getQueryLabelingPrompt(queries, intents, verifiedLabels = []) {
+  const examplesSection = verifiedLabels.length > 0
+    ? `
+=== ANALYST-VERIFIED EXAMPLES ===
+Label new queries consistently with these:
+${verifiedLabels.map(label => `- "${label.query}" → ${label.intent} (${label.sentiment})`).join('\n')}
+`
+    : '';
+
+  return `You are labeling user queries sent to an eCommerce chatbot. An analyst will review every label.
+
+=== INTENTS ===
+Use exactly one of these intent names, or "Unclassified" if none fits:
+${intents.map(intent => `- ${intent.name}${intent.examples?.length ? ` (e.g. ${intent.examples.slice(0, 2).map(e => `"${e}"`).join(', ')})` : ''}`).join('\n')}
+
+=== SENTIMENT ===
+- positive: pleased, thankful, enthusiastic
+- neutral: plain request or question
+- negative: frustrated, annoyed, complaining or repeating themselves
+${examplesSection}
+=== QUERIES ===
+${queries.map((q, i) => `${i}. "${q.query}"${q.context ? ` [bot replied: "${q.context}"]` : ''}`).join('\n')}
+
+Respond with this JSON structure, one label per query:
+{
+  "labels": [
+    {
+      "index": 0,
+      "intent": "Intent name from the list above",
+      "sentiment": "positive | neutral | negative",
+      "confidence": 0.9,
+      "reason": "Few words on why"
+    }
+  ]
+}
+
+Respond ONLY with valid JSON.`;
+}
+
+/**
+ * JSON fix prompt - Sent when an analysis response could not be parsed or
+ * did not match the expected structure, asking the LLM to correct its output
+ */
+export function getJsonFixPrompt(rawResponse, problems, expectedShape) {
+  const shapeSection = expectedShape
+    ? `\nEXPECTED STRUCTURE ("?" marks optional fields):\n${JSON.stringify(expectedShape, null, 2)}\n`
+    : '';
+
+  return `Your previous response could not be used because it was not valid JSON in the expected structure.
+
+PROBLEMS FOUND:
+${problems.map(problem => `- ${problem}`).join('\n')}
+${shapeSection}
+YOUR PREVIOUS RESPONSE:
+${rawResponse}
+
+TASK:
+Return the same content as corrected JSON.
+- Keep every finding, quote and number from your previous response; do not add new findings
+- If the response was cut off, close it after the last complete item
+- Fill required fields that are missing; drop fields that cannot be fixed
+
+Respond ONLY with valid JSON, no markdown code blocks or additional text.`;
+}
+
 /**
  * Site analysis prompt - Extract structured information from raw website content
  * Used to intelligently parse Jina AI scraped content for categories, products, and industry
@@ -0,0 +1,83 @@
+/**
+ * Session summaries and filters
+ * Per-session facts used to browse and filter transcripts in the report
+ */
+
+import { getZonedParts } from './timezone';
+
+/**
+ * Summarize a normalized transcript for listing and filtering
+ * timeZone decides which calendar day the session starts on (browser timezone when omitted)
+ */
+export function summarizeSession(transcript, timeZone) {
+    const messages = transcript.messages || [];
+    const userMessages = messages.filter(msg => msg.role === 'user');
+    const startTime = getSessionStart(transcript);
+
+    return {
+        id: String(transcript.id),
+        sourceFile: transcript.sourceFile || transcript.metadata?.sourceFile || null,
+        messageCount: messages.length,
+        userTurns: transcript.metadata?.userTurns ?? userMessages.length,
+        hasEscalation: !!transcript.metadata?.hasEscalation,
+        // Same rule as the bot response metrics: any bot message carrying results
+        hasResults: messages.some(msg => msg.role === 'bot' && msg.results),
+        startTime,
+        startDateKey: startTime ? getZonedParts(startTime, timeZone).dateKey : null,
+        firstQuery: userMessages[0]?.content || '',
+        searchText: messages.map(msg => msg.content || '').join('\n').toLowerCase(),
+    };
+}
+
+/**
+ * Earliest valid timestamp in a session, or null
+ */
+export function getSessionStart(transcript) {
+    let earliest = null;
+    const candidates = [
+        ...(transcript.messages || []).map(msg => msg.timestamp),
+        transcript.metadata?.dateRange?.start,
+    ];
+
+    for (const value of candidates) {
+        if (!value) continue;
+        const date = new Date(value);
+        if (!isNaN(date.getTime()) && (!earliest || date < earliest)) {
+            earliest = date;
+        }
+    }
+    return earliest;
+}
+
+export const DEFAULT_SESSION_FILTERS = {
+    search: '',
+    escalation: 'any',  // any | yes | no
+    results: 'any',     // any | with | without
+    minTurns: '',
+    maxTurns: '',
+    dateFrom: '',       // YYYY-MM-DD
+    dateTo: '',         // YYYY-MM-DD, inclusive
+};
+
+/**
+ * Apply browser filters to session summaries
+ */
+export function filterSessions(summaries, filters = DEFAULT_SESSION_FILTERS) {
+    const search = filters.search.trim().toLowerCase();
+    const minTurns = filters.minTurns === '' ? null : Number(filters.minTurns);
+    const maxTurns = filters.maxTurns === '' ? null : Number(filters.maxTurns);
+
+    return summaries.filter(session => {
+        if (search && !session.searchText.includes(search) && !session.id.toLowerCase().includes(search)) return false;
+        if (filters.escalation === 'yes' && !session.hasEscalation) return false;
+        if (filters.escalation === 'no' && session.hasEscalation) return false;
+        if (filters.results === 'with' && !session.hasResults) return false;
+        if (filters.results === 'without' && session.hasResults) return false;
+        if (minTurns !== null && session.userTurns < minTurns) return false;
+        if (maxTurns !== null && session.userTurns > maxTurns) return false;
+        // YYYY-MM-DD keys compare correctly as strings
+        if (filters.dateFrom && (!session.startDateKey || session.startDateKey < filters.dateFrom)) return false;
+        if (filters.dateTo && (!session.startDateKey || session.startDateKey > filters.dateTo)) return false;
+        return true;
+    });
+}
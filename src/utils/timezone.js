@@ -0,0 +1,169 @@
+/**
+ * Timezone helpers
+ * Time bucketing happens in the business's timezone, not the analyst's browser,
+ * so peak hours and daily trends are the same whoever opens the report
+ */
+
+// Geography keywords -> IANA timezone, most specific first
+// Only places and named US zones ("Pacific time"): languages, continents and regions
+// ("Spanish", "Europe", "Middle East", "Asia Pacific") span too many timezones to guess from
+const GEOGRAPHY_TIMEZONES = [
+    [/\b(california|los angeles|san francisco|seattle|pacific time|west coast|oregon|washington state)\b/i, 'America/Los_Angeles'],
+    [/\b(denver|colorado|arizona|phoenix|utah|mountain time)\b/i, 'America/Denver'],
+    [/\b(texas|austin|dallas|houston|chicago|illinois|central time|midwest)\b/i, 'America/Chicago'],
+    [/\b(new york|boston|florida|atlanta|eastern time|east coast)\b/i, 'America/New_York'],
+    [/\b(vancouver|british columbia)\b/i, 'America/Vancouver'],
+    [/\b(canada|toronto|ontario|montreal)\b/i, 'America/Toronto'],
+    [/\b(mexico)\b/i, 'America/Mexico_City'],
+    [/\b(brazil|brasil|sao paulo|rio de janeiro)\b/i, 'America/Sao_Paulo'],
+    [/\b(argentina|buenos aires)\b/i, 'America/Argentina/Buenos_Aires'],
+    [/\b(US|USA)\b/, 'America/New_York'],
+    [/\b(u\.s\.|united states)/i, 'America/New_York'],
+    [/\b(portugal|lisbon)\b/i, 'Europe/Lisbon'],
+    [/\b(uk|u\.k\.|united kingdom|britain|england|london|scotland|ireland|dublin)\b/i, 'Europe/London'],
+    [/\b(germany|deutschland|france|paris|spain|madrid|italy|netherlands|belgium|austria|switzerland|sweden|norway|denmark|poland)\b/i, 'Europe/Berlin'],
+    [/\b(greece|finland|romania|ukraine)\b/i, 'Europe/Athens'],
+    [/\b(turkey|istanbul)\b/i, 'Europe/Istanbul'],
+    [/\b(uae|dubai|emirates)\b/i, 'Asia/Dubai'],
+    [/\b(india|mumbai|delhi|bangalore)\b/i, 'Asia/Kolkata'],
+    [/\b(singapore|malaysia)\b/i, 'Asia/Singapore'],
+    [/\b(china|hong kong|taiwan)\b/i, 'Asia/Shanghai'],
+    [/\b(japan|tokyo)\b/i, 'Asia/Tokyo'],
+    [/\b(korea|seoul)\b/i, 'Asia/Seoul'],
+    [/\b(perth|western australia)\b/i, 'Australia/Perth'],
+    [/\b(australia|sydney|melbourne)\b/i, 'Australia/Sydney'],
+    [/\b(new zealand|nz|auckland)\b/i, 'Pacific/Auckland'],
+    [/\b(south africa|johannesburg)\b/i, 'Africa/Johannesburg'],
+];
+
+// Offered in the timezone picker when Intl.supportedValuesOf is unavailable
+const COMMON_TIMEZONES = [
+    'UTC',
+    'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+    'America/Toronto', 'America/Mexico_City', 'America/Sao_Paulo', 'America/Argentina/Buenos_Aires',
+    'Europe/London', 'Europe/Lisbon', 'Europe/Berlin', 'Europe/Athens', 'Europe/Istanbul',
+    'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Seoul',
+    'Australia/Perth', 'Australia/Sydney', 'Pacific/Auckland', 'Africa/Johannesburg',
+];
+
+/**
+ * The browser's own timezone
+ */
+export function getBrowserTimezone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Whether Intl accepts the IANA timezone name
+ */
+export function isValidTimezone(timeZone) {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Timezone suggested by a free-text geography ("Austin, Texas"), or null
+ */
+export function getGeographyTimezone(geography) {
+    if (!geography) return null;
+    const match = GEOGRAPHY_TIMEZONES.find(([pattern]) => pattern.test(geography));
+    return match ? match[1] : null;
+}
+
+/**
+ * Timezone an analysis should use: the explicit setting, then the geography
+ * default, then the browser's timezone
+ * @returns {{ timeZone: string, source: 'setting' | 'geography' | 'browser' }}
+ */
+export function resolveTimezone(businessContext = {}) {
+    if (isValidTimezone(businessContext.timezone)) {
+        return { timeZone: businessContext.timezone, source: 'setting' };
+    }
+    const fromGeography = getGeographyTimezone(businessContext.geography);
+    if (fromGeography) {
+        return { timeZone: fromGeography, source: 'geography' };
+    }
+    return { timeZone: getBrowserTimezone(), source: 'browser' };
+}
+
+/**
+ * Timezones for the picker
+ */
+export function getTimezoneOptions() {
+    if (typeof Intl.supportedValuesOf === 'function') {
+        const zones = Intl.supportedValuesOf('timeZone');
+        return zones.includes('UTC') ? zones : ['UTC', ...zones];
+    }
+    return COMMON_TIMEZONES;
+}
+
+// ============================================================================
+// ZONED DATE PARTS
+// ============================================================================
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    const key = timeZone || '';
+    if (!partsFormatters.has(key)) {
+        partsFormatters.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || undefined,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            weekday: 'long',
+        }));
+    }
+    return partsFormatters.get(key);
+}
+
+/**
+ * Calendar parts of a date as seen in a timezone (browser timezone when omitted)
+ * @returns {{ year: number, month: number, day: number, hour: number, weekday: string, dateKey: string }}
+ */
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getPartsFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        // Some engines report midnight as 24 even with h23
+        hour: Number(parts.hour) % 24,
+        weekday: parts.weekday,
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    };
+}
+
+/**
+ * Short label such as "GMT-5" for a timezone at a given moment
+ */
+export function getTimezoneAbbreviation(timeZone, date = new Date()) {
+    try {
+        const part = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' })
+            .formatToParts(date)
+            .find(p => p.type === 'timeZoneName');
+        return part?.value || timeZone;
+    } catch (e) {
+        return timeZone;
+    }
+}
+
+/**
+ * "America/Chicago (CST)" style label for reports
+ */
+export function describeTimezone(timeZone) {
+    if (!timeZone) return 'browser local time';
+    const abbreviation = getTimezoneAbbreviation(timeZone);
+    return abbreviation && abbreviation !== timeZone ? `${timeZone} (${abbreviation})` : timeZone;
+}
@@ -0,0 +1,81 @@
+/**
+ * Analysis Web Worker
+ * Runs parsing and rule-based analysis off the main thread
+ *
+ * Messages in:
+ *   { type: 'parse', id, files }                 - parse uploaded File objects
+ *   { type: 'analyze', id, transcripts, timeZone, intentTaxonomy }
+ *                                                - run rule-based analysis
+ *   { type: 'cancel', id }                       - abort a running job
+ *   { type: 'columnMapping', id, mapping }       - answer to a columnMappingRequest
+ *
+ * Messages out:
+ *   { type: 'progress', id, progress, filename? } - job progress (0-100)
+ *   { type: 'columnMappingRequest', id, request } - CSV mapping needs the main thread
+ *   { type: 'result', id, result }
+ *   { type: 'error', id, error }
+ *   { type: 'cancelled', id }
+ */
+
+import { parseFilesJob, ruleBasedAnalysisJob } from '../services/analyzer/analysisJobs';
+
+const controllers = new Map();
+const pendingMappings = new Map();
+
+self.onmessage = async (event) => {
+    const { type, id } = event.data;
+
+    if (type === 'cancel') {
+        controllers.get(id)?.abort();
+        pendingMappings.get(id)?.(null);
+        return;
+    }
+
+    if (type === 'columnMapping') {
+        pendingMappings.get(id)?.(event.data.mapping);
+        return;
+    }
+
+    const controller = new AbortController();
+    controllers.set(id, controller);
+
+    try {
+        const result = await runJob(event.data, controller.signal);
+        self.postMessage({ type: 'result', id, result });
+    } catch (error) {
+        if (error?.name === 'AbortError') {
+            self.postMessage({ type: 'cancelled', id });
+        } else {
+            self.postMessage({ type: 'error', id, error: error?.message || String(error) });
+        }
+    } finally {
+        controllers.delete(id);
+        pendingMappings.delete(id);
+    }
+};
+
+function runJob(message, signal) {
+    const { type, id } = message;
+
+    switch (type) {
+        case 'parse':
+            return parseFilesJob(message.files, {
+                signal,
+                onFileProgress: (filename, progress) => self.postMessage({ type: 'progress', id, filename, progress }),
+                // Saved mappings live in localStorage, so ask the main thread
+                resolveColumnMapping: (request) => new Promise((resolve) => {
+                    pendingMappings.set(id, resolve);
+                    self.postMessage({ type: 'columnMappingRequest', id, request });
+                }),
+            });
+        case 'analyze':
+            return ruleBasedAnalysisJob(message.transcripts, {
+                signal,
+                timeZone: message.timeZone,
+                intentTaxonomy: message.intentTaxonomy,
+                onProgress: (progress) => self.postMessage({ type: 'progress', id, progress }),
+            });
+        default:
+            throw new Error(`Unknown worker job: ${type}`);
+    }
+}